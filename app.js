@@ -3,8 +3,8 @@ var sessions = require("client-sessions")
 var path = require("path")
 var bodyParser = require("body-parser")
 var compress = require("compression")
-var https = require("https");
-var schema = require("./models/schema.js");
+var identity = require("./controllers/identity.js");
+var permissions = require("./controllers/permissions.js");
 
 var app = express()
 
@@ -41,77 +41,27 @@ app.use(express.static(path.join(__dirname, "node_modules")))
 //public static resource
 app.use(express.static(path.join(__dirname, "public")))
 
-// routes to use for api
-//app.use("/api", index);
-
-//adds user pid to environmental variable if it doesn't already exist.
-app.use(function(req, res, next){
-	if(!process.env.userPID){
-		var user = req.get("X-REMOTE-USER-1");
-		https.get("https://onyenldap.cs.unc.edu/onyenldap.php?onyen="+user, resp=>{
-			let data="";
-			resp.on("data", (chunk)=>{
-				data+=chunk;
-			});
-			resp.on("end", ()=>{
-        var index = data.indexOf("pid");
-        //maybe change this to be more robust
-				var pid = data.substring(index + 5, index + 14);
-				process.env.userPID = parseInt(pid);
-				res.redirect("/");
-			});
-		});
-	}
-	else{
-    var user = req.get("X-REMOTE-USER-1");
-    https.get("https://onyenldap.cs.unc.edu/onyenldap.php?onyen="+user, resp=>{
-      let data="";
-      resp.on("data", (chunk)=>{
-        data+=chunk;
-      });
-      resp.on("end", ()=>{
-        var index = data.indexOf("pid");
-        //maybe change this to be more robust
-        var pid = data.substring(index + 5, index + 14);
-        process.env.userPID = parseInt(pid);
-        next();
-      });
-    });
-	}
-});
+//resolves the logged in user for this request only (req.user)
+app.use(identity.resolve);
 
-//global username locals (middleware)
-app.use(function(req, res, next){
-  res.locals.user = req.get("X-REMOTE-USER-1");
-  next();
-});
+//exposes locals.can(permission) and locals.admin to the views
+app.use(permissions.locals);
 
 app.get("/logout", (req, res)=>{
-	 process.env.userPID = "---------";
-	 res.redirect("http://logout@csgrad.cs.unc.edu");
+  req.gradInfoSession.reset();
+  res.redirect("http://logout@csgrad.cs.unc.edu");
 })
 
 app.get("/", (req, res) => {
-  console.log(process.env.userPID);
-
-  schema.Faculty.findOne({pid: process.env.userPID}).exec().then(function(result){
-    if(result != null){
-      if(result.admin == true){ //admin
-        res.redirect("/student");
-      } else { //advisor
-        res.redirect("/student");
-      }
-    }
-    else{
-      schema.Student.findOne({pid: process.env.userPID}).exec().then(function(result){
-        if(result != null){ //student
-          res.redirect("/studentView");
-        } else {
-          res.render("./error.ejs", {string: "Failed Authentication"});
-        }
-      });
-    }
-  });
+  if(req.user.role == "admin" || req.user.role == "faculty"){
+    res.redirect("/student");
+  }
+  else if(req.user.role == "student"){
+    res.redirect("/studentView");
+  }
+  else{
+    res.render("./error.ejs", {string: "Failed Authentication"});
+  }
 });
 
 app.use("/course", require("./routes/course"));
@@ -120,12 +70,22 @@ app.use("/faculty", require("./routes/faculty"));
 
 app.use("/job", require("./routes/job"));
 
+app.use("/grant", require("./routes/grant"));
+
 app.use("/student", require("./routes/student"));
 
 app.use("/studentView", require("./routes/studentView"));
 
 app.use("/report", require("./routes/report"));
 
+app.use("/admin", require("./routes/admin"));
+
+//previews and commits of every spreadsheet upload
+app.use("/import", require("./routes/import"));
+
+//JSON API for scripts and dashboards, see README.md
+app.use("/api/v1", require("./routes/api"));
+
 // catch 404 and forward to error handler
 app.use(function (req, res) {
   var err = new Error("Not Found")
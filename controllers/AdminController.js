@@ -1,3 +1,284 @@
-var _ = {}
+var mongoose = require("mongoose");
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var permissions = require("./permissions.js");
+var integrity = require("./integrity.js");
+var trash = require("./trash.js");
+var audit = require("./audit.js");
 
-module.exports = _
+var adminController = {};
+
+/**
+ * @url {get} /admin/roles
+ *
+ * @description lists every role that has been granted
+ * and renders the form to grant a new one
+ *
+ * @finish renders /admin/roles.ejs
+ */
+adminController.rolesPage = function(req, res){
+  schema.RoleAssignment.find({}).sort({role: 1, onyen: 1}).exec().then(function(result){
+    res.render("../views/admin/roles.ejs", {assignments: result, roles: permissions.roles, grantableRoles: permissions.grantableRoles, matrix: permissions.matrix});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /admin/roles/grant
+ *
+ * @description grants a role to the person with the given
+ * onyen and PID. Staff do not need a Faculty record.
+ *
+ * @req.body {String} onyen (Required)
+ * @req.body {Number} pid (Required)
+ * @req.body {String} role (Required)
+ *
+ * @success redirects to /admin/roles
+ * @failure renders error page
+ */
+adminController.grantRole = function(req, res){
+  var input = req.body;
+  if(input.onyen == null || input.pid == null || input.role == null){
+    res.render("../views/error.ejs", {string: "RequiredParamNotFound"});
+  }
+  else if(input.pid.length != 9){
+    res.render("../views/error.ejs", {string: "PID needs to be of length 9"});
+  }
+  else if(permissions.grantableRoles.indexOf(input.role) == -1){
+    res.render("../views/error.ejs", {string: "That role can not be granted"});
+  }
+  else{
+    schema.RoleAssignment.findOne({pid: input.pid, role: input.role}).exec().then(function(result){
+      if(result != null){
+        res.render("../views/error.ejs", {string: "That person already has that role."});
+        return;
+      }
+      var assignment = new schema.RoleAssignment({
+        onyen: input.onyen.toLowerCase(),
+        pid: parseInt(input.pid),
+        role: input.role,
+        grantedBy: req.user.onyen,
+        grantedAt: new Date()
+      });
+      return assignment.save().then(audit.created(req)).then(function(result){
+        res.redirect("/admin/roles");
+      });
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
+    });
+  }
+}
+
+/**
+ * @url {post} /admin/roles/revoke/:_id
+ *
+ * @description revokes a granted role
+ *
+ * @req.params {String} _id (Required) _id of the RoleAssignment
+ *
+ * @success redirects to /admin/roles
+ * @failure renders error page
+ */
+adminController.revokeRole = function(req, res){
+  audit.remove(req, schema.RoleAssignment, {_id: req.params._id}).then(function(result){
+    if(result != null){
+      res.redirect("/admin/roles");
+    }
+    else{
+      res.render("../views/error.ejs", {string: "RoleNotFound"});
+    }
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /admin/audit
+ *
+ * @description Called when the audit log is to be rendered,
+ * accepts filters as an html query, shows the newest
+ * 100 matching changes per page
+ *
+ * @req.query {String} actor (onyen)
+ * @req.query {String} model
+ * @req.query {String} action
+ * @req.query {String} document (_id)
+ * @req.query {Date} from
+ * @req.query {Date} to
+ * @req.query {Number} page
+ *
+ * @finish renders /admin/audit.ejs
+ */
+adminController.auditLog = function(req, res){
+  var input = req.query;
+  var search = {};
+  if(input.actor){
+    //a part of the onyen, matched literally
+    search.actor = new RegExp(util.escapeRegExp(input.actor), "i");
+  }
+  if(input.model){
+    search.model = input.model;
+  }
+  if(input.action){
+    search.action = input.action;
+  }
+  if(input.document && mongoose.Types.ObjectId.isValid(input.document)){
+    search.document = input.document;
+  }
+  if(input.from || input.to){
+    search.timestamp = {};
+    if(input.from){
+      search.timestamp.$gte = new Date(input.from);
+    }
+    if(input.to){
+      //include the whole "to" day
+      search.timestamp.$lt = new Date(new Date(input.to).getTime() + 24 * 60 * 60 * 1000);
+    }
+  }
+  var page = Math.max(parseInt(input.page) || 1, 1);
+  var pageSize = 100;
+  schema.Audit.find(search).sort({timestamp: -1}).skip((page - 1) * pageSize).limit(pageSize).exec().then(function(result){
+    var audits = result;
+    return schema.Audit.distinct("model").exec().then(function(result){
+      res.render("../views/admin/audit.ejs", {
+        audits: audits,
+        models: result.sort(),
+        actions: schema.Audit.schema.path("action").enumValues,
+        query: input,
+        page: page,
+        hasNext: audits.length == pageSize
+      });
+    });
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /admin/integrity
+ *
+ * @description Checks every reference between models for
+ * documents that no longer exist, and lists what was found
+ * with how it is repaired
+ *
+ * @req.query {Number} repaired (documents changed by the last repair)
+ *
+ * @finish renders /admin/integrity.ejs
+ */
+adminController.integrityPage = function(req, res){
+  integrity.check().then(function(result){
+    res.render("../views/admin/integrity.ejs", {problems: result, references: integrity.references, repaired: req.query.repaired});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /admin/integrity/repair
+ *
+ * @description Repairs the orphans found for one reference:
+ * documents holding it through a cascade reference are deleted,
+ * the reference is cleared otherwise
+ *
+ * @req.body {Number} index (Required) of the reference in
+ * integrity.references
+ *
+ * @success redirects to /admin/integrity
+ * @failure renders error page
+ */
+adminController.integrityRepair = function(req, res){
+  var index = parseInt(req.body.index);
+  if(isNaN(index) || integrity.references[index] == null){
+    res.render("../views/error.ejs", {string: "RequiredParamNotFound"});
+    return;
+  }
+  integrity.repair(req, index).then(function(result){
+    res.redirect("/admin/integrity?repaired=" + result);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /admin/deleted
+ *
+ * @description Lists the soft deleted students, faculty, courses,
+ * jobs, notes and forms, newest first, with who deleted them and
+ * from when they can be purged
+ *
+ * @req.query {Number} purged, {String} failed (result of the last
+ * purge)
+ *
+ * @finish renders /admin/deleted.ejs
+ */
+adminController.deletedPage = function(req, res){
+  trash.load().then(function(result){
+    result.forEach(function(entry){
+      entry.label = trash.label(entry.model, entry.doc);
+      entry.purgeableFrom = trash.purgeableFrom(entry.doc.deletedAt);
+    });
+    res.render("../views/admin/deleted.ejs", {entries: result, now: new Date(), retentionDays: trash.retentionDays, purged: req.query.purged, failed: req.query.failed});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /admin/deleted/restore/:model/:_id
+ *
+ * @description Restores a soft deleted document with the
+ * documents deleted with it
+ *
+ * @success redirects to /admin/deleted
+ * @failure renders error page, also when a document it
+ * references is deleted too
+ */
+adminController.restoreDeleted = function(req, res){
+  trash.restore(req, req.params.model, req.params._id).then(function(){
+    res.redirect("/admin/deleted");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /admin/deleted/purge/:model/:_id
+ *
+ * @description Removes a soft deleted document for good, once
+ * it has been deleted for the retention period
+ *
+ * @success redirects to /admin/deleted
+ * @failure renders error page
+ */
+adminController.purgeDeleted = function(req, res){
+  trash.purge(req, req.params.model, req.params._id).then(function(){
+    res.redirect("/admin/deleted?purged=1");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /admin/deleted/purge
+ *
+ * @description Removes every soft deleted document past the
+ * retention period for good
+ *
+ * @success redirects to /admin/deleted with the number purged
+ * and the purges that were refused
+ * @failure renders error page
+ */
+adminController.purgeExpired = function(req, res){
+  trash.purgeExpired(req).then(function(result){
+    var query = "purged=" + result.purged;
+    if(result.failed.length > 0){
+      query += "&failed=" + encodeURIComponent(result.failed.join("; "));
+    }
+    res.redirect("/admin/deleted?" + query);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+module.exports = adminController;
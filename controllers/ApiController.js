@@ -0,0 +1,704 @@
+var mongoose = require("mongoose");
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var audit = require("./audit.js");
+var permissions = require("./permissions.js");
+var workflow = require("./workflow.js");
+var trash = require("./trash.js");
+var versions = require("./versions.js");
+
+var apiController = {};
+
+apiController.defaultLimit = 50;
+apiController.maxLimit = 500;
+
+//query parameters that are not filters
+apiController.reserved = ["page", "limit", "sort", "populate"];
+
+//fields the API neither writes nor filters or sorts on (see util.internalFields)
+apiController.internal = ["__v"].concat(util.internalFields);
+
+function internal(field){
+  return apiController.internal.some(function(name){
+    return field == name || field.indexOf(name + ".") == 0;
+  });
+}
+
+//operators accepted in filters, e.g. ?hours[gte]=3
+apiController.operators = ["gt", "gte", "lt", "lte", "ne", "in"];
+
+/*
+@description builds an error the API responds with
+
+@param status HTTP status
+@param code short machine readable code, e.g. NotFound
+
+@returns an Error with status and code set
+*/
+apiController.error = function(status, code, message){
+  var err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/*
+@description sends an error as {error: {status, code, message}}. Mongoose
+validation and cast errors are sent as 400 InvalidParam, any other error
+without a status as 500 ServerError
+*/
+apiController.sendError = function(res, err){
+  var status = err.status;
+  var code = err.code;
+  if(status == null){
+    if(err.name == "ValidationError" || err.name == "CastError"){
+      status = 400;
+      code = "InvalidParam";
+    }
+    else{
+      status = 500;
+      code = "ServerError";
+    }
+  }
+  res.status(status).json({error: {status: status, code: code, message: err.message}});
+}
+
+/*
+@description the API version of permissions.requirePermission, it checks
+the same permission but answers with a JSON error instead of the error page
+
+Relative permissions are checked against req.params._id, so routes below
+a student use :_id for the student.
+*/
+apiController.requirePermission = function(permission){
+  return function(req, res, next){
+    permissions.can(req.user, permission, req.params._id).then(function(result){
+      if(result){
+        next();
+      }
+      else{
+        apiController.sendError(res, apiController.error(403, "PermissionDenied", "You do not have permission to do that"));
+      }
+    }).catch(function(err){
+      apiController.sendError(res, err);
+    });
+  }
+}
+
+/*
+@description converts a query string value to the type of a schema path,
+for array paths to the type of their elements
+
+@throws InvalidParam if the value can not be converted
+*/
+apiController.castValue = function(path, field, value){
+  var instance = path.instance == "Array" && path.caster != null ? path.caster.instance : path.instance;
+  if(typeof value != "string" && typeof value != "number" && typeof value != "boolean"){
+    throw apiController.error(400, "InvalidParam", field+" has an invalid value");
+  }
+  if(instance == "Number"){
+    var number = Number(value);
+    if(value === "" || isNaN(number)){
+      throw apiController.error(400, "InvalidParam", field+" must be a number");
+    }
+    return number;
+  }
+  if(instance == "Boolean"){
+    if(value === true || value == "true"){
+      return true;
+    }
+    if(value === false || value == "false"){
+      return false;
+    }
+    throw apiController.error(400, "InvalidParam", field+" must be true or false");
+  }
+  if(instance == "Date"){
+    var date = new Date(value);
+    if(isNaN(date.getTime())){
+      throw apiController.error(400, "InvalidParam", field+" must be a date");
+    }
+    return date;
+  }
+  if(instance == "ObjectID"){
+    if(!mongoose.Types.ObjectId.isValid(value)){
+      throw apiController.error(400, "InvalidParam", field+" must be an id");
+    }
+    return value;
+  }
+  return String(value);
+}
+
+/*
+@description turns the query string of a list request into a query
+
+?field=value filters on a field of the model (?field=a&field=b matches
+either), ?field[op]=value with op one of apiController.operators
+compares, ?sort=lastName,-pid sorts (- for descending), ?page and
+?limit page through the results and ?populate=advisor,semesterStarted
+replaces references by the documents they point to
+
+@param query req.query
+@param model schema.{model}
+@param options {sort (default sort), populate (paths that can be populated)}
+
+@returns {conditions, sort, populate, page, limit}
+@throws InvalidParam for unknown fields, operators or values
+*/
+apiController.parseQuery = function(query, model, options){
+  options = options || {};
+  var conditions = {};
+  for(var field in query){
+    if(apiController.reserved.indexOf(field) != -1){
+      continue;
+    }
+    var path = model.schema.path(field);
+    if(path == null || internal(field)){
+      throw apiController.error(400, "InvalidParam", "Unknown field "+field);
+    }
+    var value = query[field];
+    if(Array.isArray(value)){
+      conditions[field] = {$in: value.map(function(v){
+        return apiController.castValue(path, field, v);
+      })};
+    }
+    else if(value != null && typeof value == "object"){
+      conditions[field] = {};
+      for(var op in value){
+        if(apiController.operators.indexOf(op) == -1){
+          throw apiController.error(400, "InvalidParam", "Unknown operator "+op+" for "+field);
+        }
+        if(op == "in"){
+          var values = Array.isArray(value[op]) ? value[op] : String(value[op]).split(",");
+          conditions[field].$in = values.map(function(v){
+            return apiController.castValue(path, field, v);
+          });
+        }
+        else{
+          conditions[field]["$"+op] = apiController.castValue(path, field, value[op]);
+        }
+      }
+    }
+    else{
+      conditions[field] = apiController.castValue(path, field, value);
+    }
+  }
+
+  var page = query.page != null ? Number(query.page) : 1;
+  if(!Number.isInteger(page) || page < 1){
+    throw apiController.error(400, "InvalidParam", "page must be a whole number of at least 1");
+  }
+  var limit = query.limit != null ? Number(query.limit) : apiController.defaultLimit;
+  if(!Number.isInteger(limit) || limit < 1 || limit > apiController.maxLimit){
+    throw apiController.error(400, "InvalidParam", "limit must be a whole number from 1 to "+apiController.maxLimit);
+  }
+
+  var sort = options.sort || {_id: 1};
+  if(query.sort != null && query.sort != ""){
+    sort = {};
+    String(query.sort).split(",").forEach(function(field){
+      var direction = 1;
+      if(field[0] == "-"){
+        direction = -1;
+        field = field.substring(1);
+      }
+      if(model.schema.path(field) == null || internal(field)){
+        throw apiController.error(400, "InvalidParam", "Can not sort by unknown field "+field);
+      }
+      sort[field] = direction;
+    });
+  }
+
+  var populate = [];
+  if(query.populate != null && query.populate != ""){
+    populate = String(query.populate).split(",");
+    populate.forEach(function(field){
+      if((options.populate || []).indexOf(field) == -1){
+        throw apiController.error(400, "InvalidParam", "Can not populate "+field);
+      }
+    });
+  }
+
+  return {conditions: conditions, sort: sort, populate: populate, page: page, limit: limit};
+}
+
+/*
+@description the fields of a request body that can be written to a model,
+converted to their types (_id and apiController.internal can not be
+written)
+*/
+apiController.writable = function(input, model){
+  var result = util.validateModelData(input || {}, model);
+  delete result._id;
+  Object.keys(result).forEach(function(field){
+    if(internal(field)){
+      delete result[field];
+    }
+  });
+  return result;
+}
+
+function validate(model, input){
+  var err = new model(input).validateSync(Object.keys(input));
+  if(err != null){
+    throw err;
+  }
+}
+
+function checkUnique(model, options, input, id){
+  var fields = (options.unique || []).filter(function(field){
+    return input[field] != null;
+  });
+  if(fields.length == 0){
+    return Promise.resolve();
+  }
+  var conditions = {$or: fields.map(function(field){
+    var condition = {};
+    condition[field] = input[field];
+    return condition;
+  })};
+  if(id != null){
+    conditions._id = {$ne: id};
+  }
+  return model.findOne(conditions).exec().then(function(result){
+    if(result != null){
+      throw apiController.error(409, "Conflict", "A "+model.modelName+" with that "+fields.join(" or ")+" already exists");
+    }
+  });
+}
+
+/*
+@description JSON handlers {list, get, create, update, remove} for one model.
+Every write goes through audit.js.
+
+@param model schema.{model}
+@param options (all optional)
+  idParam    route parameter that holds the document's _id (default _id)
+  sort       default sort of list
+  populate   reference paths that ?populate may name
+  required   fields create needs
+  unique     fields no two documents may share
+  check      function(input) that returns a message when the input is invalid
+  scope      function(req) that returns conditions (or a promise of them)
+             every query is limited to, e.g. the notes of one student
+  assign     function(req) that returns fields set on every write
+  beforeUpdate  function(req, conditions, input) that returns the update
+             to make (or a promise of it), input by default
+  afterCreate, afterRemove  function(req, doc) run after the write,
+             may return a promise
+
+@returns the handlers, to be used as route callbacks
+*/
+apiController.resource = function(model, options){
+  options = options || {};
+  var idParam = options.idParam || "_id";
+  var resource = {};
+
+  function scope(req){
+    return Promise.resolve(options.scope != null ? options.scope(req) : {});
+  }
+
+  function assigned(req, input){
+    if(options.assign != null){
+      Object.assign(input, options.assign(req));
+    }
+    return input;
+  }
+
+  function byId(req){
+    var id = req.params[idParam];
+    if(!mongoose.Types.ObjectId.isValid(id)){
+      return Promise.reject(apiController.error(404, "NotFound", model.modelName+" not found"));
+    }
+    return scope(req).then(function(conditions){
+      return Object.assign({}, conditions, {_id: id});
+    });
+  }
+
+  function notFound(result){
+    if(result == null){
+      throw apiController.error(404, "NotFound", model.modelName+" not found");
+    }
+    return result;
+  }
+
+  function checked(input){
+    var message = options.check != null ? options.check(input) : null;
+    if(message != null){
+      throw apiController.error(400, "InvalidParam", message);
+    }
+    validate(model, input);
+  }
+
+  /**
+   * @url {get} /api/v1/{resource}
+   *
+   * @description Lists documents, see apiController.parseQuery for the query string
+   *
+   * @success {data, page, limit, total}
+   * @failure {error: {status, code, message}}
+   */
+  resource.list = function(req, res){
+    var query, total;
+    Promise.resolve().then(function(){
+      query = apiController.parseQuery(req.query, model, options);
+      return scope(req);
+    }).then(function(conditions){
+      query.conditions = Object.assign(query.conditions, conditions);
+      return model.countDocuments(query.conditions).exec();
+    }).then(function(result){
+      total = result;
+      var find = model.find(query.conditions).sort(query.sort).skip((query.page - 1) * query.limit).limit(query.limit);
+      query.populate.forEach(function(field){
+        find = find.populate(field);
+      });
+      return find.exec();
+    }).then(function(result){
+      res.json({data: result, page: query.page, limit: query.limit, total: total});
+    }).catch(function(err){
+      apiController.sendError(res, err);
+    });
+  }
+
+  /**
+   * @url {get} /api/v1/{resource}/:id
+   *
+   * @description Gets one document, ?populate works as for list
+   *
+   * @success {data}
+   * @failure {error: {status, code, message}}
+   */
+  resource.get = function(req, res){
+    var query;
+    Promise.resolve().then(function(){
+      query = apiController.parseQuery({populate: req.query.populate}, model, options);
+      return byId(req);
+    }).then(function(conditions){
+      var find = model.findOne(conditions);
+      query.populate.forEach(function(field){
+        find = find.populate(field);
+      });
+      return find.exec();
+    }).then(notFound).then(function(result){
+      res.json({data: result});
+    }).catch(function(err){
+      apiController.sendError(res, err);
+    });
+  }
+
+  /**
+   * @url {post} /api/v1/{resource}
+   *
+   * @description Creates a document from the JSON body, fields that are
+   * not part of the model are ignored
+   *
+   * @success 201 {data}
+   * @failure {error: {status, code, message}}, RequiredParamNotFound
+   * when a required field is missing, Conflict when a unique field is taken
+   */
+  resource.create = function(req, res){
+    var input;
+    scope(req).then(function(){
+      input = assigned(req, apiController.writable(req.body, model));
+      var missing = (options.required || []).filter(function(field){
+        return input[field] == null;
+      });
+      if(missing.length > 0){
+        throw apiController.error(400, "RequiredParamNotFound", "Missing "+missing.join(", "));
+      }
+      checked(input);
+      return checkUnique(model, options, input);
+    }).then(function(){
+      return new model(input).save().then(audit.created(req));
+    }).then(function(result){
+      if(options.afterCreate == null){
+        return result;
+      }
+      return Promise.resolve(options.afterCreate(req, result)).then(function(){
+        return result;
+      });
+    }).then(function(result){
+      res.status(201).json({data: result});
+    }).catch(function(err){
+      apiController.sendError(res, err);
+    });
+  }
+
+  /**
+   * @url {put} /api/v1/{resource}/:id
+   *
+   * @description Updates the fields in the JSON body, other fields keep
+   * their values
+   *
+   * @success {data} the updated document
+   * @failure {error: {status, code, message}}
+   */
+  resource.update = function(req, res){
+    var input, conditions;
+    byId(req).then(function(result){
+      conditions = result;
+      input = assigned(req, apiController.writable(req.body, model));
+      checked(input);
+      return checkUnique(model, options, input, req.params[idParam]);
+    }).then(function(){
+      return options.beforeUpdate != null ? options.beforeUpdate(req, conditions, input) : input;
+    }).then(function(update){
+      return audit.update(req, model, conditions, update);
+    }).then(notFound).then(function(result){
+      res.json({data: result});
+    }).catch(function(err){
+      apiController.sendError(res, err);
+    });
+  }
+
+  /**
+   * @url {delete} /api/v1/{resource}/:id
+   *
+   * @description Deletes a document (soft deletes students, faculty,
+   * courses, jobs and notes, see trash.js), 409 Conflict when a reference
+   * blocks the delete
+   *
+   * @success {data} the deleted document
+   * @failure {error: {status, code, message}}
+   */
+  resource.remove = function(req, res){
+    byId(req).then(function(conditions){
+      return trash.remove(req, model, conditions);
+    }).then(notFound).then(function(result){
+      if(options.afterRemove == null){
+        return result;
+      }
+      return Promise.resolve(options.afterRemove(req, result)).then(function(){
+        return result;
+      });
+    }).then(function(result){
+      res.json({data: result});
+    }).catch(function(err){
+      apiController.sendError(res, err);
+    });
+  }
+
+  return resource;
+}
+
+//the student in req.params._id, or a NotFound error
+function findStudent(req){
+  if(!mongoose.Types.ObjectId.isValid(req.params._id)){
+    return Promise.reject(apiController.error(404, "NotFound", "Student not found"));
+  }
+  return schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
+    if(result == null){
+      throw apiController.error(404, "NotFound", "Student not found");
+    }
+    return result;
+  });
+}
+
+function checkPid(input){
+  if(input.pid != null && String(input.pid).length != 9){
+    return "PID needs to be of length 9";
+  }
+  return null;
+}
+
+apiController.students = apiController.resource(schema.Student, {
+  sort: {lastName: 1, firstName: 1},
+  populate: ["advisor", "semesterStarted", "jobHistory", "grades"],
+  required: ["onyen", "firstName", "lastName", "pid"],
+  unique: ["onyen", "pid"],
+  check: checkPid,
+  //changes to versioned fields take effect in effectiveSemester (a Semester
+  //_id in the body) or the current semester, see versions.js
+  beforeUpdate: function(req, conditions, input){
+    return versions.load(conditions, req.body.effectiveSemester).then(function(result){
+      if(result.student == null){
+        return input;
+      }
+      try{
+        return versions.update(result.student, input, result.semester, new Date(), req.user != null ? req.user.onyen : null);
+      }
+      catch(err){
+        throw apiController.error(400, "InvalidParam", err.message);
+      }
+    });
+  }
+});
+
+apiController.faculty = apiController.resource(schema.Faculty, {
+  sort: {lastName: 1, firstName: 1},
+  required: ["onyen", "firstName", "lastName", "pid"],
+  unique: ["onyen", "pid"],
+  check: checkPid
+});
+
+apiController.courses = apiController.resource(schema.Course, {
+  sort: {department: 1, number: 1, section: 1},
+  populate: ["faculty", "semester"],
+  required: ["department", "number", "name"]
+});
+
+apiController.courseInfo = apiController.resource(schema.CourseInfo, {
+  sort: {number: 1},
+  required: ["number"],
+  unique: ["number"]
+});
+
+apiController.semesters = apiController.resource(schema.Semester, {
+  sort: {year: 1, season: 1},
+  required: ["year", "season"]
+});
+
+apiController.jobs = apiController.resource(schema.Job, {
+  populate: ["supervisor", "semester", "course", "fundingSource"],
+  required: ["position"]
+});
+
+apiController.grants = apiController.resource(schema.Grant, {
+  sort: {name: 1},
+  populate: ["pi"],
+  required: ["name"]
+});
+
+//notes of the student in req.params._id
+apiController.notes = apiController.resource(schema.Note, {
+  idParam: "noteId",
+  sort: {date: -1},
+  scope: function(req){
+    return findStudent(req).then(function(student){
+      return {student: student._id};
+    });
+  },
+  assign: function(req){
+    return {student: req.params._id};
+  }
+});
+
+//grades of the student in req.params._id, which are kept in Student.grades
+apiController.grades = apiController.resource(schema.Grade, {
+  idParam: "gradeId",
+  populate: ["course"],
+  required: ["course"],
+  scope: function(req){
+    return findStudent(req).then(function(student){
+      return {_id: {$in: student.grades}};
+    });
+  },
+  afterCreate: function(req, grade){
+    return audit.update(req, schema.Student, {_id: req.params._id}, {$addToSet: {grades: grade._id}});
+  }
+});
+
+//the approval state of a form as the API shows it
+function approvalOf(title, approval){
+  return {
+    title: title,
+    state: approval != null ? approval.state : "draft",
+    status: workflow.describe(approval),
+    step: approval != null ? approval.step : 0,
+    signatures: approval != null ? approval.signatures : [],
+    transitions: approval != null ? approval.transitions : []
+  };
+}
+
+function formTitle(req){
+  if(workflow.routes[req.params.title] == null || schema[req.params.title] == null){
+    throw apiController.error(404, "NotFound", "Unknown form "+req.params.title);
+  }
+  return req.params.title;
+}
+
+apiController.forms = {};
+
+/**
+ * @url {get} /api/v1/students/:_id/forms
+ *
+ * @description Lists the CS forms and where each is in its workflow
+ *
+ * @success {data: [{title, state, status, step, signatures, transitions}]}
+ * @failure {error: {status, code, message}}
+ */
+apiController.forms.list = function(req, res){
+  findStudent(req).then(function(student){
+    return workflow.findAll(student._id);
+  }).then(function(approvals){
+    res.json({data: Object.keys(workflow.routes).map(function(title){
+      return approvalOf(title, approvals[title]);
+    })});
+  }).catch(function(err){
+    apiController.sendError(res, err);
+  });
+}
+
+/**
+ * @url {get} /api/v1/students/:_id/forms/:title
+ *
+ * @description Gets the fields of one CS form and its workflow state
+ *
+ * @success {data: {form (null if never saved), approval}}
+ * @failure {error: {status, code, message}}
+ */
+apiController.forms.get = function(req, res){
+  var title, student, form;
+  Promise.resolve().then(function(){
+    title = formTitle(req);
+    return findStudent(req);
+  }).then(function(result){
+    student = result;
+    return schema[title].findOne({student: student._id}).exec();
+  }).then(function(result){
+    form = result;
+    return workflow.find(student._id, title);
+  }).then(function(approval){
+    res.json({data: {form: form, approval: approvalOf(title, approval)}});
+  }).catch(function(err){
+    apiController.sendError(res, err);
+  });
+}
+
+/**
+ * @url {put} /api/v1/students/:_id/forms/:title
+ *
+ * @description Saves the fields of a CS form. Signatures can not be
+ * written, they are set by the workflow, and the form can only be
+ * changed while it is a draft or returned.
+ *
+ * @success {data: {form, approval}}
+ * @failure {error: {status, code, message}}, Conflict when the form
+ * is in a state that can not be changed
+ */
+apiController.forms.update = function(req, res){
+  var title, student, approval, input;
+  Promise.resolve().then(function(){
+    title = formTitle(req);
+    return findStudent(req);
+  }).then(function(result){
+    student = result;
+    return workflow.find(student._id, title);
+  }).then(function(result){
+    approval = result;
+    if(workflow.editableStates.indexOf(approval.state) == -1){
+      throw apiController.error(409, "Conflict", "This form can not be changed while it is "+workflow.describe(approval).toLowerCase());
+    }
+    input = apiController.writable(workflow.stripSignatures(title, req.body), schema[title]);
+    input.student = student._id;
+    validate(schema[title], input);
+    return audit.update(req, schema[title], {student: student._id}, input);
+  }).then(function(result){
+    if(result != null){
+      return result;
+    }
+    return new schema[title](input).save().then(audit.created(req));
+  }).then(function(result){
+    res.json({data: {form: result, approval: approvalOf(title, approval)}});
+  }).catch(function(err){
+    apiController.sendError(res, err);
+  });
+}
+
+/**
+ * @description answers requests to /api/v1 routes that do not exist
+ */
+apiController.notFound = function(req, res){
+  apiController.sendError(res, apiController.error(404, "NotFound", "No API route "+req.method+" "+req.originalUrl));
+}
+
+module.exports = apiController;
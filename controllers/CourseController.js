@@ -1,10 +1,10 @@
 var schema = require("../models/schema");
 var util = require("./util");
-var XLSX = require("xlsx");
-var formidable = require("formidable");
+var audit = require("./audit");
+var exporter = require("./exporter");
+var importer = require("./importer");
+var trash = require("./trash");
 var mongoose = require("mongoose");
-var path = require("path");
-var fs = require("fs");
 var courseController = {};
 
 /**
@@ -53,7 +53,7 @@ courseController.post = function (req, res) {
             input.department = input.department.toUpperCase(); //Change to uppercase
 
             var inputCourse = new schema.Course(util.validateModelData(input, schema.Course));
-            inputCourse.save().then(function(result){
+            inputCourse.save().then(audit.created(req)).then(function(result){
               res.redirect("/course/edit/"+result._id);
             });
           }
@@ -164,7 +164,7 @@ courseController.put = function (req, res) {
   var input = req.body;
   input = util.validateModelData(input, schema.Course);
   if(util.allFieldsExist(input, schema.Course)){
-    schema.Course.findOneAndUpdate({_id: input._id}, input).exec().then(function(result){
+    audit.update(req, schema.Course, {_id: input._id}, input).then(function(result){
       if(result != null){
         res.redirect("/course/edit/"+result._id);
       }
@@ -184,7 +184,8 @@ courseController.put = function (req, res) {
  * @url {post} /course/delete/:_id
  *
  * @description Called when a course is to be deleted,
- * requires _id, to be sent as a html parameter.
+ * requires _id, to be sent as a html parameter. Refused
+ * while jobs or grades are for the course, see trash.remove.
  *
  * @req.params {String} _id (Required)
  *
@@ -197,30 +198,15 @@ courseController.put = function (req, res) {
 courseController.delete = function (req, res) {
   var id = req.params._id;
   if(id != null){
-    //check if any students reference this course
-    schema.Student.find({courseHistory: {$elemMatch: {_id: id}}}).exec().then(function(result){
-      if(result.length > 0){
-        res.render("../views/error.ejs", {string: "Could not delete course because student is referencing it."});
+    trash.remove(req, schema.Course, {_id: id}).then(function (result) {
+      if (result){
+        res.redirect("/course");
       }
       else{
-        //check if any jobs reference this course
-        schema.Job.find({course: id}).exec().then(function(result){
-          if(result.length > 0){
-            res.render("../views/error.ejs", {string: "Could not delete course because job is referencing it."});
-          }
-          else{
-            //nothing references this course, so try to delete it
-            schema.Course.findOneAndRemove({_id: id}).exec().then(function (result) {
-              if (result){
-                res.redirect("/course");
-              }
-              else{
-                res.render("../views/error.ejs", {string: "CourseNotFound"});
-              }
-            });
-          }
-        });
+        res.render("../views/error.ejs", {string: "CourseNotFound"});
       }
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -316,171 +302,33 @@ courseController.uploadPage = function(req, res){
     uploadSuccess = true;
   }
   //always have to provide semesters because search requires it
+  var semesters;
   schema.Semester.find({}).sort({year:1, season:1}).exec().then(function(result){
-    res.render("../views/course/upload.ejs", {semesters: result, uploadSuccess: uploadSuccess});
+    semesters = result;
+    return importer.profiles("course");
+  }).then(function(result){
+    res.render("../views/course/upload.ejs", {semesters: semesters, uploadSuccess: uploadSuccess, profiles: result});
   });
 }
 
+/**
+ * @url {post} /course/upload
+ *
+ * @description First step of uploading courses, see importer.js
+ *
+ * @success redirects to the preview, /import/course/:batchId
+ */
 courseController.upload = function(req, res){
-  var form = new formidable.IncomingForm();
-  form.parse(req, function(err, fields, files){
-    var f = files[Object.keys(files)[0]];
-    var workbook = XLSX.readFile(f.path);
-    var worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    var headers = {};
-    var data = [];
-    var i = 0;
-    for(var field in schema.Course.schema.obj){
-      headers[String.fromCharCode(i+65)] = field;
-      i++;
-    }
-    for(z in worksheet) {
-        if(z[0] === '!') continue;
-        //parse out the column, row, and value
-        var col = z.substring(0,1);
-        var row = parseInt(z.substring(1));
-        var value = worksheet[z].v;
-
-        if(!data[row]) data[row]={};
-        data[row][headers[col]] = value;
-    }
-    //drop those first two rows which are empty
-    data.shift();
-    data.shift();
-    //try to create models
-    var count = 0;
-    //have to use foreach because of asynchronous nature of mongoose stuff (the loop would increment i before it could save the appropriate i)
-    data.forEach(function(element){
-      if(element.category == null){
-        element.category = "NA";
-      }
-      if(element.topic == null){
-        element.topic = "NA";
-      }
-      //verify that all fields exist
-      if(util.allFieldsExist(element, schema.Course)){
-        //get faculty lastname/firstname
-        var commaReg = /\s*,\s*/;
-        var facultyName = element.faculty.split(commaReg);
-        facultyName[0] = new RegExp(facultyName[0], "i");
-        facultyName[1] = new RegExp(facultyName[1], "i");
-        var spaceReg = /\s* \s*/;
-        var semester = element.semester.split(spaceReg);
-        switch(semester[0]){
-          case "Spring":
-          case "spring":
-            semester[0] = "SP"
-          case "Fall":
-          case "fall":
-            semester[0] = "FA"
-          case "Summer1":
-          case "summer1":
-            semester[0] = "S1"
-          case "Summer2":
-          case "summer2":
-            semester[0] = "S2"
-          default:
-            //res.render("../views/error.ejs", {string: "Issue with semester formatting, check" + element.semester[0] + " " + element.semester[1]})
-        }
-        schema.Faculty.findOne({lastName: facultyName[0], firstName: facultyName[1]}).exec().then(function(result){
-          if(result != null){
-            element.faculty = result._id;
-            schema.Semester.findOne({season: semester[0].toUpperCase(), year: parseInt(semester[1])}).exec().then(function(result){
-              if(result != null){
-                element.semester = result._id;
-                switch(element.category){
-                  case "t":
-                  case "T":
-                  case "Theory":
-                  case "theory":
-                    element.category = "Theory";
-                    break;
-                  case "s":
-                  case "S":
-                  case "Systems":
-                  case "systems":
-                    element.category = "Systems";
-                    break;
-                  case "a":
-                  case "A":
-                  case "applications":
-                  case "Applications":
-                    element.category = "Appls";
-                    break;
-                  default:
-                    element.category = "NA";
-                    break;
-                }
-
-                //check if the course is already in the courseInfo schema
-                //if not, add it
-                // if(element.name == "Internet Services & Protocols"){
-                //   console.log(element.number);
-                //   schema.CourseInfo.findOne({number: element.number, hours: element.hours, name: element.name}).exec().then(function(result){
-                //     console.log(result);
-                //   })
-                // }
-
-                schema.CourseInfo.findOne({number: element.number, hours: element.hours}).exec().then(function(result){
-                  if(result == null){
-                    var temp = util.validateModelData(element, schema.CourseInfo);
-                    
-                    var inputCourseInfo = new schema.CourseInfo(temp);
-                      inputCourseInfo.save().then(function(result){
-                    }).catch(function(err){
-                      console.log("courseInfo upload error in course upload post");
-                    });
-                  }
-                });
-
-                schema.Course.findOne({number: element.number, section: element.section, univNumber: element.univNumber, faculty: element.faculty, semester: element.semester}).exec().then(function (result) {
-                  //if the course doesn't already exist, try to make it
-                  if(result == null){
-                    var inputCourse = new schema.Course(element);
-                    inputCourse.save().then(function(result){
-                      count++;
-                      if(count == data.length){
-                        res.redirect("/course/upload/true");
-                      }
-                    }).catch(function(err){
-
-                      //res.render("../views/error.ejs", {string: element.name+" did not save because something is wrong with it."});
-                    });
-                  }
-                  else{
-                    schema.Course.update({number: element.number, section: element.section, univNumber: element.univNumber, faculty: element.faculty, semester: element.semester}, element).exec().then(function(result){
-                      count++;
-                      if(count == data.length){
-                        res.redirect("/course/upload/true");
-                      }
-                    }).catch(function(err){
-                      res.render("../views/error.ejs", {string: element.name + " " + element.number+" did not update because something was wrong with it."});
-                      return;
-                    });
-                  }
-                });
-              }
-              else{
-                //res.render("../views/error.ejs", {string: element.name+" did not save because the semester is incorrect."});
-                console.log(element.name+" did not save because the semester is incorrect.");
-
-              }
-            });
-          }
-          else{
-           // res.render("../views/error.ejs", {string: element.name+" did not save because the faculty is incorrect."});
-            console.log(element.name+" did not save because the faculty is incorrect.");
-          }
-        });
-      }
-      else{
-       // res.render("../views/error.ejs", {string: element.name+" did not save because it is missing a field."});
-        console.log(element.name+" did not save because it is missing a field.");
-      }
-    });
-  });
+  importer.upload(req, res, "course");
 }
 
+/**
+ * @url {get} /course/download
+ *
+ * @description Downloads every course, as xlsx, csv or json (see exporter.js)
+ *
+ * @finish sends the file
+ */
 courseController.download = function(req, res){
   schema.Course.find({}, "-_id -__v").populate("faculty").populate("semester").sort({number:1}).lean().exec().then(function(result){
     result.sort(function(a, b){
@@ -497,18 +345,13 @@ courseController.download = function(req, res){
         return a.semester.year - b.semester.year;
       }
     });
-    var wb = XLSX.utils.book_new();
-     for(var i = 0; i < result.length; i++){
-       result[i].faculty = result[i].faculty.lastName + ", " + result[i].faculty.firstName;
-       result[i].semester = result[i].semester.season + " " + result[i].semester.year;
-     }
-    var ws = XLSX.utils.json_to_sheet(result);
-    XLSX.utils.book_append_sheet(wb, ws, "Courses");
-    var filePath = path.join(__dirname, "../data/courseTemp.xlsx");
-    XLSX.writeFile(wb, filePath);
-    res.setHeader("Content-Disposition", "filename=" + "Courses.xlsx");
-    res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    fs.createReadStream(filePath).pipe(res);
+    for(var i = 0; i < result.length; i++){
+      result[i].faculty = result[i].faculty.lastName + ", " + result[i].faculty.firstName;
+      result[i].semester = result[i].semester.season + " " + result[i].semester.year;
+    }
+    exporter.send(req, res, result, {filename: "Courses", headers: Object.keys(schema.Course.schema.obj)});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
   });
 }
 
@@ -518,60 +361,26 @@ courseController.uploadInfoPage = function(req, res){
     uploadSuccess = true;
   }
   //always have to provide semesters because search requires it
+  var semesters;
   schema.Semester.find({}).sort({year:1, season:1}).exec().then(function(result){
-    res.render("../views/course/uploadInfo.ejs", {semesters: result, uploadSuccess: uploadSuccess});
+    semesters = result;
+    return importer.profiles("courseInfo");
+  }).then(function(result){
+    res.render("../views/course/uploadInfo.ejs", {semesters: semesters, uploadSuccess: uploadSuccess, profiles: result});
   });
   
 }
 
+/**
+ * @url {post} /course/uploadInfo
+ *
+ * @description First step of uploading course info. The upload replaces every
+ * course info entry, but only once its preview is committed (see importer.js)
+ *
+ * @success redirects to the preview, /import/courseInfo/:batchId
+ */
 courseController.uploadInfo = function(req, res){
-
-  schema.CourseInfo.find({}).remove().exec();
-  var form = new formidable.IncomingForm();
-  form.parse(req, function(err, fields, files){
-    var f = files[Object.keys(files)[0]];
-    var workbook = XLSX.readFile(f.path, {cellDates:true});
-    var worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    var headers = {};
-    var data = [];
-    var i = 0;
-    var j = 0;
-    for(var field in schema.CourseInfo.schema.obj){
-      headers[String.fromCharCode(i+65)] = field;
-      i++;
-    }
-    for(z in worksheet) {
-      if(z[0] === '!') continue;
-      //parse out the column, row, and value
-      var col = z.substring(0,1);
-      var row = parseInt(z.substring(1));
-      var value = worksheet[z].v;
-
-      if(!data[row]) data[row]={};
-      data[row][headers[col]] = value;
-    }
-    //drop those first two rows which are empty
-    data.shift();
-    data.shift();
-    //try to create models
-    //have to use foreach because of asynchronous nature of mongoose stuff (the loop would increment i before it could save the appropriate i)
-    var count = 0;
-    data.forEach(function(element){
-      //verify that all fields exist
-      if(util.allFieldsExist(element, schema.CourseInfo)){
-        var inputCourseInfo = new schema.CourseInfo(element);
-        inputCourseInfo.save().then(function(result){
-          count++;
-          if(count == data.length){
-            res.redirect("/course/uploadInfo/true");
-          }
-        });
-      }
-      else{
-        res.render("../views/error.ejs", {string: "A column is missing information."});
-      }
-    });
-  });               
+  importer.upload(req, res, "courseInfo");
 }
 
 module.exports = courseController;
@@ -1,9 +1,9 @@
 var schema = require("../models/schema.js");
 var util = require("./util.js");
-var XLSX = require("xlsx");
-var fs = require("fs");
-var path = require("path");
-var formidable = require("formidable");
+var audit = require("./audit.js");
+var exporter = require("./exporter.js");
+var importer = require("./importer.js");
+var trash = require("./trash.js");
 
 var facultyController = {};
 
@@ -63,7 +63,7 @@ facultyController.post = function (req, res) {
         it is possible that the data does not save in time (or load in time if performing queries that return data
         that is to be sent to a view) before the view loads which can cause errors. So put view rendering code which is
         reliant on database operations inside of the then function of those operations*/
-        inputFaculty.save().then(function(result){
+        inputFaculty.save().then(audit.created(req)).then(function(result){
           /*result of save function is the newly created faculty object, so
           access _id from result*/
           console.log(result);
@@ -140,7 +140,7 @@ facultyController.put = function (req, res) {
   }
   var input = util.validateModelData(input, schema.Faculty);
   if (util.allFieldsExist(input, schema.Faculty)) {
-    schema.Faculty.findOneAndUpdate({_id: input._id}, input).exec().then(function (result) {
+    audit.update(req, schema.Faculty, {_id: input._id}, input).then(function (result) {
       if (result != null){
         res.redirect("/faculty/edit/"+result._id);
       } 
@@ -168,37 +168,15 @@ facultyController.put = function (req, res) {
 facultyController.delete = function (req, res) {
   var id = req.params._id;
   if (id != null) {
-    /*courses, students, and jobs reference faculty, so have to check
-    if they reference this faculty. Doesn't seem to be any default mongo 
-    behavior for delete/remove that checks if any outside document is 
-    referencing the faculty*/
-    schema.Course.find({faculty: id}).exec().then(function(result){
-      if(result.length > 0){
-        res.render("../views/error.ejs", {string: "Could not delete faculty because a course is referencing it."});
-      }
-      else{
-        schema.Student.find({advisor: id}).exec().then(function(result){
-          if(result.length > 0){
-            res.render("../views/error.ejs", {string: "Could not delete faculty because a student is referencing it."});
-          }
-          else{
-            schema.Job.find({supervisor: id}).exec().then(function(result){
-              if(result.length > 0){
-                res.render("../views/error.ejs", {string: "Could not delete faculty because a job is referencing it."});
-              }
-              else{
-                //nothing references this faculty, so try to delete it
-                schema.Faculty.findOneAndRemove({_id: id}).exec().then(function(result){
-                  if(result){
-                    res.redirect("/faculty");
-                  }
-                  else throw new Error("FacultyNotFound");
-                });
-              }
-            });
-          }
-        });
+    /*refused while courses, students or jobs reference the faculty, see
+    integrity.references*/
+    trash.remove(req, schema.Faculty, {_id: id}).then(function(result){
+      if(result){
+        res.redirect("/faculty");
       }
+      else res.render("../views/error.ejs", {string: "FacultyNotFound"});
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   } else {
     throw new Error("RequiredParamNotFound");
@@ -241,16 +219,18 @@ facultyController.edit = function(req, res){
   }
 }
 
+/**
+ * @url {get} /faculty/download
+ *
+ * @description Downloads every faculty member, as xlsx, csv or json (see exporter.js)
+ *
+ * @finish sends the file
+ */
 facultyController.download = function(req, res){
   schema.Faculty.find({}, "-_id -__v").sort({lastName: 1, firstName: 1}).lean().exec().then(function(result){
-    var wb = XLSX.utils.book_new();
-    var ws = XLSX.utils.json_to_sheet(result);
-    XLSX.utils.book_append_sheet(wb, ws, "Faculty");
-    var filePath = path.join(__dirname, "../data/facultyTemp.xlsx");
-    XLSX.writeFile(wb, filePath);
-    res.setHeader("Content-Disposition", "filename=" + "Faculty.xlsx");
-    res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    fs.createReadStream(filePath).pipe(res);
+    exporter.send(req, res, result, {filename: "Faculty", headers: Object.keys(schema.Faculty.schema.obj)});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
   });
 }
 
@@ -259,88 +239,21 @@ facultyController.uploadPage = function(req, res){
   if(req.params.uploadSuccess == "true"){
     uploadSuccess = true;
   }
-  res.render("../views/faculty/upload.ejs", {uploadSuccess: uploadSuccess});
+  importer.profiles("faculty").then(function(result){
+    res.render("../views/faculty/upload.ejs", {uploadSuccess: uploadSuccess, profiles: result});
+  });
 
 }
 
+/**
+ * @url {post} /faculty/upload
+ *
+ * @description First step of uploading faculty, see importer.js
+ *
+ * @success redirects to the preview, /import/faculty/:batchId
+ */
 facultyController.upload = function(req, res){
-  var form = new formidable.IncomingForm();
-  form.parse(req, function(err, fields, files){
-    var f = files[Object.keys(files)[0]];
-    var workbook = XLSX.readFile(f.path);
-    var worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    var headers = {};
-    var data = [];
-    var i = 0;
-    for(var field in schema.Faculty.schema.obj){
-      headers[String.fromCharCode(i+65)] = field;
-      i++;
-    }
-    for(z in worksheet) {
-        if(z[0] === '!') continue;
-        //parse out the column, row, and value
-        var col = z.substring(0,1);
-        var row = parseInt(z.substring(1));
-        var value = worksheet[z].v;
-
-        if(!data[row]) data[row]={};
-        data[row][headers[col]] = value;
-    }
-    //drop those first two rows which are empty
-    data.shift();
-    data.shift();
-    //try to create models
-    var count = 0;
-    //have to use foreach because of asynchronous nature of mongoose stuff (the loop would increment i before it could save the appropriate i)
-    data.forEach(function(element){
-      if(element.active == null){
-        element.active = true;
-      }
-      if(element.admin == null){
-        element.admin = false;
-      }
-      //verify that all fields exist
-      //if(util.allFieldsExist(element, schema.Faculty)){
-      if(element.firstName != null && element.pid != null && element.onyen != null){
-        //get faculty lastname/firstname
-        schema.Faculty.findOne({pid: element.pid}).exec().then(function(result){
-          if(result != null){
-            result.onyen = element.onyen;
-            result.csID = element.csID;
-            result.firstName = element.firstName;
-            result.lastName = element.lastName;
-            result.sectionNumber = element.sectionNumber;
-            result.active = element.active;
-            result.admin = element.admin;
-            result.save(function(error){
-              if(error){
-                res.render("../views/error.ejs", {string: element.firstName + " did not save because there is something wrong with the data."});
-              }
-              count++;
-              console.log(count);
-              if(count == data.length){
-                res.redirect("/faculty/upload/true");
-              }
-            });
-          }
-          else{
-            var inputFaculty = new schema.Faculty(element);
-            inputFaculty.save().then(function(result){
-              count++;
-              if(count == data.length){
-                res.redirect("/faculty/upload/true");
-              }
-            }).catch(function(err){
-              res.render("../views/error.ejs", {string: element.firstName+" did not save because something is wrong with it."});
-            });
-          }
-        });
-      }
-      else{
-        res.render("../views/error.ejs", {string: element.firstName+" did not save because it is missing a field."});
-      }
-    });
-  });
+  importer.upload(req, res, "faculty");
 }
 
 module.exports = facultyController;
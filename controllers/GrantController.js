@@ -0,0 +1,188 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var audit = require("./audit.js");
+var grants = require("./grants.js");
+var integrity = require("./integrity.js");
+
+var grantController = {};
+
+//optional fields, cleared when the form leaves them empty
+var optional = ["number", "pi", "sponsor", "startDate", "endDate", "budgetSemesters", "budgetHours"];
+
+function getFaculty(){
+  return schema.Faculty.find().sort({lastName: 1, firstName: 1}).exec();
+}
+
+/**
+ * @url {get} /grant
+ *
+ * @description Lists the grants with their budget left and status
+ *
+ * @finish renders /grant/index.ejs
+ */
+grantController.get = function(req, res){
+  grants.load({}).then(function(result){
+    result.forEach(function(entry){
+      entry.status = grants.status(entry.grant, entry.usage);
+    });
+    res.render("../views/grant/index.ejs", {grants: result});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /grant/create
+ *
+ * @description renders the form for a new grant
+ *
+ * @finish renders /grant/edit.ejs
+ */
+grantController.create = function(req, res){
+  getFaculty().then(function(result){
+    res.render("../views/grant/edit.ejs", {grant: null, faculty: result});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /grant/post
+ *
+ * @description Creates a grant
+ *
+ * @req.body {String} name (Required)
+ * @req.body number, pi (Faculty _id), sponsor, startDate, endDate,
+ * budgetSemesters, budgetHours
+ *
+ * @success redirects to /grant/:_id
+ * @failure renders error page, also when a grant with the name exists
+ */
+grantController.post = function(req, res){
+  var input = util.validateModelData(req.body, schema.Grant);
+  if(input.name == null){
+    res.render("../views/error.ejs", {string: "RequiredParamNotFound"});
+    return;
+  }
+  schema.Grant.findOne({name: input.name}).exec().then(function(result){
+    if(result != null){
+      res.render("../views/error.ejs", {string: "This grant already exists."});
+      return;
+    }
+    return new schema.Grant(input).save().then(audit.created(req)).then(function(result){
+      res.redirect("/grant/" + result._id);
+    });
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /grant/edit/:_id
+ *
+ * @description renders the form to change a grant
+ *
+ * @finish renders /grant/edit.ejs
+ */
+grantController.edit = function(req, res){
+  var grant;
+  schema.Grant.findOne({_id: req.params._id}).exec().then(function(result){
+    grant = result;
+    return getFaculty();
+  }).then(function(result){
+    if(grant == null){
+      res.render("../views/error.ejs", {string: "Grant not found"});
+      return;
+    }
+    res.render("../views/grant/edit.ejs", {grant: grant, faculty: result});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /grant/put
+ *
+ * @description Updates a grant, optional fields left empty are cleared
+ *
+ * @req.body {String} _id, name (Required) and the fields of /grant/post
+ *
+ * @success redirects to /grant/:_id
+ * @failure renders error page
+ */
+grantController.put = function(req, res){
+  var input = util.validateModelData(req.body, schema.Grant);
+  if(input._id == null || input.name == null){
+    res.render("../views/error.ejs", {string: "RequiredParamNotFound"});
+    return;
+  }
+  var id = input._id;
+  delete input._id;
+  var update = {$set: input};
+  var cleared = optional.filter(function(field){
+    return input[field] == null;
+  });
+  if(cleared.length > 0){
+    update.$unset = {};
+    cleared.forEach(function(field){
+      update.$unset[field] = 1;
+    });
+  }
+  audit.update(req, schema.Grant, {_id: id}, update).then(function(result){
+    if(result == null){
+      res.render("../views/error.ejs", {string: "Grant not found"});
+      return;
+    }
+    res.redirect("/grant/" + result._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /grant/delete/:_id
+ *
+ * @description Deletes a grant no job is funded from
+ *
+ * @success redirects to /grant
+ * @failure renders error page
+ */
+grantController.delete = function(req, res){
+  integrity.remove(req, schema.Grant, {_id: req.params._id}).then(function(result){
+    if(result == null){
+      res.render("../views/error.ejs", {string: "Grant not found"});
+      return;
+    }
+    res.redirect("/grant");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /grant/:_id
+ *
+ * @description Shows a grant: its details, every job funded from it by
+ * semester with the students holding it, and the burn-down of its budget
+ *
+ * @finish renders /grant/show.ejs
+ */
+grantController.show = function(req, res){
+  grants.load({_id: req.params._id}).then(function(result){
+    if(result.length == 0){
+      res.render("../views/error.ejs", {string: "Grant not found"});
+      return;
+    }
+    var entry = result[0];
+    entry.status = grants.status(entry.grant, entry.usage);
+    entry.jobs.forEach(function(job){
+      job.warnings = grants.warnings(entry.grant, job.semester, null);
+    });
+    entry.warnings = grants.warnings(entry.grant, null, entry.usage);
+    res.render("../views/grant/show.ejs", entry);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+module.exports = grantController;
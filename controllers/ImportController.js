@@ -0,0 +1,184 @@
+var schema = require("../models/schema.js");
+var permissions = require("./permissions.js");
+var importer = require("./importer.js");
+
+var importController = {};
+
+/*
+@description router.param handler for :type, finds the import type and
+checks the user may upload it (each type names its permission)
+
+@finish sets req.importType, or renders the error page
+*/
+importController.type = function(req, res, next, name){
+  var type = importer.type(name);
+  if(type == null){
+    res.status(404);
+    res.render("../views/error.ejs", {string: "There is no upload called "+name});
+    return;
+  }
+  permissions.can(req.user, type.permission).then(function(result){
+    if(result){
+      req.importType = type;
+      next();
+    }
+    else{
+      res.status(403);
+      res.render("../views/error.ejs", {string: "You do not have permission to do that"});
+    }
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+//finds the batch of the request, resolves to null if there is none
+function findBatch(req){
+  return schema.ImportBatch.findOne({_id: req.params.batchId, type: req.params.type}).exec();
+}
+
+function renderPreview(req, res, batch, stale){
+  res.render("../views/import/preview.ejs", {
+    batch: batch,
+    type: req.importType,
+    counts: importer.counts(batch),
+    values: function(row){
+      return importer.values(batch, row);
+    },
+    columnLetter: importer.columnLetter,
+    stale: stale
+  });
+}
+
+/**
+ * @url {get} /import/:type/:batchId
+ *
+ * @description Shows what an upload would do: how each column is matched
+ * to a field and every row with its problems. Nothing has been written yet.
+ *
+ * @finish renders /import/preview.ejs
+ */
+importController.preview = function(req, res){
+  findBatch(req).then(function(result){
+    if(result == null){
+      res.render("../views/error.ejs", {string: "Upload not found"});
+      return;
+    }
+    renderPreview(req, res, result, false);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /import/:type/:batchId/mapping
+ *
+ * @description Changes which field each column is imported into and
+ * validates the rows again
+ *
+ * @req.body {Object} mapping {column index: field}, an empty field ignores the column
+ * @req.body {String} profileName (Optional) saves the mapping under this name
+ *
+ * @success redirects to /import/:type/:batchId
+ * @failure renders error page
+ */
+importController.mapping = function(req, res){
+  findBatch(req).then(function(result){
+    if(result == null){
+      res.render("../views/error.ejs", {string: "Upload not found"});
+      return;
+    }
+    if(result.state != "preview"){
+      res.render("../views/error.ejs", {string: "This upload was already committed"});
+      return;
+    }
+    return importer.remap(req, result, req.body.mapping || {}, req.body.profileName).then(function(result){
+      res.redirect("/import/"+result.type+"/"+result._id);
+    });
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /import/:type/:batchId/commit
+ *
+ * @description Second step of an upload: writes every row, or none of
+ * them if any row is rejected
+ *
+ * @success redirects to the page the type is done at
+ * @failure renders the preview again with the rows that are now rejected,
+ * or the error page if writing failed (nothing is written then)
+ */
+importController.commit = function(req, res){
+  findBatch(req).then(function(result){
+    if(result == null){
+      res.render("../views/error.ejs", {string: "Upload not found"});
+      return;
+    }
+    return importer.commit(req, result).then(function(result){
+      if(result.committed){
+        res.redirect(req.importType.done);
+      }
+      else{
+        renderPreview(req, res, result.batch, true);
+      }
+    });
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /import/:type/:batchId/errors
+ *
+ * @description Downloads the rejected rows of an upload with the reasons,
+ * to be fixed and uploaded again
+ *
+ * @finish sends an xlsx file
+ */
+importController.errors = function(req, res){
+  findBatch(req).then(function(result){
+    if(result == null){
+      res.render("../views/error.ejs", {string: "Upload not found"});
+      return;
+    }
+    res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", "attachment; filename=\"rejected-"+result.type+".xlsx\"");
+    res.send(importer.errorReport(result));
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /import/:type/profiles
+ *
+ * @description Lists the saved column mappings of an import type
+ *
+ * @finish renders /import/profiles.ejs
+ */
+importController.profiles = function(req, res){
+  importer.profiles(req.params.type).then(function(result){
+    res.render("../views/import/profiles.ejs", {profiles: result, type: req.importType, typeName: req.params.type});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /import/:type/profiles/delete/:profileId
+ *
+ * @description Deletes a saved column mapping
+ *
+ * @success redirects to /import/:type/profiles
+ * @failure renders error page
+ */
+importController.deleteProfile = function(req, res){
+  schema.ImportProfile.deleteOne({_id: req.params.profileId, type: req.params.type}).exec().then(function(){
+    res.redirect("/import/"+req.params.type+"/profiles");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+module.exports = importController;
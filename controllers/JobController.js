@@ -1,9 +1,11 @@
 var schema = require('../models/schema.js');
 var util = require('./util.js');
-var formidable = require("formidable");
-var XLSX = require("xlsx");
-var fs = require("fs");
-var path = require("path");
+var audit = require('./audit.js');
+var importer = require("./importer.js");
+var exporter = require("./exporter.js");
+var grants = require("./grants.js");
+var taPlanner = require("./taPlanner.js");
+var trash = require("./trash.js");
 
 var jobController = {};
 
@@ -38,7 +40,7 @@ jobController.post = function (req, res) {
       }
       else{
         var inputJob = new schema.Job(util.validateModelData(input, schema.Job));
-        inputJob.save().then(function(result){
+        inputJob.save().then(audit.created(req)).then(function(result){
           res.redirect("/job/edit/"+result._id);
         });
       }
@@ -145,7 +147,7 @@ jobController.put = function (req, res) {
   var input = req.body;
   input = util.validateModelData(input, schema.Job);
   if(input.position != null && input.supervisor != null && input._id != null){
-    schema.Job.findOneAndUpdate({_id: input._id}, input).exec().then(function(result){
+    audit.update(req, schema.Job, {_id: input._id}, input).then(function(result){
       if(result != null){
         res.redirect("/job/edit/"+result._id);
       }
@@ -166,7 +168,9 @@ jobController.put = function (req, res) {
  * @class Job
  *
  * @description Called when a job is to be deleted,
- * requires _id, to be sent as a html parameter.
+ * requires _id, to be sent as a html parameter. The job is
+ * soft deleted, purging it removes it from the jobHistory of
+ * the students holding it.
  *
  * @req.params {String} id (Required)
  *
@@ -179,20 +183,14 @@ jobController.put = function (req, res) {
 jobController.delete = function (req, res) {
   var id = req.params._id;
   if (id != null) {
-    //students reference jobs, so check if any students are referencing before deleting
-    schema.Student.find({jobHistory: id}).exec().then(function(result){
-      if(result.length > 0){
-        res.render("../views/error.ejs", {string: "Could not delete job because a student is referencing it."});
-      }
-      else{
-        //nothing references this job, so try to delete it
-        schema.Job.findOneAndRemove({_id: id}).exec().then(function(result){
-          if(result){
-            res.redirect("/job");
-          }
-          else res.render("../views/error.ejs", {string: "JobNotFound"});
-        });
+    //students keep the job in their jobHistory until it is purged, it is hidden there
+    trash.remove(req, schema.Job, {_id: id}).then(function(result){
+      if(result){
+        res.redirect("/job");
       }
+      else res.render("../views/error.ejs", {string: "JobNotFound"});
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -242,16 +240,19 @@ jobController.edit = function(req, res){
   if (req.params._id) { //_id from params because passed with job/edit/:_id
     schema.Job.findOne({_id: req.params._id}).populate("supervisor").populate("course").populate("semester").populate("fundingSource").exec().then(function (result) {
       if (result != null) {
-        var job, faculty, courses, grants;
+        var job, faculty, courses, grantList, semesters;
         job = result;
         getFaculty().then(function(result){
           faculty = result;
           getCourses().then(function(result){
             courses = result;
             getGrants().then(function(result){
-            	grants = result;
+            	grantList = result;
         	 	getSemesters().then(function(result){
-	              res.render("../views/job/edit.ejs", {job: job, faculty: faculty, courses: courses, grants: grants, semesters: result});
+	              semesters = result;
+	              return grants.jobWarnings(job);
+	            }).then(function(result){
+	              res.render("../views/job/edit.ejs", {job: job, faculty: faculty, courses: courses, grants: grantList, semesters: semesters, warnings: result});
 	            });
             });
           });
@@ -275,172 +276,32 @@ jobController.uploadPage = function(req, res){
         if(req.params.uploadSuccess == "true"){
           uploadSuccess = true;
         }
-        res.render("../views/job/upload.ejs", {faculty: faculty, courses: courses, semesters:result, uploadSuccess: uploadSuccess});
+        var semesters = result;
+        importer.profiles("job").then(function(result){
+          res.render("../views/job/upload.ejs", {faculty: faculty, courses: courses, semesters: semesters, uploadSuccess: uploadSuccess, profiles: result});
+        });
       });
     });
   });
 }
 
+/**
+ * @url {post} /job/upload
+ *
+ * @description First step of uploading jobs, see importer.js
+ *
+ * @success redirects to the preview, /import/job/:batchId
+ */
 jobController.upload = function(req, res){
-  var form = new formidable.IncomingForm();
-  form.parse(req, function(err, fields, files){
-    var f = files[Object.keys(files)[0]];
-    var workbook = XLSX.readFile(f.path);
-    var worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    var headers = {};
-    var data = [];
-    headers[String.fromCharCode(65)] = "onyen";
-    var i = 1;
-    for(var field in schema.Job.schema.obj){
-    	if(field != "fundingSource"){
-			headers[String.fromCharCode(i+65)] = field;
-			i++;
-		}
-    }
-    for(z in worksheet) {
-        if(z[0] === '!') continue;
-        //parse out the column, row, and value
-        var col = z.substring(0,1);
-        var row = parseInt(z.substring(1));
-        var value = worksheet[z].v;
-
-        if(!data[row]) data[row]={};
-        data[row][headers[col]] = value;
-    }
-    //drop those first two rows which are empty
-    data.shift();
-    data.shift();
-    //try to create models
-    //have to use foreach because of asynchronous nature of mongoose stuff (the loop would increment i before it could save the appropriate i)
-    var count = 0;
-    data.forEach(function(element){
-      //verify that required fields exist
-      if(element.position != null && element.supervisor != null && element.semester != null){
-        //get faculty lastname/firstname
-        var commaReg = /\s*,\s*/;
-        var facultyName = element.supervisor.split(commaReg);
-        facultyName[0] = new RegExp(facultyName[0], "i");
-        facultyName[1] = new RegExp(facultyName[1], "i");
-        var spaceReg = /\s* \s*/;
-        var semester = element.semester.split(spaceReg);
-        schema.Faculty.findOne({lastName: facultyName[0], firstName: facultyName[1]}).exec().then(function(result){
-          if(result != null){
-            element.supervisor = result._id;
-            schema.Semester.findOne({season: semester[0].toUpperCase(), year: parseInt(semester[1])}).exec().then(function(result){
-              if(result != null){
-                element.semester = result._id;
-                element.position = element.position.toUpperCase();
-                if(element.course != null){
-                  var courseInfo = element.course.split(commaReg); //should be Department, number, section
-                  schema.Course.findOne({department: new RegExp(courseInfo[0], "i"), number: courseInfo[1], section: courseInfo[2], faculty: element.supervisor, semester: element.semester}).exec().then(function(result){
-                    if(result != null){
-                      element.course = result._id;
-                      schema.Job.findOne(util.validateModelData(element, schema.Job)).exec().then(function(result){
-                        //if the job doesn't exist, try to make it
-                        if(result == null){
-                          var inputJob = new schema.Job(element);
-                          inputJob.save().then(function(result){
-                            //save to student's job history
-                            if(element.onyen != null){
-                              pushStudentJob(element.onyen, result._id).then(function(result){
-                                count++;
-                                if(count == data.length){
-                                  res.redirect("/job/upload/true");
-                                }
-                              }).catch(function(err){
-                                res.render("../views/error.ejs", {string: "Student "+element.onyen+" did not save job "+element.position+" because student was not found."});
-                              });
-                            }
-                            else{
-                              count++;
-                              if(count == data.length){
-                                res.redirect("/job/upload/true");
-                              }
-                            }
-                          }).catch(function(err){
-                            res.render("../views/error.ejs", {string: element.position+" "+element.supervisor+" did not save because "+err});
-                          });
-                        }
-                        else{
-                          pushStudentJob(element.onyen, result._id).then(function(result){
-                            count++;
-                            if(count == data.length){
-                              res.redirect("/job/upload/true");
-                            }
-                          }).catch(function(err){
-                            res.render("../views/error.ejs", {string: "Student "+element.onyen+" did not save job "+element.position+" because student was not found."});
-                          });
-                        }
-                      });
-                    }
-                    else{
-                      res.render("../views/error.ejs", {string: element.position+" "+element.supervisor+" did not save because the course/faculty/semester is incorrect."});
-                    }
-                  });
-                }
-                else{
-                  schema.Job.findOne(util.validateModelData(element, schema.Job)).exec().then(function(result){
-                    //if the job doesn't exist, try to make it
-                    if(result == null){
-                      var inputJob = new schema.Job(element);
-                      inputJob.save().then(function(result){
-                        //save to student's job history
-                        if(element.onyen != null){
-                          pushStudentJob(element.onyen, result._id).then(function(result){
-                            count++;
-                            if(count == data.length){
-                              res.redirect("/job/upload/true");
-                            }
-                          }).catch(function(err){
-                            res.render("../views/error.ejs", {string: "Student "+element.onyen+" did not save job "+element.position+" because student was not found."});
-                          });
-                        }
-                        else{
-                          count++;
-                          if(count == data.length){
-                            res.redirect("/job/upload/true");
-                          }
-                        }
-                      }).catch(function(err){
-                        res.render("../views/error.ejs", {string: element.position+" "+element.supervisor+" did not save because something is wrong with it"});
-                      });
-                    }
-                    else{
-                      pushStudentJob(element.onyen, result._id).then(function(result){
-                        count++;
-                        if(count == data.length){
-                          res.redirect("/job/upload/true");
-                        }
-                      }).catch(function(err){
-                        res.render("../views/error.ejs", {string: "Student "+element.onyen+" did not save job "+element.position+" because student was not found."});
-                      });
-                    }
-                  });
-                }
-              }
-              else{
-                res.render("../views/error.ejs", {string: element.position+" "+element.supervisor+" did not save because the semester is incorrect."});
-              }
-            });
-          }
-          else{
-            res.render("../views/error.ejs", {string: element.position+" "+element.supervisor+" did not save because the faculty is incorrect."});
-          }
-        });
-      }
-      else{
-        res.render("../views/error.ejs", {string: element.position+" "+element.supervisor+" did not save because it is missing a field."});
-      }
-    });
-  });
+  importer.upload(req, res, "job");
 }
 
-function pushStudentJob(onyen, jobId){
+function pushStudentJob(req, onyen, jobId){
   return new Promise((resolve, reject)=>{
     schema.Student.findOne({onyen: onyen}).exec().then(function(result){
       if(result != null){
 
-        schema.Student.update({onyen:onyen},{$addToSet: {jobHistory: jobId}}).exec();
+        audit.update(req, schema.Student, {_id: result._id}, {$addToSet: {jobHistory: jobId}});
         resolve(result);
       }
       else{
@@ -461,69 +322,24 @@ jobController.uploadGrantPage = function(req, res){
 		    if(req.params.uploadSuccess == "true"){
 		      uploadSuccess = true;
 		    }
-		    res.render("../views/job/uploadGrant.ejs", {faculty: faculty, courses: courses, semesters:result, uploadSuccess: uploadSuccess});
+		    var semesters = result;
+		    importer.profiles("grant").then(function(result){
+		      res.render("../views/job/uploadGrant.ejs", {faculty: faculty, courses: courses, semesters: semesters, uploadSuccess: uploadSuccess, profiles: result});
+		    });
 		  });
 		});
 	});
 }
 
+/**
+ * @url {post} /job/uploadGrant
+ *
+ * @description First step of uploading grants, see importer.js
+ *
+ * @success redirects to the preview, /import/grant/:batchId
+ */
 jobController.uploadGrant = function(req, res){
-	var form = new formidable.IncomingForm();
-	form.parse(req, function(err, fields, files){
-		var f = files[Object.keys(files)[0]];
-		var workbook = XLSX.readFile(f.path);
-		var worksheet = workbook.Sheets[workbook.SheetNames[0]];
-		var headers = {};
-		var data = [];
-		var i = 0;
-		for(var field in schema.Grant.schema.obj){
-		  headers[String.fromCharCode(i+65)] = field;
-		  i++;
-		}
-		for(z in worksheet) {
-		    if(z[0] === '!') continue;
-		    //parse out the column, row, and value
-		    var col = z.substring(0,1);
-		    var row = parseInt(z.substring(1));
-		    var value = worksheet[z].v;
-
-		    if(!data[row]) data[row]={};
-		    data[row][headers[col]] = value;
-		}
-		//drop those first two rows which are empty
-		data.shift();
-		data.shift();
-		//try to create models
-		//have to use foreach because of asynchronous nature of mongoose stuff (the loop would increment i before it could save the appropriate i)
-		var count = 0;
-		data.forEach(function(element){
-			//verify that required fields exist
-			
-			if(element.name != null){
-				console.log(element.name);
-				schema.Grant.findOne({name:element.name}).exec().then(function(result){
-					console.log("ABC")
-					if(result == null){
-					  var inputGrant = new schema.Grant(element);
-					  inputGrant.save().then(function(result){
-				        count++;
-				        if(count == data.length){
-				          res.redirect("/job/uploadGrant/true");
-				        }
-				      }).catch(function(err){
-				        res.render("../views/error.ejs", {string: "Grant "+element.name+" did not save. Make sure there are no strange characters."});
-				      });
-					}
-					else{
-						count++;
-						if(count == data.length){
-				          res.redirect("/job/uploadGrant/true");
-				        }
-					}
-				});
-			}
-		});
-	});
+  importer.upload(req, res, "grant");
 }
 
 jobController.assignPage = function(req, res){
@@ -542,7 +358,10 @@ jobController.assignPage = function(req, res){
               schema.Student.find().sort({lastName:1, firstName:1}).exec().then(function(result){
                 students = result;
                 schema.Student.find({jobHistory: jobId}).sort({lastName:1, firstName:1}).exec().then(function(result){
-                  res.render("../views/job/assign.ejs", {job: job, faculty: faculty, semesters: semesters, courses: courses, students: students, studentsWithJob: result});
+                  var studentsWithJob = result;
+                  grants.jobWarnings(job).then(function(result){
+                    res.render("../views/job/assign.ejs", {job: job, faculty: faculty, semesters: semesters, courses: courses, students: students, studentsWithJob: studentsWithJob, warnings: result});
+                  });
                 });
               });
             });
@@ -575,7 +394,7 @@ jobController.assign = function(req, res){
         input.students.forEach(function(student){
           schema.Student.findOne({_id: student}).exec().then(function(result){
             if(result != null){
-              pushStudentJob(result.onyen, jobId).then(function(result){}).catch(function(err){
+              pushStudentJob(req, result.onyen, jobId).then(function(result){}).catch(function(err){
                 res.render("../views/error.ejs", {string: "Student not found"});
               });
             }
@@ -599,7 +418,7 @@ jobController.assign = function(req, res){
 jobController.unAssign = function(req, res){
   var input = req.body;
   if(input.studentId != null && input.jobId != null){
-    schema.Student.update({_id:input.studentId}, {$pull:{jobHistory: input.jobId}}).exec().then(function(result){
+    audit.update(req, schema.Student, {_id:input.studentId}, {$pull:{jobHistory: input.jobId}}).then(function(result){
       res.redirect("/job/assign/"+input.jobId);
     }).catch(function(err){
       res.render("../views/error.ejs", {string:"Student was not found."});
@@ -610,6 +429,13 @@ jobController.unAssign = function(req, res){
   }
 }
 
+/**
+ * @url {get} /job/download
+ *
+ * @description Downloads every job, as xlsx, csv or json (see exporter.js)
+ *
+ * @finish sends the file
+ */
 jobController.download = function(req, res){
   schema.Job.find({}, "-_id -__v").populate("course").populate("supervisor").populate("semester").lean().exec().then(function(result){
     result.sort(function(a, b){
@@ -626,32 +452,104 @@ jobController.download = function(req, res){
         return a.semester.year - b.semester.year;
       }
     });
-    var m = schema.Job.schema.obj;
-    var template = {};
-    for(var key in m){
-      if (result[0][key] == undefined || result[0][key] == null || result[0][key] == NaN || result[0][key] == ""){
-        template[key] = null;
-      }
-      else{
-        template[key] = result[0][key];
-      }
-    }
-    result[0] = template;
     for(var i = 0; i < result.length; i++){
       if(result[i].course != null){
-        result[i].course = result[i].course.department + " " + result[i].course.number + " " + result[i].course.section;
+        result[i].course = result[i].course.department + ", " + result[i].course.number + ", " + result[i].course.section;
       }
-      result[i].supervisor = result[i].supervisor.lastName + " " + result[i].supervisor.firstName;
+      result[i].supervisor = result[i].supervisor.lastName + ", " + result[i].supervisor.firstName;
       result[i].semester = result[i].semester.season + " " + result[i].semester.year;
     }
-    var wb = XLSX.utils.book_new();
-    var ws = XLSX.utils.json_to_sheet(result);
-    XLSX.utils.book_append_sheet(wb, ws, "Jobs");
-    var filePath = path.join(__dirname, "../data/jobTemp.xlsx");
-    XLSX.writeFile(wb, filePath);
-    res.setHeader("Content-Disposition", "filename=" + "Jobs.xlsx");
-    res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    fs.createReadStream(filePath).pipe(res);
+    exporter.send(req, res, result, {filename: "Jobs", headers: Object.keys(schema.Job.schema.obj)});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+//the semester of the planner, by _id or else the current one
+function plannerSemester(id){
+  return schema.Semester.find({}).lean().exec().then(function(result){
+    var semesters = result.sort(function(a, b){
+      return util.semesterIndex(a) - util.semesterIndex(b);
+    });
+    var current = util.semesterOf(new Date());
+    var semester = semesters.filter(function(s){
+      return id != null ? String(s._id) == String(id) : s.year == current.year && s.season == current.season;
+    })[0];
+    if(semester == null && id == null){
+      semester = semesters[semesters.length - 1];
+    }
+    return {semester: semester, semesters: semesters};
+  });
+}
+
+/**
+ * @url {get} /job/planner
+ *
+ * @description The TA planning board of a semester: every course section
+ * with the TA hours it needs and the students planned for it, eligible
+ * students (see taPlanner.js), unfilled sections and students over the
+ * hours cap
+ *
+ * @req.query semester (_id, the current semester by default)
+ *
+ * @finish renders /job/planner.ejs
+ */
+jobController.planner = function(req, res){
+  var found;
+  plannerSemester(req.query.semester).then(function(result){
+    found = result;
+    if(found.semester == null){
+      throw new Error("Semester not found");
+    }
+    return taPlanner.load(found.semester);
+  }).then(function(result){
+    res.render("../views/job/planner.ejs", {semester: found.semester, semesters: found.semesters, plan: result.plan, board: result.board, hoursCap: taPlanner.hoursCap});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /job/planner/:semesterId
+ *
+ * @description Saves the board of a semester, and with finalize also
+ * creates the TA jobs and adds them to the students' jobHistory, all or
+ * nothing (see taPlanner.finalize)
+ *
+ * @req.body assignments[i][course|student|hours], finalize
+ *
+ * @success redirects to /job/planner?semester=:semesterId
+ * @failure renders error page, nothing is created when finalizing fails
+ */
+jobController.plannerSave = function(req, res){
+  var semester, plan;
+  plannerSemester(req.params.semesterId).then(function(result){
+    semester = result.semester;
+    if(semester == null){
+      throw new Error("Semester not found");
+    }
+    return schema.TAPlan.findOne({semester: semester._id}).exec();
+  }).then(function(result){
+    plan = result || new schema.TAPlan({semester: semester._id});
+    plan.assignments = taPlanner.read(req.body);
+    plan.updatedBy = req.user != null ? req.user.onyen : null;
+    plan.updatedAt = new Date();
+    return plan.save();
+  }).then(function(){
+    if(req.body.finalize == null){
+      return;
+    }
+    return taPlanner.load(semester).then(function(result){
+      return taPlanner.finalize(req, semester, result.board);
+    }).then(function(){
+      plan.finalizedBy = req.user != null ? req.user.onyen : null;
+      plan.finalizedAt = new Date();
+      return plan.save();
+    });
+  }).then(function(){
+    res.redirect("/job/planner?semester=" + semester._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
   });
 }
 
@@ -1,28 +1,254 @@
 var schema = require("../models/schema.js");
 var util = require("./util.js");
-var XLSX = require("xlsx");
-var fs = require("fs");
-var path = require("path");
-var formidable = require("formidable");
+var exporter = require("./exporter.js");
+var reports = require("./reports.js");
+var reportBuilder = require("./reportBuilder.js");
 
 var reportController = {};
 
-reportController.get = function (req, res) {
-  res.render("../views/report/index.ejs", {});
+/*
+@description reads the params of a report from the query. A param that is
+not in the query at all takes its default, an empty one means any.
+
+@param semesters every Semester, semester params are given by _id
+
+@returns {name: value} where value is null for any
+*/
+function readParams(report, query, semesters){
+  var params = {};
+  report.params.forEach(function(param){
+    var value = query[param.name];
+    if(value === undefined){
+      value = param.default;
+    }
+    params[param.name] = null;
+    if(value == null || value === ""){
+      return;
+    }
+    if(param.type == "semester"){
+      params[param.name] = semesters.find(function(semester){
+        return String(semester._id) == String(value);
+      }) || null;
+    }
+    else if(param.options.indexOf(value) != -1){
+      params[param.name] = value;
+    }
+  });
+  return params;
+}
+
+//the params as a query string, so the download gets the same report
+function queryString(report, params){
+  return report.params.map(function(param){
+    var value = params[param.name];
+    if(value != null && param.type == "semester"){
+      value = value._id;
+    }
+    return encodeURIComponent(param.name) + "=" + encodeURIComponent(value != null ? value : "");
+  }).join("&");
+}
+
+//finds the report and runs it with the params of the query
+function run(req){
+  if(!reports.hasOwnProperty(req.params.name)){
+    return Promise.reject(new Error("There is no report called " + req.params.name));
+  }
+  var report = reports[req.params.name];
+  var semesters, params;
+  return schema.Semester.find({}).lean().exec().then(function(result){
+    semesters = result.sort(function(a, b){
+      return util.semesterIndex(a) - util.semesterIndex(b);
+    });
+    params = readParams(report, req.query, semesters);
+    return report.load(params);
+  }).then(function(result){
+    return {report: report, params: params, semesters: semesters, table: report.table(result, params)};
+  });
+}
+
+//sends a table ({columns, rows}) with the column labels as headers
+function sendTable(req, res, table, filename){
+  var labels = table.columns.map(function(column){
+    return column.label;
+  });
+  var rows = table.rows.map(function(row){
+    var labelled = {};
+    table.columns.forEach(function(column){
+      labelled[column.label] = row[column.field];
+    });
+    return labelled;
+  });
+  exporter.send(req, res, rows, {filename: filename, sheet: "Report", headers: labels});
+}
+
+/**
+ * @url {get} /report
+ *
+ * @description Lists the reports and the saved ad hoc reports
+ *
+ * @finish renders /report/index.ejs
+ */
+reportController.get = function(req, res){
+  schema.ReportDefinition.find({}).sort({name: 1}).lean().exec().then(function(result){
+    res.render("../views/report/index.ejs", {reports: reports, definitions: result, entities: reportBuilder.entities, query: reportBuilder.query});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /report/builder
+ *
+ * @description Builds a report over students, courses or jobs: the columns
+ * to show, filters on any field (also of advisors, semesters and other
+ * references) and fields to group and count by. The report runs as a
+ * database aggregation (see reportBuilder.js).
+ *
+ * @req.query entity, columns, filters[i][path|operator|value], groupBy.
+ * Without columns or groupBy only the form is shown.
+ *
+ * @finish renders /report/builder.ejs
+ */
+reportController.builder = function(req, res){
+  var definition;
+  try{
+    definition = reportBuilder.definition(req.query);
+  }
+  catch(err){
+    res.render("../views/error.ejs", {string: err.message});
+    return;
+  }
+  var run = definition.columns.length > 0 || definition.groupBy.length > 0;
+  (run ? reportBuilder.run(definition) : Promise.resolve(null)).then(function(result){
+    res.render("../views/report/builder.ejs", {
+      definition: definition,
+      entities: reportBuilder.entities,
+      fields: reportBuilder.fields(definition.entity),
+      operators: reportBuilder.operators,
+      table: result,
+      limit: reportBuilder.limit,
+      query: reportBuilder.query(definition),
+      name: req.query.name || ""
+    });
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /report/builder/download
+ *
+ * @description Downloads an ad hoc report like the built-in ones
+ *
+ * @req.query the definition as for /report/builder, and format
+ *
+ * @finish sends the file
+ */
+reportController.builderDownload = function(req, res){
+  var definition;
+  try{
+    definition = reportBuilder.definition(req.query);
+  }
+  catch(err){
+    res.render("../views/error.ejs", {string: err.message});
+    return;
+  }
+  reportBuilder.run(definition).then(function(result){
+    sendTable(req, res, result, "Report");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
 }
 
+/**
+ * @url {post} /report/builder/save
+ *
+ * @description Saves an ad hoc report under a name, replacing the saved
+ * report with the same name
+ *
+ * @req.body name and the definition as for /report/builder
+ *
+ * @success redirects to /report
+ * @failure renders error page
+ */
+reportController.saveDefinition = function(req, res){
+  var definition;
+  var name = req.body.name != null ? String(req.body.name).trim() : "";
+  try{
+    definition = reportBuilder.definition(req.body);
+    reportBuilder.pipeline(definition);
+  }
+  catch(err){
+    res.render("../views/error.ejs", {string: err.message});
+    return;
+  }
+  if(name == ""){
+    res.render("../views/error.ejs", {string: "A saved report needs a name"});
+    return;
+  }
+  schema.ReportDefinition.findOne({name: name}).exec().then(function(result){
+    var saved = result || new schema.ReportDefinition({name: name});
+    saved.set(definition);
+    saved.updatedBy = req.user != null ? req.user.onyen : null;
+    saved.updatedAt = new Date();
+    return saved.save();
+  }).then(function(){
+    res.redirect("/report");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
 
+/**
+ * @url {post} /report/builder/delete/:_id
+ *
+ * @description Deletes a saved ad hoc report
+ *
+ * @success redirects to /report
+ * @failure renders error page
+ */
+reportController.deleteDefinition = function(req, res){
+  schema.ReportDefinition.deleteOne({_id: req.params._id}).exec().then(function(){
+    res.redirect("/report");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /report/:name
+ *
+ * @description Shows a report as a table, narrowed down by its params
+ *
+ * @req.query the params of the report (see reports.js)
+ *
+ * @finish renders /report/show.ejs
+ */
+reportController.show = function(req, res){
+  run(req).then(function(result){
+    result.name = req.params.name;
+    result.query = queryString(result.report, result.params);
+    res.render("../views/report/show.ejs", result);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
 
+/**
+ * @url {get} /report/:name/download
+ *
+ * @description Downloads a report with the column labels as headers, as
+ * xlsx, csv or json (see exporter.js)
+ *
+ * @req.query the params of the report and format
+ *
+ * @finish sends the file
+ */
 reportController.download = function(req, res){
-  schema.Faculty.find({}, "-_id -__v").sort({lastName: 1, firstName: 1}).lean().exec().then(function(result){
-    var wb = XLSX.utils.book_new();
-    var ws = XLSX.utils.json_to_sheet(result);
-    XLSX.utils.book_append_sheet(wb, ws, "Faculty");
-    var filePath = path.join(__dirname, "../data/facultyTemp.xlsx");
-    XLSX.writeFile(wb, filePath);
-    res.setHeader("Content-Disposition", "filename=" + "Faculty.xlsx");
-    res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    fs.createReadStream(filePath).pipe(res);
+  run(req).then(function(result){
+    sendTable(req, res, result.table, result.report.title);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
   });
 }
 
@@ -1,5 +1,6 @@
 var schema = require("../models/schema")
 var util = require("./util")
+var integrity = require("./integrity")
 
 var semesterController = {}
 
@@ -92,34 +93,17 @@ semesterController.get = function (req, res) {
 semesterController.delete = function (req, res) {
   var id = req.params._id;
   if (id != null) {
-    /*mongo doesn't seem to have built in checking if a document is referenced 
-    before deleting it, so we have to do it manually, first check if any
-    course references this semester*/
-    schema.Course.find({semester: id}).exec().then(function(result){
-      if(result.length > 0){
-        model = "course";
-        res.render("../views/error.ejs", {string: "Could not delete semester because a course is referencing it."});
+    /*refused while courses, students, jobs or leaves reference the
+    semester, see integrity.references*/
+    integrity.remove(req, schema.Semester, {_id: id}).then(function (result){
+      if(result){
+        res.redirect("/semester");
       }
       else{
-        //check if any student references this semester
-        schema.Student.find({semesterStarted: id}).exec().then(function(result){
-          if(result.length > 0){
-            model = "student";
-            res.render("../views/error.ejs", {string: "Could not delete semester because a student is referencing it."});
-          }
-          else{
-            //nothing references this semester so it is safe to try to delete it
-            schema.Semester.findOneAndRemove({_id: id}).exec().then(function (result){
-              if(result){
-                res.redirect("/semester");
-              }
-              else{
-                throw new error("SemesterNotFound");
-              }
-            });
-          }
-        });
+        res.render("../views/error.ejs", {string: "SemesterNotFound"});
       }
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else {
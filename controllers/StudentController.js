@@ -1,9 +1,22 @@
 var schema = require("../models/schema.js");
 var util = require("./util.js");
+var audit = require("./audit.js");
+var permissions = require("./permissions.js");
+var workflow = require("./workflow.js");
+var formPdf = require("./formPdf.js");
+var degreeAudit = require("./degreeAudit.js");
+var timeline = require("./timeline.js");
+var leaves = require("./leaves.js");
+var committees = require("./committees.js");
+var advisors = require("./advisors.js");
+var importer = require("./importer.js");
+var studentRecord = require("./studentRecord.js");
+var trash = require("./trash.js");
+var versions = require("./versions.js");
 var formidable = require("formidable");
 var fs = require("fs");
 var path = require("path");
-var XLSX = require("xlsx");
+var exporter = require("./exporter.js");
 var formidable = require("formidable");
 var mongoose = require("mongoose");
 var studentController = {}
@@ -36,7 +49,7 @@ studentController.post = function (req, res) {
         it is possible that the data does not save in time (or load in time if performing queries that return data
         that is to be sent to a view) before the view loads which can cause errors. So put view rendering code which is
         reliant on database operations inside of the then function of those operations*/
-        inputStudent.save().then(function(result){
+        inputStudent.save().then(audit.created(req)).then(function(result){
           res.redirect("/student/edit/"+result._id);
         });
       }
@@ -49,6 +62,17 @@ studentController.post = function (req, res) {
   }
 }
 
+/**
+ * @url {get} /student
+ *
+ * @description Lists the students matching the search. With asOf
+ * (a Semester _id) the list shows the students who had started by
+ * that semester, with status, advisor, fundingEligibility and
+ * intendedDegree as they were then (see versions.js), and the
+ * search matches those values.
+ *
+ * @finish renders /student/index.ejs
+ */
 studentController.get = function (req, res) {
   var input = req.query;
   input = util.validateModelData(input, schema.Student); //remove fields that are empty/not part of Student definition
@@ -58,33 +82,62 @@ studentController.get = function (req, res) {
   if(temp != "" && temp != null && temp != undefined){
    input.status = temp;
   }
-  var admin, faculty;
-  util.checkAdmin().then(function(result){
-    if(result){
-      admin = true;
-    }
-    else{
-      admin = false;
+  var admin = permissions.hasGlobal(req.user, "student.create");
+  var semesters, asOf;
+  //originally faculty could only see the students they advise
+  //(input.advisor = req.user.faculty._id), but now, to uncomplicate other
+  //user signatures on forms, we allow all faculty to see all students
+  schema.Semester.find({}).sort({year:1, season:1}).exec().then(function(result){
+    semesters = result;
+    asOf = semesters.find(function(semester){
+      return String(semester._id) == req.query.asOf;
+    });
+    if(asOf == null){
+      return schema.Student.find(input).sort({lastName:1, firstName:1}).exec();
     }
-    schema.Faculty.findOne({pid: process.env.userPID}).exec().then(function(result){
-      if(admin){
-
+    search = (search ? search + " " : "") + "as of " + asOf.season + " " + asOf.year;
+    //versioned fields are matched on their values as of the semester
+    var then = {};
+    versions.fields.forEach(function(field){
+      if(input[field] != null){
+        then[field] = input[field];
+        delete input[field];
       }
-      else{
-        //originally here to allow only students that a faculty is an advisor for
-        //to be seen, but now, to uncomplicate other user signatures on forms, we
-        //allow all faculty to see all students
-        //input.advisor = result._id;
-      }
-      schema.Student.find(input).sort({lastName:1, firstName:1}).exec().then(function (result) {
-        res.render("../views/student/index.ejs", {students: result, admin: admin, search: search});
-      }).catch(function (err) {
-        res.json({"error": err.message, "origin": "student.get"})
+    });
+    return schema.Student.find(input).populate("semesterStarted").populate("versions.semester").sort({lastName:1, firstName:1}).lean().exec().then(function(result){
+      return result.filter(function(student){
+        return student.semesterStarted == null || student.semesterStarted.season == null ||
+          util.semesterIndex(student.semesterStarted) <= util.semesterIndex(asOf);
+      }).map(function(student){
+        return versions.asOf(student, asOf);
+      }).filter(function(student){
+        return Object.keys(then).every(function(field){
+          var value = student[field] != null ? String(student[field]) : "";
+          return then[field] instanceof RegExp ? then[field].test(value) : value == String(then[field]);
+        });
       });
     });
+  }).then(function (result) {
+    res.render("../views/student/index.ejs", {students: result, admin: admin, search: search, semesters: semesters, asOf: asOf});
+  }).catch(function (err) {
+    res.json({"error": err.message, "origin": "student.get"})
   });
 }
 
+/**
+ * @url {post} /student/put
+ *
+ * @description Updates a student. Changes to status, advisor,
+ * fundingEligibility and intendedDegree are kept as versions
+ * taking effect in effectiveSemester (see versions.js).
+ *
+ * @req.body {String} _id, onyen, firstName, lastName, pid (Required)
+ * @req.body {String} effectiveSemester (Semester _id, the current
+ * semester when empty)
+ *
+ * @success redirects to /student/edit/:_id
+ * @failure renders error page
+ */
 studentController.put = function (req, res) {
   var input = req.body;
   input = verifyBoolean(input);
@@ -93,11 +146,19 @@ studentController.put = function (req, res) {
   }
   var input = util.validateModelData(input, schema.Student);
   if (input.onyen != null && input.firstName != null && input.lastName != null && input.pid != null && input.pid != NaN) {
-    schema.Student.findOneAndUpdate({_id: input._id}, input).exec().then(function(result){
+    versions.load({_id: input._id}, req.body.effectiveSemester).then(function(result){
+      if(result.student == null){
+        return null;
+      }
+      var update = versions.update(result.student, input, result.semester, new Date(), req.user != null ? req.user.onyen : null);
+      return audit.update(req, schema.Student, {_id: input._id}, update);
+    }).then(function(result){
       if(result != null){
         res.redirect("/student/edit/"+result._id);
       }
       else res.render("../views/error.ejs", {string: "StudentNotFound"});
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -108,15 +169,15 @@ studentController.put = function (req, res) {
 studentController.delete = function (req, res) {
   var id = req.params._id;
   if (id != null) {
-    /*Documents reference students; since documents are
-    personal student documents, just delete the documents. 
-    */
-    schema.Student.findOneAndRemove({_id: id}).exec().then(function(result){
+    /*soft deleted with its notes and CS forms so that it can be restored
+    from /admin/deleted, see trash.js*/
+    trash.remove(req, schema.Student, {_id: id}).then(function(result){
       if(result){
-        schema.Form.find({student: id}).remove().exec();
         res.redirect("/student");
       }
       else res.render("../views/error.ejs", {string: "StudentNotFound"});
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
 }
@@ -140,7 +201,8 @@ studentController.create = function(req, res){
 
 studentController.edit = function(req, res){
   if(req.params._id){
-    schema.Student.findOne({_id: req.params._id}).populate("semesterStarted").populate("advisor").exec().then(function(result){
+    schema.Student.findOne({_id: req.params._id}).populate("semesterStarted").populate("advisor").populate("versions.semester").populate("versions.advisor")
+      .populate("coAdvisors.faculty").populate("coAdvisors.startSemester").populate("coAdvisors.endSemester").exec().then(function(result){
       if(result != null){
         var pronouns, genders, ethnicities, residencies, degrees, semesters, student;
         student = result;
@@ -150,16 +212,23 @@ studentController.edit = function(req, res){
         residencies = schema.Student.schema.path("residency").enumValues;
         degrees = schema.Student.schema.path("intendedDegree").enumValues;
 		    eligibility = schema.Student.schema.path("fundingEligibility").enumValues;
-        schema.Semester.find({}).sort({year:1, season:1}).exec().then(function(result){
+        return schema.Semester.find({}).sort({year:1, season:1}).exec().then(function(result){
           semesters = result;
-          schema.Faculty.find({}).sort({lastName:1, firstName:1}).exec().then(function(result){
-            res.render("../views/student/edit", {student: student, faculty: result, semesters: semesters, degrees: degrees, residencies: residencies, ethnicities: ethnicities, genders: genders, eligibility: eligibility, pronouns: pronouns});
+          return schema.Faculty.find({}).sort({lastName:1, firstName:1}).exec().then(function(result){
+            var faculty = result;
+            return degreeAudit.run(student).then(function(result){
+              res.render("../views/student/edit", {student: student, faculty: faculty, semesters: semesters, degrees: degrees, residencies: residencies, ethnicities: ethnicities, genders: genders, eligibility: eligibility, pronouns: pronouns, degreeAudit: result,
+                history: versions.history(student), labels: versions.labels, currentSemester: util.semesterOf(new Date()),
+                relationships: advisors.relationships(student), advisorName: advisors.name, canEdit: permissions.hasGlobal(req.user, "student.edit")});
+            });
           });
         });
       }
       else{
         res.render("../views/error.ejs", {string: "Student not found"});
       }
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -167,6 +236,105 @@ studentController.edit = function(req, res){
   }
 }
 
+/**
+ * @url {post} /student/advisors/:_id
+ *
+ * @description Adds a co-advisor to the student: a faculty member, or
+ * someone from outside the department
+ *
+ * @req.body {String} faculty _id of the Faculty member, or
+ * @req.body {String} externalName name of an outside co-advisor, with
+ * externalDepartment, externalInstitution and externalEmail
+ * @req.body {String} startSemester _id of the first semester (Required)
+ * @req.body {String} endSemester _id of the last semester, empty while it lasts
+ *
+ * @success redirects to /student/edit/:_id
+ */
+studentController.addCoAdvisor = function(req, res){
+  var input = req.body;
+  var coAdvisor = {startSemester: input.startSemester};
+  if(input.faculty){
+    coAdvisor.faculty = input.faculty;
+  }
+  else if(input.externalName){
+    coAdvisor.external = {name: input.externalName, department: input.externalDepartment, institution: input.externalInstitution, email: input.externalEmail};
+  }
+  if(input.endSemester){
+    coAdvisor.endSemester = input.endSemester;
+  }
+  if(coAdvisor.faculty == null && coAdvisor.external == null){
+    res.render("../views/error.ejs", {string: "Choose a faculty member or enter the name of an outside co-advisor"});
+    return;
+  }
+  if(!input.startSemester){
+    res.render("../views/error.ejs", {string: "Start semester is required"});
+    return;
+  }
+  var student;
+  schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
+    if(result == null){
+      throw new Error("Student not found");
+    }
+    student = result;
+    if(coAdvisor.faculty != null && student.advisor != null && student.advisor.equals(coAdvisor.faculty)){
+      throw new Error("The faculty member is the student's primary advisor");
+    }
+    return schema.Semester.find({_id: {$in: [coAdvisor.startSemester, coAdvisor.endSemester || coAdvisor.startSemester]}}).exec();
+  }).then(function(result){
+    var find = function(id){
+      return result.find(function(semester){
+        return id != null && semester._id.equals(id);
+      });
+    };
+    var start = find(coAdvisor.startSemester);
+    var end = find(coAdvisor.endSemester);
+    if(start == null || (coAdvisor.endSemester != null && end == null)){
+      throw new Error("Semester not found");
+    }
+    if(end != null && util.semesterIndex(end) < util.semesterIndex(start)){
+      throw new Error("The co-advisor can not end before starting");
+    }
+    return audit.update(req, schema.Student, {_id: student._id}, {$push: {coAdvisors: coAdvisor}});
+  }).then(function(){
+    res.redirect("/student/edit/"+req.params._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/advisors/end/:_id/:coAdvisorId
+ *
+ * @description Ends co-advising: sets the last semester of a co-advisor,
+ * who stays in the student's advisor history
+ *
+ * @req.body {String} endSemester _id of the last semester (Required)
+ *
+ * @success redirects to /student/edit/:_id
+ */
+studentController.endCoAdvisor = function(req, res){
+  var conditions = {_id: req.params._id, "coAdvisors._id": req.params.coAdvisorId};
+  schema.Student.findOne(conditions).populate("coAdvisors.startSemester").exec().then(function(result){
+    if(result == null){
+      throw new Error("Co-advisor not found");
+    }
+    var coAdvisor = result.coAdvisors.id(req.params.coAdvisorId);
+    return schema.Semester.findOne({_id: req.body.endSemester}).exec().then(function(end){
+      if(end == null){
+        throw new Error("Semester not found");
+      }
+      if(coAdvisor.startSemester != null && util.semesterIndex(end) < util.semesterIndex(coAdvisor.startSemester)){
+        throw new Error("The co-advisor can not end before starting");
+      }
+      return audit.update(req, schema.Student, conditions, {$set: {"coAdvisors.$.endSemester": end._id}});
+    });
+  }).then(function(){
+    res.redirect("/student/edit/"+req.params._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
 studentController.jobs = function(req, res){
   if(req.params._id){
     var jobs;
@@ -217,7 +385,7 @@ studentController.jobs = function(req, res){
 studentController.deleteJob = function(req, res){
   var input = req.body;
   if(input.studentId != null && input.jobId != null){
-    schema.Student.update({_id:input.studentId}, {$pull:{jobHistory: input.jobId}}).exec().then(function(result){
+    audit.update(req, schema.Student, {_id:input.studentId}, {$pull:{jobHistory: input.jobId}}).then(function(result){
       res.redirect("/student/jobs/"+input.studentId);
     }).catch(function(err){
       res.render("../views/error.ejs", {string:"Student was not found."});
@@ -236,13 +404,15 @@ studentController.addJobs = function(req, res){
         if(typeof(input.jobs) == "string"){
           input.jobs = [input.jobs];
         }
-        schema.Student.update({_id: input.studentId},{$addToSet: {jobHistory: {$each: input.jobs}}}).exec().then(function(result){
+        return audit.update(req, schema.Student, {_id: input.studentId},{$addToSet: {jobHistory: {$each: input.jobs}}}).then(function(result){
           res.redirect("/student/jobs/"+input.studentId);
         });
       }
       else{
         res.render("../views/error.ejs", {string: "Student not found"});
       }
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -254,7 +424,12 @@ studentController.formPage = function(req, res){
   if(req.params._id != null){
     schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
       var student = result;
-      res.render("../views/student/forms.ejs", {student: student});
+      workflow.findAll(student._id).then(function(result){
+        var formStatus = function(title){
+          return workflow.describe(result[title]);
+        };
+        res.render("../views/student/forms.ejs", {student: student, formStatus: formStatus});
+      });
     });
   }
   else{
@@ -305,7 +480,7 @@ studentController.uploadForm = function(req, res){
             schema.Form.findOne({title: formObject.title}).exec().then(function(result){
               if(result == null){
                 var inputForm = new schema.Form(util.validateModelData(formObject, schema.Form));
-                inputForm.save().then(function(result){
+                inputForm.save().then(audit.created(req)).then(function(result){
 
                 }).catch(function(err){
                 res.render("../views/error.ejs", {string: "form failed to save"});
@@ -348,12 +523,18 @@ studentController.viewForm = function(req, res){
             form = result;
           }
           var isStudent = false;
-          util.checkAdvisorAdmin(req.params._id).then(function(result){
-            var hasAccess;
+          var hasAccess;
+          permissions.can(req.user, "student.forms.manage", req.params._id).then(function(result){
             if(result){hasAccess = true;}
             else{hasAccess = false;}
-            var postMethod = "/student/forms/update/"+student._id+"/"+req.params.title;
-            res.render("../views/student/"+req.params.title, {student: student, form: form, signature: signature, uploadSuccess: uploadSuccess, isStudent: isStudent, postMethod: postMethod, hasAccess: hasAccess});
+            return workflow.forView(req.user, student._id, req.params.title, "/student/forms", "/"+student._id+"/"+req.params.title);
+          }).then(function(result){
+            var view = result;
+            //a form that can still be edited starts out with the student's committee
+            return (view.editable ? committees.prefill(req.params.title, form, student._id) : Promise.resolve(form)).then(function(form){
+              var postMethod = "/student/forms/update/"+student._id+"/"+req.params.title;
+              res.render("../views/student/"+req.params.title, {student: student, form: form, signature: signature, uploadSuccess: uploadSuccess, isStudent: isStudent, postMethod: postMethod, hasAccess: hasAccess, workflow: view});
+            });
           });
           
         });
@@ -367,57 +548,153 @@ studentController.viewForm = function(req, res){
 
 studentController.updateForm = function(req, res){
 
-  var input = req.body;
+  var input = workflow.stripSignatures(req.params.title, req.body);
   if(req.params.title != null && req.params._id != null){
+    if(workflow.routes[req.params.title] == null){
+      res.render("../views/error.ejs", {string: "Unknown form "+req.params.title});
+      return;
+    }
     schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
       if(result != null){
         var studentId = result._id;
-
-        
-        schema[req.params.title].findOneAndUpdate({student: studentId}, input).exec().then(function(result){
-          if(result != null){
-            res.redirect("/student/forms/viewForm/"+studentId+"/"+req.params.title+"/true");
+        return workflow.find(studentId, req.params.title).then(function(result){
+          if(workflow.editableStates.indexOf(result.state) == -1){
+            res.render("../views/error.ejs", {string: "This form can not be changed while it is "+workflow.describe(result).toLowerCase()});
+            return;
           }
-          else{
-            var inputModel = new schema[req.params.title](input);
-            inputModel.save().then(function(result){
-              console.log(result);
+          return audit.update(req, schema[req.params.title], {student: studentId}, input).then(function(result){
+            if(result != null){
               res.redirect("/student/forms/viewForm/"+studentId+"/"+req.params.title+"/true");
-            });
-          }
+            }
+            else{
+              var inputModel = new schema[req.params.title](input);
+              return inputModel.save().then(audit.created(req)).then(function(result){
+                res.redirect("/student/forms/viewForm/"+studentId+"/"+req.params.title+"/true");
+              });
+            }
+          });
         });
       }
       else{
         res.render("../views/error.ejs", {string: "Student not found"});
       }
-    })
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
+    });
   }
   else{
     res.render("../views/error.ejs", {string: "Did not include student ID or title of form"});
   }
 }
 
-//pdf version of forms
-// studentController.viewForm = function(req, res){
-//   if(req.params.title != null && req.params._id != null){
-//     //make sure student exists
-//     schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
-//       if(result != null){
-//         var filePath = path.join(__dirname, "../data/forms/"+req.params._id+req.params.title+".pdf");
-//         fs.access(filePath, function(err){
-//           if(err){
-//             res.render("../views/error.ejs", {string: "File does not exist."});
-//           } 
-//           else{
-//             var file = fs.createReadStream(filePath);
-//             res.setHeader("Content-type", "application/pdf");
-//             file.pipe(res);
-//           }
-//         });
-//       }
-//     });
-//   }
-// }
+/**
+ * @url {post} /student/forms/submit/:_id/:title
+ *
+ * @description Submits a saved form for signatures (see workflow.js
+ * for the signatures each form needs)
+ *
+ * @success redirects to the form
+ * @failure renders error page with the reason
+ */
+studentController.submitForm = function(req, res){
+  workflow.submit(req, req.params._id, req.params.title).then(function(result){
+    res.redirect("/student/forms/viewForm/"+req.params._id+"/"+req.params.title+"/false");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/forms/sign/:_id/:title
+ *
+ * @description Applies the user's signature to the step the form
+ * is waiting on, if the user holds the role that step needs
+ *
+ * @success redirects to the form
+ * @failure renders error page with the reason
+ */
+studentController.signForm = function(req, res){
+  workflow.sign(req, req.params._id, req.params.title).then(function(result){
+    res.redirect("/student/forms/viewForm/"+req.params._id+"/"+req.params.title+"/false");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/forms/return/:_id/:title
+ *
+ * @description Returns a form that is awaiting signatures to the
+ * student for changes
+ *
+ * @req.body {String} comment what needs to change
+ *
+ * @success redirects to the form
+ * @failure renders error page with the reason
+ */
+studentController.returnForm = function(req, res){
+  workflow.sendBack(req, req.params._id, req.params.title, req.body.comment).then(function(result){
+    res.redirect("/student/forms/viewForm/"+req.params._id+"/"+req.params.title+"/false");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/formsPending
+ *
+ * @description Lists the forms that are waiting on a signature. Staff
+ * who manage forms see every form in progress, everyone else sees the
+ * forms waiting on their own signature.
+ *
+ * @finish renders /student/formsPending.ejs
+ */
+studentController.formsPending = function(req, res){
+  var seeAll = permissions.hasGlobal(req.user, "student.forms.manage");
+  schema.FormApproval.find({state: {$in: ["submitted", "awaiting", "returned"]}}).populate("student").exec().then(function(result){
+    var approvals = result.filter(function(approval){
+      return approval.student != null;
+    });
+    return Promise.all(approvals.map(function(approval){
+      return workflow.actions(req.user, approval, approval.student._id);
+    })).then(function(result){
+      var pending = [];
+      approvals.forEach(function(approval, i){
+        if(seeAll || result[i].sign){
+          var last = approval.transitions[approval.transitions.length-1];
+          pending.push({approval: approval, status: workflow.describe(approval), since: last != null ? last.at : null, canSign: result[i].sign});
+        }
+      });
+      pending.sort(function(a, b){
+        return a.since - b.since;
+      });
+      res.render("../views/student/formsPending.ejs", {pending: pending});
+    });
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/forms/pdf/:_id/:title
+ *
+ * @description Downloads a printable pdf of the stored form, with its
+ * signatures and approval dates and the student's name and PID in the
+ * footer (see formPdf.js)
+ *
+ * @finish sends the pdf as an attachment
+ * @failure renders error page with the reason
+ */
+studentController.formPdf = function(req, res){
+  schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
+    if(result == null){
+      throw new Error("Student not found");
+    }
+    return formPdf.send(res, result, req.params.title);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
 
 studentController.courses = function(req, res){
   if(req.params._id != null){
@@ -457,7 +734,9 @@ studentController.uploadCoursePage = function(req, res){
     if(req.params.uploadSuccess == "true"){
      uploadSuccess = true;
     }
-    res.render("../views/student/uploadCourses.ejs", {courses: courses ,uploadSuccess: uploadSuccess});
+    importer.profiles("grades").then(function(result){
+      res.render("../views/student/uploadCourses.ejs", {courses: courses ,uploadSuccess: uploadSuccess, profiles: result});
+    });
   });
 }
 
@@ -496,14 +775,7 @@ studentController.downloadCourses = function(req, res){
         grade.faculty = result.grades[i].course.faculty.lastName + ", " + result.grades[i].course.faculty.firstName;
         output[i] = grade;
       }
-      var wb = XLSX.utils.book_new();
-      var ws = XLSX.utils.json_to_sheet(output);
-      XLSX.utils.book_append_sheet(wb, ws, "grades");
-      var filePath = path.join(__dirname, "../data/gradeTemp.xlsx");
-      XLSX.writeFile(wb, filePath);
-      res.setHeader("Content-Disposition", "filename=" + result.onyen + " grades.xlsx");
-      res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-      fs.createReadStream(filePath).pipe(res);
+      exporter.send(req, res, output, {filename: result.onyen + " grades", sheet: "grades", headers: ["onyen", "grade", "department", "number", "section", "semester", "faculty"]});
     });
   }
   else{
@@ -512,132 +784,15 @@ studentController.downloadCourses = function(req, res){
   
 }
 
+/**
+ * @url {post} /student/uploadCourses
+ *
+ * @description First step of uploading student grades, see importer.js
+ *
+ * @success redirects to the preview, /import/grades/:batchId
+ */
 studentController.uploadCourses = function(req, res){
-  var form = new formidable.IncomingForm();
-  form.parse(req, function(err, fields, files){
-    var f = files[Object.keys(files)[0]];
-    var workbook = XLSX.readFile(f.path, {cellDates:true});
-    var worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    var headers = {};
-    var data = [];
-    headers[String.fromCharCode(65)] = "onyen"
-    headers[String.fromCharCode(66)] = "grade";
-    headers[String.fromCharCode(67)] = "department";
-    headers[String.fromCharCode(68)] = "number";
-    headers[String.fromCharCode(69)] = "section";
-    headers[String.fromCharCode(70)] = "semester";
-    headers[String.fromCharCode(71)] = "faculty";
-    for(z in worksheet) {
-        if(z[0] === '!') continue;
-        //parse out the column, row, and value
-        var tt = 0;
-        for(var i = 0; i < z.length; i++){
-          if(!isNaN(z[i])){
-            tt = i;
-            break;
-          }
-        }
-        var col = z.substring(0,tt);
-        var row = parseInt(z.substring(tt));
-        var value = worksheet[z].v;
-        if(!data[row]) data[row]={};
-        data[row][headers[col]] = value;
-    }
-    //drop those first two rows which are empty
-    data.shift();
-    data.shift();
-    //have to use foreach because of asynchronous nature of mongoose stuff (the loop would increment i before it could save the appropriate i)
-    var count = 0;
-    data.forEach(function(element){
-      //verify that all fields exist
-      if(element.onyen != null && element.department != null && element.number != null && element.section != null && element.semester != null && element.faculty != null){
-        var spaceReg = /\s* \s*/;
-        var commaReg = /\s*,\s*/;
-        var semester = element.semester.split(spaceReg);
-        semester[0] = semester[0].toUpperCase();
-        semester[1] = parseInt(semester[1]);
-
-        var faculty = element.faculty.split(commaReg);
-
-        schema.Semester.findOne({season: semester[0], year: parseInt(semester[1])}).exec().then(function(result){
-          if(result != null){
-            element.semester = result._id;
-          }
-          else{
-            res.render("../views/error.ejs", {string:"Semester not found."});
-          }
-          schema.Faculty.findOne({lastName: faculty[0], firstName: faculty[1]}).exec().then(function(result){
-            if(result != null){
-              element.faculty = result._id;
-            }
-            else{
-              res.render("../views/error.ejs", {string:"Faculty not found."});
-            }
-            schema.Course.findOne({
-              department: element.department,
-              number: element.number,
-              section: element.section,
-              faculty: element.faculty,
-              semester: element.semester
-              }).exec().then(function(result){
-                if(result != null){
-                  var grade = {};
-                  if(element.grade != null){
-                    grade.grade = element.grade;
-                  }
-                  grade.course = result._id;
-                  schema.Grade.findOne(grade).exec().then(function(result){
-                    if(result == null){
-                      var inputGrade = new schema.Grade(util.validateModelData(grade, schema.Grade));
-                      inputGrade.save().then(function(result){
-                        pushStudentCourse(element.onyen, result._id).then(function(result){
-                          count++;
-                          if(count == data.length){
-                            res.redirect("/student/uploadCourses/true");
-                          }
-                        }).catch(function(err){
-                          res.render("../views/error.ejs", {string: "Did not push to student grades."});
-                        });
-                      }).catch(function(err){
-                        res.render("../views/error.ejs", {string: element.onyen+" "+element.department+" "+element.number+" did not save because something was wrong with it."});
-                      });
-                    }
-                    else{
-                      pushStudentCourse(element.onyen, result._id).then(function(result){
-                        count++;
-                        if(count == data.length){
-                          res.redirect("/student/uploadCourses/true");
-                        }
-                      }).catch(function(err){
-                        res.render("../views/error.ejs", {string: "Did not push to student grades."});
-                      });
-                    }
-                  });
-                }
-                else{
-                  res.render("../views/error.ejs", {string:"Course not found."});
-                }
-              });
-          });
-        });
-        
-      }
-    });
-  });
-}
-
-function pushStudentCourse(onyen, gradeId){
-  return new Promise((resolve, reject)=>{
-    schema.Student.findOne({onyen: input.onyen.toLowerCase()}).exec().then(function(result){
-      if(result != null){
-        schema.Student.update({onyen:onyen},{$addToSet: {grades: gradeId}}).exec();
-        resolve(result);
-      }
-      else{
-        reject(result);
-      }
-    });
-  });
+  importer.upload(req, res, "grades");
 }
 
 studentController.uploadPage = function(req, res){
@@ -645,170 +800,90 @@ studentController.uploadPage = function(req, res){
   if(req.params.uploadSuccess == "true"){
     uploadSuccess = true;
   }
-  res.render("../views/student/upload.ejs", {uploadSuccess: uploadSuccess});
+  importer.profiles("student").then(function(result){
+    res.render("../views/student/upload.ejs", {uploadSuccess: uploadSuccess, profiles: result});
+  });
 }
 
+/**
+ * @url {post} /student/upload
+ *
+ * @description First step of uploading students: reads the spreadsheet
+ * and validates every row without writing anything (see importer.js)
+ *
+ * @success redirects to the preview, /import/student/:batchId
+ */
 studentController.upload = function(req, res){
-  var form = new formidable.IncomingForm();
-  form.parse(req, function(err, fields, files){
-    var f = files[Object.keys(files)[0]];
-    var workbook = XLSX.readFile(f.path, {cellDates:true});
-    var worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    var headers = {};
-    var data = [];
-    var i = 0;
-    var j = 0;
-    for(var field in schema.Student.schema.obj){
-      if(field != "jobHistory" && field != "courseHistory"){
-        if(i > 25){
-          i = 0;
-          j = 1;
-        }
-        if(j == 1){
-          headers[String.fromCharCode(65)+String.fromCharCode(i+65)] = field;
-        }
-        else{
-          headers[String.fromCharCode(i+65)] = field;
-        }
-        i++;
-      }
-    }
-    for(z in worksheet) {
-        if(z[0] === '!') continue;
-        //parse out the column, row, and value
-        var tt = 0;
-        //z contains the position in the sheet, so A1, A2, etc
-        for(var i = 0; i < z.length; i++){
-          if(!isNaN(z[i])){
-            tt = i;
-            break;
-          }
-        }
-        var col = z.substring(0,tt);
-        var row = parseInt(z.substring(tt));
-        var value = worksheet[z].v;
-
-        if(!data[row]) data[row]={};
-        data[row][headers[col]] = value;
-    }
-    //drop those first two rows which are empty
-    data.shift();
-    data.shift();
-    //try to create models
-    //have to use foreach because of asynchronous nature of mongoose stuff (the loop would increment i before it could save the appropriate i)
-    var count = 0;
-    //for(let element of data){
-    data.forEach(function(element){
-
-
-      //verify that all fields exist
-      if(element.onyen != null && element.firstName != null && element.lastName != null && element.pid != null && element.advisor != null){
-        element.onyen = element.onyen[0].toUpperCase() + element.onyen.toLowerCase().slice(1);
-        element.firstName = element.firstName[0].toUpperCase() + element.firstName.toLowerCase().slice(1);
-        element.lastName = element.lastName[0].toUpperCase() + element.lastName.toLowerCase().slice(1);
-        var commaReg = /\s*,\s*/;
-        var facultyName = [null, null];
-        //if(element.advisor != null){
-          facultyName = element.advisor.split(commaReg);
-          facultyName[0] = new RegExp(facultyName[0], "i");
-          facultyName[1] = new RegExp(facultyName[1], "i");
-        //}
-        var spaceReg = /\s* \s*/;
-        var semester = [null, 0];
-        if(element.semesterStarted != null){
-          semester = element.semesterStarted.split(spaceReg);
-          semester[0] = semester[0].toUpperCase();
-          semester[1] = parseInt(semester[1]);
-        }
-        schema.Faculty.findOne({lastName: facultyName[0], firstName: facultyName[1]}).exec().then(function(result){
-          if(result != null){
-            element.advisor = result._id;
-          } else {
-            element.advisor = null;
-          }
-          schema.Semester.findOne({season: semester[0], year: parseInt(semester[1])}).exec().then(function(result){
-            if(result != null){
-              element.semesterStarted = result._id;
-            } else {
-              element.semesterStarted = null;
-            }
-            schema.Student.findOne({onyen: element.onyen, pid: element.pid}).exec().then(function(result){
-              if(result == null){
-                var stud1;
-                schema.Student.findOne({onyen: element.onyen}).exec().then(function(result){
-                  stud1 = result;
-                  schema.Student.findOne({pid: element.pid}).exec().then(function(result){
-                    if(stud1 != null || result != null){
-                      res.render("../views/error.ejs", {string: element.lastName+" contains an onyen or pid that already exists."});
-                      return;
-                    } else {
-                      var inputStudent = new schema.Student(util.validateModelData(element, schema.Student));
-                      inputStudent.save().then(function(result){
-                        count++;
-                        if(count == data.length){
-                          res.redirect("/student/upload/true");
-                        }
-                      }).catch(function(err){
-                        res.render("../views/error.ejs", {string: element.lastName+" did not save because something was wrong with it."});
-                        return;
-                      });
-                    }
-                  });
-                });
-              } else {
-                schema.Student.update({onyen: element.onyen, pid:element.pid}, util.validateModelData(element, schema.Student)).exec().then(function(result){
-                  count++;
-                  if(count == data.length){
-                    res.redirect("/student/upload/true");
-                  }
-                }).catch(
-                  function(err){
-                    res.render("../views/error.ejs", {string: element.lastName+" did not update because something was wrong with it."});
-                    return;
-                  });
-              }
-            });
-          });
-        });
-      } else {
-        res.render("../views/error.ejs", {string: element.lastName+" did not save because it is missing a field"});
-        return;
-      }
-    });
-  });
+  importer.upload(req, res, "student");
 }
 
-
+/**
+ * @url {get} /student/download
+ *
+ * @description Downloads every student with the columns the student upload
+ * takes, as xlsx, csv or json (see exporter.js)
+ *
+ * @finish sends the file
+ */
 studentController.download = function(req, res){
   schema.Student.find({}, "-_id -__v").populate("advisor").populate("semesterStarted").sort({lastName:1, firstName:1}).lean().exec().then(function(result){
-    var m = schema.Student.schema.obj;
-    var template = {};
-    for(var key in m){
-      if (result[0][key] == undefined || result[0][key] == null || result[0][key] == NaN || result[0][key] == ""){
-        template[key] = null;
-      }
-      else{
-        template[key] = result[0][key];
-      }
-    }
-    result[0] = template;
     for(var i = 0; i < result.length; i++){
-      result[i].jobHistory = null;
-      result[i].courseHistory = null;
       if(result[i].advisor != null){
-        result[i].advisor = result[i].advisor.lastName + " " + result[i].advisor.firstName;
+        result[i].advisor = result[i].advisor.lastName + ", " + result[i].advisor.firstName;
       }
       if(result[i].semesterStarted != null){
         result[i].semesterStarted = result[i].semesterStarted.season + " " + result[i].semesterStarted.year;
       }
     }
-    var wb = XLSX.utils.book_new();
-    var ws = XLSX.utils.json_to_sheet(result);
-    XLSX.utils.book_append_sheet(wb, ws, "Student");
-    var filePath = path.join(__dirname, "../data/studentTemp.xlsx");
-    XLSX.writeFile(wb, filePath);
-    res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    fs.createReadStream(filePath).pipe(res);
+    var headers = importer.type("student").fields.map(function(spec){
+      return spec.field;
+    });
+    exporter.send(req, res, result, {filename: "Students", sheet: "Student", headers: headers});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/record/:_id
+ *
+ * @description Downloads the full record of a student: profile,
+ * milestones, grades, jobs, notes, leave and CS forms, as a workbook or
+ * a zip of json (?format=zip), see studentRecord.js
+ *
+ * @finish sends the file
+ */
+studentController.record = function(req, res){
+  studentRecord.load({_id: req.params._id}).then(function(result){
+    if(result.length == 0){
+      res.render("../views/error.ejs", {string: "Student not found"});
+      return;
+    }
+    studentRecord.send(req, res, result, result[0].student.onyen + " record");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/records
+ *
+ * @description Downloads the full records of every student, or of the
+ * students with the given statuses, in one workbook or zip
+ *
+ * @req.query {String} status (Optional) one or more statuses, e.g. Graduated
+ *
+ * @finish sends the file
+ */
+studentController.records = function(req, res){
+  var conditions = {};
+  if(req.query.status != null && req.query.status != ""){
+    conditions.status = {$in: [].concat(req.query.status)};
+  }
+  studentRecord.load(conditions).then(function(result){
+    studentRecord.send(req, res, result, "Student records");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
   });
 }
 
@@ -842,7 +917,6 @@ studentController.notesPage = function(req, res){
 }
 
 studentController.updateNote = function (req, res) {
-  console.log(input+" " +_id)
   var input = req.body;
   var _id = req.params.noteId;
   //verify that the required fields are not null
@@ -854,21 +928,21 @@ studentController.updateNote = function (req, res) {
         input.student = req.params._id;
         util.allFieldsExist(input, schema.Note);
 
-        console.log(input);
-        schema.Note.findOneAndUpdate({_id: _id}, input).exec().then(function(result){
+        //only a note of the student in the url, whose notes the user may edit
+        return audit.update(req, schema.Note, {_id: _id, student: req.params._id}, input).then(function(result){
           if(result != null){
             res.redirect("/student/notes/"+req.params._id);
           }
           else{
-            var inputModel = new schema.Note(input);
-            inputModel.save().then(function(result){
-              res.redirect("/student/notes/"+req.params._id);
-            })
+            res.render("../views/error.ejs", {string: "Note not found"});
           }
         });
       }
+      else{
+        res.render("../views/error.ejs", {string: "Student not found"});
+      }
     }).catch(function (err) {
-      res.json({"error": err.message, "origin": "student.post"})
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -887,14 +961,16 @@ studentController.addNewNote = function (req, res) {
         input.student = req.params._id;
         util.allFieldsExist(input, schema.Note);
 
-        console.log(input);
         var inputModel = new schema.Note(input);
-        inputModel.save().then(function(result){
+        return inputModel.save().then(audit.created(req)).then(function(result){
           res.redirect("/student/notes/"+req.params._id);
-        })
+        });
+      }
+      else{
+        res.render("../views/error.ejs", {string: "Student not found"});
       }
     }).catch(function (err) {
-      res.json({"error": err.message, "origin": "student.post"})
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -905,12 +981,347 @@ studentController.addNewNote = function (req, res) {
 
 studentController.deleteNotes = function(req, res){
   var noteID = req.body.noteID;
-  schema.Note.findOneAndRemove({_id: noteID}).exec().then(function(result){
+  trash.remove(req, schema.Note, {_id: noteID, student: req.params._id}).then(function(result){
     res.redirect("/student/notes/"+req.params._id);
   }).catch(function(error){
     //handle error if note not delete
   });
 }
 
+/**
+ * @url {get} /student/timeline/:_id
+ *
+ * @description Shows the student's milestones, semesterStarted and
+ * leave on one axis, with the number of semesters elapsed (not counting
+ * leave) and the milestones the student is behind on (see timeline.js)
+ *
+ * @finish renders /student/timeline.ejs
+ */
+studentController.timeline = function(req, res){
+  var data;
+  timeline.forStudent(req.params._id).then(function(result){
+    data = result;
+    return schema.Semester.find({}).exec();
+  }).then(function(result){
+    result.sort(function(a, b){
+      return util.semesterIndex(a) - util.semesterIndex(b);
+    });
+    permissions.can(req.user, "student.leave", req.params._id).then(function(canEdit){
+      res.render("../views/student/timeline.ejs", {student: data.student, leaves: data.leaves, timeline: data.timeline, semesters: result, canEdit: canEdit,
+        canApprove: permissions.hasGlobal(req.user, "student.leave.approve"), types: leaves.types});
+    });
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/behind
+ *
+ * @description Lists the active students who are behind the expected
+ * pace for at least one milestone. Faculty who can not see every
+ * timeline only see the students they currently advise or co-advise.
+ *
+ * @finish renders /student/behind.ejs
+ */
+studentController.behind = function(req, res){
+  var conditions = {status: {$in: ["Active", "Leave"]}};
+  var all = permissions.hasGlobal(req.user, "student.timeline");
+  if(!all){
+    if(req.user.faculty == null){
+      res.render("../views/student/behind.ejs", {students: []});
+      return;
+    }
+    conditions.$or = [{advisor: req.user.faculty._id}, {"coAdvisors.faculty": req.user.faculty._id}];
+  }
+  timeline.behind(conditions).then(function(result){
+    if(all){
+      return result;
+    }
+    //co-advisors only see the students while they co-advise them
+    return Promise.all(result.map(function(entry){
+      return util.checkAdvisor(req.user, entry.student._id);
+    })).then(function(advising){
+      return result.filter(function(entry, i){
+        return advising[i];
+      });
+    });
+  }).then(function(result){
+    res.render("../views/student/behind.ejs", {students: result});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/timeline/leave/:_id
+ *
+ * @description Records a leave period or extension of time for the
+ * student. It waits for approval unless the user can approve leave, in
+ * which case it is approved right away and the student's status follows
+ * it (see leaves.js).
+ *
+ * @req.body {String} type MEDICAL, PERSONAL, PARENTAL or EXTENSION
+ * @req.body {String} startSemester _id of the first semester on leave (Required)
+ * @req.body {String} endSemester _id of the last semester on leave, empty if open ended
+ * @req.body {String} reason
+ * @req.body {String} notes
+ *
+ * @success redirects to /student/timeline/:_id
+ */
+studentController.addLeave = function(req, res){
+  var input = util.validateModelData(req.body, schema.LeaveRecord);
+  input.student = req.params._id;
+  delete input.approvedBy;
+  delete input.approvedAt;
+  input.approval = "pending";
+  if(permissions.hasGlobal(req.user, "student.leave.approve")){
+    input.approval = "approved";
+    input.approvedBy = req.user.onyen;
+    input.approvedAt = new Date();
+  }
+  if(input.startSemester == null){
+    res.render("../views/error.ejs", {string: "Start semester is required"});
+    return;
+  }
+  schema.Semester.find({_id: {$in: [input.startSemester, input.endSemester || input.startSemester]}}).exec().then(function(result){
+    var start = result.find(function(semester){
+      return semester._id.equals(input.startSemester);
+    });
+    var end = result.find(function(semester){
+      return input.endSemester != null && semester._id.equals(input.endSemester);
+    });
+    if(start == null || (input.endSemester != null && end == null)){
+      throw new Error("Semester not found");
+    }
+    if(end != null && util.semesterIndex(end) < util.semesterIndex(start)){
+      throw new Error("The leave can not end before it starts");
+    }
+    return new schema.LeaveRecord(input).save().then(audit.created(req));
+  }).then(function(result){
+    return leaves.applyStatuses(req, new Date(), {student: req.params._id});
+  }).then(function(){
+    res.redirect("/student/timeline/"+req.params._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/timeline/leave/approve/:_id/:leaveId
+ *
+ * @description Approves or denies a leave period of the student. The
+ * student's status follows an approved leave that covers the current
+ * semester (see leaves.js).
+ *
+ * @req.body {String} approval approved or denied (Required)
+ *
+ * @success redirects to /student/timeline/:_id
+ */
+studentController.approveLeave = function(req, res){
+  var approval = req.body.approval;
+  if(approval != "approved" && approval != "denied"){
+    res.render("../views/error.ejs", {string: "Approval must be approved or denied"});
+    return;
+  }
+  var update = {approval: approval, approvedBy: req.user.onyen, approvedAt: new Date()};
+  audit.update(req, schema.LeaveRecord, {_id: req.params.leaveId, student: req.params._id}, update).then(function(result){
+    if(result == null){
+      throw new Error("Leave not found");
+    }
+    return leaves.applyStatuses(req, new Date(), {student: req.params._id});
+  }).then(function(){
+    res.redirect("/student/timeline/"+req.params._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/timeline/leave/delete/:_id/:leaveId
+ *
+ * @description Removes a leave period of the student. A student the leave
+ * put on Leave is made Active again (see leaves.js).
+ *
+ * @success redirects to /student/timeline/:_id
+ */
+studentController.deleteLeave = function(req, res){
+  audit.remove(req, schema.LeaveRecord, {_id: req.params.leaveId, student: req.params._id}).then(function(result){
+    return leaves.applyStatuses(req, new Date(), {student: req.params._id});
+  }).then(function(){
+    res.redirect("/student/timeline/"+req.params._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/committee/:_id
+ *
+ * @description Called when the Committee tab of a student is opened,
+ * shows the student's committees with their current members and every
+ * member who served before (see committees.js)
+ *
+ * @finish renders /student/committee.ejs
+ */
+studentController.committee = function(req, res){
+  var student, list;
+  schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
+    if(result == null){
+      throw new Error("Student not found");
+    }
+    student = result;
+    return schema.Committee.find({student: student._id}).populate("members.faculty").exec();
+  }).then(function(result){
+    list = result;
+    return schema.Faculty.find({}).sort({lastName: 1, firstName: 1}).exec();
+  }).then(function(result){
+    res.render("../views/student/committee.ejs", {student: student, committees: list, faculty: result, degrees: committees.degrees,
+      roles: committees.roles, serving: committees.serving, memberName: committees.memberName, canEdit: permissions.hasGlobal(req.user, "student.committee")});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/committee/:_id
+ *
+ * @description Appoints a member to the student's committee for a
+ * degree, creating the committee if the student has none yet. A
+ * committee has one chair at a time, and a faculty member serves in one
+ * role at a time.
+ *
+ * @req.body {String} degree MASTERS or PHD (Required)
+ * @req.body {String} role chair, advisor, member or outside (Required)
+ * @req.body {String} faculty _id of the Faculty member, or
+ * @req.body {String} externalName name of an external member, with
+ * externalDepartment, externalInstitution and externalEmail
+ * @req.body {String} appointed date, today when empty
+ *
+ * @success redirects to /student/committee/:_id
+ */
+studentController.addCommitteeMember = function(req, res){
+  var input = req.body;
+  var member = {role: input.role, appointed: input.appointed ? new Date(input.appointed) : new Date()};
+  if(input.faculty){
+    member.faculty = input.faculty;
+  }
+  else if(input.externalName){
+    member.external = {name: input.externalName, department: input.externalDepartment, institution: input.externalInstitution, email: input.externalEmail};
+  }
+  if(committees.degrees[input.degree] == null || committees.roles[input.role] == null){
+    res.render("../views/error.ejs", {string: "Degree and role are required"});
+    return;
+  }
+  if(member.faculty == null && member.external == null){
+    res.render("../views/error.ejs", {string: "Choose a faculty member or enter the name of an external member"});
+    return;
+  }
+  if(isNaN(member.appointed.getTime())){
+    res.render("../views/error.ejs", {string: "Appointed is not a date"});
+    return;
+  }
+  schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
+    if(result == null){
+      throw new Error("Student not found");
+    }
+    return schema.Committee.findOne({student: result._id, degree: input.degree}).exec();
+  }).then(function(result){
+    if(result == null){
+      return new schema.Committee({student: req.params._id, degree: input.degree, members: [member]}).save().then(audit.created(req));
+    }
+    if(member.faculty != null && committees.serves([result], member.faculty)){
+      throw new Error("The faculty member already serves on the committee");
+    }
+    var chaired = committees.current(result).some(function(current){
+      return current.role == "chair";
+    });
+    if(member.role == "chair" && chaired){
+      throw new Error("The committee already has a chair, end the chair's membership first");
+    }
+    return audit.update(req, schema.Committee, {_id: result._id}, {$push: {members: member}});
+  }).then(function(){
+    res.redirect("/student/committee/"+req.params._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {post} /student/committee/end/:_id/:committeeId/:memberId
+ *
+ * @description Ends a membership of the student's committee, the member
+ * stays in the committee's history
+ *
+ * @req.body {String} ended date, today when empty
+ *
+ * @success redirects to /student/committee/:_id
+ */
+studentController.endCommitteeMember = function(req, res){
+  var ended = req.body.ended ? new Date(req.body.ended) : new Date();
+  if(isNaN(ended.getTime())){
+    res.render("../views/error.ejs", {string: "Ended is not a date"});
+    return;
+  }
+  var conditions = {_id: req.params.committeeId, student: req.params._id, "members._id": req.params.memberId};
+  audit.update(req, schema.Committee, conditions, {$set: {"members.$.ended": ended}}).then(function(result){
+    if(result == null){
+      throw new Error("Committee member not found");
+    }
+    res.redirect("/student/committee/"+req.params._id);
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/committees
+ *
+ * @description Lists the committees the user serves or served on as a
+ * faculty member, with the roles held
+ *
+ * @finish renders /student/committees.ejs
+ */
+studentController.myCommittees = function(req, res){
+  var found = req.user != null && req.user.faculty != null ? committees.forFaculty(req.user.faculty._id) : Promise.resolve([]);
+  found.then(function(result){
+    res.render("../views/student/committees.ejs", {entries: result, degrees: committees.degrees, roles: committees.roles,
+      serving: committees.serving, current: committees.current, memberName: committees.memberName});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/**
+ * @url {get} /student/history/:_id
+ *
+ * @description Called when the History tab of a student is opened,
+ * lists every recorded change to the student and the student's
+ * forms and notes, newest first
+ *
+ * @req.params {String} _id (Required)
+ *
+ * @finish renders /student/history.ejs
+ */
+studentController.history = function(req, res){
+  if(req.params._id != null){
+    schema.Student.findOne({_id: req.params._id}).exec().then(function(result){
+      if(result != null){
+        var student = result;
+        schema.Audit.find({student: student._id}).sort({timestamp: -1}).exec().then(function(result){
+          res.render("../views/student/history.ejs", {student: student, audits: result});
+        });
+      }
+      else{
+        res.render("../views/error.ejs", {string: "Student not found"});
+      }
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
+    });
+  }
+  else{
+    res.render("../views/error.ejs", {string: "RequiredParamNotFound"});
+  }
+}
 
 module.exports = studentController;
@@ -1,9 +1,15 @@
 var schema = require("../models/schema.js");
 var util = require("./util.js");
+var audit = require("./audit.js");
+var workflow = require("./workflow.js");
+var formPdf = require("./formPdf.js");
+var degreeAudit = require("./degreeAudit.js");
+var timeline = require("./timeline.js");
+var committees = require("./committees.js");
 var formidable = require("formidable");
 var fs = require("fs");
 var path = require("path");
-var XLSX = require("xlsx");
+var exporter = require("./exporter.js");
 var formidable = require("formidable");
 var mongoose = require("mongoose");
 
@@ -22,17 +28,24 @@ notes
 studentViewController.put = function (req, res) {
   var input = req.body;
   var editableFields = ["firstName", "lastName", "alternativeName", "gender", "ethnicity", "notes", "residency"];
-  if (input.firstName != null && input.lastName != null && input._id != null) {
-    schema.Student.findOne({_id: input._id}, input).exec().then(function(result){
-      if(result != null){
-        for(var i = 0; i < editableFields.length; i++){
-          result[editableFields[i]] = input[editableFields[i]];
-        }
-        result.save(function(err, updated){
-          res.redirect("/studentView");
-        });
+  if (input.firstName != null && input.lastName != null) {
+    //students only edit their own record, whatever _id is posted
+    var before;
+    schema.Student.findOne({pid: req.user.pid}).exec().then(function(result){
+      if(result == null){
+        throw new Error("StudentNotFound");
       }
-      else res.render("../views/error.ejs", {string: "StudentNotFound"});
+      before = result.toObject();
+      for(var i = 0; i < editableFields.length; i++){
+        result[editableFields[i]] = input[editableFields[i]];
+      }
+      return result.save();
+    }).then(function(updated){
+      return audit.record(req, schema.Student, before, updated);
+    }).then(function(){
+      res.redirect("/studentView");
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
     });
   }
   else{
@@ -41,26 +54,31 @@ studentViewController.put = function (req, res) {
 }
 
 studentViewController.get = function(req, res){
-  schema.Student.findOne({pid: process.env.userPID}).populate("semesterStarted").populate("advisor").exec().then(function(result){
+  schema.Student.findOne({pid: req.user.pid}).populate("semesterStarted").populate("advisor").exec().then(function(result){
     if(result != null){
       result = result.toJSON();
       var genders, ethnicities, student;
       student = result;
       genders = schema.Student.schema.path("gender").enumValues;
       ethnicities = schema.Student.schema.path("ethnicity").enumValues;
-      schema.Faculty.find({}).sort({lastName:1, firstName:1}).exec().then(function(result){
-        res.render("../views/studentView/index", {student: student, faculty: result, ethnicities: ethnicities, genders: genders});
+      return schema.Faculty.find({}).sort({lastName:1, firstName:1}).exec().then(function(result){
+        var faculty = result;
+        return degreeAudit.run(student).then(function(result){
+          res.render("../views/studentView/index", {student: student, faculty: faculty, ethnicities: ethnicities, genders: genders, degreeAudit: result});
+        });
       });
     }
     else{
       res.render("../views/error.ejs", {string: "Student not found"});
     }
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
   });
 }
 
 studentViewController.jobs = function(req, res){
 
-  schema.Student.findOne({pid: process.env.userPID}).populate("jobHistory").populate({path:"jobHistory", populate:{path:"supervisor"}})
+  schema.Student.findOne({pid: req.user.pid}).populate("jobHistory").populate({path:"jobHistory", populate:{path:"supervisor"}})
   .populate({path:"jobHistory", populate:{path:"semester"}}).populate({path:"jobHistory", populate:{path:"course"}}).exec().then(function(result){
     result.jobHistory.sort(function(a, b){
       if(a.semester.year == b.semester.year){
@@ -94,9 +112,14 @@ studentViewController.forms = function(req, res){
   //   });
     
   // });
-  schema.Student.findOne({pid: process.env.userPID}).exec().then(function(result){
+  schema.Student.findOne({pid: req.user.pid}).exec().then(function(result){
     var student = result;
-    res.render("../views/studentView/forms.ejs", {student: student});
+    workflow.findAll(student._id).then(function(result){
+      var formStatus = function(title){
+        return workflow.describe(result[title]);
+      };
+      res.render("../views/studentView/forms.ejs", {student: student, formStatus: formStatus});
+    });
   });
 }
 
@@ -125,7 +148,7 @@ studentViewController.viewForm = function(req, res){
     if(req.params.uploadSuccess == "true"){
       uploadSuccess = true;
     }
-    schema.Student.findOne({pid: process.env.userPID}).exec().then(function(result){
+    schema.Student.findOne({pid: req.user.pid}).exec().then(function(result){
       if(result != null){
         var student = result;
         console.log(req.params.title);
@@ -144,7 +167,13 @@ studentViewController.viewForm = function(req, res){
           form version depending on whether it is an administrator/faculty
           or student viewing the form.
           */
-         res.render("../views/student/"+req.params.title, {student: student, form: form, signature: signature, uploadSuccess: uploadSuccess, isStudent: isStudent, postMethod: postMethod, hasAccess: hasAccess});
+          workflow.forView(req.user, student._id, req.params.title, "/studentView/forms", "/"+req.params.title).then(function(result){
+            var view = result;
+            //a form that can still be edited starts out with the student's committee
+            return (view.editable ? committees.prefill(req.params.title, form, student._id) : Promise.resolve(form)).then(function(form){
+              res.render("../views/student/"+req.params.title, {student: student, form: form, signature: signature, uploadSuccess: uploadSuccess, isStudent: isStudent, postMethod: postMethod, hasAccess: hasAccess, workflow: view});
+            });
+          });
         });
       }
       else{
@@ -155,38 +184,101 @@ studentViewController.viewForm = function(req, res){
 }
 
 studentViewController.updateForm = function(req, res){
-  console.log("ABC");
-  var input = req.body;
+  var input = workflow.stripSignatures(req.params.title, req.body);
   if(req.params.title != null){
-    schema.Student.findOne({pid: process.env.userPID}).exec().then(function(result){
+    if(workflow.routes[req.params.title] == null){
+      res.render("../views/error.ejs", {string: "Unknown form "+req.params.title});
+      return;
+    }
+    schema.Student.findOne({pid: req.user.pid}).exec().then(function(result){
       if(result != null){
         var studentId = result._id;
-        
-        schema[req.params.title].findOneAndUpdate({student: studentId}, input).exec().then(function(result){
-          if(result != null){
-            res.redirect("/studentView/forms"+"/"+req.params.title+"/true");
-          }
-          else{
-            var inputModel = new schema[req.params.title](input);
-            inputModel.save().then(function(result){
-              console.log(result);
-              res.redirect("/studentView/forms/"+req.params.title+"/true");
-            });
+        //students can only save their own form
+        input.student = studentId;
+        return workflow.find(studentId, req.params.title).then(function(result){
+          if(workflow.editableStates.indexOf(result.state) == -1){
+            res.render("../views/error.ejs", {string: "This form can not be changed while it is "+workflow.describe(result).toLowerCase()});
+            return;
           }
+          return audit.update(req, schema[req.params.title], {student: studentId}, input).then(function(result){
+            if(result != null){
+              res.redirect("/studentView/forms"+"/"+req.params.title+"/true");
+            }
+            else{
+              var inputModel = new schema[req.params.title](input);
+              return inputModel.save().then(audit.created(req)).then(function(result){
+                res.redirect("/studentView/forms/"+req.params.title+"/true");
+              });
+            }
+          });
         });
       }
       else{
         res.render("../views/error.ejs", {string: "Student not found"});
       }
-    })
+    }).catch(function(err){
+      res.render("../views/error.ejs", {string: err.message});
+    });
   }
   else{
     res.render("../views/error.ejs", {string: "Did not include student ID or title of form"});
   }
 }
 
+/*
+@url {post} /studentView/forms/submit/:title
+
+@description submits the student's own form for signatures, signing
+it as the student when the student's signature comes first
+*/
+studentViewController.submitForm = function(req, res){
+  workflow.submit(req, req.user.student._id, req.params.title).then(function(result){
+    res.redirect("/studentView/forms/"+req.params.title+"/false");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/*
+@url {post} /studentView/forms/sign/:title
+
+@description signs the student's own form when it is waiting on the
+student's signature (e.g. after staff submitted it)
+*/
+studentViewController.signForm = function(req, res){
+  workflow.sign(req, req.user.student._id, req.params.title).then(function(result){
+    res.redirect("/studentView/forms/"+req.params.title+"/false");
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/*
+@url {get} /studentView/forms/pdf/:title
+
+@description downloads a printable pdf of the student's own form
+*/
+studentViewController.formPdf = function(req, res){
+  formPdf.send(res, req.user.student, req.params.title).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
+/*
+@url {get} /studentView/timeline
+
+@description the student's own milestone timeline (see timeline.js)
+*/
+studentViewController.timeline = function(req, res){
+  timeline.forStudent(req.user.student._id).then(function(result){
+    res.render("../views/studentView/timeline.ejs", {student: result.student, timeline: result.timeline});
+  }).catch(function(err){
+    res.render("../views/error.ejs", {string: err.message});
+  });
+}
+
 studentViewController.courses = function(req, res){
-  schema.Student.findOne({pid: process.env.userPID}).populate({
+  schema.Student.findOne({pid: req.user.pid}).populate({
     path:"grades",
     populate:{path:"course", populate:{path:"semester"}}
   }).populate({
@@ -212,7 +304,7 @@ studentViewController.courses = function(req, res){
 }
 
 studentViewController.downloadCourses = function(req, res){
-  schema.Student.findOne({pid: process.env.userPID}).populate({
+  schema.Student.findOne({pid: req.user.pid}).populate({
     path:"grades",
     populate:{path:"course", populate:{path:"semester"}}
   }).populate({
@@ -245,14 +337,7 @@ studentViewController.downloadCourses = function(req, res){
       grade.faculty = result.grades[i].course.faculty.lastName + ", " + result.grades[i].course.faculty.firstName;
       output[i] = grade;
     }
-    var wb = XLSX.utils.book_new();
-    var ws = XLSX.utils.json_to_sheet(output);
-    XLSX.utils.book_append_sheet(wb, ws, "grades");
-    var filePath = path.join(__dirname, "../data/gradeTemp.xlsx");
-    XLSX.writeFile(wb, filePath);
-    res.setHeader("Content-Disposition", "filename=" + result.onyen + " grades.xlsx");
-    res.setHeader("Content-type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    fs.createReadStream(filePath).pipe(res);
+    exporter.send(req, res, output, {filename: result.onyen + " grades", sheet: "grades", headers: ["onyen", "grade", "department", "number", "section", "semester", "faculty"]});
   });
   
 }
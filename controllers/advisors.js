@@ -0,0 +1,95 @@
+var util = require("./util.js");
+var versions = require("./versions.js");
+
+/*
+Advising relationships of a student: the primary advisor (Student.advisor,
+whose changes are kept by semester in versions.js) and co-advisors
+(Student.coAdvisors), who may be from outside the department. Every
+relationship runs from a start semester through an end semester, an empty
+start is from when the student started and an empty end is still going.
+*/
+var advisors = {};
+
+function index(semester){
+  return semester != null && semester.season != null ? util.semesterIndex(semester) : null;
+}
+
+//whether a relationship covers the semester at position i (util.semesterIndex)
+advisors.covers = function(relationship, i){
+  var start = index(relationship.start);
+  var end = index(relationship.end);
+  return (start == null || start <= i) && (end == null || end >= i);
+}
+
+/*
+@returns the name of the advisor of a relationship: the Faculty record's
+(populated) or the external co-advisor's
+*/
+advisors.name = function(relationship){
+  if(relationship.faculty != null && relationship.faculty.lastName != null){
+    return relationship.faculty.lastName + ", " + relationship.faculty.firstName;
+  }
+  return relationship.external != null && relationship.external.name != null ? relationship.external.name : "";
+}
+
+/*
+@description every advising relationship of a student, primary advisors
+first (oldest first), then co-advisors
+
+@param student Student with semesterStarted, versions.semester and
+coAdvisors.startSemester/endSemester populated (and advisor,
+versions.advisor and coAdvisors.faculty to get names)
+
+@returns [{faculty, external, primary, start, end, _id (co-advisors)}]
+*/
+advisors.relationships = function(student){
+  var primary = [];
+  var history = versions.history(student, "advisor");
+  if(history.length == 0 && student.advisor != null){
+    primary.push({faculty: student.advisor, primary: true, start: student.semesterStarted, end: null});
+  }
+  history.forEach(function(version, i){
+    var start = version.semester != null && version.semester.season != null ? version.semester : student.semesterStarted;
+    var next = history[i + 1];
+    var end = next != null && index(next.semester) != null ? util.semesterAt(index(next.semester) - 1) : null;
+    //a version replaced in the semester it took effect in never held
+    if(version.advisor == null || (end != null && index(start) != null && index(end) < index(start)) || (next != null && index(next.semester) == null)){
+      return;
+    }
+    primary.push({faculty: version.advisor, primary: true, start: start, end: end});
+  });
+  return primary.concat((student.coAdvisors || []).map(function(coAdvisor){
+    return {_id: coAdvisor._id, faculty: coAdvisor.faculty, external: coAdvisor.external, primary: false, start: coAdvisor.startSemester, end: coAdvisor.endSemester};
+  }));
+}
+
+//the advising relationships of a student in a semester
+advisors.at = function(student, semester){
+  var i = util.semesterIndex(semester);
+  return advisors.relationships(student).filter(function(relationship){
+    return advisors.covers(relationship, i);
+  });
+}
+
+/*
+@description whether a student is still working on a degree in the
+semester at position i: started by then and Active or on Leave. Without a
+recorded status history a graduated student counts through the semester
+of the last degree awarded.
+*/
+advisors.enrolled = function(student, i){
+  if(index(student.semesterStarted) != null && index(student.semesterStarted) > i){
+    return false;
+  }
+  if(versions.history(student, "status").length > 0){
+    var status = versions.valueAt(student, "status", util.semesterAt(i));
+    return status == "Active" || status == "Leave";
+  }
+  if(student.status == "Active" || student.status == "Leave"){
+    return true;
+  }
+  var finished = student.phdAwardedDate || student.mastersAwarded;
+  return student.status == "Graduated" && finished != null && i <= util.semesterIndex(util.semesterOf(finished));
+}
+
+module.exports = advisors;
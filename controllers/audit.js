@@ -0,0 +1,161 @@
+var schema = require("../models/schema.js");
+
+var audit = {};
+
+/*
+@description turns a document into a plain object whose values can be
+compared and stored (ObjectIds become strings)
+*/
+function plain(doc){
+  if(doc == null){
+    return {};
+  }
+  var object = typeof doc.toObject == "function" ? doc.toObject({depopulate: true}) : doc;
+  return JSON.parse(JSON.stringify(object));
+}
+
+/*
+@description compares two versions of a document field by field
+
+@param before document before the write (null when it was created)
+@param after document after the write (null when it was deleted)
+
+@returns array of {field, before, after} for every top level field that changed
+*/
+audit.diff = function(before, after){
+  before = plain(before);
+  after = plain(after);
+  var changes = [];
+  var fields = Object.keys(before).concat(Object.keys(after).filter(function(key){
+    return !(key in before);
+  }));
+  fields.forEach(function(field){
+    if(field == "_id" || field == "__v"){
+      return;
+    }
+    if(JSON.stringify(before[field]) !== JSON.stringify(after[field])){
+      changes.push({field: field, before: before[field], after: after[field]});
+    }
+  });
+  return changes;
+}
+
+/*
+@description finds the student a document belongs to, so that the change
+shows up on that student's History tab
+*/
+audit.studentOf = function(modelName, doc){
+  if(doc == null){
+    return null;
+  }
+  if(modelName == "Student"){
+    return doc._id;
+  }
+  return doc.student || null;
+}
+
+/*
+@description records one write in the audit trail. Audit failures are
+logged but never stop the write that was already made.
+
+@param req the request that made the change (actor and route are taken from it)
+@param model schema.{model} that was written to
+@param before document before the write, null for creates
+@param after document after the write, null for deletes
+
+@returns a promise that resolves to the saved Audit (or null if nothing changed)
+*/
+audit.record = function(req, model, before, after){
+  var changes = audit.diff(before, after);
+  var action = before == null ? "create" : (after == null ? "delete" : "update");
+  if(action == "update" && changes.length == 0){
+    return Promise.resolve(null);
+  }
+  var doc = after || before;
+  var entry = new schema.Audit({
+    actor: req.user != null ? req.user.onyen : null,
+    actorPid: req.user != null ? req.user.pid : null,
+    timestamp: new Date(),
+    route: req.method + " " + req.originalUrl,
+    action: action,
+    model: model.modelName,
+    document: doc._id,
+    student: audit.studentOf(model.modelName, doc),
+    changes: changes
+  });
+  return entry.save().catch(function(err){
+    console.log("audit entry for "+model.modelName+" "+doc._id+" did not save: "+err.message);
+    return null;
+  });
+}
+
+/*
+@description records a newly saved document, use as
+inputModel.save().then(audit.created(req)).then(...)
+
+@returns a function that records the document and passes it on
+*/
+audit.created = function(req){
+  return function(doc){
+    return audit.record(req, doc.constructor, null, doc).then(function(){
+      return doc;
+    });
+  }
+}
+
+/*
+@description audited replacement for model.findOneAndUpdate(conditions, update)
+
+@returns a promise that resolves to the updated document,
+or null if no document matched
+*/
+audit.update = function(req, model, conditions, update){
+  var before;
+  return model.findOne(conditions).exec().then(function(result){
+    if(result == null){
+      return null;
+    }
+    before = result.toObject();
+    return model.findOneAndUpdate({_id: result._id}, update, {new: true}).exec();
+  }).then(function(result){
+    if(result == null){
+      return null;
+    }
+    return audit.record(req, model, before, result).then(function(){
+      return result;
+    });
+  });
+}
+
+/*
+@description audited replacement for model.findOneAndRemove(conditions)
+
+@returns a promise that resolves to the removed document,
+or null if no document matched
+*/
+audit.remove = function(req, model, conditions){
+  return model.findOneAndRemove(conditions).exec().then(function(result){
+    if(result == null){
+      return null;
+    }
+    return audit.record(req, model, result, null).then(function(){
+      return result;
+    });
+  });
+}
+
+/*
+@description audited replacement for model.find(conditions).remove(),
+records one delete per removed document
+
+@returns a promise that resolves to the removed documents
+*/
+audit.removeAll = function(req, model, conditions){
+  return model.find(conditions).exec().then(function(result){
+    return Promise.all(result.map(function(doc){
+      return audit.remove(req, model, {_id: doc._id});
+    }));
+  });
+}
+
+module.exports = audit;
@@ -0,0 +1,193 @@
+var schema = require("../models/schema.js");
+
+/*
+Thesis and dissertation committees (Committee), one per student and
+degree. A member serves from appointed until ended (no end date while
+serving). Current members hold the committeeChair and committeeMember
+roles of permissions.js for the student, and the committee forms are
+prefilled from the committee (committees.forms).
+*/
+var committees = {};
+
+committees.degrees = {MASTERS: "M.S.", PHD: "Ph.D."};
+
+//member roles in the order they are listed
+committees.roles = {chair: "Chair", advisor: "Advisor", member: "Member", outside: "Outside member"};
+
+//department of members with a Faculty record
+committees.department = "Computer Science";
+
+/*
+Forms filled in from a committee: the degree of the committee, the fields
+the current members' names go to in role order (with department fields
+where the form has them), and the fields for the chair and the advisor
+*/
+committees.forms = {
+  CS05: {degree: "MASTERS", names: ["nominee1", "nominee2", "nominee3", "nominee4", "nominee5"], department: "Department", chair: "committeeChairman", advisor: "thesisAdviser"},
+  CS06: {degree: "PHD", names: ["committee1", "committee2", "committee3", "committee4", "committee5", "committee6"], chair: "chairman", advisor: "adviser"},
+  CS09: {degree: "PHD", names: [], advisor: "researchAdvisor"}
+};
+
+//whether a member serves on the committee at the date (now by default)
+committees.serving = function(member, now){
+  return member.ended == null || new Date(member.ended) > (now || new Date());
+}
+
+/*
+@returns the name of a member: the Faculty record's (populated) or the
+external member's
+*/
+committees.memberName = function(member){
+  if(member.faculty != null && member.faculty.lastName != null){
+    return member.faculty.firstName + " " + member.faculty.lastName;
+  }
+  return member.external != null && member.external.name != null ? member.external.name : "";
+}
+
+/*
+@returns the current members of a committee ordered by role, then by when
+they were appointed
+*/
+committees.current = function(committee, now){
+  var order = Object.keys(committees.roles);
+  return (committee.members || []).filter(function(member){
+    return committees.serving(member, now);
+  }).sort(function(a, b){
+    return order.indexOf(a.role) - order.indexOf(b.role) || new Date(a.appointed || 0) - new Date(b.appointed || 0);
+  });
+}
+
+/*
+@description whether a faculty member currently serves on one of the
+committees in one of the roles
+
+@param list Committees (members.faculty populated or not)
+@param roles member roles, every role when empty
+*/
+committees.serves = function(list, facultyId, roles, now){
+  return (list || []).some(function(committee){
+    return committees.current(committee, now).some(function(member){
+      var id = member.faculty != null ? (member.faculty._id || member.faculty) : null;
+      return id != null && String(id) == String(facultyId) && (roles == null || roles.indexOf(member.role) != -1);
+    });
+  });
+}
+
+/*
+@description whether the user currently serves on a committee of the
+student in one of the roles
+
+@returns a promise that resolves to true or false
+*/
+committees.holds = function(user, studentId, roles){
+  if(user == null || user.faculty == null){
+    return Promise.resolve(false);
+  }
+  return schema.Committee.find({student: studentId, "members.faculty": user.faculty._id}).exec().then(function(result){
+    return committees.serves(result, user.faculty._id, roles);
+  }).catch(function(err){
+    return false;
+  });
+}
+
+/*
+@description whether anyone currently holds a role on a committee of the
+student
+
+@returns a promise that resolves to true or false
+*/
+committees.filled = function(studentId, role){
+  return schema.Committee.find({student: studentId}).exec().then(function(result){
+    return result.some(function(committee){
+      return committees.current(committee).some(function(member){
+        return member.role == role;
+      });
+    });
+  });
+}
+
+/*
+@description fills the empty committee fields of a form (committees.forms)
+from the current members of the student's committee for its degree. Only
+form fields are set, nothing is saved.
+
+@param committee Committee with members.faculty populated, or null
+
+@returns form
+*/
+committees.fill = function(title, form, committee, now){
+  var fields = committees.forms[title];
+  if(fields == null || committee == null){
+    return form;
+  }
+  var empty = function(field){
+    return form[field] == null || form[field] === "";
+  };
+  var set = function(field, value){
+    if(field != null && empty(field) && value){
+      form[field] = value;
+    }
+  };
+  var members = committees.current(committee, now);
+  members.slice(0, fields.names.length).forEach(function(member, i){
+    var field = fields.names[i];
+    if(!empty(field)){
+      return;
+    }
+    set(field, committees.memberName(member));
+    if(fields.department != null){
+      set(field + fields.department, member.faculty != null ? committees.department : (member.external || {}).department);
+    }
+  });
+  ["chair", "advisor"].forEach(function(role){
+    var member = members.find(function(member){
+      return member.role == role;
+    });
+    if(member != null){
+      set(fields[role], committees.memberName(member));
+    }
+  });
+  return form;
+}
+
+/*
+@description committees.fill with the student's committee loaded
+
+@returns a promise that resolves to form
+*/
+committees.prefill = function(title, form, studentId){
+  var fields = committees.forms[title];
+  if(fields == null){
+    return Promise.resolve(form);
+  }
+  return schema.Committee.findOne({student: studentId, degree: fields.degree}).populate("members.faculty").exec().then(function(result){
+    return committees.fill(title, form, result);
+  });
+}
+
+/*
+@description the committees a faculty member serves or served on, of
+students who are not deleted
+
+@returns a promise that resolves to [{committee, student, members (the
+faculty member's memberships)}] ordered by student name
+*/
+committees.forFaculty = function(facultyId){
+  return schema.Committee.find({"members.faculty": facultyId}).populate("student").populate("members.faculty").exec().then(function(result){
+    return result.filter(function(committee){
+      return committee.student != null;
+    }).map(function(committee){
+      return {
+        committee: committee,
+        student: committee.student,
+        members: committee.members.filter(function(member){
+          return member.faculty != null && String(member.faculty._id) == String(facultyId);
+        })
+      };
+    }).sort(function(a, b){
+      return (a.student.lastName + ", " + a.student.firstName).localeCompare(b.student.lastName + ", " + b.student.firstName);
+    });
+  });
+}
+
+module.exports = committees;
@@ -0,0 +1,211 @@
+var schema = require("../models/schema.js");
+var workflow = require("./workflow.js");
+var catalogs = require("./degreeRules.js");
+
+var degreeAudit = {};
+
+degreeAudit.programs = {MASTERS: "M.S.", PHD: "Ph.D."};
+
+/*
+@description the catalog year a student is audited under: the student's
+catalogYear if set, otherwise the academic year of semesterStarted
+(a student starting in spring 2019 entered under the 2018-2019 catalog)
+
+@param student Student with semesterStarted populated
+
+@returns the year, or null if neither is known
+*/
+degreeAudit.catalogYear = function(student){
+  if(student.catalogYear != null){
+    return student.catalogYear;
+  }
+  var started = student.semesterStarted;
+  if(started == null || started.year == null){
+    return null;
+  }
+  return started.season == "FA" ? started.year : started.year - 1;
+}
+
+/*
+@description the newest catalog that is not newer than the year, or the
+oldest catalog if the year is unknown or older than every catalog
+*/
+degreeAudit.catalogFor = function(year){
+  var sorted = catalogs.slice().sort(function(a, b){
+    return a.catalogYear - b.catalogYear;
+  });
+  var catalog = sorted[0];
+  sorted.forEach(function(c){
+    if(year != null && c.catalogYear <= year){
+      catalog = c;
+    }
+  });
+  return catalog;
+}
+
+//grades of the student whose course is known
+function gradesOf(student){
+  return (student.grades || []).filter(function(grade){
+    return grade != null && grade.course != null;
+  });
+}
+
+function hoursOf(grades){
+  return grades.reduce(function(sum, grade){
+    return sum + (grade.course.hours || 0);
+  }, 0);
+}
+
+function inProgress(grade){
+  return grade.grade == null || grade.grade == "NA";
+}
+
+function formatDate(date){
+  return new Date(date).toISOString().substring(0, 10);
+}
+
+/*
+Checks for each requirement type. Each gets the requirement, the student
+(grades populated with their course) and the student's FormApprovals by
+form title, and returns {status, detail} where status is
+satisfied, pending or missing.
+*/
+degreeAudit.checks = {
+  breadth: function(rule, student){
+    var grades = gradesOf(student);
+    var done = [], taking = [], missing = [];
+    rule.categories.forEach(function(category){
+      var inCategory = grades.filter(function(grade){
+        return grade.course.category == category;
+      });
+      var passed = inCategory.some(function(grade){
+        return rule.grades.indexOf(grade.grade) != -1;
+      });
+      if(passed){
+        done.push(category);
+      }
+      else if(inCategory.some(inProgress)){
+        taking.push(category);
+      }
+      else{
+        missing.push(category);
+      }
+    });
+    var detail = [];
+    if(done.length > 0){
+      detail.push("done: " + done.join(", "));
+    }
+    if(taking.length > 0){
+      detail.push("in progress: " + taking.join(", "));
+    }
+    if(missing.length > 0){
+      detail.push("missing: " + missing.join(", "));
+    }
+    var status = missing.length > 0 ? "missing" : (taking.length > 0 ? "pending" : "satisfied");
+    return {status: status, detail: detail.join("; ")};
+  },
+  hours: function(rule, student){
+    var grades = gradesOf(student);
+    var passed = hoursOf(grades.filter(function(grade){
+      return rule.grades.indexOf(grade.grade) != -1;
+    }));
+    //hoursCompleted is entered by hand and includes transfer credit
+    passed = Math.max(passed, student.hoursCompleted || 0);
+    var taking = hoursOf(grades.filter(inProgress));
+    var detail = passed + " of " + rule.min + " hours";
+    if(taking > 0){
+      detail += ", " + taking + " in progress";
+    }
+    if(passed >= rule.min){
+      return {status: "satisfied", detail: detail};
+    }
+    return {status: passed + taking >= rule.min ? "pending" : "missing", detail: detail};
+  },
+  gradeLimit: function(rule, student){
+    var hours = hoursOf(gradesOf(student).filter(function(grade){
+      return rule.grades.indexOf(grade.grade) != -1;
+    }));
+    var detail = hours + " hours, at most " + rule.maxHours + " allowed";
+    return {status: hours <= rule.maxHours ? "satisfied" : "missing", detail: detail};
+  },
+  milestone: function(rule, student, approvals){
+    if(student[rule.field] != null){
+      return {status: "satisfied", detail: formatDate(student[rule.field])};
+    }
+    var approval = rule.form != null ? approvals[rule.form] : null;
+    if(approval != null && approval.state != "draft"){
+      return {status: "pending", detail: rule.form + ": " + workflow.describe(approval)};
+    }
+    return {status: "missing", detail: ""};
+  },
+  form: function(rule, student, approvals){
+    var approval = approvals[rule.form];
+    if(approval != null && approval.state == "approved"){
+      var approved = approval.transitions[approval.transitions.length - 1];
+      return {status: "satisfied", detail: "approved " + formatDate(approved.at)};
+    }
+    if(rule.field != null && student[rule.field] != null){
+      return {status: "satisfied", detail: "approved " + formatDate(student[rule.field])};
+    }
+    if(approval != null && approval.state != "draft"){
+      return {status: "pending", detail: workflow.describe(approval)};
+    }
+    return {status: "missing", detail: ""};
+  }
+};
+
+/*
+@description audits a student against one program's requirements
+
+@param degree MASTERS or PHD
+@param approvals the student's FormApprovals by form title (workflow.findAll)
+
+@returns {degree, label, items: [{id, label, status, detail}], complete}
+*/
+degreeAudit.check = function(catalog, degree, student, approvals){
+  var items = catalog[degree].map(function(rule){
+    var result = degreeAudit.checks[rule.type](rule, student, approvals);
+    return {id: rule.id, label: rule.label, status: result.status, detail: result.detail};
+  });
+  return {
+    degree: degree,
+    label: degreeAudit.programs[degree],
+    items: items,
+    complete: items.every(function(item){
+      return item.status == "satisfied";
+    })
+  };
+}
+
+/*
+@description audits a student against the requirements of the
+program(s) in intendedDegree, using the rules of the student's catalog year
+
+@param student Student document or its _id
+
+@returns a promise that resolves to {catalogYear, programs: [degreeAudit.check results]}
+*/
+degreeAudit.run = function(student){
+  var id = student._id || student;
+  return schema.Student.findOne({_id: id}).populate("semesterStarted").populate({
+    path: "grades",
+    populate: {path: "course"}
+  }).exec().then(function(result){
+    if(result == null){
+      throw new Error("Student not found");
+    }
+    student = result;
+    return workflow.findAll(student._id);
+  }).then(function(approvals){
+    var catalog = degreeAudit.catalogFor(degreeAudit.catalogYear(student));
+    var degrees = student.intendedDegree == "BOTH" ? ["MASTERS", "PHD"] : [student.intendedDegree || "MASTERS"];
+    return {
+      catalogYear: catalog.catalogYear,
+      programs: degrees.map(function(degree){
+        return degreeAudit.check(catalog, degree, student, approvals);
+      })
+    };
+  });
+}
+
+module.exports = degreeAudit;
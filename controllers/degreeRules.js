@@ -0,0 +1,55 @@
+/*
+Program requirements by catalog year. A student is audited against the
+newest catalog that is not newer than their catalog year (see
+degreeAudit.catalogYear), so when the requirements change add a new
+catalog instead of editing an old one; students who entered under the old
+rules keep being audited against them.
+
+Requirement types (checked in degreeAudit.js):
+breadth    one passed course in each of categories (Course.category)
+hours      at least min hours of passed courses
+gradeLimit at most maxHours hours of courses with one of grades
+milestone  the Student date field is set
+form       the form is approved through the workflow (or the Student date
+           field, for forms approved before the workflow existed)
+*/
+
+//grades that count as passing a course for breadth and hours
+var PASSING = ["H+", "H", "H-", "P+", "P", "P-", "L+", "L", "L-"];
+var LOW = ["L+", "L", "L-"];
+
+var masters2010 = [
+  {id: "breadth", type: "breadth", label: "Breadth (one course each in Theory, Systems and Applications)", categories: ["Theory", "Systems", "Appls"], grades: ["H+", "H", "H-", "P+", "P", "P-"]},
+  {id: "hours", type: "hours", label: "30 hours of graduate course work", min: 30, grades: PASSING},
+  {id: "lowGrades", type: "gradeLimit", label: "No more than 9 hours of L grades", grades: LOW, maxHours: 9},
+  {id: "background", type: "form", label: "Background preparation worksheet (CS01)", form: "CS01", field: "backgroundPrepWorksheetApproved"},
+  {id: "programOfStudy", type: "form", label: "M.S. program of study (CS03)", form: "CS03", field: "programOfStudyApproved"},
+  {id: "technicalWriting", type: "form", label: "Technical writing requirement (CS08)", form: "CS08"},
+  {id: "programProduct", type: "form", label: "Program product requirement (CS13)", form: "CS13"}
+];
+
+var phd2010 = [
+  {id: "breadth", type: "breadth", label: "Breadth (one course each in Theory, Systems and Applications)", categories: ["Theory", "Systems", "Appls"], grades: ["H+", "H", "H-", "P+", "P", "P-"]},
+  {id: "hours", type: "hours", label: "30 hours of graduate course work", min: 30, grades: PASSING},
+  {id: "lowGrades", type: "gradeLimit", label: "No more than 9 hours of L grades", grades: LOW, maxHours: 9},
+  {id: "background", type: "form", label: "Background preparation worksheet (CS01)", form: "CS01", field: "backgroundPrepWorksheetApproved"},
+  {id: "programOfStudy", type: "form", label: "Ph.D. program of study (CS06)", form: "CS06", field: "programOfStudyApproved"},
+  {id: "technicalWriting", type: "form", label: "Technical writing requirement (CS08)", form: "CS08"},
+  {id: "teaching", type: "form", label: "Teaching requirement (CS11)", form: "CS11"},
+  {id: "prp", type: "milestone", label: "Preliminary research presentation passed", field: "prpPassed", form: "CS09"},
+  {id: "committee", type: "milestone", label: "Committee composition approved", field: "committeeCompApproved"},
+  {id: "proposal", type: "milestone", label: "Dissertation proposal approved", field: "phdProposalApproved"},
+  {id: "oral", type: "milestone", label: "Oral exam passed", field: "oralExamPassed"},
+  {id: "defense", type: "milestone", label: "Dissertation defense passed", field: "dissertationDefencePassed"},
+  {id: "dissertation", type: "milestone", label: "Dissertation submitted", field: "dissertationSubmitted"}
+];
+
+//since 2018 Ph.D. students hold a research planning meeting (CS12) before the proposal
+var phd2018 = phd2010.slice(0, 9).concat([
+  {id: "researchPlanning", type: "milestone", label: "Research planning meeting held", field: "researchPlanningMeeting", form: "CS12"}
+]).concat(phd2010.slice(9));
+
+module.exports = [
+  {catalogYear: 2010, MASTERS: masters2010, PHD: phd2010},
+  {catalogYear: 2018, MASTERS: masters2010, PHD: phd2018}
+];
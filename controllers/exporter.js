@@ -0,0 +1,152 @@
+var XLSX = require("xlsx");
+
+var exporter = {};
+
+//formats downloads can be sent in, the first is the default
+exporter.formats = {
+  xlsx: {contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"},
+  csv: {contentType: "text/csv"},
+  json: {contentType: "application/json"}
+};
+
+/*
+@description the format a download is asked for: the format query
+parameter (?format=csv), or else the best match of the Accept header
+
+@param formats (optional) {name: {contentType}} the download can be sent
+in, the first is the default. By default exporter.formats
+
+@returns the name of the format, or null if the query names another format
+*/
+exporter.format = function(req, formats){
+  formats = formats || exporter.formats;
+  var names = Object.keys(formats);
+  if(req.query != null && req.query.format != null && req.query.format != ""){
+    var name = String(req.query.format).toLowerCase();
+    return names.indexOf(name) != -1 ? name : null;
+  }
+  var accepted = req.accepts(names.map(function(name){
+    return formats[name].contentType;
+  }));
+  var found = names.filter(function(name){
+    return formats[name].contentType == accepted;
+  });
+  //browsers accept anything, they get the default
+  return found.length > 0 ? found[0] : names[0];
+}
+
+//a value as a cell holds it, references and lists become text
+function cell(value){
+  if(value == null || value === ""){
+    return null;
+  }
+  if(Array.isArray(value)){
+    return value.map(cell).join(", ");
+  }
+  if(value instanceof Date || typeof value != "object"){
+    return value;
+  }
+  return String(value);
+}
+
+/*
+@description lines rows up with the headers: every row gets every header,
+in order, and nothing else
+
+@param rows plain objects, e.g. lean query results with references
+already written out as text
+@param headers (optional) the columns, by default the keys of every row
+
+@returns {headers, rows}
+*/
+exporter.table = function(rows, headers){
+  if(headers == null){
+    headers = [];
+    rows.forEach(function(row){
+      Object.keys(row).forEach(function(key){
+        if(headers.indexOf(key) == -1){
+          headers.push(key);
+        }
+      });
+    });
+  }
+  return {headers: headers, rows: rows.map(function(row){
+    var result = {};
+    headers.forEach(function(header){
+      result[header] = cell(row[header]);
+    });
+    return result;
+  })};
+}
+
+/*
+@returns a worksheet of a table (exporter.table), with the headers in the
+first row even when there are no rows
+*/
+exporter.sheet = function(table){
+  return XLSX.utils.json_to_sheet(table.rows, {header: table.headers, cellDates: true, dateNF: "yyyy-mm-dd"});
+}
+
+/*
+@description sets the headers of a download. Headers only carry ASCII, so
+the filename is sent as filename* (UTF-8, RFC 5987) with a quoted ASCII
+fallback (accents dropped, other characters replaced by _) for clients that
+do not read filename*.
+*/
+exporter.attachment = function(res, filename, contentType){
+  var ascii = filename.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^\x20-\x7e]|["\\]/g, "_");
+  var encoded = encodeURIComponent(filename).replace(/['()*]/g, function(c){
+    return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+  res.setHeader("Content-Disposition", "attachment; filename=\"" + ascii + "\"; filename*=UTF-8''" + encoded);
+  res.setHeader("Content-type", contentType);
+}
+
+/*
+@returns an xlsx workbook with a worksheet for each of [{name, table}]
+(tables as exporter.table makes them)
+*/
+exporter.workbook = function(sheets){
+  var wb = XLSX.utils.book_new();
+  sheets.forEach(function(sheet){
+    XLSX.utils.book_append_sheet(wb, exporter.sheet(sheet.table), sheet.name);
+  });
+  return XLSX.write(wb, {type: "buffer", bookType: "xlsx"});
+}
+
+/*
+@description sends rows as a download in the format the request asks for
+(exporter.format). Nothing is written to disk, so downloads can not
+overwrite each other.
+
+@param options {filename (without extension), sheet (name of the
+worksheet), headers (optional, see exporter.table)}
+
+@finish sends the file, or a 406 error page for an unknown format
+*/
+exporter.send = function(req, res, rows, options){
+  var format = exporter.format(req);
+  if(format == null){
+    res.status(406);
+    res.render("../views/error.ejs", {string: "Downloads can be " + Object.keys(exporter.formats).join(", ") + ", not " + req.query.format});
+    return;
+  }
+  var table = exporter.table(rows, options.headers);
+  exporter.attachment(res, options.filename + "." + format, exporter.formats[format].contentType);
+  if(format == "json"){
+    //written a row at a time so large exports are not held as one string
+    res.write("[");
+    table.rows.forEach(function(row, i){
+      res.write((i > 0 ? ",\n" : "\n") + JSON.stringify(row));
+    });
+    res.end("\n]\n");
+  }
+  else if(format == "csv"){
+    XLSX.stream.to_csv(exporter.sheet(table)).pipe(res);
+  }
+  else{
+    res.end(exporter.workbook([{name: options.sheet || options.filename, table: table}]));
+  }
+}
+
+module.exports = exporter;
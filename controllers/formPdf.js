@@ -0,0 +1,282 @@
+var schema = require("../models/schema.js");
+var workflow = require("./workflow.js");
+var exporter = require("./exporter.js");
+var ejs = require("ejs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+var PDFDocument = require("pdfkit");
+
+var formPdf = {};
+
+//elements that start a new line in the pdf
+var BLOCK = ["div", "p", "h1", "h2", "h3", "h4", "h5", "h6", "tr", "li", "ul", "ol", "table", "form", "details"];
+var HEADING = ["h1", "h2", "h3", "h4", "h5", "h6", "strong", "b", "th"];
+
+/*
+@description renders the form's EJS template the way staff see it, so
+that the pdf has every section of the paper form
+
+@returns a promise that resolves to the html of the page
+*/
+formPdf.renderHtml = function(title, student, form, approval){
+  if(approval == null){
+    approval = new schema.FormApproval({student: student._id, form: title, state: "draft", step: 0});
+  }
+  var locals = {
+    student: student,
+    form: form || {},
+    signature: "",
+    uploadSuccess: false,
+    isStudent: false,
+    postMethod: "",
+    hasAccess: true,
+    status: [],
+    workflow: {
+      approval: approval,
+      status: workflow.describe(approval),
+      route: workflow.routes[title] || [],
+      editable: true,
+      actions: {submit: false, sign: false, sendBack: false}
+    }
+  };
+  return new Promise(function(resolve, reject){
+    ejs.renderFile(path.join(__dirname, "../views/student/"+title+".ejs"), locals, function(err, html){
+      if(err){
+        reject(err);
+      }
+      else{
+        resolve(html);
+      }
+    });
+  });
+}
+
+/*
+@description walks the form part of a rendered template and turns it into
+lines of text, with the values of inputs, selects and textareas in place
+of the controls
+
+@returns {title, lines} where each line is either {rule: true} or
+{segments: [{text, bold, value}]}
+*/
+formPdf.extract = function(html){
+  var document = new JSDOM(html).window.document;
+  var container = document.querySelector("div[align=left]") || document.body;
+  var lines = [];
+  var current = [];
+  var bold = 0;
+
+  function push(text, value){
+    current.push({text: text, bold: bold > 0, value: value});
+  }
+  function flush(){
+    var hasText = current.some(function(segment){
+      return segment.value || segment.text.trim() != "";
+    });
+    if(hasText){
+      lines.push({segments: current});
+    }
+    current = [];
+  }
+  function walk(node){
+    if(node.nodeType == 3){
+      var text = node.textContent.replace(/\s+/g, " ").trim();
+      if(text != ""){
+        push(text, false);
+      }
+      return;
+    }
+    if(node.nodeType != 1){
+      return;
+    }
+    var tag = node.tagName.toLowerCase();
+    if(tag == "script" || tag == "style" || tag == "button" || tag == "summary"){
+      return;
+    }
+    if(tag == "input"){
+      var type = (node.getAttribute("type") || "text").toLowerCase();
+      if(type == "hidden" || type == "submit"){
+        return;
+      }
+      if(type == "checkbox" || type == "radio"){
+        push(node.hasAttribute("checked") ? "[x]" : "[ ]", false);
+        return;
+      }
+      push(node.getAttribute("value") || "", true);
+      return;
+    }
+    if(tag == "select"){
+      var option = node.options[node.selectedIndex];
+      push(option != null ? option.textContent.trim() : "", true);
+      return;
+    }
+    if(tag == "textarea"){
+      flush();
+      push(node.textContent.trim(), true);
+      flush();
+      return;
+    }
+    if(tag == "hr"){
+      flush();
+      lines.push({rule: true});
+      return;
+    }
+    if(tag == "br"){
+      flush();
+      return;
+    }
+    var block = BLOCK.indexOf(tag) != -1;
+    var heading = HEADING.indexOf(tag) != -1;
+    if(block){
+      flush();
+    }
+    if(heading){
+      bold++;
+    }
+    for(var i = 0; i < node.childNodes.length; i++){
+      walk(node.childNodes[i]);
+    }
+    if(heading){
+      bold--;
+    }
+    if(block){
+      flush();
+    }
+  }
+
+  walk(container);
+  flush();
+  //the form's name is in the h3 headings above the form
+  var headings = Array.prototype.filter.call(document.querySelectorAll("h3"), function(h){
+    return !container.contains(h);
+  }).map(function(h){
+    return h.textContent.trim();
+  });
+  return {title: headings.join(" "), lines: lines};
+}
+
+/*
+@description the signatures of a form, taken from the approval record
+when the form went through the workflow and from the form fields otherwise
+
+@returns array of {label, name, date}
+*/
+formPdf.signatures = function(title, form, approval){
+  return (workflow.routes[title] || []).map(function(step, i){
+    var signed = approval != null ? approval.signatures.find(function(signature){
+      return signature.step == i;
+    }) : null;
+    if(signed != null){
+      return {label: step.label, name: signed.name, date: signed.signedAt.toISOString().substring(0, 10)};
+    }
+    return {
+      label: step.label,
+      name: form != null && form[step.field] ? form[step.field] : "",
+      date: form != null && step.dateField != null && form[step.dateField] ? form[step.dateField] : ""
+    };
+  });
+}
+
+function writeLine(doc, line){
+  if(line.rule){
+    doc.moveDown(0.3);
+    doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).strokeColor("#999999").stroke();
+    doc.moveDown(0.3);
+    return;
+  }
+  line.segments.forEach(function(segment, i){
+    var text = segment.text;
+    if(segment.value){
+      text = text == "" ? "__________" : text;
+    }
+    var last = i == line.segments.length - 1;
+    doc.font(segment.bold ? "Helvetica-Bold" : (segment.value ? "Helvetica-Oblique" : "Helvetica"));
+    doc.text(text + (last ? "" : " "), {continued: !last, underline: segment.value && segment.text != ""});
+  });
+}
+
+/*
+@description writes the pdf of one form to a stream
+
+@param out stream the pdf is piped to (e.g. the response)
+@param title name of the form, e.g. CS01
+@param student the Student document
+@param form the stored form document (null if never saved)
+@param approval the FormApproval of the form (null if never submitted)
+
+@returns a promise that resolves when the pdf has been written
+*/
+formPdf.write = function(out, title, student, form, approval){
+  return formPdf.renderHtml(title, student, form, approval).then(function(html){
+    var content = formPdf.extract(html);
+    var doc = new PDFDocument({size: "LETTER", margins: {top: 50, bottom: 60, left: 50, right: 50}, bufferPages: true});
+    doc.pipe(out);
+    doc.info.Title = title + " " + student.lastName + ", " + student.firstName;
+
+    doc.font("Helvetica-Bold").fontSize(14).text(content.title, {align: "center"});
+    doc.font("Helvetica").fontSize(10).text("Status: " + workflow.describe(approval), {align: "center"});
+    doc.moveDown();
+    content.lines.forEach(function(line){
+      writeLine(doc, line);
+    });
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(12).text("Signatures");
+    doc.fontSize(10);
+    formPdf.signatures(title, form, approval).forEach(function(signature){
+      doc.font("Helvetica-Bold").text(signature.label + ": ", {continued: true});
+      doc.font("Helvetica").text((signature.name || "not signed") + (signature.date ? "    Date: " + signature.date : ""));
+    });
+    if(approval != null && approval.state == "approved"){
+      var approved = approval.transitions[approval.transitions.length - 1];
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").text("Approved on " + approved.at.toISOString().substring(0, 10));
+    }
+
+    //footer with the student on every page
+    var pages = doc.bufferedPageRange();
+    for(var i = 0; i < pages.count; i++){
+      doc.switchToPage(pages.start + i);
+      var bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font("Helvetica").fontSize(8).text(
+        student.lastName + ", " + student.firstName + "    PID " + student.pid + "    " + title + "    Page " + (i + 1) + " of " + pages.count,
+        doc.page.margins.left, doc.page.height - 35,
+        {align: "center", width: doc.page.width - doc.page.margins.left - doc.page.margins.right}
+      );
+      doc.page.margins.bottom = bottom;
+    }
+    return new Promise(function(resolve, reject){
+      out.on("finish", resolve);
+      out.on("error", reject);
+      doc.end();
+    });
+  });
+}
+
+//name of the pdf of a student's form
+formPdf.filename = function(title, student){
+  return title + "_" + student.lastName + "_" + student.firstName + ".pdf";
+}
+
+/*
+@description loads a student's form and its approval and writes the pdf
+to the response as a download
+
+@returns a promise that resolves when the pdf has been sent
+*/
+formPdf.send = function(res, student, title){
+  if(workflow.routes[title] == null){
+    return Promise.reject(new Error("Unknown form "+title));
+  }
+  var form;
+  return schema[title].findOne({student: student._id}).exec().then(function(result){
+    form = result;
+    return schema.FormApproval.findOne({student: student._id, form: title}).exec();
+  }).then(function(result){
+    exporter.attachment(res, formPdf.filename(title, student), "application/pdf");
+    return formPdf.write(res, title, student, form, result);
+  });
+}
+
+module.exports = formPdf;
@@ -0,0 +1,165 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+
+var grants = {};
+
+function semesterName(semester){
+  return semester != null && semester.season != null ? semester.season + " " + semester.year : "";
+}
+
+function dateName(date){
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/*
+@description what a grant paid for each semester and the budget left after
+it. Every student holding a job funded from the grant uses one RA semester
+and the hours of the job.
+
+@param jobs the jobs funded from the grant with semester populated and
+students (the students holding the job)
+
+@returns {rows: [{semester, jobs, students, semesters, hours,
+remainingSemesters, remainingHours}], used: {semesters, hours}, remaining:
+{semesters, hours}} in semester order, remaining is null where the grant has
+no budget of that kind
+*/
+grants.burnDown = function(grant, jobs){
+  var bySemester = {};
+  jobs.forEach(function(job){
+    if(job.semester == null || job.semester.season == null){
+      return;
+    }
+    var index = util.semesterIndex(job.semester);
+    var holders = (job.students || []).length;
+    bySemester[index] = bySemester[index] || {semester: job.semester, jobs: 0, students: 0, semesters: 0, hours: 0};
+    bySemester[index].jobs++;
+    bySemester[index].students += holders;
+    bySemester[index].semesters += holders;
+    bySemester[index].hours += holders * (job.hours || 0);
+  });
+  var used = {semesters: 0, hours: 0};
+  var left = function(budget, spent){
+    return budget != null ? budget - spent : null;
+  };
+  var rows = Object.keys(bySemester).sort(function(a, b){
+    return a - b;
+  }).map(function(index){
+    var row = bySemester[index];
+    used.semesters += row.semesters;
+    used.hours += row.hours;
+    row.remainingSemesters = left(grant.budgetSemesters, used.semesters);
+    row.remainingHours = left(grant.budgetHours, used.hours);
+    return row;
+  });
+  return {rows: rows, used: used, remaining: {semesters: left(grant.budgetSemesters, used.semesters), hours: left(grant.budgetHours, used.hours)}};
+}
+
+/*
+@description why a job in a semester should not be funded from a grant:
+the grant has ended or not started by that semester, or its budget is
+overspent
+
+@param usage result of grants.burnDown, with the job counted in it
+
+@returns list of messages, empty when there is nothing to warn about
+*/
+grants.warnings = function(grant, semester, usage){
+  var warnings = [];
+  if(semester != null && semester.season != null){
+    var index = util.semesterIndex(semester);
+    if(grant.endDate != null && index > util.semesterIndex(util.semesterOf(grant.endDate))){
+      warnings.push(grant.name + " ended on " + dateName(grant.endDate) + ", before " + semesterName(semester));
+    }
+    if(grant.startDate != null && index < util.semesterIndex(util.semesterOf(grant.startDate))){
+      warnings.push(grant.name + " starts on " + dateName(grant.startDate) + ", after " + semesterName(semester));
+    }
+  }
+  if(usage != null && usage.remaining.semesters != null && usage.remaining.semesters < 0){
+    warnings.push(grant.name + " is over its budget of " + grant.budgetSemesters + " RA semesters by " + (-usage.remaining.semesters));
+  }
+  if(usage != null && usage.remaining.hours != null && usage.remaining.hours < 0){
+    warnings.push(grant.name + " is over its budget of " + grant.budgetHours + " hours by " + (-usage.remaining.hours));
+  }
+  return warnings;
+}
+
+/*
+@returns the state of a grant today: Expired, Exhausted (no budget left),
+Not started or Active
+*/
+grants.status = function(grant, usage, now){
+  now = now || new Date();
+  if(grant.endDate != null && new Date(grant.endDate) < now){
+    return "Expired";
+  }
+  if(usage.remaining.semesters != null && usage.remaining.semesters <= 0 || usage.remaining.hours != null && usage.remaining.hours <= 0){
+    return "Exhausted";
+  }
+  if(grant.startDate != null && new Date(grant.startDate) > now){
+    return "Not started";
+  }
+  return "Active";
+}
+
+/*
+@description loads grants with the jobs funded from them and the students
+holding those jobs
+
+@returns a promise that resolves to [{grant, jobs, usage}] sorted by name,
+jobs have semester, supervisor and course populated and students added
+*/
+grants.load = function(conditions){
+  var found, jobs;
+  return schema.Grant.find(conditions).populate("pi").sort({name: 1}).lean().exec().then(function(result){
+    found = result;
+    return schema.Job.find({fundingSource: {$in: found.map(function(grant){
+      return grant._id;
+    })}}).populate("semester").populate("supervisor").populate("course").lean().exec();
+  }).then(function(result){
+    jobs = result;
+    return schema.Student.find({jobHistory: {$in: jobs.map(function(job){
+      return job._id;
+    })}}, "onyen firstName lastName jobHistory").sort({lastName: 1, firstName: 1}).lean().exec();
+  }).then(function(students){
+    jobs.forEach(function(job){
+      job.students = students.filter(function(student){
+        return student.jobHistory.some(function(id){
+          return String(id) == String(job._id);
+        });
+      });
+    });
+    jobs.sort(function(a, b){
+      return (a.semester != null ? util.semesterIndex(a.semester) : 0) - (b.semester != null ? util.semesterIndex(b.semester) : 0);
+    });
+    return found.map(function(grant){
+      var funded = jobs.filter(function(job){
+        return String(job.fundingSource) == String(grant._id);
+      });
+      return {grant: grant, jobs: funded, usage: grants.burnDown(grant, funded)};
+    });
+  });
+}
+
+/*
+@description the warnings about the grant a job is funded from (see
+grants.warnings)
+
+@param job Job with semester populated
+
+@returns a promise that resolves to a list of messages
+*/
+grants.jobWarnings = function(job){
+  if(job == null || job.fundingSource == null){
+    return Promise.resolve([]);
+  }
+  var id = job.fundingSource._id != null ? job.fundingSource._id : job.fundingSource;
+  return grants.load({_id: id}).then(function(result){
+    if(result.length == 0){
+      return [];
+    }
+    return grants.warnings(result[0].grant, job.semester, result[0].usage);
+  });
+}
+
+module.exports = grants;
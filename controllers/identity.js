@@ -0,0 +1,81 @@
+var schema = require("../models/schema.js");
+var providers = require("./identityProviders");
+
+var identity = {};
+
+/*
+@description finds the Faculty and Student documents that match a
+PID and builds the identity object for the request
+
+@param onyen onyen of the logged in user
+@param pid PID of the logged in user
+
+@returns a promise that resolves to
+{onyen, pid, role ("admin", "faculty", "student" or null), roles, faculty, student}
+where roles are the roles granted through RoleAssignment (see permissions.js)
+*/
+identity.loadUser = function(onyen, pid){
+  var user = {onyen: onyen, pid: pid, role: null, roles: [], faculty: null, student: null};
+  return schema.Faculty.findOne({pid: pid}).exec().then(function(result){
+    user.faculty = result;
+    return schema.Student.findOne({pid: pid}).exec();
+  }).then(function(result){
+    user.student = result;
+    return schema.RoleAssignment.find({pid: pid}).exec();
+  }).then(function(result){
+    user.roles = result.map(function(assignment){
+      return assignment.role;
+    });
+    if(user.faculty != null){
+      user.role = user.faculty.admin == true ? "admin" : "faculty";
+    }
+    else if(user.student != null){
+      user.role = "student";
+    }
+    return user;
+  });
+}
+
+/*
+@description finds the onyen and PID of the user, using the pair cached
+in the user's session when the login proxy still reports the same onyen,
+and asking the configured identity provider otherwise
+
+@returns a promise that resolves to {onyen, pid}
+*/
+identity.lookup = function(req){
+  var cached = req.gradInfoSession.identity;
+  var onyen = req.get("X-REMOTE-USER-1");
+  if(cached != null && cached.pid != null && (onyen == null || onyen == cached.onyen)){
+    return Promise.resolve(cached);
+  }
+  return providers.get().lookup(req).then(function(result){
+    req.gradInfoSession.identity = {onyen: result.onyen, pid: result.pid};
+    return result;
+  });
+}
+
+/*
+@description middleware that resolves the logged in user once per
+request and stores it on req.user, so that two people using the app
+at the same time never see each other's identity
+
+If the identity provider fails (for example the directory service is
+down) an error page explaining that is shown instead of leaving the
+request hanging.
+*/
+identity.resolve = function(req, res, next){
+  identity.lookup(req).then(function(result){
+    return identity.loadUser(result.onyen, result.pid);
+  }).then(function(user){
+    req.user = user;
+    res.locals.user = user.onyen;
+    res.locals.currentUser = user;
+    next();
+  }).catch(function(err){
+    res.status(502);
+    res.render("../views/error.ejs", {string: "Could not verify who you are: "+err.message});
+  });
+}
+
+module.exports = identity;
@@ -0,0 +1,44 @@
+var fs = require("fs");
+var path = require("path");
+
+/*
+Identity provider for development and tests that reads onyen to PID
+pairs from a JSON file instead of calling the onyen directory:
+
+{"default": "someonyen", "users": {"someonyen": 123456789}}
+
+The onyen comes from X-REMOTE-USER-1, or "default" when no header is set.
+*/
+var fixture = {};
+
+fixture.file = process.env.IDENTITY_FIXTURE || path.join(__dirname, "../../test/fixtures/identity.json");
+
+fixture.load = function(){
+  return new Promise((resolve, reject)=>{
+    fs.readFile(fixture.file, "utf8", function(err, data){
+      if(err){
+        reject(new Error("Identity fixture "+fixture.file+" could not be read"));
+        return;
+      }
+      try{
+        resolve(JSON.parse(data));
+      }
+      catch(parseErr){
+        reject(new Error("Identity fixture "+fixture.file+" is not valid JSON"));
+      }
+    });
+  });
+}
+
+fixture.lookup = function(req){
+  return fixture.load().then(function(result){
+    var onyen = req.get("X-REMOTE-USER-1") || result.default;
+    var users = result.users || {};
+    if(onyen == null || users[onyen] == null){
+      throw new Error("The identity fixture has no PID for "+onyen);
+    }
+    return {onyen: onyen, pid: parseInt(users[onyen])};
+  });
+}
+
+module.exports = fixture;
@@ -0,0 +1,30 @@
+var schema = require("../../models/schema.js");
+
+/*
+Identity provider that trusts the onyen in X-REMOTE-USER-1 and finds the
+PID on the matching Faculty or Student record, so no directory service is
+needed. Only use this behind a proxy that strips the header from clients.
+*/
+var header = {};
+
+header.lookup = function(req){
+  var onyen = req.get("X-REMOTE-USER-1");
+  if(!onyen){
+    return Promise.reject(new Error("No onyen was provided by the login proxy"));
+  }
+  //faculty onyens are stored capitalized, student onyens lowercase
+  var search = {onyen: new RegExp("^"+onyen.replace(/[^\w-]/g, "")+"$", "i")};
+  return schema.Faculty.findOne(search).exec().then(function(result){
+    if(result != null){
+      return result;
+    }
+    return schema.Student.findOne(search).exec();
+  }).then(function(result){
+    if(result == null || result.pid == null){
+      throw new Error("No faculty or student has the onyen "+onyen);
+    }
+    return {onyen: onyen, pid: result.pid};
+  });
+}
+
+module.exports = header;
@@ -0,0 +1,25 @@
+/*
+Identity providers turn a request into {onyen, pid}. Each provider
+exports lookup(req), which returns a promise for that pair and rejects
+with an Error whose message can be shown to the user.
+
+The provider is picked with the IDENTITY_PROVIDER environment variable;
+tests use the fixture provider unless told otherwise.
+*/
+var providers = {
+  ldap: require("./ldap.js"),
+  header: require("./header.js"),
+  fixture: require("./fixture.js")
+};
+
+providers.get = function(name){
+  if(name == null){
+    name = process.env.IDENTITY_PROVIDER || (process.env.NODE_ENV == "test" ? "fixture" : "ldap");
+  }
+  if(providers[name] == null || name == "get"){
+    throw new Error("Unknown identity provider "+name);
+  }
+  return providers[name];
+}
+
+module.exports = providers;
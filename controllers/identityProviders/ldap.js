@@ -0,0 +1,75 @@
+var https = require("https");
+
+/*
+Identity provider that asks the department's onyen LDAP service for the
+PID of the onyen in X-REMOTE-USER-1 (set by the Shibboleth proxy).
+*/
+var ldap = {};
+
+ldap.url = process.env.IDENTITY_LDAP_URL || "https://onyenldap.cs.unc.edu/onyenldap.php";
+
+//milliseconds to wait for the LDAP service before giving up
+ldap.timeout = parseInt(process.env.IDENTITY_LDAP_TIMEOUT) || 5000;
+
+/*
+@description pulls the PID out of an LDAP service response. The service
+answers with JSON, but older deployments answered with a "pid: ..." text
+line, so fall back to matching the first nine digit number after "pid".
+
+@param data body of the LDAP response
+
+@returns the PID as a number, or null if there is none
+*/
+ldap.parsePid = function(data){
+  try{
+    var parsed = JSON.parse(data);
+    for(var key in parsed){
+      if(key.toLowerCase() == "pid" && !isNaN(parseInt(parsed[key]))){
+        return parseInt(parsed[key]);
+      }
+    }
+  }
+  catch(err){
+    //not JSON, try the text format below
+  }
+  var match = /pid\W*(\d{9})/i.exec(data);
+  return match != null ? parseInt(match[1]) : null;
+}
+
+ldap.lookup = function(req){
+  var onyen = req.get("X-REMOTE-USER-1");
+  return new Promise((resolve, reject)=>{
+    if(!onyen){
+      reject(new Error("No onyen was provided by the login proxy"));
+      return;
+    }
+    var request = https.get(ldap.url+"?onyen="+encodeURIComponent(onyen), resp=>{
+      let data = "";
+      resp.on("data", (chunk)=>{
+        data += chunk;
+      });
+      resp.on("end", ()=>{
+        if(resp.statusCode != 200){
+          reject(new Error("The onyen directory answered with status "+resp.statusCode));
+          return;
+        }
+        var pid = ldap.parsePid(data);
+        if(pid == null){
+          reject(new Error("The onyen directory has no PID for "+onyen));
+        }
+        else{
+          resolve({onyen: onyen, pid: pid});
+        }
+      });
+    });
+    request.setTimeout(ldap.timeout, function(){
+      request.abort();
+      reject(new Error("The onyen directory did not respond"));
+    });
+    request.on("error", function(err){
+      reject(new Error("The onyen directory could not be reached"));
+    });
+  });
+}
+
+module.exports = ldap;
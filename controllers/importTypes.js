@@ -0,0 +1,464 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var versions = require("./versions.js");
+
+/*
+What each spreadsheet upload imports, see importer.js.
+
+label       shown on the preview page
+note        (optional) warning shown on the preview page
+model       schema fields are coerced with, unless the field names another
+permission  needed to upload, preview and commit
+done, back  pages to go to after a commit and to upload another spreadsheet
+lookups     documents check and apply resolve references with (importer.lookups)
+fields      importable fields in the order the preview lists them:
+            field, label, required, aliases (other header names),
+            ref (faculty or semester, resolved by name), raw (kept as text
+            for check to resolve), model/path (coerce with another
+            schema path), enumAliases (other names of enum values)
+unique      fields no two rows may share
+actions     what a valid row can do, [{name, label}]
+summary     function(values) naming a row on the preview page
+check       function(data, context) with context {lookups, problem(field,
+            message), seen (shared by the rows of one validation)},
+            normalizes data and returns {action, target} where target is
+            passed on to apply
+apply       function(row, writer, lookups) writes one validated row with
+            writer.create/update/removeAll so that the commit can be undone
+beforeCommit (optional) function(writer) run before the first row
+*/
+
+//a PID is nine digits
+function checkPid(data, context){
+  if(data.pid != null && !/^\d{9}$/.test(String(data.pid))){
+    context.problem("pid", "PID needs to be of length 9, " + data.pid + " is not");
+  }
+}
+
+function capitalize(name){
+  return name[0].toUpperCase() + name.toLowerCase().slice(1);
+}
+
+function sameId(a, b){
+  return a != null && b != null && String(a) == String(b);
+}
+
+function personName(values){
+  return [values.lastName, values.firstName].filter(function(name){
+    return name != null;
+  }).join(", ");
+}
+
+//Student fields that are not uploaded, they are managed on their own pages
+var studentExcluded = ["jobHistory", "grades"].concat(util.internalFields);
+
+var student = {
+  label: "Students",
+  model: schema.Student,
+  permission: "student.upload",
+  done: "/student/upload/true",
+  back: "/student/upload/false",
+  lookups: ["faculty", "semesters", "students"],
+  fields: Object.keys(schema.Student.schema.obj).filter(function(field){
+    return studentExcluded.indexOf(field) == -1;
+  }).map(function(field){
+    var spec = {field: field};
+    if(["onyen", "firstName", "lastName", "pid"].indexOf(field) != -1){
+      spec.required = true;
+    }
+    if(field == "advisor"){
+      spec.ref = "faculty";
+    }
+    if(field == "semesterStarted"){
+      spec.ref = "semester";
+    }
+    return spec;
+  }),
+  unique: ["onyen", "pid"],
+  actions: [{name: "create", label: "New student"}, {name: "update", label: "Updates existing student"}],
+  summary: function(values){
+    return personName(values) + (values.onyen != null ? " (" + values.onyen + ")" : "");
+  },
+  check: function(data, context){
+    if(data.onyen != null){
+      data.onyen = data.onyen.toLowerCase();
+    }
+    if(data.firstName != null){
+      data.firstName = capitalize(data.firstName);
+    }
+    if(data.lastName != null){
+      data.lastName = capitalize(data.lastName);
+    }
+    checkPid(data, context);
+    if(data.onyen == null || data.pid == null){
+      return {action: "create"};
+    }
+    var byOnyen = null;
+    var byPid = null;
+    context.lookups.students.forEach(function(existing){
+      if(existing.onyen != null && existing.onyen.toLowerCase() == data.onyen){
+        byOnyen = existing;
+      }
+      if(existing.pid == data.pid){
+        byPid = existing;
+      }
+    });
+    if(byOnyen != null && byPid != null && byOnyen._id.equals(byPid._id)){
+      return {action: "update", target: byOnyen._id};
+    }
+    if(byOnyen != null){
+      context.problem("onyen", "Onyen " + data.onyen + " belongs to another student (" + personName(byOnyen) + ")");
+    }
+    if(byPid != null){
+      context.problem("pid", "PID " + data.pid + " belongs to another student (" + personName(byPid) + ")");
+    }
+    return {action: "create"};
+  },
+  apply: function(row, writer){
+    if(row.action == "update"){
+      //changes to versioned fields take effect in the current semester
+      return versions.load({_id: row.target}).then(function(result){
+        return writer.update(schema.Student, row.target, versions.update(result.student, row.data, result.semester));
+      });
+    }
+    return writer.create(schema.Student, row.data);
+  }
+};
+
+var faculty = {
+  label: "Faculty",
+  model: schema.Faculty,
+  permission: "faculty.manage",
+  done: "/faculty/upload/true",
+  back: "/faculty/upload/false",
+  lookups: ["faculty"],
+  fields: [
+    {field: "onyen", required: true},
+    {field: "csid"},
+    {field: "email"},
+    {field: "firstName", required: true},
+    {field: "lastName"},
+    {field: "pid", required: true},
+    {field: "sectionNumber"},
+    {field: "active"},
+    {field: "admin"}
+  ],
+  unique: ["onyen", "pid"],
+  actions: [{name: "create", label: "New faculty"}, {name: "update", label: "Updates existing faculty"}],
+  summary: function(values){
+    return personName(values) + (values.onyen != null ? " (" + values.onyen + ")" : "");
+  },
+  check: function(data, context){
+    checkPid(data, context);
+    var existing = context.lookups.faculty.filter(function(f){
+      return f.pid == data.pid;
+    })[0];
+    var byOnyen = context.lookups.faculty.filter(function(f){
+      return data.onyen != null && f.onyen != null && f.onyen.toLowerCase() == String(data.onyen).toLowerCase();
+    })[0];
+    if(byOnyen != null && (existing == null || !byOnyen._id.equals(existing._id))){
+      context.problem("onyen", "Onyen " + data.onyen + " belongs to another faculty member (" + personName(byOnyen) + ")");
+    }
+    if(existing != null){
+      return {action: "update", target: existing._id};
+    }
+    //new faculty are active and not administrators unless the sheet says otherwise
+    if(data.active == null){
+      data.active = true;
+    }
+    if(data.admin == null){
+      data.admin = false;
+    }
+    return {action: "create"};
+  },
+  apply: function(row, writer){
+    if(row.action == "update"){
+      return writer.update(schema.Faculty, row.target, row.data);
+    }
+    return writer.create(schema.Faculty, row.data);
+  }
+};
+
+var course = {
+  label: "Courses",
+  model: schema.Course,
+  permission: "course.manage",
+  done: "/course/upload/true",
+  back: "/course/upload/false",
+  lookups: ["faculty", "semesters", "courses"],
+  fields: [
+    {field: "department", required: true},
+    {field: "number", required: true},
+    {field: "univNumber", required: true},
+    {field: "name", required: true},
+    {field: "category", enumAliases: {T: "Theory", S: "Systems", A: "Appls", Applications: "Appls"}},
+    {field: "topic"},
+    {field: "hours", required: true},
+    {field: "section", required: true},
+    {field: "faculty", required: true, ref: "faculty"},
+    {field: "semester", required: true, ref: "semester"},
+    {field: "taHours", aliases: ["TA hours"]}
+  ],
+  actions: [{name: "create", label: "New course"}, {name: "update", label: "Updates existing course"}],
+  summary: function(values){
+    return [values.department, values.number, values.section].join(" ") + (values.name != null ? " " + values.name : "");
+  },
+  check: function(data, context){
+    if(data.category == null){
+      data.category = "NA";
+    }
+    if(data.topic == null){
+      data.topic = "NA";
+    }
+    if(data.department != null){
+      data.department = data.department.toUpperCase();
+    }
+    var key = [data.number, data.section, data.univNumber, data.faculty, data.semester].join("|");
+    if(context.seen[key] != null){
+      context.problem("number", "Same course and section as row " + context.seen[key]);
+    }
+    context.seen[key] = context.row;
+    var existing = context.lookups.courses.filter(function(c){
+      return c.number == data.number && c.section == data.section && c.univNumber == data.univNumber &&
+        sameId(c.faculty, data.faculty) && sameId(c.semester, data.semester);
+    })[0];
+    if(existing != null){
+      return {action: "update", target: existing._id};
+    }
+    return {action: "create"};
+  },
+  apply: function(row, writer){
+    var data = row.data;
+    var write = row.action == "update" ? writer.update(schema.Course, row.target, data) : writer.create(schema.Course, data);
+    return write.then(function(){
+      //every course number taught needs a course info entry
+      return schema.CourseInfo.findOne({number: data.number, hours: data.hours}).exec();
+    }).then(function(result){
+      if(result == null){
+        return writer.create(schema.CourseInfo, {number: data.number, name: data.name, hours: data.hours});
+      }
+    });
+  }
+};
+
+var courseInfo = {
+  label: "Course info",
+  model: schema.CourseInfo,
+  permission: "course.manage",
+  done: "/course/uploadInfo/true",
+  back: "/course/uploadInfo/false",
+  note: "Committing replaces every course info entry with the rows of this upload.",
+  lookups: [],
+  fields: [
+    {field: "number", required: true},
+    {field: "name", required: true},
+    {field: "hours", required: true}
+  ],
+  actions: [{name: "create", label: "Added"}],
+  summary: function(values){
+    return [values.number, values.name].join(" ");
+  },
+  check: function(){
+    return {action: "create"};
+  },
+  beforeCommit: function(writer){
+    return writer.removeAll(schema.CourseInfo, {});
+  },
+  apply: function(row, writer){
+    return writer.create(schema.CourseInfo, row.data);
+  }
+};
+
+var job = {
+  label: "Jobs",
+  model: schema.Job,
+  permission: "job.manage",
+  done: "/job/upload/true",
+  back: "/job/upload/false",
+  lookups: ["faculty", "semesters", "courses", "students"],
+  fields: [
+    {field: "onyen", model: schema.Student, label: "student onyen"},
+    {field: "position", required: true},
+    {field: "supervisor", required: true, ref: "faculty"},
+    {field: "semester", required: true, ref: "semester"},
+    {field: "course", raw: true},
+    {field: "description"},
+    {field: "hours"}
+  ],
+  actions: [{name: "create", label: "New job"}, {name: "assign", label: "Existing job"}],
+  summary: function(values){
+    return [values.position, values.supervisor, values.semester].join(" ") + (values.onyen != null ? " for " + values.onyen : "");
+  },
+  check: function(data, context){
+    var target = {student: null, job: null};
+    if(data.onyen != null){
+      var student = context.lookups.students.filter(function(s){
+        return s.onyen != null && s.onyen.toLowerCase() == String(data.onyen).toLowerCase();
+      })[0];
+      if(student == null){
+        context.problem("onyen", "Unknown student " + data.onyen);
+      }
+      else{
+        target.student = student._id;
+      }
+      delete data.onyen;
+    }
+    if(data.course != null){
+      //Department, number, section of a course the supervisor teaches that semester
+      var parts = String(data.course).split(/\s*,\s*/);
+      var found = context.lookups.courses.filter(function(c){
+        return c.department != null && c.department.toLowerCase() == String(parts[0]).toLowerCase() &&
+          c.number == parts[1] && c.section == parts[2] && sameId(c.faculty, data.supervisor) && sameId(c.semester, data.semester);
+      })[0];
+      if(found == null){
+        context.problem("course", "No course " + data.course + " taught by the supervisor that semester");
+      }
+      else{
+        data.course = found._id;
+      }
+    }
+    return {action: "create", target: target};
+  },
+  apply: function(row, writer){
+    var data = row.data;
+    //a job that is already there (or was created by an earlier row) is reused
+    return schema.Job.findOne(data).exec().then(function(result){
+      if(result != null){
+        row.action = "assign";
+        return result;
+      }
+      return writer.create(schema.Job, data);
+    }).then(function(result){
+      if(row.target.student != null){
+        return writer.update(schema.Student, row.target.student, {$addToSet: {jobHistory: result._id}});
+      }
+    });
+  }
+};
+
+var grant = {
+  label: "Grants",
+  model: schema.Grant,
+  permission: "job.manage",
+  done: "/job/uploadGrant/true",
+  back: "/job/uploadGrant/false",
+  lookups: ["grants", "faculty"],
+  fields: [
+    {field: "name", required: true},
+    {field: "number", aliases: ["grant number", "award number"]},
+    {field: "pi", label: "PI", ref: "faculty"},
+    {field: "sponsor"},
+    {field: "startDate", aliases: ["start date", "start"]},
+    {field: "endDate", aliases: ["end date", "end"]},
+    {field: "budgetSemesters", aliases: ["budget semesters", "RA semesters"]},
+    {field: "budgetHours", aliases: ["budget hours", "hours"]}
+  ],
+  unique: ["name"],
+  actions: [{name: "create", label: "New grant"}, {name: "update", label: "Updates existing grant"}],
+  summary: function(values){
+    return values.name;
+  },
+  check: function(data, context){
+    var existing = context.lookups.grants.filter(function(g){
+      return g.name == data.name;
+    })[0];
+    if(data.startDate != null && data.endDate != null && data.endDate < data.startDate){
+      context.problem("endDate", "The grant ends before it starts");
+    }
+    if(existing != null){
+      return {action: "update", target: existing._id};
+    }
+    return {action: "create"};
+  },
+  apply: function(row, writer){
+    if(row.action == "update"){
+      return writer.update(schema.Grant, row.target, row.data);
+    }
+    return writer.create(schema.Grant, row.data);
+  }
+};
+
+var grades = {
+  label: "Student courses",
+  model: schema.Course,
+  permission: "student.upload",
+  done: "/student/uploadCourses/true",
+  back: "/student/uploadCourses/false",
+  lookups: ["faculty", "semesters", "courses", "students", "grades"],
+  fields: [
+    {field: "onyen", required: true, model: schema.Student},
+    {field: "grade", model: schema.Grade},
+    {field: "department", required: true},
+    {field: "number", required: true},
+    {field: "section", required: true},
+    {field: "semester", required: true, ref: "semester"},
+    {field: "faculty", required: true, ref: "faculty"}
+  ],
+  actions: [{name: "create", label: "New grade"}, {name: "update", label: "Updates the student's grade"}],
+  summary: function(values){
+    return values.onyen + ": " + [values.department, values.number, values.section].join(" ");
+  },
+  check: function(data, context){
+    var target = {student: null, course: null, grade: null};
+    var student = context.lookups.students.filter(function(s){
+      return s.onyen != null && data.onyen != null && s.onyen.toLowerCase() == String(data.onyen).toLowerCase();
+    })[0];
+    if(student == null){
+      context.problem("onyen", "Unknown student " + data.onyen);
+    }
+    else{
+      target.student = student._id;
+    }
+    var found = context.lookups.courses.filter(function(c){
+      return c.department != null && data.department != null && c.department.toLowerCase() == data.department.toLowerCase() &&
+        c.number == data.number && c.section == data.section && sameId(c.faculty, data.faculty) && sameId(c.semester, data.semester);
+    })[0];
+    if(found == null){
+      context.problem("number", "No course " + [data.department, data.number, data.section].join(" ") + " taught by that faculty that semester");
+    }
+    else{
+      target.course = found._id;
+    }
+    if(student == null || found == null){
+      return {action: "create", target: target};
+    }
+    var key = student._id + "|" + found._id;
+    if(context.seen[key] != null){
+      context.problem("number", "Same student and course as row " + context.seen[key]);
+    }
+    context.seen[key] = context.row;
+    //a student has one grade per course, uploading it again changes it
+    var existing = context.lookups.grades.filter(function(g){
+      return sameId(g.course, found._id) && student.grades.some(function(id){
+        return sameId(id, g._id);
+      });
+    })[0];
+    if(existing != null){
+      target.grade = existing._id;
+      return {action: "update", target: target};
+    }
+    return {action: "create", target: target};
+  },
+  apply: function(row, writer){
+    var grade = {course: row.target.course};
+    if(row.data.grade != null){
+      grade.grade = row.data.grade;
+    }
+    if(row.action == "update"){
+      return writer.update(schema.Grade, row.target.grade, grade);
+    }
+    return writer.create(schema.Grade, grade).then(function(result){
+      return writer.update(schema.Student, row.target.student, {$addToSet: {grades: result._id}});
+    });
+  }
+};
+
+module.exports = {
+  student: student,
+  faculty: faculty,
+  course: course,
+  courseInfo: courseInfo,
+  job: job,
+  grant: grant,
+  grades: grades
+};
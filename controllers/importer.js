@@ -0,0 +1,793 @@
+var schema = require("../models/schema.js");
+var audit = require("./audit.js");
+var XLSX = require("xlsx");
+var formidable = require("formidable");
+var fs = require("fs");
+
+/*
+Shared spreadsheet import. An upload is read into an ImportBatch, its
+columns are matched to fields by header name (or by a saved ImportProfile),
+every row is validated and shown on a preview page, and a commit writes
+every row or none. What is imported and how rows are written is defined
+per import type in importTypes.js.
+*/
+var importer = {};
+
+importer.types = require("./importTypes.js");
+
+/*
+@returns the import type with that name, or null
+*/
+importer.type = function(name){
+  return importer.types[name] || null;
+}
+
+//"First Name", "first_name" and "firstName" all become "firstname"
+importer.normalize = function(header){
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/*
+@description spreadsheet letter of a column, 0 is A, 26 is AA
+*/
+importer.columnLetter = function(index){
+  var letter = "";
+  index++;
+  while(index > 0){
+    var rest = (index - 1) % 26;
+    letter = String.fromCharCode(65 + rest) + letter;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letter;
+}
+
+/*
+@description the column as problems name it, e.g. C (PID)
+*/
+importer.columnName = function(column){
+  return importer.columnLetter(column.index) + " (" + column.header + ")";
+}
+
+//formats uploads can be read from, see importer.fileFormat
+importer.formats = ["xlsx", "csv", "json"];
+
+/*
+@description the format of an uploaded file: the format asked for (the
+format query parameter or form field), or else the file's extension or
+type. Anything else is read as a spreadsheet (xlsx, xls or ods).
+
+@param file the formidable file
+*/
+importer.fileFormat = function(file, requested){
+  if(requested != null && importer.formats.indexOf(String(requested).toLowerCase()) != -1){
+    return String(requested).toLowerCase();
+  }
+  var name = String(file.name || "").toLowerCase();
+  var type = String(file.type || "").toLowerCase();
+  if(/\.json$/.test(name) || type.indexOf("json") != -1){
+    return "json";
+  }
+  if(/\.csv$/.test(name) || type.indexOf("csv") != -1){
+    return "csv";
+  }
+  return "xlsx";
+}
+
+/*
+@description reads a JSON upload, a list of objects (or {data: list} as
+the JSON API and the json downloads send them) whose keys are the headers
+
+@returns the rows as arrays of cells, headers first
+*/
+function readJson(filePath){
+  var parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  var list = Array.isArray(parsed) ? parsed : parsed != null ? parsed.data : null;
+  if(!Array.isArray(list)){
+    throw new Error("a JSON upload has to be a list of objects");
+  }
+  var headers = [];
+  list.forEach(function(item){
+    Object.keys(item || {}).forEach(function(key){
+      if(headers.indexOf(key) == -1){
+        headers.push(key);
+      }
+    });
+  });
+  return [headers].concat(list.map(function(item){
+    return headers.map(function(header){
+      var value = (item || {})[header];
+      return value != null && typeof value == "object" ? JSON.stringify(value) : value;
+    });
+  }));
+}
+
+/*
+@description reads the first sheet of a spreadsheet (or a csv or json
+file), the first row that is not empty holds the headers. Cells of csv
+files are kept as text, they are converted with the schema types.
+
+@param format (optional) xlsx, csv or json, see importer.fileFormat
+
+@returns {headers, rows: [{row, cells}]} where row is the row number in
+the sheet (the position in the list for json) and cells are the values
+by column index
+*/
+importer.readSheet = function(filePath, format){
+  var result = {headers: [], rows: []};
+  var table;
+  var first = {r: 0, c: 0};
+  if(format == "json"){
+    table = readJson(filePath);
+  }
+  else{
+    var workbook = XLSX.readFile(filePath, format == "csv" ? {raw: true} : {cellDates: true});
+    var sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if(sheet == null || sheet["!ref"] == null){
+      return result;
+    }
+    first = XLSX.utils.decode_range(sheet["!ref"]).s;
+    table = XLSX.utils.sheet_to_json(sheet, {header: 1, raw: true, defval: null, blankrows: true});
+  }
+  var found = false;
+  table.forEach(function(cells, i){
+    //sheet_to_json starts at the first used column, keep the letters right
+    var padded = new Array(first.c).fill(null).concat(cells).map(function(cell){
+      return typeof cell == "string" ? cell.trim() : cell;
+    });
+    var empty = padded.every(function(cell){
+      return cell == null || cell === "";
+    });
+    if(empty){
+      return;
+    }
+    if(!found){
+      found = true;
+      result.headers = padded.map(function(cell){
+        return cell == null ? "" : String(cell);
+      });
+      return;
+    }
+    result.rows.push({row: format == "json" ? i : first.r + i + 1, cells: padded});
+  });
+  return result;
+}
+
+/*
+@description matches headers to the fields of an import type. Headers the
+profile names are matched as the profile says, the others by name,
+ignoring case, spaces and punctuation, so columns can be in any order.
+
+@param profile (optional) ImportProfile whose columns are [{header, field}],
+a field of "" ignores the column
+
+@returns {columns: [{index, header, field}], unknownHeaders} where
+unknownHeaders are the headers no field was matched to (or whose field an
+earlier column already has), their columns are ignored
+*/
+importer.mapColumns = function(type, headers, profile){
+  var byName = {};
+  type.fields.forEach(function(spec){
+    byName[importer.normalize(spec.field)] = spec.field;
+    (spec.aliases || []).forEach(function(alias){
+      byName[importer.normalize(alias)] = spec.field;
+    });
+  });
+  var byProfile = {};
+  if(profile != null){
+    profile.columns.forEach(function(column){
+      byProfile[importer.normalize(column.header)] = column.field;
+    });
+  }
+  var columns = [];
+  var unknownHeaders = [];
+  var used = {};
+  headers.forEach(function(header, index){
+    if(header == null || header === ""){
+      return;
+    }
+    var key = importer.normalize(header);
+    var field = key in byProfile ? byProfile[key] : byName[key];
+    if(field == null || field == "" || used[field] || importer.field(type, field) == null){
+      unknownHeaders.push(header);
+      return;
+    }
+    used[field] = true;
+    columns.push({index: index, header: header, field: field});
+  });
+  return {columns: columns, unknownHeaders: unknownHeaders};
+}
+
+/*
+@returns the field definition of an import type, or null
+*/
+importer.field = function(type, field){
+  var found = type.fields.filter(function(spec){
+    return spec.field == field;
+  });
+  return found.length > 0 ? found[0] : null;
+}
+
+//the schema path a field is coerced with
+importer.path = function(type, spec){
+  return (spec.model || type.model).schema.path(spec.path || spec.field);
+}
+
+/*
+@description converts an uploaded value to the type of its schema path:
+enums are matched ignoring case (and the field's aliases), other values
+are cast by Mongoose
+
+@returns {value} or {problem}
+*/
+importer.coerce = function(type, spec, value){
+  var path = importer.path(type, spec);
+  var label = spec.label || spec.field;
+  var enumValues = path.enumValues || [];
+  if(enumValues.length > 0){
+    var text = String(value).toLowerCase();
+    var aliases = spec.enumAliases || {};
+    for(var alias in aliases){
+      if(alias.toLowerCase() == text){
+        return {value: aliases[alias]};
+      }
+    }
+    var match = enumValues.filter(function(option){
+      return option.toLowerCase() == text;
+    });
+    if(match.length == 0){
+      return {problem: label + " must be one of " + enumValues.join(", ") + ", " + value + " is not"};
+    }
+    return {value: match[0]};
+  }
+  try{
+    var cast = path.cast(value);
+    if(cast == null){
+      return {problem: label + " can not be " + value};
+    }
+    if(path.instance == "String"){
+      cast = String(cast).trim();
+    }
+    return {value: cast};
+  }
+  catch(err){
+    return {problem: label + " must be a " + path.instance.toLowerCase() + ", " + value + " is not"};
+  }
+}
+
+var loaders = {
+  faculty: function(){
+    return schema.Faculty.find({}).exec();
+  },
+  semesters: function(){
+    return schema.Semester.find({}).exec();
+  },
+  students: function(){
+    return schema.Student.find({}, "onyen pid firstName lastName grades").exec();
+  },
+  courses: function(){
+    return schema.Course.find({}).exec();
+  },
+  courseInfo: function(){
+    return schema.CourseInfo.find({}).exec();
+  },
+  grants: function(){
+    return schema.Grant.find({}).exec();
+  },
+  grades: function(){
+    return schema.Grade.find({}).exec();
+  }
+};
+
+/*
+@description loads the documents an import type resolves references with
+(type.lookups names them)
+
+@returns a promise that resolves to {name: documents}
+*/
+importer.lookups = function(type){
+  var lookups = {};
+  return (type.lookups || []).reduce(function(chain, name){
+    return chain.then(function(){
+      return loaders[name]();
+    }).then(function(result){
+      lookups[name] = result;
+    });
+  }, Promise.resolve()).then(function(){
+    return lookups;
+  });
+}
+
+//lower cased ways a faculty member can be written: Last, First or First Last or the onyen
+function facultyNames(faculty){
+  var last = String(faculty.lastName || "").toLowerCase();
+  var first = String(faculty.firstName || "").toLowerCase();
+  var names = [last + ", " + first, last + " " + first, first + " " + last];
+  if(faculty.onyen != null){
+    names.push(String(faculty.onyen).toLowerCase());
+  }
+  return names;
+}
+
+/*
+@description finds the faculty member a cell names
+
+@returns the Faculty or null
+*/
+importer.findFaculty = function(lookups, value){
+  var name = String(value).toLowerCase().trim().replace(/\s*,\s*/, ", ").replace(/\s+/g, " ");
+  var found = lookups.faculty.filter(function(faculty){
+    return facultyNames(faculty).indexOf(name) != -1;
+  });
+  return found.length > 0 ? found[0] : null;
+}
+
+var seasonNames = {
+  fa: "FA", fall: "FA",
+  sp: "SP", spring: "SP",
+  s1: "S1", summer1: "S1", summeri: "S1",
+  s2: "S2", summer2: "S2", summerii: "S2"
+};
+
+/*
+@description finds the semester a cell names, e.g. FA 2018, Fall 2018 or Summer 1 2019
+
+@returns the Semester or null
+*/
+importer.findSemester = function(lookups, value){
+  var match = String(value).trim().match(/^(.*?)[\s,]*(\d{4})$/);
+  if(match == null){
+    return null;
+  }
+  var season = seasonNames[importer.normalize(match[1])];
+  var year = parseInt(match[2]);
+  var found = lookups.semesters.filter(function(semester){
+    return semester.season == season && semester.year == year;
+  });
+  return found.length > 0 ? found[0] : null;
+}
+
+//resolvers for fields that reference other documents
+var references = {
+  faculty: function(lookups, value){
+    var faculty = importer.findFaculty(lookups, value);
+    return faculty != null ? {value: faculty._id} : {problem: "Unknown faculty " + value};
+  },
+  semester: function(lookups, value){
+    var semester = importer.findSemester(lookups, value);
+    return semester != null ? {value: semester._id} : {problem: "Unknown semester " + value};
+  }
+};
+
+/*
+@description validates rows: converts every value, checks required
+fields, duplicates within the upload and whatever the import type checks
+
+@param type import type
+@param columns matched columns (importer.mapColumns)
+@param rows [{row, cells}]
+@param lookups result of importer.lookups
+
+@returns [{row, cells, values, data, action, target, problems: [{column, message}]}]
+where action is one of the type's actions or reject, and data is what would be written
+*/
+importer.validate = function(type, columns, rows, lookups){
+  var byField = {};
+  columns.forEach(function(column){
+    byField[column.field] = column;
+  });
+  var seen = {};
+  (type.unique || []).forEach(function(field){
+    seen[field] = {};
+  });
+  var typeSeen = {};
+  return rows.map(function(row){
+    var values = {};
+    var data = {};
+    var problems = [];
+    var problem = function(field, message){
+      problems.push({column: byField[field] != null ? importer.columnName(byField[field]) : "", message: message});
+    };
+    columns.forEach(function(column){
+      var cell = row.cells[column.index];
+      if(cell != null && cell !== ""){
+        values[column.field] = cell;
+      }
+    });
+    type.fields.forEach(function(spec){
+      var value = values[spec.field];
+      if(value == null){
+        if(spec.required){
+          problem(spec.field, "Missing " + (spec.label || spec.field));
+        }
+        return;
+      }
+      var result;
+      if(spec.ref != null){
+        result = references[spec.ref](lookups, value);
+      }
+      else if(spec.raw){
+        result = {value: String(value).trim()};
+      }
+      else{
+        result = importer.coerce(type, spec, value);
+      }
+      if(result.problem != null){
+        problem(spec.field, result.problem);
+      }
+      else{
+        data[spec.field] = result.value;
+      }
+    });
+    (type.unique || []).forEach(function(field){
+      if(data[field] == null){
+        return;
+      }
+      var key = String(data[field]).toLowerCase();
+      if(seen[field][key] != null){
+        problem(field, "Duplicate " + (importer.field(type, field).label || field) + " " + data[field] + " (also on row " + seen[field][key] + ")");
+      }
+      else{
+        seen[field][key] = row.row;
+      }
+    });
+    var result = {row: row.row, cells: row.cells, values: values, data: data, action: null, target: null, problems: problems};
+    var checked = type.check(data, {lookups: lookups, problem: problem, seen: typeSeen, row: row.row});
+    result.action = problems.length > 0 ? "reject" : checked.action;
+    result.target = checked.target || null;
+    return result;
+  });
+}
+
+function batchRows(rows){
+  return rows.map(function(row){
+    return {row: row.row, cells: row.cells, action: row.action, problems: row.problems};
+  });
+}
+
+/*
+@description validates the rows of a batch with its current columns
+
+@returns a promise that resolves to the validated rows (importer.validate)
+*/
+importer.validateBatch = function(batch){
+  var type = importer.type(batch.type);
+  return importer.lookups(type).then(function(lookups){
+    return importer.validate(type, batch.columns, batch.rows.map(function(row){
+      return {row: row.row, cells: row.cells || []};
+    }), lookups);
+  });
+}
+
+/*
+@description first phase of an upload: reads and validates the spreadsheet
+without writing anything
+
+@param req the upload request (the batch records who uploaded it)
+@param file {path, name, format}, format as importer.readSheet takes it
+@param profileId (optional) ImportProfile to match the columns with
+
+@returns a promise that resolves to the saved ImportBatch
+*/
+importer.preview = function(req, typeName, file, profileId){
+  var type = importer.type(typeName);
+  var sheet, batch;
+  var find = profileId ? schema.ImportProfile.findOne({_id: profileId, type: typeName}).exec() : Promise.resolve(null);
+  return find.then(function(profile){
+    sheet = importer.readSheet(file.path, file.format);
+    var mapped = importer.mapColumns(type, sheet.headers, profile);
+    batch = new schema.ImportBatch({
+      type: typeName,
+      filename: file.name,
+      createdBy: req.user != null ? req.user.onyen : null,
+      createdAt: new Date(),
+      profile: profile != null ? profile.name : null,
+      headers: sheet.headers,
+      columns: mapped.columns,
+      unknownHeaders: mapped.unknownHeaders,
+      rows: sheet.rows
+    });
+    return importer.validateBatch(batch);
+  }).then(function(rows){
+    batch.rows = batchRows(rows);
+    return batch.save();
+  });
+}
+
+/*
+@description changes which field each column of a batch is imported into
+and validates the rows again
+
+@param mapping {column index: field}, "" ignores the column
+@param profileName (optional) also saves the mapping as a profile with this name
+
+@returns a promise that resolves to the saved ImportBatch
+*/
+importer.remap = function(req, batch, mapping, profileName){
+  var type = importer.type(batch.type);
+  var profile = {columns: batch.headers.map(function(header, index){
+    return {header: header, field: mapping[index] || ""};
+  }).filter(function(column){
+    return column.header !== "";
+  })};
+  var mapped = importer.mapColumns(type, batch.headers, profile);
+  batch.columns = mapped.columns;
+  batch.unknownHeaders = mapped.unknownHeaders;
+  var save = Promise.resolve();
+  if(profileName != null && profileName.trim() != ""){
+    batch.profile = profileName.trim();
+    save = importer.saveProfile(req, batch.type, profileName.trim(), profile.columns);
+  }
+  return save.then(function(){
+    return importer.validateBatch(batch);
+  }).then(function(rows){
+    batch.rows = batchRows(rows);
+    return batch.save();
+  });
+}
+
+/*
+@description saves a column mapping for an import type under a name,
+replacing the profile with the same name
+
+@param columns [{header, field}]
+
+@returns a promise that resolves to the saved ImportProfile
+*/
+importer.saveProfile = function(req, typeName, name, columns){
+  return schema.ImportProfile.findOne({type: typeName, name: name}).exec().then(function(result){
+    var profile = result || new schema.ImportProfile({type: typeName, name: name});
+    profile.columns = columns;
+    profile.updatedBy = req.user != null ? req.user.onyen : null;
+    profile.updatedAt = new Date();
+    return profile.save();
+  });
+}
+
+/*
+@returns a promise that resolves to the profiles of an import type sorted by name
+*/
+importer.profiles = function(typeName){
+  return schema.ImportProfile.find({type: typeName}).sort({name: 1}).exec();
+}
+
+/*
+@description the cells of a batch row by the field their column is imported into
+
+@returns {field: cell}
+*/
+importer.values = function(batch, row){
+  var values = {};
+  batch.columns.forEach(function(column){
+    var cell = (row.cells || [])[column.index];
+    if(cell != null && cell !== ""){
+      values[column.field] = cell;
+    }
+  });
+  return values;
+}
+
+/*
+@description counts the rows of a batch by action
+
+@returns {action: count}, with every action of the type and reject
+*/
+importer.counts = function(batch){
+  var counts = {reject: 0};
+  importer.type(batch.type).actions.forEach(function(action){
+    counts[action.name] = 0;
+  });
+  batch.rows.forEach(function(row){
+    counts[row.action] = (counts[row.action] || 0) + 1;
+  });
+  return counts;
+}
+
+/*
+@description records the writes of a commit so they can be undone if a
+later row fails, and audited once every row is written
+
+@returns {create(model, data), update(model, id, update),
+removeAll(model, conditions), rollback(), audit(req)}, the writes return
+promises that resolve to the written document. Updates and removes also
+reach soft deleted documents.
+*/
+importer.writer = function(){
+  var log = [];
+  var writer = {};
+
+  writer.create = function(model, data){
+    return new model(data).save().then(function(result){
+      log.push({model: model, before: null, after: result});
+      return result;
+    });
+  }
+
+  writer.update = function(model, id, update){
+    return model.findOne({_id: id}).withDeleted().exec().then(function(before){
+      return model.findOneAndUpdate({_id: id}, update, {new: true, runValidators: true}).withDeleted().exec().then(function(result){
+        log.push({model: model, before: before.toObject(), after: result});
+        return result;
+      });
+    });
+  }
+
+  writer.removeAll = function(model, conditions){
+    return model.find(conditions).withDeleted().exec().then(function(result){
+      return result.reduce(function(chain, doc){
+        return chain.then(function(){
+          return model.deleteOne({_id: doc._id}).exec().then(function(){
+            log.push({model: model, before: doc.toObject(), after: null});
+          });
+        });
+      }, Promise.resolve());
+    });
+  }
+
+  //undoes the writes, newest first
+  writer.rollback = function(){
+    return log.slice().reverse().reduce(function(chain, write){
+      return chain.then(function(){
+        if(write.before == null){
+          return write.model.deleteOne({_id: write.after._id}).exec();
+        }
+        if(write.after == null){
+          return write.model.collection.insertOne(write.before);
+        }
+        return write.model.collection.replaceOne({_id: write.before._id}, write.before);
+      });
+    }, Promise.resolve());
+  }
+
+  writer.audit = function(req){
+    return Promise.all(log.map(function(write){
+      return audit.record(req, write.model, write.before, write.after);
+    }));
+  }
+
+  return writer;
+}
+
+/*
+@description writes validated rows one after the other. If one fails the
+writes made before it are undone, so either every row is written or none.
+*/
+function apply(req, type, rows, lookups){
+  var writer = importer.writer();
+  var current = null;
+  var start = type.beforeCommit != null ? type.beforeCommit(writer) : Promise.resolve();
+  return rows.reduce(function(chain, row){
+    return chain.then(function(){
+      current = row;
+      return type.apply(row, writer, lookups);
+    });
+  }, start).then(function(){
+    return writer.audit(req);
+  }, function(err){
+    return writer.rollback().then(function(){
+      var where = current != null ? "row " + current.row : "the upload";
+      throw new Error("Nothing was imported, " + where + " could not be written: " + err.message);
+    });
+  });
+}
+
+/*
+@description second phase of an upload: validates the rows again (the
+database may have changed since the preview) and writes them all, or none
+if any row is rejected. The batch is claimed first, so a double submit or
+two people committing the same upload write its rows only once.
+
+@returns a promise that resolves to {committed, batch}, committed is false
+when rows were rejected, the batch then holds the new validation results
+*/
+importer.commit = function(req, batch){
+  var type = importer.type(batch.type);
+  var lookups, written = false;
+  return schema.ImportBatch.findOneAndUpdate({_id: batch._id, state: "preview"}, {$set: {state: "committing"}}, {new: true}).exec().then(function(result){
+    if(result == null){
+      throw new Error("This upload was already committed, or is being committed");
+    }
+    batch = result;
+    return importer.lookups(type).then(function(result){
+      lookups = result;
+      return importer.validate(type, batch.columns, batch.rows.map(function(row){
+        return {row: row.row, cells: row.cells || []};
+      }), lookups);
+    }).then(function(rows){
+      var rejected = rows.filter(function(row){
+        return row.action == "reject";
+      });
+      if(rejected.length > 0 || rows.length == 0){
+        batch.rows = batchRows(rows);
+        batch.state = "preview";
+        return batch.save().then(function(result){
+          return {committed: false, batch: result};
+        });
+      }
+      return apply(req, type, rows, lookups).then(function(){
+        written = true;
+        batch.state = "committed";
+        batch.committedAt = new Date();
+        return batch.save();
+      }).then(function(result){
+        return {committed: true, batch: result};
+      });
+    }).catch(function(err){
+      if(written){
+        throw err;
+      }
+      //nothing was written, so the upload can be committed again
+      return schema.ImportBatch.updateOne({_id: batch._id, state: "committing"}, {$set: {state: "preview"}}).exec().then(function(){
+        throw err;
+      });
+    });
+  });
+}
+
+/*
+@description spreadsheet of the rejected rows of a batch, with every
+uploaded cell under its original header and the problems of each row
+
+@returns a buffer holding the xlsx file
+*/
+importer.errorReport = function(batch){
+  var headers = batch.headers.map(function(header, index){
+    return header !== "" ? header : importer.columnLetter(index);
+  });
+  var lines = [["Row"].concat(headers).concat(["Problems"])];
+  batch.rows.filter(function(row){
+    return row.action == "reject";
+  }).forEach(function(row){
+    var cells = headers.map(function(header, index){
+      var cell = (row.cells || [])[index];
+      return cell != null ? cell : null;
+    });
+    var problems = row.problems.map(function(problem){
+      return problem.column != "" ? problem.column + ": " + problem.message : problem.message;
+    });
+    lines.push([row.row].concat(cells).concat([problems.join("; ")]));
+  });
+  var wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(lines, {cellDates: true}), "Rejected rows");
+  return XLSX.write(wb, {type: "buffer", bookType: "xlsx"});
+}
+
+/*
+@description deletes the temporary file formidable wrote an upload to,
+the batch holds its cells once the preview is stored
+*/
+function removeUpload(filePath){
+  fs.unlink(filePath, function(err){
+    if(err){
+      console.log("upload "+filePath+" was not removed: "+err.message);
+    }
+  });
+}
+
+/*
+@description handles the POST of an upload form: reads the spreadsheet,
+csv or json file (and the profile chosen on the form) into a batch and
+shows its preview. The format can be given as ?format= or a form field,
+otherwise it is told by the file name.
+
+@finish redirects to /import/:type/:batchId
+*/
+importer.upload = function(req, res, typeName){
+  var form = new formidable.IncomingForm();
+  form.parse(req, function(err, fields, files){
+    var f = files[Object.keys(files)[0]];
+    if(err || f == null){
+      res.render("../views/error.ejs", {string: "No spreadsheet was uploaded"});
+      return;
+    }
+    var file = {path: f.path, name: f.name, format: importer.fileFormat(f, req.query.format || fields.format)};
+    importer.preview(req, typeName, file, fields.profile).then(function(result){
+      removeUpload(f.path);
+      res.redirect("/import/"+typeName+"/"+result._id);
+    }).catch(function(err){
+      removeUpload(f.path);
+      res.render("../views/error.ejs", {string: "The spreadsheet could not be read: "+err.message});
+    });
+  });
+}
+
+module.exports = importer;
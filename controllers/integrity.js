@@ -0,0 +1,333 @@
+var schema = require("../models/schema.js");
+var workflow = require("./workflow.js");
+var importer = require("./importer.js");
+
+var integrity = {};
+
+/*
+Every reference between models and what deleting the referenced document
+does to the documents holding the reference:
+
+block    the delete is refused while any document holds the reference
+cascade  the documents holding the reference are deleted too
+nullify  the reference is cleared (unset, or pulled from a list)
+keep     the reference is left as it is (the audit trail and the history
+         of a student outlive what they describe)
+
+model, path  the model holding the reference and its path
+ref          the model referenced
+list         (optional) path is a list of references
+within       (optional) path is a field of the subdocuments of this list,
+             nullify pulls the whole subdocument
+owned        (optional) the referenced documents belong to the holder and
+             are deleted with it (a student's grades)
+
+A reference added to a schema needs to be declared here, test/integrity.js
+checks that none is missing.
+*/
+integrity.references = [
+  {model: "Student", path: "advisor", ref: "Faculty", onDelete: "block"},
+  {model: "Student", path: "semesterStarted", ref: "Semester", onDelete: "block"},
+  {model: "Student", path: "jobHistory", ref: "Job", list: true, onDelete: "nullify"},
+  {model: "Student", path: "grades", ref: "Grade", list: true, owned: true, onDelete: "nullify"},
+  {model: "Student", path: "versions.semester", ref: "Semester", within: "versions", onDelete: "block"},
+  {model: "Student", path: "versions.advisor", ref: "Faculty", within: "versions", onDelete: "keep"},
+  {model: "Student", path: "coAdvisors.faculty", ref: "Faculty", within: "coAdvisors", onDelete: "keep"},
+  {model: "Student", path: "coAdvisors.startSemester", ref: "Semester", within: "coAdvisors", onDelete: "block"},
+  {model: "Student", path: "coAdvisors.endSemester", ref: "Semester", within: "coAdvisors", onDelete: "block"},
+  {model: "Course", path: "faculty", ref: "Faculty", onDelete: "block"},
+  {model: "Course", path: "semester", ref: "Semester", onDelete: "block"},
+  {model: "Job", path: "supervisor", ref: "Faculty", onDelete: "block"},
+  {model: "Job", path: "semester", ref: "Semester", onDelete: "block"},
+  {model: "Job", path: "course", ref: "Course", onDelete: "block"},
+  {model: "Job", path: "fundingSource", ref: "Grant", onDelete: "block"},
+  {model: "Grade", path: "course", ref: "Course", onDelete: "cascade"},
+  {model: "Grant", path: "pi", ref: "Faculty", onDelete: "nullify"},
+  {model: "SemesterReference", path: "semester", ref: "Semester", onDelete: "cascade"},
+  {model: "Form", path: "student", ref: "Student", onDelete: "cascade"},
+  {model: "Note", path: "student", ref: "Student", onDelete: "cascade"},
+  {model: "FormApproval", path: "student", ref: "Student", onDelete: "cascade"},
+  {model: "LeaveRecord", path: "student", ref: "Student", onDelete: "cascade"},
+  {model: "LeaveRecord", path: "startSemester", ref: "Semester", onDelete: "block"},
+  {model: "LeaveRecord", path: "endSemester", ref: "Semester", onDelete: "block"},
+  {model: "Committee", path: "student", ref: "Student", onDelete: "cascade"},
+  {model: "Committee", path: "members.faculty", ref: "Faculty", within: "members", onDelete: "keep"},
+  {model: "TAPlan", path: "semester", ref: "Semester", onDelete: "cascade"},
+  {model: "TAPlan", path: "assignments.course", ref: "Course", within: "assignments", onDelete: "nullify"},
+  {model: "TAPlan", path: "assignments.student", ref: "Student", within: "assignments", onDelete: "nullify"},
+  {model: "Audit", path: "student", ref: "Student", onDelete: "keep"}
+].concat(Object.keys(workflow.routes).map(function(title){
+  return {model: title, path: "student", ref: "Student", onDelete: "cascade"};
+}));
+
+//the references to a model
+function holdersOf(modelName){
+  return integrity.references.filter(function(reference){
+    return reference.ref == modelName;
+  });
+}
+
+//conditions that find the documents holding a reference to one of ids
+function holding(reference, ids){
+  var conditions = {};
+  conditions[reference.path] = {$in: ids};
+  return conditions;
+}
+
+//the update that clears a reference to one of ids
+function clearing(reference, ids){
+  var update = {};
+  if(reference.within != null){
+    var field = reference.path.slice(reference.within.length + 1);
+    update.$pull = {};
+    update.$pull[reference.within] = {};
+    update.$pull[reference.within][field] = {$in: ids};
+  }
+  else if(reference.list){
+    update.$pull = {};
+    update.$pull[reference.path] = {$in: ids};
+  }
+  else{
+    update.$unset = {};
+    update.$unset[reference.path] = 1;
+  }
+  return update;
+}
+
+function describe(reference, count){
+  return count + " " + reference.model + (count == 1 ? "" : "s") + " (" + reference.path + ")";
+}
+
+//the query, also over soft deleted documents when withDeleted is set
+function scoped(query, withDeleted){
+  return withDeleted ? query.withDeleted() : query;
+}
+
+/*
+@returns the Error a refused delete (or restore) throws, status 409 and
+code Conflict like the errors of ApiController
+*/
+integrity.conflict = function(message){
+  var err = new Error(message);
+  err.status = 409;
+  err.code = "Conflict";
+  return err;
+}
+
+/*
+@description what keeps a document from being deleted: the block
+references to it, and to the documents its delete would cascade to
+
+@param withDeleted whether soft deleted documents holding references count
+too, as they do when the document is removed for good
+
+@returns a promise that resolves to a list of messages, empty when the
+document can be deleted
+*/
+integrity.blockers = function(modelName, doc, withDeleted){
+  return holdersOf(modelName).reduce(function(chain, reference){
+    return chain.then(function(messages){
+      var model = schema[reference.model];
+      if(reference.onDelete == "block"){
+        return scoped(model.countDocuments(holding(reference, [doc._id])), withDeleted).exec().then(function(count){
+          return count > 0 ? messages.concat([describe(reference, count) + " reference it"]) : messages;
+        });
+      }
+      if(reference.onDelete == "cascade"){
+        return scoped(model.find(holding(reference, [doc._id])), withDeleted).exec().then(function(result){
+          return Promise.all(result.map(function(holder){
+            return integrity.blockers(reference.model, holder, withDeleted);
+          }));
+        }).then(function(result){
+          return messages.concat([].concat.apply([], result));
+        });
+      }
+      return messages;
+    });
+  }, Promise.resolve([]));
+}
+
+//deletes a document with writer after following the references to it
+function removeWith(writer, modelName, doc){
+  return holdersOf(modelName).reduce(function(chain, reference){
+    return chain.then(function(){
+      var model = schema[reference.model];
+      if(reference.onDelete == "cascade"){
+        return model.find(holding(reference, [doc._id])).withDeleted().exec().then(function(result){
+          return result.reduce(function(next, holder){
+            return next.then(function(){
+              return removeWith(writer, reference.model, holder);
+            });
+          }, Promise.resolve());
+        });
+      }
+      if(reference.onDelete == "nullify"){
+        return model.find(holding(reference, [doc._id]), "_id").withDeleted().exec().then(function(result){
+          return result.reduce(function(next, holder){
+            return next.then(function(){
+              return writer.update(model, holder._id, clearing(reference, [doc._id]));
+            });
+          }, Promise.resolve());
+        });
+      }
+    });
+  }, Promise.resolve()).then(function(){
+    var owned = integrity.references.filter(function(reference){
+      return reference.model == modelName && reference.owned;
+    });
+    return owned.reduce(function(chain, reference){
+      return chain.then(function(){
+        return writer.removeAll(schema[reference.ref], {_id: {$in: doc[reference.path] || []}});
+      });
+    }, Promise.resolve());
+  }).then(function(){
+    return writer.removeAll(schema[modelName], {_id: doc._id});
+  });
+}
+
+/*
+@description deletes a document for good following the references to it
+(see integrity.references): refused when a block reference holds it,
+otherwise cascades and nullifies, soft deleted documents included. Every
+write is audited, and if one fails the writes made before it are undone.
+Documents that can be soft deleted are deleted with trash.remove.
+
+@returns a promise that resolves to the deleted document, or null if no
+document matched
+@throws an Error with status 409 and code Conflict naming what blocks the
+delete
+*/
+integrity.remove = function(req, model, conditions){
+  var doc;
+  return model.findOne(conditions).exec().then(function(result){
+    doc = result;
+    if(doc == null){
+      return [];
+    }
+    return integrity.blockers(model.modelName, doc, true);
+  }).then(function(messages){
+    if(doc == null){
+      return null;
+    }
+    if(messages.length > 0){
+      throw integrity.conflict("Could not delete " + model.modelName.toLowerCase() + " because " + messages.join(", "));
+    }
+    var writer = importer.writer();
+    return removeWith(writer, model.modelName, doc).then(function(){
+      return writer.audit(req);
+    }, function(err){
+      return writer.rollback().then(function(){
+        throw err;
+      });
+    }).then(function(){
+      return doc;
+    });
+  });
+}
+
+/*
+@description finds references to documents that do not exist, and
+documents owned by nobody (e.g. grades no student holds). Soft deleted
+documents still exist, references to them are not orphans.
+
+@returns a promise that resolves to [{index, reference, missing (ids),
+holders (number of documents holding them), repair}] with index the
+position in integrity.references
+*/
+integrity.check = function(){
+  var checks = integrity.references.map(function(reference, index){
+    if(reference.onDelete == "keep"){
+      return Promise.resolve(null);
+    }
+    var model = schema[reference.model];
+    var ids;
+    return model.distinct(reference.path).exec().then(function(result){
+      ids = result.filter(function(id){
+        return id != null;
+      });
+      return schema[reference.ref].find({_id: {$in: ids}}, "_id").withDeleted().lean().exec();
+    }).then(function(found){
+      var existing = found.map(function(doc){
+        return String(doc._id);
+      });
+      var missing = ids.filter(function(id){
+        return existing.indexOf(String(id)) == -1;
+      });
+      if(missing.length == 0){
+        return null;
+      }
+      return model.countDocuments(holding(reference, missing)).withDeleted().exec().then(function(count){
+        return {index: index, reference: reference, missing: missing, holders: count, repair: reference.onDelete == "cascade" ? "delete" : "clear"};
+      });
+    });
+  });
+  var owners = integrity.references.map(function(reference, index){
+    if(!reference.owned){
+      return Promise.resolve(null);
+    }
+    return schema[reference.model].distinct(reference.path).exec().then(function(held){
+      return schema[reference.ref].find({_id: {$nin: held}}, "_id").withDeleted().lean().exec();
+    }).then(function(result){
+      if(result.length == 0){
+        return null;
+      }
+      return {index: index, reference: reference, missing: [], orphans: result.map(function(doc){
+        return doc._id;
+      }), holders: result.length, repair: "delete owned"};
+    });
+  });
+  return Promise.all(checks.concat(owners)).then(function(result){
+    return result.filter(function(entry){
+      return entry != null;
+    });
+  });
+}
+
+/*
+@description repairs what integrity.check found for one reference:
+documents holding a missing document through a cascade reference are
+deleted, other missing references are cleared, owned documents nobody
+holds are deleted. Audited, and undone if a write fails.
+
+@returns a promise that resolves to the number of documents changed
+*/
+integrity.repair = function(req, index){
+  var writer = importer.writer();
+  var changed = 0;
+  return integrity.check().then(function(result){
+    var found = result.filter(function(entry){
+      return entry.index == index;
+    });
+    return found.reduce(function(chain, entry){
+      return chain.then(function(){
+        var reference = entry.reference;
+        var model = schema[reference.model];
+        if(entry.repair == "delete owned"){
+          changed += entry.orphans.length;
+          return writer.removeAll(schema[reference.ref], {_id: {$in: entry.orphans}});
+        }
+        return model.find(holding(reference, entry.missing)).withDeleted().exec().then(function(holders){
+          changed += holders.length;
+          return holders.reduce(function(next, holder){
+            return next.then(function(){
+              if(entry.repair == "delete"){
+                return removeWith(writer, reference.model, holder);
+              }
+              return writer.update(model, holder._id, clearing(reference, entry.missing));
+            });
+          }, Promise.resolve());
+        });
+      });
+    }, Promise.resolve());
+  }).then(function(){
+    return writer.audit(req);
+  }, function(err){
+    return writer.rollback().then(function(){
+      throw err;
+    });
+  }).then(function(){
+    return changed;
+  });
+}
+
+module.exports = integrity;
@@ -0,0 +1,151 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var audit = require("./audit.js");
+var versions = require("./versions.js");
+
+/*
+Leaves of absence and extensions of time (LeaveRecord). A record counts
+once it is approved; records from before approvals were recorded have no
+approval and count too. Every counted record stops the time-to-degree
+clock for its semesters. A leave (any type but an extension of time) also
+stops the funding guarantee clock, and the student's status follows it:
+Leave while it lasts and Active again once it has ended.
+*/
+var leaves = {};
+
+leaves.types = {MEDICAL: "Medical", PERSONAL: "Personal", PARENTAL: "Parental", EXTENSION: "Extension of time"};
+
+//source of the status versions leaves.applyStatuses records (see versions.js)
+leaves.source = "leaves";
+
+//how often leaves.schedule checks whether a status has to change
+leaves.interval = 60 * 60 * 1000;
+
+//whether a record counts
+leaves.approved = function(leave){
+  return leave != null && (leave.approval == null || leave.approval == "approved");
+}
+
+//whether a record counts and the student is away (not an extension of time)
+leaves.away = function(leave){
+  return leaves.approved(leave) && leave.type != "EXTENSION";
+}
+
+//whether a record with semesters populated covers the semester at index
+leaves.covers = function(leave, index){
+  return leave.startSemester != null && leave.startSemester.season != null && util.semesterIndex(leave.startSemester) <= index &&
+    (leave.endSemester == null || util.semesterIndex(leave.endSemester) >= index);
+}
+
+/*
+@description the status a student should have now by their leaves: Leave
+while a leave covers the current semester, Active once every leave has
+ended, or once the leave that put the student on Leave is no longer there
+(deleted or denied). Only Active and Leave students change, and a student
+whose status was already changed by hand for the current semester (see
+versions.js) is left as it is, so a change made by hand is not undone.
+Changes made by leaves.applyStatuses are not changes by hand.
+
+@param student Student with versions.semester populated
+@param records the student's LeaveRecords with semesters populated
+
+@returns the new status, or null when it does not change
+*/
+leaves.statusFor = function(student, records, now){
+  var current = util.semesterIndex(util.semesterOf(now || new Date()));
+  var history = versions.history(student, "status");
+  var changed = history.some(function(version){
+    return version.source != leaves.source && version.semester != null && version.semester.season != null && util.semesterIndex(version.semester) == current;
+  });
+  if(changed){
+    return null;
+  }
+  var away = (records || []).filter(leaves.away).filter(function(leave){
+    return leave.startSemester != null && leave.startSemester.season != null;
+  });
+  var onLeave = away.some(function(leave){
+    return leaves.covers(leave, current);
+  });
+  if(onLeave){
+    return student.status == "Active" ? "Leave" : null;
+  }
+  if(student.status != "Leave"){
+    return null;
+  }
+  var ended = away.length > 0 && away.every(function(leave){
+    return leave.endSemester != null && util.semesterIndex(leave.endSemester) < current;
+  });
+  var last = history[history.length - 1];
+  var automatic = last != null && last.source == leaves.source;
+  return ended || automatic ? "Active" : null;
+}
+
+/*
+@description changes the status of the students whose leave started or
+ended (leaves.statusFor), taking effect in the current semester
+
+@param req the request the changes are audited with
+@param conditions (optional) LeaveRecord query, e.g. {student: id} to
+only check that student
+
+@returns a promise that resolves to the number of students changed
+*/
+leaves.applyStatuses = function(req, now, conditions){
+  now = now || new Date();
+  var semester, records;
+  return schema.Semester.findOne(util.semesterOf(now)).exec().then(function(result){
+    semester = result;
+    if(semester == null){
+      return [];
+    }
+    return schema.LeaveRecord.find(conditions || {}).populate("startSemester").populate("endSemester").exec();
+  }).then(function(result){
+    records = {};
+    result.forEach(function(leave){
+      records[leave.student] = records[leave.student] || [];
+      records[leave.student].push(leave);
+    });
+    if(semester == null){
+      return [];
+    }
+    //students put on leave by applyStatuses may have no leave left
+    var query = {status: {$in: ["Active", "Leave"]}, $or: [{_id: {$in: Object.keys(records)}}, {status: "Leave", "versions.source": leaves.source}]};
+    if(conditions != null && conditions.student != null){
+      query._id = conditions.student;
+    }
+    return schema.Student.find(query).populate("versions.semester").exec();
+  }).then(function(students){
+    var changed = 0;
+    return students.reduce(function(chain, student){
+      return chain.then(function(){
+        var status = leaves.statusFor(student, records[student._id], now);
+        if(status == null){
+          return;
+        }
+        changed++;
+        return audit.update(req, schema.Student, {_id: student._id}, versions.update(student, {status: status}, semester, now, null, leaves.source));
+      });
+    }, Promise.resolve()).then(function(){
+      return changed;
+    });
+  });
+}
+
+/*
+@description runs leaves.applyStatuses now and every leaves.interval, so
+statuses change at the first check of a new semester. The timer does not
+keep the process running on its own.
+*/
+leaves.schedule = function(){
+  var run = function(){
+    leaves.applyStatuses({method: "TASK", originalUrl: "leave statuses", user: null}).catch(function(err){
+      console.log("leave statuses were not updated: " + err.message);
+    });
+  };
+  run();
+  var timer = setInterval(run, leaves.interval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = leaves;
@@ -0,0 +1,207 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var committees = require("./committees.js");
+
+var permissions = {};
+
+/*
+Roles a user can hold. admin, gradDirector and studentServices are granted
+on the /admin/roles page (admin is also implied by the legacy Faculty.admin
+flag). faculty and student come from the user's Faculty/Student record.
+advisor, committeeChair and committeeMember only hold relative to one
+student, the one in req.params._id.
+*/
+permissions.roles = {
+  admin: "Administrator",
+  gradDirector: "Graduate director",
+  studentServices: "Student services staff",
+  faculty: "Faculty",
+  advisor: "Advisor",
+  committeeChair: "Committee chair",
+  committeeMember: "Committee member",
+  student: "Student"
+};
+
+permissions.grantableRoles = schema.RoleAssignment.schema.path("role").enumValues;
+
+//permission name -> roles that hold it
+permissions.matrix = {
+  "student.view": ["admin", "gradDirector", "studentServices", "faculty"],
+  "student.create": ["admin", "gradDirector", "studentServices"],
+  "student.edit": ["admin", "gradDirector", "studentServices"],
+  "student.delete": ["admin"],
+  "student.upload": ["admin", "studentServices"],
+  "student.download": ["admin", "gradDirector", "studentServices", "faculty"],
+  "student.record": ["admin", "gradDirector", "studentServices"],
+  "student.jobs": ["admin", "gradDirector", "studentServices", "advisor"],
+  "student.jobs.edit": ["admin", "studentServices"],
+  "student.notes": ["admin", "gradDirector", "studentServices", "advisor"],
+  "student.courses": ["admin", "gradDirector", "studentServices", "advisor", "committeeMember"],
+  "student.forms.view": ["admin", "gradDirector", "studentServices", "faculty"],
+  "student.forms.edit": ["admin", "gradDirector", "studentServices", "faculty"],
+  "student.forms.manage": ["admin", "gradDirector", "studentServices", "advisor"],
+  "student.history": ["admin", "gradDirector", "studentServices", "advisor"],
+  "student.timeline": ["admin", "gradDirector", "studentServices", "advisor"],
+  "student.leave": ["admin", "gradDirector", "studentServices"],
+  "student.leave.approve": ["admin", "gradDirector"],
+  "student.committee": ["admin", "gradDirector", "studentServices"],
+  "course.manage": ["admin", "studentServices"],
+  "faculty.manage": ["admin", "studentServices"],
+  "job.manage": ["admin", "studentServices"],
+  "report.view": ["admin", "gradDirector", "studentServices"],
+  "role.manage": ["admin"],
+  "audit.view": ["admin"],
+  "integrity.manage": ["admin"],
+  "trash.manage": ["admin"],
+  "self.view": ["student"]
+};
+
+/*
+Functions that decide whether a user holds a role relative to a student.
+They return promises that resolve to true or false.
+*/
+permissions.contextRoles = {
+  advisor: function(user, studentId){
+    return util.checkAdvisor(user, studentId);
+  },
+  committeeChair: function(user, studentId){
+    //while no chair is recorded the advisor chairs the student's committee
+    return committees.holds(user, studentId, ["chair"]).then(function(result){
+      if(result){
+        return true;
+      }
+      return committees.filled(studentId, "chair").then(function(filled){
+        return !filled && util.checkAdvisor(user, studentId);
+      });
+    });
+  },
+  committeeMember: function(user, studentId){
+    //any current member, whatever the role
+    return committees.holds(user, studentId);
+  }
+};
+
+/*
+@description roles the user holds regardless of which student is involved
+
+@param user identity object from req.user
+
+@returns array of role names
+*/
+permissions.globalRoles = function(user){
+  var roles = [];
+  if(user == null){
+    return roles;
+  }
+  if(user.faculty != null){
+    roles.push("faculty");
+    if(user.faculty.admin == true){
+      roles.push("admin");
+    }
+  }
+  if(user.student != null){
+    roles.push("student");
+  }
+  (user.roles || []).forEach(function(role){
+    if(roles.indexOf(role) == -1){
+      roles.push(role);
+    }
+  });
+  return roles;
+}
+
+/*
+@description checks whether a user holds a role, relative to a student
+for the roles in permissions.contextRoles
+
+@returns a promise that resolves to true or false
+*/
+permissions.hasRole = function(user, role, studentId){
+  if(permissions.globalRoles(user).indexOf(role) != -1){
+    return Promise.resolve(true);
+  }
+  if(permissions.contextRoles[role] == null || studentId == null){
+    return Promise.resolve(false);
+  }
+  return permissions.contextRoles[role](user, studentId);
+}
+
+/*
+@description checks a permission without looking at a student, used to
+decide which links and buttons to show
+
+@returns true or false
+*/
+permissions.hasGlobal = function(user, permission){
+  var allowed = permissions.matrix[permission] || [];
+  return permissions.globalRoles(user).some(function(role){
+    return allowed.indexOf(role) != -1;
+  });
+}
+
+/*
+@description checks whether a user holds a permission, optionally
+relative to a student (for advisor/committee member permissions)
+
+@param user identity object from req.user
+@param permission name of the permission, a key of permissions.matrix
+@param studentId (optional) _id of the student being accessed
+
+@returns a promise that resolves to true or false
+*/
+permissions.can = function(user, permission, studentId){
+  if(permissions.matrix[permission] == null){
+    return Promise.reject(new Error("Unknown permission "+permission));
+  }
+  if(permissions.hasGlobal(user, permission)){
+    return Promise.resolve(true);
+  }
+  if(studentId == null){
+    return Promise.resolve(false);
+  }
+  var checks = permissions.matrix[permission].filter(function(role){
+    return permissions.contextRoles[role] != null;
+  }).map(function(role){
+    return permissions.contextRoles[role](user, studentId);
+  });
+  return Promise.all(checks).then(function(result){
+    return result.indexOf(true) != -1;
+  });
+}
+
+/*
+@description middleware factory that only lets a request through when the
+user holds the permission, e.g. router.get("/", requirePermission("student.view"), ...)
+
+Relative permissions are checked against req.params._id.
+*/
+permissions.requirePermission = function(permission){
+  return function(req, res, next){
+    permissions.can(req.user, permission, req.params._id).then(function(result){
+      if(result){
+        next();
+      }
+      else{
+        res.status(403);
+        res.render("../views/error.ejs", {string: "You do not have permission to do that"});
+      }
+    }).catch(function(err){
+      res.status(500);
+      res.render("../views/error.ejs", {string: err.message});
+    });
+  }
+}
+
+/*
+@description middleware that exposes the user's permissions to the views
+as locals.can(permission) and locals.admin
+*/
+permissions.locals = function(req, res, next){
+  res.locals.can = function(permission){
+    return permissions.hasGlobal(req.user, permission);
+  };
+  res.locals.admin = permissions.globalRoles(req.user).indexOf("admin") != -1;
+  next();
+}
+
+module.exports = permissions;
@@ -0,0 +1,275 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+
+var reportBuilder = {};
+
+/*
+What ad hoc reports can be built over: the model and the references whose
+fields can be shown and filtered on too, by the path that holds them
+*/
+reportBuilder.entities = {
+  student: {label: "Students", model: schema.Student, references: {advisor: schema.Faculty, semesterStarted: schema.Semester}},
+  course: {label: "Courses", model: schema.Course, references: {faculty: schema.Faculty, semester: schema.Semester}},
+  job: {label: "Jobs", model: schema.Job, references: {supervisor: schema.Faculty, semester: schema.Semester, course: schema.Course, fundingSource: schema.Grant}}
+};
+
+reportBuilder.operators = {
+  eq: "is",
+  ne: "is not",
+  lt: "less than / before",
+  lte: "at most / on or before",
+  gt: "more than / after",
+  gte: "at least / on or after",
+  contains: "contains",
+  set: "is set",
+  notSet: "is not set"
+};
+
+//rows a report shows at most
+reportBuilder.limit = 5000;
+
+//fields of a model that can be columns, references and lists can not
+function scalarPaths(model){
+  var paths = [];
+  model.schema.eachPath(function(name, type){
+    if(name != "_id" && name != "__v" && type.instance != "Array" && type.instance != "ObjectID"){
+      paths.push(type);
+    }
+  });
+  return paths;
+}
+
+/*
+@description the paths a report over an entity can show, filter and group
+on: the entity's own fields, then the fields of each reference as
+reference.field (e.g. advisor.lastName)
+
+@returns [{path, label, instance, enumValues}]
+*/
+reportBuilder.fields = function(entityName){
+  var entity = reportBuilder.entities[entityName];
+  var fields = scalarPaths(entity.model).map(function(type){
+    return {path: type.path, label: type.path, instance: type.instance, enumValues: type.enumValues || []};
+  });
+  Object.keys(entity.references).forEach(function(reference){
+    scalarPaths(entity.references[reference]).forEach(function(type){
+      fields.push({path: reference + "." + type.path, label: reference + " " + type.path, instance: type.instance, enumValues: type.enumValues || []});
+    });
+  });
+  return fields;
+}
+
+//the schema path values of a report path are cast with
+function schemaPath(entity, path){
+  var parts = path.split(".");
+  if(parts.length > 1){
+    return entity.references[parts[0]].schema.path(parts.slice(1).join("."));
+  }
+  return entity.model.schema.path(path);
+}
+
+//a form value as a list, empty values dropped
+function list(value){
+  if(value == null){
+    return [];
+  }
+  return [].concat(value).filter(function(item){
+    return item != null && item !== "";
+  });
+}
+
+/*
+@description reads a report definition from a query or form body:
+entity, columns, filters[i][path|operator|value] and groupBy. Filters
+without a path are dropped.
+
+@returns {entity, columns, filters: [{path, operator, value}], groupBy}
+@throws an Error naming an entity, path or operator that does not exist
+*/
+reportBuilder.definition = function(input){
+  var entityName = input.entity || "student";
+  if(!reportBuilder.entities.hasOwnProperty(entityName)){
+    throw new Error("Reports can not be built over " + entityName);
+  }
+  var paths = reportBuilder.fields(entityName).map(function(field){
+    return field.path;
+  });
+  var filters = input.filters || [];
+  filters = (Array.isArray(filters) ? filters : Object.keys(filters).map(function(key){
+    return filters[key];
+  })).filter(function(filter){
+    return filter != null && filter.path != null && filter.path !== "";
+  }).map(function(filter){
+    return {path: filter.path, operator: filter.operator || "eq", value: filter.value != null ? String(filter.value) : ""};
+  });
+  var definition = {entity: entityName, columns: list(input.columns), filters: filters, groupBy: list(input.groupBy)};
+  definition.columns.concat(definition.groupBy).concat(filters.map(function(filter){
+    return filter.path;
+  })).forEach(function(path){
+    if(paths.indexOf(path) == -1){
+      throw new Error(reportBuilder.entities[entityName].label + " have no field " + path);
+    }
+  });
+  filters.forEach(function(filter){
+    if(!reportBuilder.operators.hasOwnProperty(filter.operator)){
+      throw new Error("Unknown operator " + filter.operator);
+    }
+  });
+  return definition;
+}
+
+/*
+@description the $match condition of one filter, with the value cast to
+the type of its path
+
+@throws an Error when the value does not fit the path
+*/
+reportBuilder.condition = function(entity, filter){
+  var result = {};
+  if(filter.operator == "set"){
+    result[filter.path] = {$ne: null};
+  }
+  else if(filter.operator == "notSet"){
+    result[filter.path] = {$eq: null};
+  }
+  else if(filter.operator == "contains"){
+    result[filter.path] = {$regex: util.escapeRegExp(filter.value), $options: "i"};
+  }
+  else{
+    var value;
+    try{
+      value = schemaPath(entity, filter.path).cast(filter.value);
+    }
+    catch(err){
+      throw new Error(filter.path + " can not be " + filter.value);
+    }
+    result[filter.path] = {};
+    result[filter.path]["$" + filter.operator] = value;
+  }
+  return result;
+}
+
+/*
+@description the aggregation a definition runs as: references that are
+used are looked up, then the filters are matched and the rows either
+grouped and counted (when there is a groupBy) or projected to the columns
+
+@returns the pipeline, its rows have the columns as c0, c1, ... and count
+*/
+reportBuilder.pipeline = function(definition){
+  var entity = reportBuilder.entities[definition.entity];
+  var used = definition.columns.concat(definition.groupBy).concat(definition.filters.map(function(filter){
+    return filter.path;
+  }));
+  var stages = [];
+  Object.keys(entity.references).forEach(function(reference){
+    var needed = used.some(function(path){
+      return path.indexOf(reference + ".") == 0;
+    });
+    if(needed){
+      var model = entity.references[reference];
+      if(model.schema.path("deletedAt") != null){
+        //soft deleted documents are left out like in every other query
+        stages.push({$lookup: {from: model.collection.name, let: {id: "$" + reference}, pipeline: [
+          {$match: {$expr: {$eq: ["$_id", "$$id"]}, deletedAt: null}}
+        ], as: reference}});
+      }
+      else{
+        stages.push({$lookup: {from: model.collection.name, localField: reference, foreignField: "_id", as: reference}});
+      }
+      stages.push({$unwind: {path: "$" + reference, preserveNullAndEmptyArrays: true}});
+    }
+  });
+  if(definition.filters.length > 0){
+    stages.push({$match: {$and: definition.filters.map(function(filter){
+      return reportBuilder.condition(entity, filter);
+    })}});
+  }
+  var shown = definition.groupBy.length > 0 ? definition.groupBy : definition.columns;
+  var project = {_id: 0};
+  var sort = {};
+  if(definition.groupBy.length > 0){
+    var group = {};
+    definition.groupBy.forEach(function(path, i){
+      group["g" + i] = "$" + path;
+      project["c" + i] = "$_id.g" + i;
+    });
+    stages.push({$group: {_id: group, count: {$sum: 1}}});
+    project.count = 1;
+  }
+  else{
+    shown.forEach(function(path, i){
+      project["c" + i] = "$" + path;
+    });
+  }
+  shown.forEach(function(path, i){
+    sort["c" + i] = 1;
+  });
+  stages.push({$project: project});
+  if(shown.length > 0){
+    stages.push({$sort: sort});
+  }
+  stages.push({$limit: reportBuilder.limit});
+  return stages;
+}
+
+/*
+@returns the columns of a definition's rows, [{field, label}] like the
+tables of reports.js
+*/
+reportBuilder.columns = function(definition){
+  var labels = {};
+  reportBuilder.fields(definition.entity).forEach(function(field){
+    labels[field.path] = field.label;
+  });
+  var shown = definition.groupBy.length > 0 ? definition.groupBy : definition.columns;
+  var columns = shown.map(function(path, i){
+    return {field: "c" + i, label: labels[path]};
+  });
+  if(definition.groupBy.length > 0){
+    columns.push({field: "count", label: "Count"});
+  }
+  return columns;
+}
+
+/*
+@description runs a definition in the database
+
+@returns a promise that resolves to {columns, rows}
+*/
+reportBuilder.run = function(definition){
+  var pipeline;
+  try{
+    pipeline = reportBuilder.pipeline(definition);
+  }
+  catch(err){
+    return Promise.reject(err);
+  }
+  return reportBuilder.entities[definition.entity].model.aggregate(pipeline).exec().then(function(result){
+    return {columns: reportBuilder.columns(definition), rows: result};
+  });
+}
+
+/*
+@returns the definition as a query string that reportBuilder.definition
+reads back
+*/
+reportBuilder.query = function(definition){
+  var parts = [["entity", definition.entity]];
+  definition.columns.forEach(function(path){
+    parts.push(["columns", path]);
+  });
+  definition.filters.forEach(function(filter, i){
+    ["path", "operator", "value"].forEach(function(key){
+      parts.push(["filters[" + i + "][" + key + "]", filter[key]]);
+    });
+  });
+  definition.groupBy.forEach(function(path){
+    parts.push(["groupBy", path]);
+  });
+  return parts.map(function(part){
+    return encodeURIComponent(part[0]) + "=" + encodeURIComponent(part[1]);
+  }).join("&");
+}
+
+module.exports = reportBuilder;
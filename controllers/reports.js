@@ -0,0 +1,628 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var timeline = require("./timeline.js");
+var versions = require("./versions.js");
+var leaveRecords = require("./leaves.js");
+var advisors = require("./advisors.js");
+
+/*
+Built-in reports, shown on /report. Each report has
+
+title, description  shown on the report list and the report page
+params              what the report can be narrowed down with:
+                    [{name, label, type, options, default}] where type is
+                    semester (a Semester, chosen from a list) or select
+                    (one of options), empty means any
+load                function(params) that resolves to the documents the
+                    report is made of
+table               function(data, params) that makes the report from what
+                    load resolved to: {columns: [{field, label}], rows}
+
+The reports are made in two steps so that the tables can be tested
+without a database.
+*/
+var reports = {};
+
+function semesterName(semester){
+  return semester != null && semester.season != null ? semester.season + " " + semester.year : "";
+}
+
+function personName(person){
+  return person != null && person.lastName != null ? person.lastName + ", " + person.firstName : "";
+}
+
+function courseName(course){
+  return [course.department, course.number, course.section].join(" ");
+}
+
+//whether a semester is within the from and to params (either may be empty)
+function inRange(semester, params){
+  if(semester == null || semester.season == null){
+    return false;
+  }
+  var index = util.semesterIndex(semester);
+  return (params.from == null || index >= util.semesterIndex(params.from)) &&
+    (params.to == null || index <= util.semesterIndex(params.to));
+}
+
+function bySemester(a, b){
+  return util.semesterIndex(a) - util.semesterIndex(b);
+}
+
+var range = [
+  {name: "from", label: "From", type: "semester"},
+  {name: "to", label: "To", type: "semester"}
+];
+
+var degrees = schema.Student.schema.path("intendedDegree").enumValues;
+
+reports.enrollment = {
+  title: "Enrollment by semester and degree",
+  description: "Students taking courses each semester and students who started that semester, by their intended degree in that semester.",
+  params: range,
+  load: function(){
+    return schema.Student.find({}, "intendedDegree semesterStarted grades versions").populate("semesterStarted").populate("versions.semester").populate({
+      path: "grades",
+      select: "course",
+      populate: {path: "course", select: "semester", populate: {path: "semester"}}
+    }).lean().exec();
+  },
+  table: function(students, params){
+    var counts = {};
+    var count = function(semester, degree, column){
+      var key = util.semesterIndex(semester) + "|" + degree;
+      counts[key] = counts[key] || {semester: semester, degree: degree, enrolled: 0, entering: 0};
+      counts[key][column]++;
+    };
+    students.forEach(function(student){
+      var degree = function(semester){
+        return versions.valueAt(student, "intendedDegree", semester) || "MASTERS";
+      };
+      if(inRange(student.semesterStarted, params)){
+        count(student.semesterStarted, degree(student.semesterStarted), "entering");
+      }
+      var taken = {};
+      (student.grades || []).forEach(function(grade){
+        var semester = grade != null && grade.course != null ? grade.course.semester : null;
+        if(inRange(semester, params) && !taken[util.semesterIndex(semester)]){
+          taken[util.semesterIndex(semester)] = true;
+          count(semester, degree(semester), "enrolled");
+        }
+      });
+    });
+    var rows = Object.keys(counts).map(function(key){
+      return counts[key];
+    }).sort(function(a, b){
+      return bySemester(a.semester, b.semester) || degrees.indexOf(a.degree) - degrees.indexOf(b.degree);
+    }).map(function(row){
+      return {semester: semesterName(row.semester), degree: row.degree, enrolled: row.enrolled, entering: row.entering};
+    });
+    return {
+      columns: [{field: "semester", label: "Semester"}, {field: "degree", label: "Degree"}, {field: "enrolled", label: "Taking courses"}, {field: "entering", label: "Started"}],
+      rows: rows
+    };
+  }
+};
+
+reports.advisorLoad = {
+  title: "Students per advisor",
+  description: "How many students each faculty member advises, by intended degree, now or as of a semester.",
+  params: [
+    {name: "status", label: "Status", type: "select", options: schema.Student.schema.path("status").enumValues, default: "Active"},
+    {name: "asOf", label: "As of", type: "semester"}
+  ],
+  load: function(params){
+    //status is matched on its value as of the semester in table
+    var conditions = params.status != null && params.asOf == null ? {status: params.status} : {};
+    return schema.Student.find(conditions, "intendedDegree advisor status semesterStarted versions").populate("advisor").populate("semesterStarted")
+      .populate("versions.semester").populate("versions.advisor").lean().exec();
+  },
+  table: function(students, params){
+    params = params || {};
+    if(params.asOf != null){
+      students = students.filter(function(student){
+        return student.semesterStarted == null || student.semesterStarted.season == null ||
+          util.semesterIndex(student.semesterStarted) <= util.semesterIndex(params.asOf);
+      }).map(function(student){
+        return versions.asOf(student, params.asOf);
+      }).filter(function(student){
+        return params.status == null || student.status == params.status;
+      });
+    }
+    var byAdvisor = {};
+    students.forEach(function(student){
+      var name = student.advisor != null ? personName(student.advisor) : "No advisor";
+      if(byAdvisor[name] == null){
+        byAdvisor[name] = {advisor: name, total: 0};
+        degrees.forEach(function(degree){
+          byAdvisor[name][degree] = 0;
+        });
+      }
+      byAdvisor[name][student.intendedDegree || "MASTERS"]++;
+      byAdvisor[name].total++;
+    });
+    var rows = Object.keys(byAdvisor).sort().map(function(name){
+      return byAdvisor[name];
+    });
+    return {
+      columns: [{field: "advisor", label: "Advisor"}].concat(degrees.map(function(degree){
+        return {field: degree, label: degree};
+      })).concat([{field: "total", label: "Total"}]),
+      rows: rows
+    };
+  }
+};
+
+reports.advisingLoad = {
+  title: "Advising load over time",
+  description: "How many students each faculty member advised every fall and spring semester, as primary advisor and as co-advisor, counting students who were active or on leave then.",
+  params: range,
+  load: function(){
+    var data = {};
+    return schema.Student.find({$or: [{advisor: {$ne: null}}, {coAdvisors: {$ne: []}}]}, "status advisor semesterStarted phdAwardedDate mastersAwarded versions coAdvisors")
+      .populate("semesterStarted").populate("advisor").populate("versions.semester").populate("versions.advisor")
+      .populate("coAdvisors.faculty").populate("coAdvisors.startSemester").populate("coAdvisors.endSemester").lean().exec().then(function(result){
+      data.students = result;
+      return schema.Semester.find({}).lean().exec();
+    }).then(function(result){
+      data.semesters = result;
+      return data;
+    });
+  },
+  table: function(data, params, now){
+    var current = util.semesterIndex(util.semesterOf(now || new Date()));
+    var semesters = data.semesters.filter(function(semester){
+      return inRange(semester, params) && (params.to != null || util.semesterIndex(semester) <= current) &&
+        (semester.season == "FA" || semester.season == "SP");
+    }).sort(bySemester);
+    var relationships = data.students.map(function(student){
+      return advisors.relationships(student);
+    });
+    var rows = [];
+    semesters.forEach(function(semester){
+      var index = util.semesterIndex(semester);
+      var byAdvisor = {};
+      data.students.forEach(function(student, i){
+        if(!advisors.enrolled(student, index)){
+          return;
+        }
+        //a student is counted once per advisor, as primary advisor first
+        var counted = {};
+        relationships[i].filter(function(relationship){
+          return advisors.covers(relationship, index);
+        }).forEach(function(relationship){
+          var name = advisors.name(relationship);
+          if(name == "" || counted[name]){
+            return;
+          }
+          counted[name] = true;
+          byAdvisor[name] = byAdvisor[name] || {semester: semesterName(semester), advisor: name, primary: 0, coAdvisor: 0, total: 0};
+          byAdvisor[name][relationship.primary ? "primary" : "coAdvisor"]++;
+          byAdvisor[name].total++;
+        });
+      });
+      Object.keys(byAdvisor).sort().forEach(function(name){
+        rows.push(byAdvisor[name]);
+      });
+    });
+    return {
+      columns: [{field: "semester", label: "Semester"}, {field: "advisor", label: "Advisor"}, {field: "primary", label: "Primary advisor"},
+        {field: "coAdvisor", label: "Co-advisor"}, {field: "total", label: "Total"}],
+      rows: rows
+    };
+  }
+};
+
+reports.funding = {
+  title: "Funding by grant and semester",
+  description: "Jobs, students and hours paid from each grant every semester.",
+  params: range,
+  load: function(){
+    var jobs;
+    return schema.Job.find({}).populate("semester").populate("fundingSource").lean().exec().then(function(result){
+      jobs = result;
+      return schema.Student.find({jobHistory: {$in: jobs.map(function(job){
+        return job._id;
+      })}}, "jobHistory").lean().exec();
+    }).then(function(result){
+      return {jobs: jobs, students: result};
+    });
+  },
+  table: function(data, params){
+    var holders = {};
+    data.students.forEach(function(student){
+      (student.jobHistory || []).forEach(function(job){
+        holders[job] = (holders[job] || 0) + 1;
+      });
+    });
+    var groups = {};
+    data.jobs.forEach(function(job){
+      if(!inRange(job.semester, params)){
+        return;
+      }
+      var grant = job.fundingSource != null ? job.fundingSource.name : "No grant";
+      var key = grant + "|" + util.semesterIndex(job.semester);
+      groups[key] = groups[key] || {grant: grant, semester: job.semester, jobs: 0, students: 0, hours: 0};
+      groups[key].jobs++;
+      groups[key].students += holders[job._id] || 0;
+      groups[key].hours += job.hours || 0;
+    });
+    var rows = Object.keys(groups).map(function(key){
+      return groups[key];
+    }).sort(function(a, b){
+      return a.grant.localeCompare(b.grant) || bySemester(a.semester, b.semester);
+    }).map(function(row){
+      return {grant: row.grant, semester: semesterName(row.semester), jobs: row.jobs, students: row.students, hours: row.hours};
+    });
+    return {
+      columns: [{field: "grant", label: "Grant"}, {field: "semester", label: "Semester"}, {field: "jobs", label: "Jobs"}, {field: "students", label: "Students"}, {field: "hours", label: "Hours"}],
+      rows: rows
+    };
+  }
+};
+
+function jobName(job){
+  return job.position + " " + (job.hours || 0) + "h" + (job.fundingSource != null ? " (" + job.fundingSource.name + ")" : "");
+}
+
+reports.fundingLedger = {
+  title: "Funding ledger",
+  description: "Each student's jobs every semester: position, hours and grant, and the fall and spring semesters counted against the funding guarantee (not counting leave). Flags students who were guaranteed funding and active in a fall or spring semester they were not on leave but had no job, students over the hours cap and students with more than one RA or TA appointment in a semester.",
+  params: range.concat([{name: "cap", label: "Hours cap", type: "select", options: ["10", "15", "20", "30", "40"], default: "20"}]),
+  load: function(){
+    var data = {};
+    return schema.Student.find({$or: [{jobHistory: {$ne: []}}, {fundingEligibility: "GUARANTEED", status: "Active"}, {"versions.field": {$in: ["fundingEligibility", "status"]}}]})
+      .populate("semesterStarted").populate("versions.semester").populate({
+      path: "jobHistory",
+      populate: [{path: "semester"}, {path: "fundingSource"}]
+    }).sort({lastName: 1, firstName: 1}).lean().exec().then(function(result){
+      data.students = result;
+      return schema.LeaveRecord.find({student: {$in: result.map(function(student){
+        return student._id;
+      })}}).populate("startSemester").populate("endSemester").lean().exec();
+    }).then(function(result){
+      data.leaves = result;
+      return schema.Semester.find({}).lean().exec();
+    }).then(function(result){
+      data.semesters = result;
+      return data;
+    });
+  },
+  table: function(data, params, now){
+    var current = util.semesterIndex(util.semesterOf(now || new Date()));
+    var cap = params.cap != null ? Number(params.cap) : null;
+    var jobSemesters = {};
+    data.students.forEach(function(student){
+      (student.jobHistory || []).forEach(function(job){
+        if(job != null && job.semester != null){
+          jobSemesters[util.semesterIndex(job.semester)] = true;
+        }
+      });
+    });
+    //fall and spring semesters up to now, and summers that had jobs
+    var semesters = data.semesters.filter(function(semester){
+      var index = util.semesterIndex(semester);
+      return inRange(semester, params) && (params.to != null || index <= current) &&
+        (semester.season == "FA" || semester.season == "SP" || jobSemesters[index]);
+    }).sort(bySemester);
+    var leaves = {};
+    data.leaves.forEach(function(leave){
+      leaves[leave.student] = leaves[leave.student] || [];
+      leaves[leave.student].push(leave);
+    });
+    var rows = [];
+    data.students.forEach(function(student){
+      var row = {onyen: student.onyen, name: personName(student), fundingEligibility: student.fundingEligibility};
+      var flags = [];
+      var funded = false;
+      //an extension of time does not stop the funding guarantee clock
+      var onLeave = timeline.leaveIndexes(leaves[student._id], now, leaveRecords.away);
+      var started = student.semesterStarted != null && student.semesterStarted.season != null ? util.semesterIndex(student.semesterStarted) : null;
+      row.guaranteed = 0;
+      for(var i = started != null ? started : current + 1; i <= current; i++){
+        var season = util.semesterAt(i).season;
+        if((season == "FA" || season == "SP") && !onLeave[i] && versions.valueAt(student, "fundingEligibility", util.semesterAt(i)) == "GUARANTEED"){
+          row.guaranteed++;
+        }
+      }
+      semesters.forEach(function(semester){
+        var index = util.semesterIndex(semester);
+        var jobs = (student.jobHistory || []).filter(function(job){
+          return job != null && job.semester != null && util.semesterIndex(job.semester) == index;
+        });
+        var name = semesterName(semester);
+        var hours = jobs.reduce(function(total, job){
+          return total + (job.hours || 0);
+        }, 0);
+        row[name] = jobs.map(jobName).join("; ");
+        funded = funded || jobs.length > 0;
+        if(jobs.length == 0 && versions.valueAt(student, "fundingEligibility", semester) == "GUARANTEED" &&
+          versions.valueAt(student, "status", semester) == "Active" && !onLeave[index] &&
+          (semester.season == "FA" || semester.season == "SP") && (started == null || index >= started)){
+          flags.push("No job " + name);
+        }
+        if(cap != null && hours > cap){
+          flags.push(hours + " hours " + name);
+        }
+        var appointments = jobs.filter(function(job){
+          return job.position == "RA" || job.position == "TA";
+        });
+        if(appointments.length > 1){
+          flags.push("Double-booked " + name);
+        }
+      });
+      row.flags = flags.join(", ");
+      if(funded || flags.length > 0){
+        rows.push(row);
+      }
+    });
+    return {
+      columns: [{field: "onyen", label: "Onyen"}, {field: "name", label: "Name"}, {field: "fundingEligibility", label: "Funding eligibility"}].concat(semesters.map(function(semester){
+        return {field: semesterName(semester), label: semesterName(semester)};
+      })).concat([{field: "guaranteed", label: "Guaranteed semesters"}, {field: "flags", label: "Flags"}]),
+      rows: rows
+    };
+  }
+};
+
+reports.milestones = {
+  title: "Milestone completion by cohort",
+  description: "How many students of each entering semester have reached each milestone.",
+  params: [{name: "degree", label: "Degree", type: "select", options: degrees}],
+  load: function(params){
+    var conditions = params.degree != null ? {intendedDegree: params.degree} : {};
+    return schema.Student.find(conditions).populate("semesterStarted").lean().exec();
+  },
+  table: function(students, params){
+    var milestones = timeline.milestones.filter(function(milestone){
+      return params.degree == null || timeline.expectedFor(milestone, params.degree) != null;
+    });
+    var cohorts = {};
+    students.forEach(function(student){
+      var key = student.semesterStarted != null && student.semesterStarted.season != null ? util.semesterIndex(student.semesterStarted) : -1;
+      if(cohorts[key] == null){
+        cohorts[key] = {cohort: key == -1 ? "Unknown" : semesterName(student.semesterStarted), students: 0, index: key};
+        milestones.forEach(function(milestone){
+          cohorts[key][milestone.field] = 0;
+        });
+      }
+      cohorts[key].students++;
+      milestones.forEach(function(milestone){
+        if(student[milestone.field] != null){
+          cohorts[key][milestone.field]++;
+        }
+      });
+    });
+    var rows = Object.keys(cohorts).map(function(key){
+      return cohorts[key];
+    }).sort(function(a, b){
+      return a.index - b.index;
+    }).map(function(row){
+      delete row.index;
+      return row;
+    });
+    return {
+      columns: [{field: "cohort", label: "Started"}, {field: "students", label: "Students"}].concat(milestones.map(function(milestone){
+        return {field: milestone.field, label: milestone.label};
+      })),
+      rows: rows
+    };
+  }
+};
+
+//middle value of a list of numbers, null for none
+function median(values){
+  if(values.length == 0){
+    return null;
+  }
+  var sorted = values.slice().sort(function(a, b){
+    return a - b;
+  });
+  var middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 == 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percent(count, total){
+  return total > 0 ? Math.round(count * 100 / total) + "%" : "";
+}
+
+var statuses = schema.Student.schema.path("status").enumValues;
+
+reports.cohorts = {
+  title: "Cohort analytics",
+  description: "For each entering semester: students by status, retention, the share of Ph.D. students who received a masters along the way and the median number of semesters (fall and spring, not counting leave) to each milestone.",
+  params: [{name: "degree", label: "Degree", type: "select", options: degrees}].concat(range),
+  load: function(params){
+    var students;
+    var conditions = {semesterStarted: {$ne: null}};
+    if(params.degree != null){
+      conditions.intendedDegree = params.degree;
+    }
+    return schema.Student.find(conditions).populate("semesterStarted").lean().exec().then(function(result){
+      students = result;
+      return schema.LeaveRecord.find({student: {$in: students.map(function(student){
+        return student._id;
+      })}}).populate("startSemester").populate("endSemester").lean().exec();
+    }).then(function(result){
+      return {students: students, leaves: result};
+    });
+  },
+  table: function(data, params, now){
+    var milestones = timeline.milestones.filter(function(milestone){
+      return params.degree == null || timeline.expectedFor(milestone, params.degree) != null;
+    });
+    var leaves = {};
+    data.leaves.forEach(function(leave){
+      leaves[leave.student] = leaves[leave.student] || [];
+      leaves[leave.student].push(leave);
+    });
+    var cohorts = {};
+    data.students.forEach(function(student){
+      if(!inRange(student.semesterStarted, params)){
+        return;
+      }
+      var start = util.semesterIndex(student.semesterStarted);
+      if(cohorts[start] == null){
+        cohorts[start] = {semester: student.semesterStarted, students: 0, phd: 0, masters: 0, counts: {}, reached: {}};
+        statuses.forEach(function(status){
+          cohorts[start].counts[status] = 0;
+        });
+        milestones.forEach(function(milestone){
+          cohorts[start].reached[milestone.field] = [];
+        });
+      }
+      var cohort = cohorts[start];
+      cohort.students++;
+      cohort.counts[student.status || "Active"]++;
+      if(student.intendedDegree == "PHD" || student.intendedDegree == "BOTH"){
+        cohort.phd++;
+        if(student.mastersAwarded != null){
+          cohort.masters++;
+        }
+      }
+      var onLeave = timeline.leaveIndexes(leaves[student._id], now);
+      milestones.forEach(function(milestone){
+        if(student[milestone.field] != null){
+          var index = util.semesterIndex(util.semesterOf(student[milestone.field]));
+          cohort.reached[milestone.field].push(timeline.elapsed(start, index, onLeave));
+        }
+      });
+    });
+    var rows = Object.keys(cohorts).sort(function(a, b){
+      return a - b;
+    }).map(function(key){
+      var cohort = cohorts[key];
+      var row = {cohort: semesterName(cohort.semester), students: cohort.students};
+      statuses.forEach(function(status){
+        row[status] = cohort.counts[status];
+      });
+      row.retained = percent(cohort.counts.Active + cohort.counts.Leave + cohort.counts.Graduated, cohort.students);
+      row.mastersAlongTheWay = percent(cohort.masters, cohort.phd);
+      milestones.forEach(function(milestone){
+        row[milestone.field] = median(cohort.reached[milestone.field]);
+      });
+      return row;
+    });
+    return {
+      columns: [{field: "cohort", label: "Started"}, {field: "students", label: "Students"}].concat(statuses.map(function(status){
+        return {field: status, label: status};
+      })).concat([
+        {field: "retained", label: "Retained (active, on leave or graduated)"},
+        {field: "mastersAlongTheWay", label: "Ph.D. students with a masters"}
+      ]).concat(milestones.map(function(milestone){
+        return {field: milestone.field, label: milestone.label + " (median semesters)"};
+      })),
+      rows: rows
+    };
+  }
+};
+
+reports.leaveProbation = {
+  title: "Students on leave or probation",
+  description: "Students whose status in the semester was Leave, who have approved leave in the semester, or whose funding eligibility was on probation then.",
+  params: [{name: "semester", label: "Semester", type: "semester"}],
+  load: function(){
+    var students;
+    return schema.Student.find({$or: [{status: {$in: ["Active", "Leave"]}}, {"versions.field": "status"}]}).populate("advisor")
+      .populate("versions.semester").populate("versions.advisor").sort({lastName: 1, firstName: 1}).lean().exec().then(function(result){
+      students = result;
+      return schema.LeaveRecord.find({student: {$in: students.map(function(student){
+        return student._id;
+      })}}).populate("startSemester").populate("endSemester").lean().exec();
+    }).then(function(result){
+      return {students: students, leaves: result};
+    });
+  },
+  table: function(data, params){
+    var semester = params.semester || util.semesterOf(new Date());
+    var index = util.semesterIndex(semester);
+    var leaves = {};
+    data.leaves.forEach(function(leave){
+      if(leaveRecords.away(leave) && leaveRecords.covers(leave, index)){
+        leaves[leave.student] = leave;
+      }
+    });
+    var rows = data.students.map(function(student){
+      return versions.asOf(student, semester);
+    }).filter(function(student){
+      return student.status == "Active" || student.status == "Leave";
+    }).filter(function(student){
+      return student.status == "Leave" || student.fundingEligibility == "PROBATION" || leaves[student._id] != null;
+    }).map(function(student){
+      var leave = leaves[student._id];
+      return {
+        onyen: student.onyen,
+        name: personName(student),
+        advisor: personName(student.advisor),
+        status: student.status,
+        fundingEligibility: student.fundingEligibility,
+        leave: leave != null ? semesterName(leave.startSemester) + " to " + (leave.endSemester != null ? semesterName(leave.endSemester) : "open") : "",
+        type: leave != null && leave.type != null ? leaveRecords.types[leave.type] : "",
+        reason: leave != null ? leave.reason : ""
+      };
+    });
+    return {
+      columns: [{field: "onyen", label: "Onyen"}, {field: "name", label: "Name"}, {field: "advisor", label: "Advisor"}, {field: "status", label: "Status"},
+        {field: "fundingEligibility", label: "Funding eligibility"}, {field: "leave", label: "Leave"}, {field: "type", label: "Leave type"}, {field: "reason", label: "Reason"}],
+      rows: rows
+    };
+  }
+};
+
+var grades = schema.Grade.schema.path("grade").enumValues;
+
+reports.gradeDistribution = {
+  title: "Grade distribution per course",
+  description: "How many of each grade every course section gave.",
+  params: [{name: "semester", label: "Semester", type: "semester"}],
+  load: function(params){
+    var counts;
+    return schema.Grade.aggregate([
+      {$group: {_id: {course: "$course", grade: "$grade"}, count: {$sum: 1}}}
+    ]).exec().then(function(result){
+      counts = result;
+      var conditions = {_id: {$in: counts.map(function(count){
+        return count._id.course;
+      })}};
+      if(params.semester != null){
+        conditions.semester = params.semester._id;
+      }
+      return schema.Course.find(conditions).populate("semester").populate("faculty").lean().exec();
+    }).then(function(result){
+      return {counts: counts, courses: result};
+    });
+  },
+  table: function(data){
+    var byCourse = {};
+    data.courses.forEach(function(course){
+      var row = {course: courseName(course), name: course.name, semester: semesterName(course.semester), faculty: personName(course.faculty), total: 0};
+      grades.forEach(function(grade){
+        row[grade] = 0;
+      });
+      byCourse[course._id] = {course: course, row: row};
+    });
+    data.counts.forEach(function(count){
+      var entry = byCourse[count._id.course];
+      if(entry != null){
+        entry.row[count._id.grade || "NA"] += count.count;
+        entry.row.total += count.count;
+      }
+    });
+    var rows = Object.keys(byCourse).map(function(id){
+      return byCourse[id];
+    }).sort(function(a, b){
+      return (a.course.semester != null && b.course.semester != null ? bySemester(a.course.semester, b.course.semester) : 0) ||
+        a.row.course.localeCompare(b.row.course);
+    }).map(function(entry){
+      return entry.row;
+    });
+    return {
+      columns: [{field: "course", label: "Course"}, {field: "name", label: "Name"}, {field: "semester", label: "Semester"}, {field: "faculty", label: "Faculty"}].concat(grades.map(function(grade){
+        return {field: grade, label: grade};
+      })).concat([{field: "total", label: "Total"}]),
+      rows: rows
+    };
+  }
+};
+
+module.exports = reports;
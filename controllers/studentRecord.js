@@ -0,0 +1,299 @@
+var schema = require("../models/schema.js");
+var workflow = require("./workflow.js");
+var versions = require("./versions.js");
+var advisors = require("./advisors.js");
+var exporter = require("./exporter.js");
+var archiver = require("archiver");
+
+var studentRecord = {};
+
+//the dates of the student record, in schema order
+studentRecord.milestones = Object.keys(schema.Student.schema.obj).filter(function(field){
+  return schema.Student.schema.path(field).instance == "Date";
+});
+
+//every other field of the student record, references are written as names
+//(grades, jobs, versions and co-advisors have their own sections)
+studentRecord.demographics = Object.keys(schema.Student.schema.obj).filter(function(field){
+  return ["jobHistory", "grades", "versions", "coAdvisors"].indexOf(field) == -1 && studentRecord.milestones.indexOf(field) == -1;
+});
+
+//formats the full record can be downloaded in, see exporter.format
+studentRecord.formats = {
+  xlsx: {contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"},
+  zip: {contentType: "application/zip"}
+};
+
+function semesterName(semester){
+  return semester != null && semester.season != null ? semester.season + " " + semester.year : null;
+}
+
+function facultyName(faculty){
+  return faculty != null && faculty.lastName != null ? faculty.lastName + ", " + faculty.firstName : null;
+}
+
+function courseName(course){
+  return course != null && course.number != null ? [course.department, course.number, course.section].join(" ") : null;
+}
+
+/*
+@description loads the full records of the students that match: the
+student with advisor, semester started, versions and co-advisors, grades with their courses,
+jobs with supervisor and funding source, notes, leave and every CS form
+with its approval
+
+@returns a promise that resolves to [{student, notes, leaves, forms:
+[{title, form, approval}]}] sorted by name, the documents are lean
+*/
+studentRecord.load = function(conditions){
+  var titles = Object.keys(workflow.routes);
+  var records = [];
+  var byId = {};
+  var ids = [];
+  var approvals = {};
+  return schema.Student.find(conditions).populate("advisor").populate("semesterStarted").populate("versions.semester").populate("versions.advisor")
+    .populate("coAdvisors.faculty").populate("coAdvisors.startSemester").populate("coAdvisors.endSemester").populate({
+    path: "grades",
+    populate: {path: "course", populate: [{path: "semester"}, {path: "faculty"}]}
+  }).populate({
+    path: "jobHistory",
+    populate: [{path: "supervisor"}, {path: "semester"}, {path: "course"}, {path: "fundingSource"}]
+  }).sort({lastName: 1, firstName: 1}).lean().exec().then(function(result){
+    result.forEach(function(student){
+      var record = {student: student, notes: [], leaves: [], forms: []};
+      records.push(record);
+      byId[String(student._id)] = record;
+      ids.push(student._id);
+    });
+    return schema.Note.find({student: {$in: ids}}).sort({date: 1}).lean().exec();
+  }).then(function(result){
+    result.forEach(function(note){
+      byId[String(note.student)].notes.push(note);
+    });
+    return schema.LeaveRecord.find({student: {$in: ids}}).populate("startSemester").populate("endSemester").lean().exec();
+  }).then(function(result){
+    result.forEach(function(leave){
+      byId[String(leave.student)].leaves.push(leave);
+    });
+    return schema.FormApproval.find({student: {$in: ids}}).lean().exec();
+  }).then(function(result){
+    result.forEach(function(approval){
+      approvals[approval.student + "|" + approval.form] = approval;
+    });
+    return Promise.all(titles.map(function(title){
+      return schema[title].find({student: {$in: ids}}).lean().exec();
+    }));
+  }).then(function(result){
+    var forms = {};
+    titles.forEach(function(title, i){
+      result[i].forEach(function(form){
+        forms[form.student + "|" + title] = form;
+      });
+    });
+    records.forEach(function(record){
+      titles.forEach(function(title){
+        var key = record.student._id + "|" + title;
+        if(forms[key] != null || approvals[key] != null){
+          record.forms.push({title: title, form: forms[key] || null, approval: approvals[key] || null});
+        }
+      });
+    });
+    return records;
+  });
+}
+
+//the sections of a record as rows, shared by the workbook and the json
+var sections = {
+  student: function(record){
+    var row = {};
+    studentRecord.demographics.forEach(function(field){
+      row[field] = record.student[field];
+    });
+    row.advisor = facultyName(record.student.advisor);
+    row.semesterStarted = semesterName(record.student.semesterStarted);
+    return row;
+  },
+  //co-advisors from the department and from outside it, see advisors.js
+  coAdvisors: function(record){
+    return (record.student.coAdvisors || []).map(function(coAdvisor){
+      var external = coAdvisor.external || {};
+      return {
+        coAdvisor: advisors.name(coAdvisor),
+        department: coAdvisor.faculty != null ? null : external.department,
+        institution: coAdvisor.faculty != null ? null : external.institution,
+        email: coAdvisor.faculty != null ? coAdvisor.faculty.email : external.email,
+        startSemester: semesterName(coAdvisor.startSemester),
+        endSemester: semesterName(coAdvisor.endSemester)
+      };
+    });
+  },
+  milestones: function(record){
+    var row = {};
+    studentRecord.milestones.forEach(function(field){
+      row[field] = record.student[field];
+    });
+    return row;
+  },
+  //changes to the versioned fields, see versions.js
+  history: function(record){
+    return versions.history(record.student).map(function(version){
+      return {
+        field: version.field,
+        value: version.field == "advisor" ? facultyName(version.advisor) : version.value,
+        semester: version.semester != null ? semesterName(version.semester) : "Before",
+        recordedBy: version.recordedBy || version.source || null
+      };
+    });
+  },
+  grades: function(record){
+    return (record.student.grades || []).filter(function(grade){
+      return grade != null;
+    }).map(function(grade){
+      var course = grade.course || {};
+      return {
+        semester: semesterName(course.semester),
+        department: course.department,
+        number: course.number,
+        section: course.section,
+        name: course.name,
+        hours: course.hours,
+        category: course.category,
+        faculty: facultyName(course.faculty),
+        grade: grade.grade
+      };
+    });
+  },
+  jobs: function(record){
+    return (record.student.jobHistory || []).filter(function(job){
+      return job != null;
+    }).map(function(job){
+      return {
+        semester: semesterName(job.semester),
+        position: job.position,
+        supervisor: facultyName(job.supervisor),
+        course: courseName(job.course),
+        hours: job.hours,
+        description: job.description,
+        fundingSource: job.fundingSource != null ? job.fundingSource.name : null
+      };
+    });
+  },
+  notes: function(record){
+    return record.notes.map(function(note){
+      return {date: note.date, title: note.title, note: note.note};
+    });
+  },
+  leaves: function(record){
+    return record.leaves.map(function(leave){
+      return {startSemester: semesterName(leave.startSemester), endSemester: semesterName(leave.endSemester), reason: leave.reason};
+    });
+  },
+  forms: function(record){
+    return record.forms.map(function(entry){
+      var fields = {};
+      for(var field in entry.form || {}){
+        if(["_id", "__v", "student"].indexOf(field) == -1){
+          fields[field] = entry.form[field];
+        }
+      }
+      var approval = entry.approval || {};
+      return {
+        form: entry.title,
+        state: approval.state || "draft",
+        fields: fields,
+        signatures: approval.signatures || [],
+        transitions: approval.transitions || []
+      };
+    });
+  }
+};
+
+/*
+@description the records as the sheets of a workbook, one sheet per
+section with a row per co-advisor, change, grade, job, note, leave or form field. Every row
+starts with the student's onyen so the sheets of a bulk export can be
+told apart.
+
+@returns [{name, table}] for exporter.workbook
+*/
+studentRecord.tables = function(records){
+  var rows = {Student: [], "Co-advisors": [], Milestones: [], History: [], Grades: [], Jobs: [], Notes: [], Leave: [], Forms: []};
+  var withOnyen = function(record, row){
+    return Object.assign({onyen: record.student.onyen}, row);
+  };
+  records.forEach(function(record){
+    rows.Student.push(sections.student(record));
+    rows.Milestones.push(withOnyen(record, sections.milestones(record)));
+    ["coAdvisors", "history", "grades", "jobs", "notes", "leaves"].forEach(function(section, i){
+      var sheet = ["Co-advisors", "History", "Grades", "Jobs", "Notes", "Leave"][i];
+      sections[section](record).forEach(function(row){
+        rows[sheet].push(withOnyen(record, row));
+      });
+    });
+    sections.forms(record).forEach(function(form){
+      Object.keys(form.fields).forEach(function(field){
+        rows.Forms.push(withOnyen(record, {form: form.form, state: form.state, field: field, value: form.fields[field]}));
+      });
+    });
+  });
+  var headers = {
+    Student: studentRecord.demographics,
+    "Co-advisors": ["onyen", "coAdvisor", "department", "institution", "email", "startSemester", "endSemester"],
+    Milestones: ["onyen"].concat(studentRecord.milestones),
+    History: ["onyen", "field", "value", "semester", "recordedBy"],
+    Grades: ["onyen", "semester", "department", "number", "section", "name", "hours", "category", "faculty", "grade"],
+    Jobs: ["onyen", "semester", "position", "supervisor", "course", "hours", "description", "fundingSource"],
+    Notes: ["onyen", "date", "title", "note"],
+    Leave: ["onyen", "startSemester", "endSemester", "reason"],
+    Forms: ["onyen", "form", "state", "field", "value"]
+  };
+  return Object.keys(rows).map(function(name){
+    return {name: name, table: exporter.table(rows[name], headers[name])};
+  });
+}
+
+/*
+@returns one record as a plain object for the json export
+*/
+studentRecord.json = function(record){
+  var result = {};
+  Object.keys(sections).forEach(function(section){
+    result[section] = sections[section](record);
+  });
+  return result;
+}
+
+/*
+@description sends records as a workbook (studentRecord.tables) or a zip
+with a json file per student, chosen like the other downloads (?format=zip
+or the Accept header, see exporter.format)
+
+@param filename name of the download without extension
+
+@finish sends the file, or a 406 error page for an unknown format
+*/
+studentRecord.send = function(req, res, records, filename){
+  var format = exporter.format(req, studentRecord.formats);
+  if(format == null){
+    res.status(406);
+    res.render("../views/error.ejs", {string: "Full records can be downloaded as xlsx or zip, not " + req.query.format});
+    return;
+  }
+  exporter.attachment(res, filename + "." + format, studentRecord.formats[format].contentType);
+  if(format == "xlsx"){
+    res.end(exporter.workbook(studentRecord.tables(records)));
+    return;
+  }
+  var archive = archiver("zip");
+  archive.on("error", function(err){
+    res.destroy(err);
+  });
+  archive.pipe(res);
+  records.forEach(function(record){
+    var name = record.student.onyen || String(record.student._id);
+    archive.append(JSON.stringify(studentRecord.json(record), null, 2), {name: name + ".json"});
+  });
+  archive.finalize();
+}
+
+module.exports = studentRecord;
@@ -0,0 +1,211 @@
+var schema = require("../models/schema.js");
+var importer = require("./importer.js");
+
+var taPlanner = {};
+
+//hours a week a student can work as TA in a semester
+taPlanner.hoursCap = 20;
+
+function sameId(a, b){
+  return a != null && b != null && String(a._id || a) == String(b._id || b);
+}
+
+function personName(person){
+  return person != null && person.lastName != null ? person.lastName + ", " + person.firstName : "";
+}
+
+function courseName(course){
+  return [course.department, course.number, course.section].join(" ");
+}
+
+/*
+@description whether a student can be planned as a TA in a semester:
+active, not on funding probation and not already holding a TA or RA job
+that semester
+
+@param student Student with jobHistory populated
+@param course (optional) TA jobs of this course are not counted, so that
+students stay eligible for the section once its jobs are created
+*/
+taPlanner.eligible = function(student, semester, course){
+  if(student.status != "Active" || student.fundingEligibility == "PROBATION"){
+    return false;
+  }
+  return !(student.jobHistory || []).some(function(job){
+    return job != null && (job.position == "TA" || job.position == "RA") && sameId(job.semester, semester) &&
+      !(course != null && job.position == "TA" && sameId(job.course, course));
+  });
+}
+
+/*
+@description reads the assignments of the board form,
+assignments[i][course|student|hours], slots without a student are dropped
+
+@returns [{course, student, hours}]
+*/
+taPlanner.read = function(body){
+  var assignments = body.assignments || [];
+  if(!Array.isArray(assignments)){
+    assignments = Object.keys(assignments).map(function(key){
+      return assignments[key];
+    });
+  }
+  return assignments.filter(function(assignment){
+    return assignment != null && assignment.course && assignment.student;
+  }).map(function(assignment){
+    var hours = parseInt(assignment.hours);
+    return {course: assignment.course, student: assignment.student, hours: isNaN(hours) ? null : hours};
+  });
+}
+
+/*
+@description lays out the board of a semester: every section with the
+TA hours it needs and the students planned for it, and every student that
+can be planned with the hours planned for them
+
+@param courses the courses of the semester
+@param students the students that are eligible (taPlanner.eligible) or
+already planned
+@param assignments of the TAPlan, [{course, student, hours}]
+
+@returns {sections: [{course, name, required, assigned: [{student, hours}],
+planned, short}], students: [{student, name, eligible, hours, over}],
+unfilled (sections that are short), over (students over the cap),
+problems (what keeps the board from being finalized)}
+*/
+taPlanner.board = function(semester, courses, students, assignments){
+  var byStudent = {};
+  var entries = students.map(function(student){
+    var entry = {student: student, name: personName(student), eligible: taPlanner.eligible(student, semester), hours: 0, over: false};
+    byStudent[String(student._id)] = entry;
+    return entry;
+  });
+  var problems = [];
+  var sections = courses.map(function(course){
+    var assigned = assignments.filter(function(assignment){
+      return sameId(assignment.course, course);
+    }).map(function(assignment){
+      var entry = byStudent[String(assignment.student._id || assignment.student)];
+      if(entry == null){
+        problems.push("A student planned for " + courseName(course) + " could not be found");
+        return null;
+      }
+      entry.hours += assignment.hours || 0;
+      if(!taPlanner.eligible(entry.student, semester, course)){
+        problems.push(entry.name + " can not be a TA this semester");
+      }
+      if(!(assignment.hours > 0)){
+        problems.push("Hours of " + entry.name + " in " + courseName(course) + " are not set");
+      }
+      return {student: entry.student, hours: assignment.hours};
+    }).filter(function(assignment){
+      return assignment != null;
+    });
+    var planned = assigned.reduce(function(total, assignment){
+      return total + (assignment.hours || 0);
+    }, 0);
+    if(assigned.length > 0 && course.faculty == null){
+      problems.push(courseName(course) + " has no faculty to supervise its TAs");
+    }
+    return {course: course, name: courseName(course), required: course.taHours || 0, assigned: assigned, planned: planned, short: Math.max((course.taHours || 0) - planned, 0)};
+  });
+  assignments.forEach(function(assignment){
+    var known = courses.some(function(course){
+      return sameId(assignment.course, course);
+    });
+    if(!known){
+      problems.push("A planned course is not taught this semester");
+    }
+  });
+  entries.forEach(function(entry){
+    entry.over = entry.hours > taPlanner.hoursCap;
+  });
+  return {
+    sections: sections,
+    students: entries,
+    unfilled: sections.filter(function(section){
+      return section.short > 0;
+    }),
+    over: entries.filter(function(entry){
+      return entry.over;
+    }),
+    problems: problems
+  };
+}
+
+/*
+@description loads the board of a semester
+
+@returns a promise that resolves to {plan, board}, plan is a new (unsaved)
+TAPlan when the semester has none
+*/
+taPlanner.load = function(semester){
+  var plan, courses;
+  return schema.TAPlan.findOne({semester: semester._id}).exec().then(function(result){
+    plan = result || new schema.TAPlan({semester: semester._id, assignments: []});
+    return schema.Course.find({semester: semester._id}).populate("faculty").sort({department: 1, number: 1, section: 1}).lean().exec();
+  }).then(function(result){
+    courses = result;
+    var planned = plan.assignments.map(function(assignment){
+      return assignment.student;
+    });
+    return schema.Student.find({$or: [{status: "Active", fundingEligibility: {$ne: "PROBATION"}}, {_id: {$in: planned}}]}).populate("jobHistory").sort({lastName: 1, firstName: 1}).lean().exec();
+  }).then(function(students){
+    students = students.filter(function(student){
+      return taPlanner.eligible(student, semester) || plan.assignments.some(function(assignment){
+        return sameId(assignment.student, student);
+      });
+    });
+    return {plan: plan, board: taPlanner.board(semester, courses, students, plan.assignments)};
+  });
+}
+
+/*
+@description creates the TA jobs of a board and adds them to the students'
+jobHistory. Students planned for a section with the same hours share one
+job, an existing job with the same course, semester and hours is reused.
+Either every job and link is written or none.
+
+@returns a promise that resolves once every write is done and audited
+*/
+taPlanner.finalize = function(req, semester, board){
+  if(board.problems.length > 0){
+    return Promise.reject(new Error(board.problems.join(", ")));
+  }
+  var groups = [];
+  board.sections.forEach(function(section){
+    section.assigned.forEach(function(assignment){
+      var group = groups.filter(function(g){
+        return g.course == section.course && g.hours == assignment.hours;
+      })[0];
+      if(group == null){
+        group = {course: section.course, hours: assignment.hours, students: []};
+        groups.push(group);
+      }
+      group.students.push(assignment.student);
+    });
+  });
+  var writer = importer.writer();
+  return groups.reduce(function(chain, group){
+    return chain.then(function(){
+      var job = {position: "TA", supervisor: group.course.faculty._id, course: group.course._id, semester: semester._id, hours: group.hours};
+      return schema.Job.findOne({position: "TA", course: group.course._id, semester: semester._id, hours: group.hours}).exec().then(function(result){
+        return result != null ? result : writer.create(schema.Job, job);
+      }).then(function(result){
+        return group.students.reduce(function(next, student){
+          return next.then(function(){
+            return writer.update(schema.Student, student._id, {$addToSet: {jobHistory: result._id}});
+          });
+        }, Promise.resolve());
+      });
+    });
+  }, Promise.resolve()).then(function(){
+    return writer.audit(req);
+  }, function(err){
+    return writer.rollback().then(function(){
+      throw new Error("No jobs were created: " + err.message);
+    });
+  });
+}
+
+module.exports = taPlanner;
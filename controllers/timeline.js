@@ -0,0 +1,231 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+var leaveRecords = require("./leaves.js");
+
+var timeline = {};
+
+/*
+Milestones shown on the timeline, in the order they are expected, and the
+department's expected pace: the number of fall/spring semesters (not
+counting leave) by the end of which the milestone should be reached, per
+intendedDegree. Summer sessions do not count.
+*/
+timeline.milestones = [
+  {field: "backgroundApproved", label: "Background approved", expected: {MASTERS: 2, PHD: 2}},
+  {field: "backgroundPrepWorksheetApproved", label: "Background preparation worksheet approved", expected: {MASTERS: 2, PHD: 2}},
+  {field: "programOfStudyApproved", label: "Program of study approved", expected: {MASTERS: 3, PHD: 6}},
+  {field: "mastersAwarded", label: "Masters awarded", expected: {MASTERS: 4}},
+  {field: "prpPassed", label: "Preliminary research presentation passed", expected: {PHD: 5}},
+  {field: "researchPlanningMeeting", label: "Research planning meeting", expected: {PHD: 6}},
+  {field: "committeeCompApproved", label: "Committee composition approved", expected: {PHD: 6}},
+  {field: "phdProposalApproved", label: "Dissertation proposal approved", expected: {PHD: 8}},
+  {field: "oralExamPassed", label: "Oral exam passed", expected: {PHD: 8}},
+  {field: "dissertationDefencePassed", label: "Dissertation defense passed", expected: {PHD: 12}},
+  {field: "dissertationSubmitted", label: "Dissertation submitted", expected: {PHD: 12}},
+  {field: "phdAwardedDate", label: "Ph.D. awarded", expected: {PHD: 12}}
+];
+
+/*
+@description expected pace of a milestone for a student. Students going
+for BOTH degrees are held to the Ph.D. pace where there is one.
+
+@returns number of semesters, or null if the milestone does not apply
+*/
+timeline.expectedFor = function(milestone, degree){
+  if(degree == "BOTH"){
+    return milestone.expected.PHD != null ? milestone.expected.PHD : (milestone.expected.MASTERS != null ? milestone.expected.MASTERS : null);
+  }
+  return milestone.expected[degree || "MASTERS"] != null ? milestone.expected[degree || "MASTERS"] : null;
+}
+
+function regular(index){
+  var season = util.semesterAt(index).season;
+  return season == "FA" || season == "SP";
+}
+
+/*
+@description semester indexes (util.semesterIndex) the student was on leave
+
+@param leaves LeaveRecords with startSemester and endSemester populated,
+a leave without an end semester lasts until now
+@param counts (optional) which records count, approved ones (leaves.approved)
+by default
+
+@returns object with the indexes as keys
+*/
+timeline.leaveIndexes = function(leaves, now, counts){
+  var onLeave = {};
+  var current = util.semesterIndex(util.semesterOf(now || new Date()));
+  (leaves || []).filter(counts || leaveRecords.approved).forEach(function(leave){
+    if(leave.startSemester == null){
+      return;
+    }
+    var end = leave.endSemester != null ? util.semesterIndex(leave.endSemester) : current;
+    for(var i = util.semesterIndex(leave.startSemester); i <= end; i++){
+      onLeave[i] = true;
+    }
+  });
+  return onLeave;
+}
+
+/*
+@description number of fall/spring semesters from start through end that
+the student was not on leave
+
+@param start, end semester indexes (util.semesterIndex)
+@param onLeave result of timeline.leaveIndexes
+*/
+timeline.elapsed = function(start, end, onLeave){
+  var count = 0;
+  for(var i = start; i <= end; i++){
+    if(regular(i) && !onLeave[i]){
+      count++;
+    }
+  }
+  return count;
+}
+
+/*
+@description builds a student's timeline: one row per semester from
+semesterStarted until now (or the last milestone), with the milestones
+reached, the milestones expected by then and leave
+
+@param student Student with semesterStarted populated
+@param leaves the student's LeaveRecords with semesters populated
+@param now (optional) date to compute the timeline at, defaults to today
+
+@returns {elapsed, rows, milestones, behind} or null if semesterStarted is not set,
+where rows are {semester, number, onLeave, events} (number is the
+semester count excluding leave, null for summers and leave) and milestones are
+{field, label, date, expected, reachedAt, status (on time, late, behind, upcoming)}
+*/
+timeline.build = function(student, leaves, now){
+  if(student.semesterStarted == null || student.semesterStarted.year == null){
+    return null;
+  }
+  now = now || new Date();
+  var start = util.semesterIndex(student.semesterStarted);
+  var current = util.semesterIndex(util.semesterOf(now));
+  var onLeave = timeline.leaveIndexes(leaves, now);
+  var elapsed = timeline.elapsed(start, current, onLeave);
+
+  var milestones = timeline.milestones.map(function(milestone){
+    var expected = timeline.expectedFor(milestone, student.intendedDegree);
+    var date = student[milestone.field];
+    var entry = {field: milestone.field, label: milestone.label, date: date, expected: expected, index: null, reachedAt: null, status: null};
+    if(date != null){
+      entry.index = util.semesterIndex(util.semesterOf(date));
+      entry.reachedAt = timeline.elapsed(start, entry.index, onLeave);
+      entry.status = expected == null || entry.reachedAt <= expected ? "on time" : "late";
+    }
+    else if(expected != null){
+      entry.status = elapsed > expected ? "behind" : "upcoming";
+    }
+    return entry;
+  }).filter(function(entry){
+    return entry.date != null || entry.expected != null;
+  });
+
+  var last = current;
+  milestones.forEach(function(entry){
+    if(entry.index != null && entry.index > last){
+      last = entry.index;
+    }
+  });
+  if(student.status == "Graduated"){
+    var reached = milestones.filter(function(entry){
+      return entry.index != null;
+    });
+    if(reached.length > 0){
+      last = Math.max.apply(null, reached.map(function(entry){
+        return entry.index;
+      }));
+    }
+  }
+
+  var rows = [];
+  var count = 0;
+  for(var i = start; i <= last; i++){
+    var row = {semester: util.semesterAt(i), index: i, number: null, onLeave: onLeave[i] == true, events: []};
+    if(regular(i) && !row.onLeave){
+      count++;
+      row.number = count;
+    }
+    if(row.onLeave){
+      row.events.push({kind: "leave", label: "On leave"});
+    }
+    milestones.forEach(function(entry){
+      if(entry.index == i){
+        if(entry.status == "late"){
+          row.events.push({kind: "late", label: entry.label + " (late)"});
+        }
+        else{
+          row.events.push({kind: "milestone", label: entry.label});
+        }
+      }
+      if(entry.date == null && row.number != null && row.number == entry.expected){
+        row.events.push({kind: entry.status == "behind" ? "behind" : "expected", label: entry.label + " expected"});
+      }
+    });
+    rows.push(row);
+  }
+
+  return {
+    elapsed: elapsed,
+    rows: rows,
+    milestones: milestones,
+    behind: milestones.filter(function(entry){
+      return entry.status == "behind";
+    })
+  };
+}
+
+/*
+@description loads what a timeline needs for one student
+
+@returns a promise that resolves to {student, leaves, timeline}
+*/
+timeline.forStudent = function(studentId){
+  var student;
+  return schema.Student.findOne({_id: studentId}).populate("semesterStarted").exec().then(function(result){
+    if(result == null){
+      throw new Error("Student not found");
+    }
+    student = result;
+    return schema.LeaveRecord.find({student: student._id}).populate("startSemester").populate("endSemester").exec();
+  }).then(function(result){
+    return {student: student, leaves: result, timeline: timeline.build(student, result)};
+  });
+}
+
+/*
+@description students who are behind the expected pace for at least one
+milestone
+
+@param conditions Student query, e.g. {status: "Active"}
+
+@returns a promise that resolves to [{student, timeline}] sorted by name
+*/
+timeline.behind = function(conditions){
+  var students;
+  return schema.Student.find(conditions).populate("semesterStarted").sort({lastName: 1, firstName: 1}).exec().then(function(result){
+    students = result;
+    var ids = students.map(function(student){
+      return student._id;
+    });
+    return schema.LeaveRecord.find({student: {$in: ids}}).populate("startSemester").populate("endSemester").exec();
+  }).then(function(result){
+    var leaves = {};
+    result.forEach(function(leave){
+      leaves[leave.student] = leaves[leave.student] || [];
+      leaves[leave.student].push(leave);
+    });
+    return students.map(function(student){
+      return {student: student, timeline: timeline.build(student, leaves[student._id])};
+    }).filter(function(entry){
+      return entry.timeline != null && entry.timeline.behind.length > 0;
+    });
+  });
+}
+
+module.exports = timeline;
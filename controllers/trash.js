@@ -0,0 +1,362 @@
+var schema = require("../models/schema.js");
+var integrity = require("./integrity.js");
+var importer = require("./importer.js");
+
+var trash = {};
+
+//days a soft deleted document is kept before it can be purged
+trash.retentionDays = 30;
+
+/*
+The models that are soft deleted, holders before the documents they
+reference so that purging them in this order is not blocked by a document
+purged later in the same run
+*/
+trash.models = ["Note"].concat(integrity.references.filter(function(reference){
+  return reference.model.indexOf("CS") == 0 && reference.path == "student";
+}).map(function(reference){
+  return reference.model;
+})).concat(["Student", "Job", "Course", "Faculty"]);
+
+//whether documents of a model are soft deleted
+trash.soft = function(model){
+  return model.schema.path("deletedAt") != null;
+}
+
+//the cascade references to a model from models that are soft deleted
+function dependentsOf(modelName){
+  return integrity.references.filter(function(reference){
+    return reference.ref == modelName && reference.onDelete == "cascade" && trash.soft(schema[reference.model]);
+  });
+}
+
+/*
+@description applies update to a document and to every document deleting
+it cascades to that can be soft deleted, found by conditions (added to
+the cascade reference)
+*/
+function markWith(writer, modelName, doc, update, conditions){
+  return dependentsOf(modelName).reduce(function(chain, reference){
+    return chain.then(function(){
+      var found = Object.assign({}, conditions);
+      found[reference.path] = doc._id;
+      return schema[reference.model].find(found).withDeleted().exec().then(function(result){
+        return result.reduce(function(next, dependent){
+          return next.then(function(){
+            return markWith(writer, reference.model, dependent, update, conditions);
+          });
+        }, Promise.resolve());
+      });
+    });
+  }, Promise.resolve()).then(function(){
+    return writer.update(schema[modelName], doc._id, update);
+  });
+}
+
+/*
+@description documents a soft delete would leave pointing to a hidden
+document: they are not soft deleted with it but are still shown through
+another document (a grade on a student's courses), so they block the
+delete until they are removed
+
+@returns a promise that resolves to a list of messages
+*/
+function shownHolders(modelName, doc){
+  var shown = integrity.references.filter(function(reference){
+    return reference.ref == modelName && reference.onDelete == "cascade" && !trash.soft(schema[reference.model]) &&
+      integrity.references.some(function(owner){
+        return owner.owned && owner.ref == reference.model;
+      });
+  });
+  return Promise.all(shown.map(function(reference){
+    var conditions = {};
+    conditions[reference.path] = doc._id;
+    return schema[reference.model].countDocuments(conditions).exec().then(function(count){
+      return count > 0 ? count + " " + reference.model + (count == 1 ? "" : "s") + " (" + reference.path + ") reference it" : null;
+    });
+  })).then(function(messages){
+    return messages.filter(function(message){
+      return message != null;
+    });
+  });
+}
+
+//runs the writes of fn(writer), audits them, and undoes them if one fails
+function write(req, fn){
+  var writer = importer.writer();
+  return fn(writer).then(function(){
+    return writer.audit(req);
+  }, function(err){
+    return writer.rollback().then(function(){
+      throw err;
+    });
+  });
+}
+
+/*
+@description deletes a document: soft deletes it when its model can be
+(deletedAt and deletedBy are set on it and on the documents that would be
+deleted with it, e.g. a student's notes), otherwise removes it for good
+with integrity.remove. References to a soft deleted document are kept so
+that it can be restored, a delete refused by integrity.references is refused
+the same way, and so is deleting a course that has grades.
+
+@returns a promise that resolves to the deleted document, or null if no
+document matched
+@throws an Error with status 409 and code Conflict naming what blocks the
+delete
+*/
+trash.remove = function(req, model, conditions){
+  if(!trash.soft(model)){
+    return integrity.remove(req, model, conditions);
+  }
+  var doc;
+  return model.findOne(conditions).exec().then(function(result){
+    doc = result;
+    if(doc == null){
+      return [];
+    }
+    return Promise.all([integrity.blockers(model.modelName, doc, false), shownHolders(model.modelName, doc)]).then(function(result){
+      return result[0].concat(result[1]);
+    });
+  }).then(function(messages){
+    if(doc == null){
+      return null;
+    }
+    if(messages.length > 0){
+      throw integrity.conflict("Could not delete " + model.modelName.toLowerCase() + " because " + messages.join(", "));
+    }
+    var update = {$set: {deletedAt: new Date(), deletedBy: req.user != null ? req.user.onyen : null}};
+    return write(req, function(writer){
+      return markWith(writer, model.modelName, doc, update, {deletedAt: null});
+    }).then(function(){
+      return doc;
+    });
+  });
+}
+
+//finds a soft deleted document of one of trash.models
+function findDeleted(modelName, id){
+  if(trash.models.indexOf(modelName) == -1){
+    return Promise.reject(new Error(modelName + " documents are not soft deleted"));
+  }
+  return schema[modelName].findOne({_id: id, deletedAt: {$ne: null}}).exec().then(function(result){
+    if(result == null){
+      throw new Error("Deleted document not found");
+    }
+    return result;
+  });
+}
+
+/*
+@returns the fields no two documents that are not deleted share: students
+and faculty are found by onyen and PID (logins, uploads), and a student has
+one of each CS form
+*/
+trash.unique = function(modelName){
+  if(modelName == "Student" || modelName == "Faculty"){
+    return ["onyen", "pid"];
+  }
+  return modelName.indexOf("CS") == 0 ? ["student"] : [];
+}
+
+/*
+@description the documents that were made while doc was deleted and share
+one of its trash.unique fields
+
+@returns a promise that resolves to a list of messages
+*/
+function duplicates(modelName, doc){
+  var label = modelName.indexOf("CS") == 0 ? modelName : modelName.toLowerCase();
+  return Promise.all(trash.unique(modelName).filter(function(field){
+    return doc.get(field) != null;
+  }).map(function(field){
+    var conditions = {};
+    conditions[field] = doc.get(field);
+    return schema[modelName].countDocuments(conditions).exec().then(function(count){
+      return count > 0 ? "a " + label + " with the same " + field + " exists" : null;
+    });
+  }));
+}
+
+/*
+@description restores a soft deleted document with the documents that were
+deleted with it. Refused while a document it references is deleted (e.g.
+the advisor of a student), that one has to be restored first, and while a
+document made since shares one of its trash.unique fields (e.g. a student
+added again with the same PID).
+
+@returns a promise that resolves to the restored document
+*/
+trash.restore = function(req, modelName, id){
+  var doc;
+  return findDeleted(modelName, id).then(function(result){
+    doc = result;
+    var held = integrity.references.filter(function(reference){
+      return reference.model == modelName && !reference.list && reference.within == null && reference.onDelete != "keep" &&
+        trash.soft(schema[reference.ref]) && doc.get(reference.path) != null;
+    });
+    return Promise.all(held.map(function(reference){
+      return schema[reference.ref].countDocuments({_id: doc.get(reference.path), deletedAt: {$ne: null}}).exec().then(function(count){
+        return count > 0 ? "its " + reference.path + " (" + reference.ref + ") is deleted, restore it first" : null;
+      });
+    }).concat([duplicates(modelName, doc)]));
+  }).then(function(messages){
+    messages = [].concat.apply([], messages).filter(function(message){
+      return message != null;
+    });
+    if(messages.length > 0){
+      throw integrity.conflict("Could not restore " + modelName.toLowerCase() + " because " + messages.join(", "));
+    }
+    return write(req, function(writer){
+      return markWith(writer, modelName, doc, {$unset: {deletedAt: 1, deletedBy: 1}}, {deletedAt: doc.deletedAt});
+    });
+  }).then(function(){
+    return doc;
+  });
+}
+
+/*
+@returns the date from which a document soft deleted on deletedAt can be
+purged
+*/
+trash.purgeableFrom = function(deletedAt){
+  return new Date(new Date(deletedAt).getTime() + trash.retentionDays * 24 * 60 * 60 * 1000);
+}
+
+/*
+@description removes a soft deleted document for good (integrity.remove),
+once it has been deleted for trash.retentionDays
+
+@returns a promise that resolves to the purged document
+*/
+trash.purge = function(req, modelName, id, now){
+  now = now || new Date();
+  return findDeleted(modelName, id).then(function(doc){
+    if(trash.purgeableFrom(doc.deletedAt) > now){
+      throw new Error("Deleted documents are kept " + trash.retentionDays + " days before they can be purged");
+    }
+    return integrity.remove(req, schema[modelName], {_id: doc._id, deletedAt: {$ne: null}});
+  });
+}
+
+/*
+@description purges every soft deleted document past the retention period,
+trash.models in order. A purge that is refused does not stop the others.
+
+@returns a promise that resolves to {purged (number of documents), failed
+(messages)}
+*/
+trash.purgeExpired = function(req, now){
+  now = now || new Date();
+  var cutoff = new Date(now.getTime() - trash.retentionDays * 24 * 60 * 60 * 1000);
+  var result = {purged: 0, failed: []};
+  return trash.models.reduce(function(chain, modelName){
+    return chain.then(function(){
+      return schema[modelName].find({deletedAt: {$ne: null, $lte: cutoff}}, "_id").exec().then(function(docs){
+        return docs.reduce(function(next, doc){
+          return next.then(function(){
+            return integrity.remove(req, schema[modelName], {_id: doc._id, deletedAt: {$ne: null}}).then(function(removed){
+              if(removed != null){
+                result.purged++;
+              }
+            }, function(err){
+              result.failed.push(err.message);
+            });
+          });
+        }, Promise.resolve());
+      });
+    });
+  }, Promise.resolve()).then(function(){
+    return result;
+  });
+}
+
+/*
+@description groups soft deleted documents by the delete they came from: a
+document deleted at the same moment as a document it belongs to (through
+a cascade reference) was deleted with it
+
+@param deleted {modelName: [documents]}
+
+@returns [{model, doc, dependents (number of documents deleted with it)}]
+of the documents that were deleted themselves, newest first
+*/
+trash.entries = function(deleted){
+  var deletedAt = {};
+  Object.keys(deleted).forEach(function(modelName){
+    deleted[modelName].forEach(function(doc){
+      deletedAt[String(doc._id)] = new Date(doc.deletedAt).getTime();
+    });
+  });
+  var entries = [];
+  var byId = {};
+  var parents = [];
+  Object.keys(deleted).forEach(function(modelName){
+    var owners = integrity.references.filter(function(reference){
+      return reference.model == modelName && reference.onDelete == "cascade" && deleted.hasOwnProperty(reference.ref);
+    });
+    deleted[modelName].forEach(function(doc){
+      var time = new Date(doc.deletedAt).getTime();
+      var parent = owners.map(function(reference){
+        return doc[reference.path] != null ? String(doc[reference.path]._id || doc[reference.path]) : null;
+      }).filter(function(id){
+        return id != null && deletedAt[id] === time;
+      })[0];
+      if(parent != null){
+        parents.push(parent);
+        return;
+      }
+      var entry = {model: modelName, doc: doc, dependents: 0};
+      byId[String(doc._id)] = entry;
+      entries.push(entry);
+    });
+  });
+  parents.forEach(function(id){
+    if(byId[id] != null){
+      byId[id].dependents++;
+    }
+  });
+  return entries.sort(function(a, b){
+    return new Date(b.doc.deletedAt) - new Date(a.doc.deletedAt);
+  });
+}
+
+/*
+@returns what a soft deleted document is shown as
+*/
+trash.label = function(modelName, doc){
+  if(modelName == "Student" || modelName == "Faculty"){
+    return doc.lastName + ", " + doc.firstName + " (" + doc.onyen + ")";
+  }
+  if(modelName == "Course"){
+    return [doc.department, doc.number, doc.section].join(" ") + (doc.name != null ? " " + doc.name : "");
+  }
+  if(modelName == "Job"){
+    return [doc.position, doc.hours != null ? doc.hours + "h" : null, doc.description].filter(function(part){
+      return part != null && part !== "";
+    }).join(", ");
+  }
+  if(modelName == "Note"){
+    return doc.title || "";
+  }
+  return modelName + " form";
+}
+
+/*
+@description loads every soft deleted document
+
+@returns a promise that resolves to trash.entries of them
+*/
+trash.load = function(){
+  var deleted = {};
+  return Promise.all(trash.models.map(function(modelName){
+    return schema[modelName].find({deletedAt: {$ne: null}}).lean().exec().then(function(result){
+      deleted[modelName] = result;
+    });
+  })).then(function(){
+    return trash.entries(deleted);
+  });
+}
+
+module.exports = trash;
@@ -3,17 +3,28 @@ var _ = {}
 
 var regexSlashes = /\/*\//ig;
 
+/*
+Fields that are only written through their own modules, which audit them:
+deletes and restores (trash.js), student versions (versions.js) and
+co-advisors (advisors.js, the co-advisor routes of StudentController)
+*/
+_.internalFields = ["deletedAt", "deletedBy", "versions", "coAdvisors"];
+
 // Removes variables not defined in models and other undefined/null variables
 /*
 @param input document or object reprenting a document
 @param model schema.{model} (the model reprenting the document)
 
-@returns the document with undefined/null variables removed
+@returns the document with undefined/null variables and _.internalFields
+removed
 */
 _.validateModelData = function (input, model) {
   var result = {};
   var m = model.schema.paths;
   for (var key in m) {
+    if (_.internalFields.indexOf(key) != -1){
+      continue;
+    }
     if (input[key] !== undefined && input[key] !== null && input[key] !== NaN && input[key] !== "") {
       if (m[key].instance === "Array") {
         result[key] = input[key];
@@ -125,6 +136,16 @@ _.makeRegexp = function(input){
   return input;
 }
 
+/*
+@description escapes the characters that have a meaning in regular
+expressions, to match user input literally with new RegExp
+
+@returns the escaped string
+*/
+_.escapeRegExp = function(text){
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 //used just once to initialize all possible semesters
 _.initializeAllSemesters = function(){
   schema.Semester.find({}).remove().exec();
@@ -137,99 +158,82 @@ _.initializeAllSemesters = function(){
   }
 }
 
-_.checkAdmin = function(){
-  //process.env.userPID
-  return new Promise((resolve, reject)=>{
-    schema.Faculty.findOne({pid: process.env.userPID}).exec().then(function(result){
-      if(result != null){
-        if(result.admin == true){
-          resolve(true);
-        }
-        else{
-          resolve(false);
-        }
-      }
-      else{
-        resolve(false);
-      }
-    });
-  });
-}
+/*
+@description checks whether the user (req.user) is a current advisor of a
+student: the primary advisor, or a co-advisor whose start and end
+semesters include the current semester (see advisors.js)
 
-_.checkFaculty = function(){
+@returns a promise that resolves to true or false
+*/
+_.checkAdvisor = function(user, studentID){
   return new Promise((resolve, reject)=>{
-    schema.Faculty.findOne({pid: process.env.userPID}).exec().then(function(result){
-      if(result != null){
-        resolve(true);
-      }
-      else{
+    if(user == null || user.faculty == null){
+      resolve(false);
+      return;
+    }
+    schema.Student.findOne({_id: studentID}).populate("coAdvisors.startSemester").populate("coAdvisors.endSemester").exec().then(function(result){
+      if(result == null){
         resolve(false);
+        return;
       }
+      var current = _.semesterIndex(_.semesterOf(new Date()));
+      var coAdvisor = (result.coAdvisors || []).some(function(coAdvisor){
+        return coAdvisor.faculty != null && coAdvisor.faculty.equals(user.faculty._id) &&
+          (coAdvisor.startSemester == null || _.semesterIndex(coAdvisor.startSemester) <= current) &&
+          (coAdvisor.endSemester == null || _.semesterIndex(coAdvisor.endSemester) >= current);
+      });
+      resolve(coAdvisor || (result.advisor != null && result.advisor.equals(user.faculty._id)));
+    }).catch(function(err){
+      resolve(false);
     });
   });
 }
 
-_.checkAdvisor = function(studentID){
-  return new Promise((resolve, reject)=>{
-    schema.Student.findOne({_id: studentID}).exec().then(function(result){
-      if(result != null){
-        if(result.advisor != null){
-          schema.Faculty.findOne({_id: result.advisor}).exec().then(function(result){
-            if(result.pid == process.env.userPID){
-              resolve(true);
-            } else {
-              resolve(false);
-            }
-          });
-        } else {
-          resolve(false);
-        }
-      } else {
-        resolve(false);
-      }
-    });
-  });
+//order of the seasons within a calendar year
+_.seasonOrder = {SP: 0, S1: 1, S2: 2, FA: 3};
+
+/*
+@description position of a semester on a single axis, so that semesters
+can be compared and subtracted (sorting season strings puts FA before SP)
+
+@param semester {year, season}
+
+@returns a number that grows by 4 every year
+*/
+_.semesterIndex = function(semester){
+  return semester.year * 4 + _.seasonOrder[semester.season];
 }
 
-_.checkAdvisorAdmin = function(studentID){
-  return new Promise((resolve, reject)=>{
-    schema.Faculty.findOne({pid: process.env.userPID}).exec().then(function(result){
-      if(result.admin == true){
-        resolve(true);
-      }
-      else{
-        schema.Student.findOne({_id: studentID}).exec().then(function(result){
-          if(result != null){
-            if(result.advisor != null){
-              schema.Faculty.findOne({_id: result.advisor}).exec().then(function(result){
-                if(result.pid == process.env.userPID){
-                  resolve(true);
-                } else {
-                  resolve(false);
-                }
-              });
-            } else {
-              resolve(false);
-            }
-          } else {
-            resolve(false);
-          }
-        });
-      }
-    });
-  });
+/*
+@description inverse of semesterIndex
+
+@returns {year, season}
+*/
+_.semesterAt = function(index){
+  var seasons = Object.keys(_.seasonOrder);
+  return {year: Math.floor(index / 4), season: seasons[index % 4]};
 }
 
-_.checkStudent = function(){
-  return new Promise((resolve, reject)=>{
-    schema.Student.findOne({pid: process.env.userPID}).exec().then(function(result){
-      if(result != null){
-        resolve(true);
-      } else {
-        resolve(false);
-      }
-    });
-  });
+/*
+@description the semester a date falls in (January to mid May is SP,
+the summer sessions are S1 and S2, mid August on is FA)
+
+@returns {year, season}
+*/
+_.semesterOf = function(date){
+  date = new Date(date);
+  var month = date.getMonth();
+  var season = "FA";
+  if(month < 4 || (month == 4 && date.getDate() < 15)){
+    season = "SP";
+  }
+  else if(month < 6){
+    season = "S1";
+  }
+  else if(month < 7 || (month == 7 && date.getDate() < 15)){
+    season = "S2";
+  }
+  return {year: date.getFullYear(), season: season};
 }
 
 _.listObjectToString = function (input) {
@@ -241,19 +245,4 @@ _.listObjectToString = function (input) {
   return result;
 }
 
-_.adminRole = function(res){
-  return new Promise((resolve, reject)=>{
-      _.checkAdmin().then(function(result){
-        if(result){
-          res.locals.admin = true;
-          resolve(true);
-        }
-        else{
-          res.locals.admin = false;
-          resolve(false);
-        }
-      });
-  });
-}
-
 module.exports = _;
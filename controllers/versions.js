@@ -0,0 +1,160 @@
+var schema = require("../models/schema.js");
+var util = require("./util.js");
+
+/*
+Student fields that are kept by the semester they took effect in. Every
+change adds an entry to Student.versions: {field, value (or advisor),
+semester it took effect in, recordedBy, recordedAt, source (what made an
+automatic change)}. An entry without a
+semester holds the value the field had before its first recorded change.
+The field itself always holds the value as of the current semester.
+*/
+var versions = {};
+
+versions.fields = ["status", "advisor", "fundingEligibility", "intendedDegree"];
+
+versions.labels = {status: "Status", advisor: "Advisor", fundingEligibility: "Funding eligibility", intendedDegree: "Intended degree"};
+
+function idOf(value){
+  return value != null && value._id != null ? String(value._id) : (value != null ? String(value) : null);
+}
+
+function valueOf(version){
+  return version.field == "advisor" ? version.advisor : version.value;
+}
+
+//position of the semester a version took effect in, the value before any
+//recorded change comes first
+function effectiveIndex(version){
+  return version.semester != null && version.semester.season != null ? util.semesterIndex(version.semester) : -Infinity;
+}
+
+function byEffective(a, b){
+  return effectiveIndex(a) - effectiveIndex(b) || new Date(a.recordedAt) - new Date(b.recordedAt);
+}
+
+/*
+@description the versions of a student, oldest first
+
+@param student Student with versions.semester populated
+@param field (optional) only the versions of this field
+*/
+versions.history = function(student, field){
+  return (student.versions || []).filter(function(version){
+    return field == null || version.field == field;
+  }).slice().sort(byEffective);
+}
+
+/*
+@description the value a field had in a semester: the latest version that
+took effect by then, the current value when the field has no versions, or
+null when every version took effect later
+
+@param student Student with versions.semester populated
+@param semester {season, year}
+*/
+versions.valueAt = function(student, field, semester){
+  var history = versions.history(student, field);
+  if(history.length == 0){
+    return student[field];
+  }
+  var index = util.semesterIndex(semester);
+  var found = history.filter(function(version){
+    return effectiveIndex(version) <= index;
+  }).pop();
+  return found != null ? valueOf(found) : null;
+}
+
+/*
+@returns a copy of a (lean) student with the versioned fields as they were
+in a semester
+*/
+versions.asOf = function(student, semester){
+  var result = Object.assign({}, student);
+  versions.fields.forEach(function(field){
+    result[field] = versions.valueAt(student, field, semester);
+  });
+  return result;
+}
+
+/*
+@description the update that saves input to a student, the changes to
+versioned fields taking effect in semester. A field changed for the first
+time also gets a version with its old value, and versioned fields are set
+to their value as of the current semester (a change backdated before a
+later version does not change the field).
+
+@param student Student with versions.semester populated
+@param input the new values, versions in it are ignored
+@param semester the Semester the changes took effect in, not after now
+@param by onyen of who made the change (optional)
+@param source what made the change when it was made automatically, e.g.
+"leaves" (optional)
+
+@returns {$set, $push} for audit.update or writer.update
+@throws an Error when semester is after the current semester
+*/
+versions.update = function(student, input, semester, now, by, source){
+  now = now || new Date();
+  var current = util.semesterOf(now);
+  if(util.semesterIndex(semester) > util.semesterIndex(current)){
+    throw new Error("Changes can not take effect after the current semester");
+  }
+  var set = Object.assign({}, input);
+  delete set.versions;
+  var added = [];
+  var make = function(field, value, effective){
+    var version = {field: field, semester: effective, recordedBy: by, recordedAt: now};
+    version[field == "advisor" ? "advisor" : "value"] = value;
+    if(source != null && effective != null){
+      version.source = source;
+    }
+    return version;
+  };
+  var changed = versions.fields.filter(function(field){
+    return input[field] != null && idOf(input[field]) !== idOf(student[field]);
+  });
+  changed.forEach(function(field){
+    if(versions.history(student, field).length == 0 && student[field] != null){
+      added.push(make(field, field == "advisor" ? idOf(student[field]) : student[field], null));
+    }
+    added.push(make(field, input[field], semester));
+  });
+  if(added.length == 0){
+    return {$set: set};
+  }
+  var after = {versions: (student.versions || []).concat(added)};
+  changed.forEach(function(field){
+    set[field] = idOf(versions.valueAt(after, field, current));
+  });
+  return {
+    $set: set,
+    $push: {versions: {$each: added.map(function(version){
+      return Object.assign({}, version, {semester: version.semester != null ? version.semester._id : null});
+    })}}
+  };
+}
+
+/*
+@description loads what versions.update needs: the student with its
+versions, and the semester changes take effect in
+
+@param effective _id of a Semester, the current semester when empty
+
+@returns a promise that resolves to {student (null when not found),
+semester}
+*/
+versions.load = function(conditions, effective){
+  var student;
+  return schema.Student.findOne(conditions).populate("versions.semester").exec().then(function(result){
+    student = result;
+    return effective ? schema.Semester.findOne({_id: effective}).exec() : schema.Semester.findOne(util.semesterOf(new Date())).exec();
+  }).then(function(semester){
+    if(semester == null){
+      throw new Error("The semester the changes take effect in was not found");
+    }
+    return {student: student, semester: semester};
+  });
+}
+
+module.exports = versions;
@@ -0,0 +1,358 @@
+var schema = require("../models/schema.js");
+var permissions = require("./permissions.js");
+var audit = require("./audit.js");
+
+var workflow = {};
+
+/*
+Route of every CS form: the signatures it needs, in order. role is who may
+apply the signature (see permissions.roles, "student" means the student the
+form belongs to), field/dateField are the form fields the signature and
+date are written to.
+*/
+workflow.routes = {
+  CS01: [
+    {role: "student", label: "Student", field: "studentSignature", dateField: "studentDateSigned"},
+    {role: "advisor", label: "Advisor", field: "advisorSignature", dateField: "advisorDateSigned"}
+  ],
+  CS01BSMS: [
+    {role: "student", label: "Student", field: "studentSignature", dateField: "studentDateSigned"},
+    {role: "advisor", label: "Advisor", field: "advisorSignature", dateField: "advisorDateSigned"}
+  ],
+  CS02: [
+    {role: "advisor", label: "Advisor", field: "advisorSignature", dateField: "advisorDateSigned"},
+    {role: "faculty", label: "Designated instructor", field: "instructorSignature", dateField: "instructorDateSigned"}
+  ],
+  CS03: [
+    {role: "student", label: "Student", field: "studentSignature"},
+    {role: "advisor", label: "Advisor", field: "adviserSignature"},
+    {role: "gradDirector", label: "Director of graduate studies", field: "directorSignature", dateField: "directorDateSigned"}
+  ],
+  CS04: [
+    {role: "student", label: "Student", field: "studentSignature", dateField: "studentDateSigned"},
+    {role: "committeeChair", label: "Committee chair", field: "chairmanSignature", dateField: "chairmanDateSigned"}
+  ],
+  CS05: [
+    {role: "gradDirector", label: "Director of graduate studies", field: "directorSignature", dateField: "directorDateSigned"}
+  ],
+  CS06: [
+    {role: "committeeChair", label: "Committee chair", field: "chairSignature"},
+    {role: "gradDirector", label: "Director of graduate studies", field: "directorSignature"}
+  ],
+  CS07: [
+    {role: "committeeChair", label: "Committee chair", field: "chairmanSignature", dateField: "chairmanDateSigned"}
+  ],
+  CS08: [
+    {role: "faculty", label: "Primary reader", field: "primarySignature", dateField: "primarySignedDate"},
+    {role: "faculty", label: "Secondary reader", field: "secondarySignature", dateField: "secondarySignedDate"}
+  ],
+  CS09: [
+    {role: "advisor", label: "Advisor", field: "advisorSignature", dateField: "advisorDateSigned"},
+    {role: "committeeMember", label: "Committee member", field: "committeeSignature1", dateField: "committeeDateSigned1"},
+    {role: "committeeMember", label: "Committee member", field: "committeeSignature2", dateField: "committeeDateSigned2"},
+    {role: "committeeMember", label: "Committee member", field: "committeeSignature3", dateField: "committeeDateSigned3"}
+  ],
+  CS11: [
+    {role: "faculty", label: "Supervisor", field: "supervisorSignature", dateField: "supervisorDateSigned"},
+    {role: "gradDirector", label: "Director of graduate studies", field: "directorSignature", dateField: "directorDateSigned"}
+  ],
+  CS12: [
+    {role: "committeeMember", label: "Committee member", field: "committeeSignature1"},
+    {role: "committeeMember", label: "Committee member", field: "committeeSignature2"},
+    {role: "committeeMember", label: "Committee member", field: "committeeSignature3"}
+  ],
+  CS13: [
+    {role: "advisor", label: "Advisor", field: "adviserSignature"}
+  ]
+};
+
+//states in which the form itself can still be edited
+workflow.editableStates = ["draft", "returned"];
+
+/*
+@description removes the signature and date fields that only the
+workflow may write from posted form data
+
+@returns input without signature fields
+*/
+workflow.stripSignatures = function(title, input){
+  (workflow.routes[title] || []).forEach(function(step){
+    delete input[step.field];
+    if(step.dateField != null){
+      delete input[step.dateField];
+    }
+  });
+  return input;
+}
+
+/*
+@description finds the approval record of a form, or an unsaved draft
+record if the form was never submitted
+
+@returns a promise that resolves to a FormApproval
+*/
+workflow.find = function(studentId, title){
+  return schema.FormApproval.findOne({student: studentId, form: title}).exec().then(function(result){
+    if(result != null){
+      return result;
+    }
+    return new schema.FormApproval({student: studentId, form: title, state: "draft", step: 0});
+  });
+}
+
+/*
+@description finds the approval records of every form of a student
+
+@returns a promise that resolves to {title: FormApproval}
+*/
+workflow.findAll = function(studentId){
+  return schema.FormApproval.find({student: studentId}).exec().then(function(result){
+    var approvals = {};
+    result.forEach(function(approval){
+      approvals[approval.form] = approval;
+    });
+    return approvals;
+  });
+}
+
+/*
+@description human readable state of a form, e.g. "Awaiting advisor signature"
+*/
+workflow.describe = function(approval){
+  if(approval == null || approval.state == "draft"){
+    return "Draft";
+  }
+  if(approval.state == "awaiting"){
+    var step = workflow.routes[approval.form][approval.step];
+    return "Awaiting " + step.label.toLowerCase() + " signature";
+  }
+  if(approval.state == "returned"){
+    return "Returned";
+  }
+  if(approval.state == "approved"){
+    return "Approved";
+  }
+  return "Submitted";
+}
+
+/*
+@description checks whether the user may apply the signature of a step
+*/
+workflow.holdsStepRole = function(user, step, studentId){
+  if(step.role == "student"){
+    return Promise.resolve(user != null && user.student != null && user.student._id.equals(studentId));
+  }
+  return permissions.hasRole(user, step.role, studentId);
+}
+
+/*
+@description what the user can do with a form right now
+
+@returns a promise that resolves to {submit, sign, sendBack} booleans
+*/
+workflow.actions = function(user, approval, studentId){
+  var route = workflow.routes[approval.form] || [];
+  var actions = {submit: false, sign: false, sendBack: false};
+  var isOwner = user != null && user.student != null && user.student._id.equals(studentId);
+  return permissions.can(user, "student.forms.edit", studentId).then(function(result){
+    actions.submit = workflow.editableStates.indexOf(approval.state) != -1 && (result || isOwner);
+    if(approval.state != "awaiting"){
+      return false;
+    }
+    return workflow.holdsStepRole(user, route[approval.step], studentId);
+  }).then(function(result){
+    actions.sign = result && !workflow.hasSigned(user, approval);
+    //the student's own step can not be returned to the student
+    actions.sendBack = (result && route[approval.step].role != "student") || (approval.state == "awaiting" && permissions.hasGlobal(user, "student.forms.manage"));
+    return actions;
+  });
+}
+
+/*
+@description everything a form page needs to show the approval status
+and the buttons the user may press
+
+@param baseUrl prefix of the submit/sign/return routes, e.g.
+/student/forms or /studentView/forms
+@param urlSuffix what follows the action in the route, e.g. /:_id/:title
+
+@returns a promise that resolves to
+{approval, status, route, editable, actions, submitUrl, signUrl, returnUrl}
+*/
+workflow.forView = function(user, studentId, title, baseUrl, urlSuffix){
+  var view = {route: workflow.routes[title] || []};
+  return workflow.find(studentId, title).then(function(result){
+    view.approval = result;
+    view.status = workflow.describe(result);
+    view.editable = workflow.editableStates.indexOf(result.state) != -1;
+    return workflow.actions(user, result, studentId);
+  }).then(function(result){
+    view.actions = result;
+    view.submitUrl = baseUrl + "/submit" + urlSuffix;
+    view.signUrl = baseUrl + "/sign" + urlSuffix;
+    view.returnUrl = baseUrl + "/return" + urlSuffix;
+    return view;
+  });
+}
+
+/*
+@description whether the user already signed an earlier step of the form,
+one person can not sign twice (e.g. as two committee members)
+*/
+workflow.hasSigned = function(user, approval){
+  return approval.signatures.some(function(signature){
+    return signature.signedBy == user.onyen;
+  });
+}
+
+function signerName(user){
+  var person = user.faculty || user.student;
+  if(person != null){
+    return person.firstName + " " + person.lastName;
+  }
+  return user.onyen;
+}
+
+function transition(req, approval, to, comment){
+  approval.transitions.push({
+    from: approval.state,
+    to: to,
+    step: approval.step,
+    actor: req.user.onyen,
+    at: new Date(),
+    comment: comment
+  });
+  approval.state = to;
+}
+
+/*
+@description writes the user's signature for the current step into the
+form and moves the approval to the next step (or to approved)
+
+@returns a promise that resolves to the approval
+*/
+function applySignature(req, approval){
+  var step = workflow.routes[approval.form][approval.step];
+  var now = new Date();
+  var update = {};
+  update[step.field] = signerName(req.user);
+  if(step.dateField != null){
+    update[step.dateField] = now.toISOString().substring(0, 10);
+  }
+  return audit.update(req, schema[approval.form], {student: approval.student}, {$set: update}).then(function(result){
+    approval.signatures.push({
+      step: approval.step,
+      role: step.role,
+      field: step.field,
+      signedBy: req.user.onyen,
+      name: update[step.field],
+      signedAt: now
+    });
+    if(approval.step + 1 < workflow.routes[approval.form].length){
+      approval.step++;
+      transition(req, approval, "awaiting");
+    }
+    else{
+      transition(req, approval, "approved");
+    }
+    return approval;
+  });
+}
+
+function saveApproval(req, approval, before){
+  return approval.save().then(function(result){
+    return audit.record(req, schema.FormApproval, before, result).then(function(){
+      return result;
+    });
+  });
+}
+
+/*
+@description submits a draft or returned form for signatures. When the
+student submits a form whose first signature is the student's, that
+signature is applied right away.
+
+@returns a promise that resolves to the approval
+*/
+workflow.submit = function(req, studentId, title){
+  if(workflow.routes[title] == null){
+    return Promise.reject(new Error("Unknown form "+title));
+  }
+  var approval, before;
+  return workflow.find(studentId, title).then(function(result){
+    approval = result;
+    before = approval.isNew ? null : approval.toObject();
+    if(workflow.editableStates.indexOf(approval.state) == -1){
+      throw new Error("This form has already been submitted");
+    }
+    return schema[title].findOne({student: studentId}).exec();
+  }).then(function(result){
+    if(result == null){
+      throw new Error("Save the form before submitting it");
+    }
+    //signatures from an earlier round no longer count
+    approval.signatures = [];
+    approval.step = 0;
+    transition(req, approval, "submitted");
+    transition(req, approval, "awaiting");
+    var first = workflow.routes[title][0];
+    return workflow.holdsStepRole(req.user, first, studentId).then(function(result){
+      if(result && first.role == "student"){
+        return applySignature(req, approval);
+      }
+      return approval;
+    });
+  }).then(function(result){
+    return saveApproval(req, approval, before);
+  });
+}
+
+/*
+@description signs the current step of a form if the user holds its role
+
+@returns a promise that resolves to the approval
+*/
+workflow.sign = function(req, studentId, title){
+  var approval, before;
+  return workflow.find(studentId, title).then(function(result){
+    approval = result;
+    before = approval.toObject();
+    if(approval.state != "awaiting"){
+      throw new Error("This form is not awaiting a signature");
+    }
+    if(workflow.hasSigned(req.user, approval)){
+      throw new Error("You already signed this form");
+    }
+    return workflow.holdsStepRole(req.user, workflow.routes[title][approval.step], studentId);
+  }).then(function(result){
+    if(!result){
+      throw new Error("Only the " + workflow.routes[title][approval.step].label.toLowerCase() + " can sign this step");
+    }
+    return applySignature(req, approval);
+  }).then(function(result){
+    return saveApproval(req, approval, before);
+  });
+}
+
+/*
+@description returns a form to the student for changes, the comment
+explains what needs to change
+
+@returns a promise that resolves to the approval
+*/
+workflow.sendBack = function(req, studentId, title, comment){
+  var approval, before;
+  return workflow.find(studentId, title).then(function(result){
+    approval = result;
+    before = approval.toObject();
+    return workflow.actions(req.user, approval, studentId);
+  }).then(function(result){
+    if(!result.sendBack){
+      throw new Error("You can not return this form");
+    }
+    transition(req, approval, "returned", comment);
+    return saveApproval(req, approval, before);
+  });
+}
+
+module.exports = workflow;
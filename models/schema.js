@@ -2,6 +2,43 @@
 var mongoose = require("mongoose");
 var schema = {};
 
+// Every query can be marked to include soft deleted documents:
+// schema.Student.find(conditions).withDeleted()
+mongoose.plugin(function(modelSchema){
+  modelSchema.query.withDeleted = function(){
+    this.mongooseOptions().withDeleted = true;
+    return this;
+  };
+});
+
+/*
+Soft deletion: deleting sets deletedAt and deletedBy (onyen) instead of
+removing the document, see controllers/trash.js. Queries and aggregations
+leave deleted documents out unless they name deletedAt themselves, or the
+query was marked with withDeleted().
+*/
+function softDelete(modelSchema){
+  modelSchema.add({deletedAt: Date, deletedBy: String});
+  var hide = function(){
+    if(this.mongooseOptions().withDeleted){
+      delete this.mongooseOptions().withDeleted;
+      return;
+    }
+    if(!this.getQuery().hasOwnProperty("deletedAt")){
+      this.where({deletedAt: null});
+    }
+  };
+  ["count", "countDocuments", "find", "findOne", "findOneAndUpdate", "findOneAndRemove", "update", "updateOne", "updateMany"].forEach(function(operation){
+    modelSchema.pre(operation, hide);
+  });
+  modelSchema.pre("aggregate", function(){
+    var first = this.pipeline()[0];
+    if(first == null || first.$match == null || !first.$match.hasOwnProperty("deletedAt")){
+      this.pipeline().unshift({$match: {deletedAt: null}});
+    }
+  });
+}
+
 // Administrators
 var adminSchema = mongoose.Schema({
   onyen: String,
@@ -23,6 +60,19 @@ var facultySchema = mongoose.Schema({
   admin: Boolean
 });
 
+// Roles granted on top of what a user's Faculty/Student record implies,
+// keyed by PID so that staff without a Faculty record can be granted roles
+var roleAssignmentSchema = mongoose.Schema({
+  onyen: String,
+  pid: Number,
+  role: {
+    type: String,
+    enum: ["admin", "gradDirector", "studentServices"]
+  },
+  grantedBy: String,
+  grantedAt: Date
+});
+
 // Students
 var studentSchema = mongoose.Schema({
   onyen: String,
@@ -87,7 +137,35 @@ var studentSchema = mongoose.Schema({
   jobHistory: [{type: mongoose.Schema.Types.ObjectId, ref: "Job"}],
   semesterStarted: { type: mongoose.Schema.Types.ObjectId, ref: "Semester" },
   advisor: { type: mongoose.Schema.Types.ObjectId, ref: "Faculty" },
-  grades: [{type:mongoose.Schema.Types.ObjectId, ref: "Grade"}]
+  grades: [{type:mongoose.Schema.Types.ObjectId, ref: "Grade"}],
+  //catalog year the degree requirements are taken from (see degreeRules.js),
+  //when not set it follows from semesterStarted
+  catalogYear: Number,
+  //values of status, advisor, fundingEligibility and intendedDegree by the
+  //semester they took effect in, see controllers/versions.js
+  versions: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: ["status", "advisor", "fundingEligibility", "intendedDegree"]
+    },
+    value: String,
+    advisor: {type: mongoose.Schema.Types.ObjectId, ref: "Faculty"},
+    semester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"},
+    recordedBy: String,
+    recordedAt: Date,
+    //what made an automatic change (e.g. "leaves"), empty for a change
+    //made by someone
+    source: String
+  }],
+  //co-advisors next to the primary advisor, a Faculty record or someone
+  //from outside the department, see controllers/advisors.js
+  coAdvisors: [{
+    faculty: {type: mongoose.Schema.Types.ObjectId, ref: "Faculty"},
+    external: {name: String, department: String, institution: String, email: String},
+    startSemester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"},
+    endSemester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"}
+  }]
 });
 
 // Forms
@@ -127,7 +205,9 @@ var courseSchema = mongoose.Schema({
   hours: Number,
   section: String,
   faculty: {type: mongoose.Schema.Types.ObjectId, ref: "Faculty"},
-  semester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"}
+  semester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"},
+  //TA hours a week the section needs, see controllers/taPlanner.js
+  taHours: Number
 });
 
 var courseInfoSchema = mongoose.Schema({
@@ -165,8 +245,17 @@ var semesterReferenceSchema = mongoose.Schema({
    semester: {type: mongoose.Schema.Types.ObjectId, ref:"Semester"}
  });
 
+// Grants jobs are funded from, see controllers/grants.js for the budget
 var grantSchema = mongoose.Schema({
-  name: String
+  name: String,
+  number: String,
+  pi: {type: mongoose.Schema.Types.ObjectId, ref: "Faculty"},
+  sponsor: String,
+  startDate: Date,
+  endDate: Date,
+  //budget in RA semesters (one student paid for one semester) and/or hours
+  budgetSemesters: Number,
+  budgetHours: Number
 })
 
 var noteSchema = mongoose.Schema({
@@ -176,6 +265,183 @@ var noteSchema = mongoose.Schema({
   note: String
 })
 
+// Audit trail, one entry per write with a field level before/after diff
+var auditSchema = mongoose.Schema({
+  actor: String,
+  actorPid: Number,
+  timestamp: Date,
+  route: String,
+  action: {
+    type: String,
+    enum: ["create", "update", "delete"]
+  },
+  model: String,
+  document: mongoose.Schema.Types.ObjectId,
+  student: {type: mongoose.Schema.Types.ObjectId, ref: "Student"},
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+});
+
+// Approval state of one CS form of one student, see controllers/workflow.js
+var formApprovalSchema = mongoose.Schema({
+  student: {type: mongoose.Schema.Types.ObjectId, ref: "Student"},
+  form: String,
+  state: {
+    type: String,
+    enum: ["draft", "submitted", "awaiting", "approved", "returned"],
+    default: "draft"
+  },
+  step: {type: Number, default: 0},
+  signatures: [{
+    _id: false,
+    step: Number,
+    role: String,
+    field: String,
+    signedBy: String,
+    name: String,
+    signedAt: Date
+  }],
+  transitions: [{
+    _id: false,
+    from: String,
+    to: String,
+    step: Number,
+    actor: String,
+    at: Date,
+    comment: String
+  }]
+});
+
+// Leave of absence or extension of time, from the start semester through the
+// end semester, see controllers/leaves.js. Records from before approvals were
+// recorded have no approval and count as approved
+var leaveRecordSchema = mongoose.Schema({
+  student: {type: mongoose.Schema.Types.ObjectId, ref: "Student"},
+  type: {
+    type: String,
+    enum: ["MEDICAL", "PERSONAL", "PARENTAL", "EXTENSION"],
+    default: "PERSONAL"
+  },
+  startSemester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"},
+  endSemester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"},
+  approval: {
+    type: String,
+    enum: ["pending", "approved", "denied"]
+  },
+  approvedBy: String,
+  approvedAt: Date,
+  reason: String,
+  notes: String
+});
+
+// Thesis or dissertation committee of a student for one degree, see
+// controllers/committees.js. A member is either a Faculty record or an
+// external member, and is kept with an end date after leaving the committee
+// so that the committee's history shows
+var committeeSchema = mongoose.Schema({
+  student: {type: mongoose.Schema.Types.ObjectId, ref: "Student"},
+  degree: {
+    type: String,
+    enum: ["MASTERS", "PHD"]
+  },
+  members: [{
+    role: {
+      type: String,
+      enum: ["chair", "advisor", "member", "outside"]
+    },
+    faculty: {type: mongoose.Schema.Types.ObjectId, ref: "Faculty"},
+    external: {name: String, department: String, institution: String, email: String},
+    appointed: Date,
+    ended: Date
+  }]
+});
+
+// Spreadsheet upload waiting to be committed, see controllers/importer.js.
+// The cells are kept as uploaded so the columns can be mapped again and
+// the commit can validate the rows again
+var importBatchSchema = mongoose.Schema({
+  type: String,
+  filename: String,
+  createdBy: String,
+  createdAt: Date,
+  profile: String,
+  state: {
+    type: String,
+    enum: ["preview", "committing", "committed"],
+    default: "preview"
+  },
+  committedAt: Date,
+  headers: [String],
+  columns: [{
+    _id: false,
+    index: Number,
+    header: String,
+    field: String
+  }],
+  unknownHeaders: [String],
+  rows: [{
+    _id: false,
+    row: Number,
+    cells: [mongoose.Schema.Types.Mixed],
+    action: String,
+    problems: [{
+      _id: false,
+      column: String,
+      message: String
+    }]
+  }]
+});
+
+// Saved header -> field mapping for one import type, for spreadsheets
+// whose headers do not match the field names
+var importProfileSchema = mongoose.Schema({
+  type: String,
+  name: String,
+  columns: [{
+    _id: false,
+    header: String,
+    field: String
+  }],
+  updatedBy: String,
+  updatedAt: Date
+});
+
+// TA assignments of a semester planned on /job/planner before the jobs
+// are created, see controllers/taPlanner.js
+var taPlanSchema = mongoose.Schema({
+  semester: {type: mongoose.Schema.Types.ObjectId, ref: "Semester"},
+  assignments: [{
+    _id: false,
+    course: {type: mongoose.Schema.Types.ObjectId, ref: "Course"},
+    student: {type: mongoose.Schema.Types.ObjectId, ref: "Student"},
+    hours: Number
+  }],
+  updatedBy: String,
+  updatedAt: Date,
+  finalizedBy: String,
+  finalizedAt: Date
+});
+
+// Ad hoc report saved from the report builder, see controllers/reportBuilder.js
+var reportDefinitionSchema = mongoose.Schema({
+  name: String,
+  entity: String,
+  columns: [String],
+  filters: [{
+    _id: false,
+    path: String,
+    operator: String,
+    value: String
+  }],
+  groupBy: [String],
+  updatedBy: String,
+  updatedAt: Date
+});
+
 //form schemas
 var CS01Schema = mongoose.Schema({
   student: {type: mongoose.Schema.Types.ObjectId, ref:"Student"},
@@ -402,9 +668,12 @@ var CS13Schema = mongoose.Schema({
 });
   
 
+[facultySchema, studentSchema, courseSchema, jobSchema, noteSchema, CS01Schema, CS01BSMSSchema, CS02Schema, CS03Schema, CS04Schema, CS05Schema, CS06Schema, CS07Schema, CS08Schema, CS09Schema, CS11Schema, CS12Schema, CS13Schema].forEach(softDelete);
+
 schema.Admin = mongoose.model("Admin", adminSchema);
 schema.Faculty = mongoose.model("Faculty", facultySchema);
 schema.Student = mongoose.model("Student", studentSchema);
+schema.RoleAssignment = mongoose.model("RoleAssignment", roleAssignmentSchema);
 schema.Form = mongoose.model("Form", formSchema);
 schema.Semester = mongoose.model("Semester", semesterSchema);
 schema.Course = mongoose.model("Course", courseSchema);
@@ -414,6 +683,14 @@ schema.Grade = mongoose.model("Grade", gradeSchema);
 schema.Grant = mongoose.model("Grant", grantSchema);
 schema.SemesterReference = mongoose.model("SemesterReference", semesterReferenceSchema);
 schema.Note = mongoose.model("Note", noteSchema);
+schema.Audit = mongoose.model("Audit", auditSchema);
+schema.FormApproval = mongoose.model("FormApproval", formApprovalSchema);
+schema.LeaveRecord = mongoose.model("LeaveRecord", leaveRecordSchema);
+schema.Committee = mongoose.model("Committee", committeeSchema);
+schema.ImportBatch = mongoose.model("ImportBatch", importBatchSchema);
+schema.ImportProfile = mongoose.model("ImportProfile", importProfileSchema);
+schema.ReportDefinition = mongoose.model("ReportDefinition", reportDefinitionSchema);
+schema.TAPlan = mongoose.model("TAPlan", taPlanSchema);
 schema.CS01 = mongoose.model("CS01", CS01Schema);
 schema.CS01BSMS = mongoose.model("CS01BSMS", CS01BSMSSchema);
 schema.CS02 = mongoose.model("CS02", CS02Schema);
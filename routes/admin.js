@@ -0,0 +1,28 @@
+// /routes/admin.js
+var express = require("express");
+var router = express.Router();
+var permissions = require("../controllers/permissions");
+
+var admin = require("../controllers/AdminController.js");
+
+router.get("/roles", permissions.requirePermission("role.manage"), admin.rolesPage);
+
+router.post("/roles/grant", permissions.requirePermission("role.manage"), admin.grantRole);
+
+router.post("/roles/revoke/:_id", permissions.requirePermission("role.manage"), admin.revokeRole);
+
+router.get("/audit", permissions.requirePermission("audit.view"), admin.auditLog);
+
+router.get("/integrity", permissions.requirePermission("integrity.manage"), admin.integrityPage);
+
+router.post("/integrity/repair", permissions.requirePermission("integrity.manage"), admin.integrityRepair);
+
+router.get("/deleted", permissions.requirePermission("trash.manage"), admin.deletedPage);
+
+router.post("/deleted/restore/:model/:_id", permissions.requirePermission("trash.manage"), admin.restoreDeleted);
+
+router.post("/deleted/purge", permissions.requirePermission("trash.manage"), admin.purgeExpired);
+
+router.post("/deleted/purge/:model/:_id", permissions.requirePermission("trash.manage"), admin.purgeDeleted);
+
+module.exports = router;
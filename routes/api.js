@@ -0,0 +1,71 @@
+// /routes/api.js
+var express = require("express");
+var router = express.Router();
+
+var api = require("../controllers/ApiController.js");
+
+//same permissions as the html routes, answered in JSON
+var can = api.requirePermission;
+
+router.get("/students", can("student.view"), api.students.list);
+router.get("/students/:_id", can("student.view"), api.students.get);
+router.post("/students", can("student.create"), api.students.create);
+router.put("/students/:_id", can("student.edit"), api.students.update);
+router.delete("/students/:_id", can("student.delete"), api.students.remove);
+
+router.get("/students/:_id/grades", can("student.courses"), api.grades.list);
+router.get("/students/:_id/grades/:gradeId", can("student.courses"), api.grades.get);
+router.post("/students/:_id/grades", can("student.upload"), api.grades.create);
+router.put("/students/:_id/grades/:gradeId", can("student.upload"), api.grades.update);
+router.delete("/students/:_id/grades/:gradeId", can("student.upload"), api.grades.remove);
+
+router.get("/students/:_id/notes", can("student.notes"), api.notes.list);
+router.get("/students/:_id/notes/:noteId", can("student.notes"), api.notes.get);
+router.post("/students/:_id/notes", can("student.notes"), api.notes.create);
+router.put("/students/:_id/notes/:noteId", can("student.notes"), api.notes.update);
+router.delete("/students/:_id/notes/:noteId", can("student.notes"), api.notes.remove);
+
+router.get("/students/:_id/forms", can("student.forms.view"), api.forms.list);
+router.get("/students/:_id/forms/:title", can("student.forms.view"), api.forms.get);
+router.put("/students/:_id/forms/:title", can("student.forms.edit"), api.forms.update);
+
+router.get("/faculty", can("faculty.manage"), api.faculty.list);
+router.get("/faculty/:_id", can("faculty.manage"), api.faculty.get);
+router.post("/faculty", can("faculty.manage"), api.faculty.create);
+router.put("/faculty/:_id", can("faculty.manage"), api.faculty.update);
+router.delete("/faculty/:_id", can("faculty.manage"), api.faculty.remove);
+
+router.get("/courses", can("course.manage"), api.courses.list);
+router.get("/courses/:_id", can("course.manage"), api.courses.get);
+router.post("/courses", can("course.manage"), api.courses.create);
+router.put("/courses/:_id", can("course.manage"), api.courses.update);
+router.delete("/courses/:_id", can("course.manage"), api.courses.remove);
+
+router.get("/courseInfo", can("course.manage"), api.courseInfo.list);
+router.get("/courseInfo/:_id", can("course.manage"), api.courseInfo.get);
+router.post("/courseInfo", can("course.manage"), api.courseInfo.create);
+router.put("/courseInfo/:_id", can("course.manage"), api.courseInfo.update);
+router.delete("/courseInfo/:_id", can("course.manage"), api.courseInfo.remove);
+
+//semesters are needed to read most other data, anyone who can see students can list them
+router.get("/semesters", can("student.view"), api.semesters.list);
+router.get("/semesters/:_id", can("student.view"), api.semesters.get);
+router.post("/semesters", can("course.manage"), api.semesters.create);
+router.put("/semesters/:_id", can("course.manage"), api.semesters.update);
+router.delete("/semesters/:_id", can("course.manage"), api.semesters.remove);
+
+router.get("/jobs", can("job.manage"), api.jobs.list);
+router.get("/jobs/:_id", can("job.manage"), api.jobs.get);
+router.post("/jobs", can("job.manage"), api.jobs.create);
+router.put("/jobs/:_id", can("job.manage"), api.jobs.update);
+router.delete("/jobs/:_id", can("job.manage"), api.jobs.remove);
+
+router.get("/grants", can("job.manage"), api.grants.list);
+router.get("/grants/:_id", can("job.manage"), api.grants.get);
+router.post("/grants", can("job.manage"), api.grants.create);
+router.put("/grants/:_id", can("job.manage"), api.grants.update);
+router.delete("/grants/:_id", can("job.manage"), api.grants.remove);
+
+router.use(api.notFound);
+
+module.exports = router;
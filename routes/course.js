@@ -1,25 +1,10 @@
 var express = require("express");
 var router = express.Router();
-var util = require("../controllers/util");
+var permissions = require("../controllers/permissions");
 
 var course = require("../controllers/CourseController");
 
-router.use(function(req, res, next){
-	util.adminRole(res).then(function(result){
-		next();
-	});
-});
-
-router.use(function(req, res, next){
-	util.checkAdmin().then(function(result){
-		if(result){
-			next();	
-		}
-		else{
-			res.render("../views/error.ejs", {string:"Not admin"});
-		}
-	});
-});
+router.use(permissions.requirePermission("course.manage"));
 
 router.get("/", course.get);
 
@@ -1,16 +1,11 @@
 // /routes/faculty.js
 var express = require("express");
 var router = express.Router();
-var util = require("../controllers/util");
+var permissions = require("../controllers/permissions");
 
 var faculty = require("../controllers/FacultyController.js");
 
-router.use(function(req, res, next){
-	util.adminRole(res).then(function(result){
-		next();
-	});
-});
-
+router.use(permissions.requirePermission("faculty.manage"));
 
 router.get("/", faculty.get);
 
@@ -0,0 +1,24 @@
+// /routes/grant.js
+var express = require("express");
+var router = express.Router();
+var permissions = require("../controllers/permissions");
+
+var grant = require("../controllers/GrantController.js");
+
+router.use(permissions.requirePermission("job.manage"));
+
+router.get("/", grant.get);
+
+router.get("/create", grant.create);
+
+router.get("/edit/:_id", grant.edit);
+
+router.post("/post", grant.post);
+
+router.post("/put", grant.put);
+
+router.post("/delete/:_id", grant.delete);
+
+router.get("/:_id", grant.show);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// /routes/import.js
+var express = require("express");
+var router = express.Router();
+
+var importController = require("../controllers/ImportController.js");
+
+//every route checks the permission of its import type
+router.param("type", importController.type);
+
+router.get("/:type/profiles", importController.profiles);
+
+router.post("/:type/profiles/delete/:profileId", importController.deleteProfile);
+
+router.get("/:type/:batchId", importController.preview);
+
+router.post("/:type/:batchId/mapping", importController.mapping);
+
+router.post("/:type/:batchId/commit", importController.commit);
+
+router.get("/:type/:batchId/errors", importController.errors);
+
+module.exports = router;
@@ -1,26 +1,11 @@
 // /routes/job.js
 var express = require("express");
 var router = express.Router();
-var util = require("../controllers/util");
+var permissions = require("../controllers/permissions");
 
 var job = require("../controllers/JobController.js");
 
-router.use(function(req, res, next){
-	util.adminRole(res).then(function(result){
-		next();
-	});
-});
-
-router.use(function(req, res, next){
-	util.checkAdmin().then(function(result){
-		if(result){
-			next();	
-		}
-		else{
-			res.render("../views/error.ejs", {string:"Not admin"});
-		}
-	});
-});
+router.use(permissions.requirePermission("job.manage"));
 
 router.get("/", job.get);
 
@@ -34,6 +19,10 @@ router.get("/assign/:_id", job.assignPage);
 
 router.get("/download", job.download);
 
+router.get("/planner", job.planner);
+
+router.post("/planner/:semesterId", job.plannerSave);
+
 router.get("/uploadGrant/:uploadSuccess", job.uploadGrantPage);
 
 router.post("/post", job.post);
@@ -1,16 +1,24 @@
 // /routes/report.js
 var express = require("express");
 var router = express.Router();
-var util = require("../controllers/util");
+var permissions = require("../controllers/permissions");
 
 var report = require("../controllers/ReportsController.js");
 
-router.use(function(req, res, next){
-	util.adminRole(res).then(function(result){
-		next();
-	});
-});
+router.use(permissions.requirePermission("report.view"));
 
 router.get("/", report.get);
 
+router.get("/builder", report.builder);
+
+router.get("/builder/download", report.builderDownload);
+
+router.post("/builder/save", report.saveDefinition);
+
+router.post("/builder/delete/:_id", report.deleteDefinition);
+
+router.get("/:name", report.show);
+
+router.get("/:name/download", report.download);
+
 module.exports = router;
\ No newline at end of file
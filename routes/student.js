@@ -2,91 +2,58 @@
 
 var express = require('express');
 var router = express.Router();
-var util = require("../controllers/util");
+var permissions = require("../controllers/permissions");
 var schema = require("../models/schema");
 var student = require('../controllers/StudentController.js');
 
-function authorizeAdmin(req, res, next){
-	util.checkAdmin().then(function(result){
-		if(result){
-			next();
-		}
-		else{
-			res.render("../views/error.ejs", {string:"Not admin"});
-		}
-	});
-}
-
-function authorizeFaculty(req, res, next){
-	util.checkFaculty().then(function(result){
-		if(result){
-			next();
-		}
-		else{
-			res.render("../views/error.ejs", {string:"Not faculty"});
-		}
-	});
-}
-
-function authorizeAdvisor(req, res, next){
-		util.checkAdmin().then(function(result){
-			if(result){
-				next();
-			}
-			else{
-				util.checkAdvisor(req.params._id).then(function(result){
-					if(result){
-						next();
-					}
-					else{
-						res.render("../views/error.ejs", {string:"Not the advisor of the student"});
-					}
-				})
-			}
-		});
-	
-}
-
-router.use(function(req, res, next){
-	util.adminRole(res).then(function(result){
-		next();
-	});
-});
+var can = permissions.requirePermission;
 
 router.use(function(req, res, next){
 	res.locals.status = schema.Student.schema.path("status").enumValues;
 	next();
 });
 
-router.get('/', authorizeFaculty, student.get);
+router.get('/', can("student.view"), student.get);
+
+router.get('/create', can("student.create"), student.create);
+
+router.get('/edit/:_id', can("student.view"), student.edit);
+
+router.get("/jobs/:_id", can("student.jobs"), student.jobs);
+
+router.get("/notes/:_id", can("student.notes"), student.notesPage);
+
+router.get("/history/:_id", can("student.history"), student.history);
+
+router.get("/timeline/:_id", can("student.timeline"), student.timeline);
+
+router.get("/committee/:_id", can("student.view"), student.committee);
 
-router.get('/create', authorizeAdmin, student.create);
+router.get("/committees", can("student.view"), student.myCommittees);
 
-router.get('/edit/:_id', authorizeFaculty, student.edit);
+router.get("/behind", can("student.view"), student.behind);
 
-router.get("/jobs/:_id", authorizeAdvisor, student.jobs);
+router.get("/formsPending", can("student.forms.view"), student.formsPending);
 
-router.get("/notes/:_id", authorizeAdvisor, student.notesPage);
+router.get("/forms/:_id", can("student.forms.view"), student.formPage);
+router.get("/forms/pdf/:_id/:title", can("student.forms.view"), student.formPdf);
 
-router.get("/forms/:_id", authorizeFaculty, student.formPage);
-//pdf version of forms page route
-//router.get("/forms/:_id/:uploadSuccess", authorizeAdvisor, student.formPage);
+router.get("/upload/:uploadSuccess", can("student.upload"), student.uploadPage);
 
-//pdf version of forms
-//router.get("/viewForm/:_id/:title", authorizeAdvisor, student.viewForm);
+router.get("/download", can("student.download"), student.download);
 
-router.get("/upload/:uploadSuccess", authorizeAdmin, student.uploadPage);
+router.get("/records", can("student.record"), student.records);
 
-router.get("/download", authorizeFaculty, student.download);
+router.get("/record/:_id", can("student.record"), student.record);
 
-router.get("/downloadCourses/:_id", authorizeAdvisor, student.downloadCourses);
+router.get("/downloadCourses/:_id", can("student.courses"), student.downloadCourses);
 
-router.get("/courses/:_id", authorizeAdvisor, student.courses);
+router.get("/courses/:_id", can("student.courses"), student.courses);
 
-router.get("/uploadCourses/:uploadSuccess", authorizeAdmin, student.uploadCoursePage);
+router.get("/uploadCourses/:uploadSuccess", can("student.upload"), student.uploadCoursePage);
 
 //next two are new form routes
-router.get("/forms/viewForm/:_id/:title/:uploadSuccess", authorizeFaculty, student.viewForm);
+router.get("/forms/viewForm/:_id/:title/:uploadSuccess", can("student.forms.view"), student.viewForm);
 
 /*
 It is "bad" practice to theoretically allow any faculty to update any students'
@@ -94,28 +61,49 @@ form. On a form by form basis, the form will be hidden depending on who
 is required to fill out the form. (If only student/advisor, hidden to everyone else)
 (if student/advisor/otherFaculty the form will show to otherFaculty)
 */
-router.post("/forms/update/:_id/:title", authorizeFaculty, student.updateForm);
+router.post("/forms/update/:_id/:title", can("student.forms.edit"), student.updateForm);
+
+router.post("/forms/submit/:_id/:title", can("student.forms.edit"), student.submitForm);
+
+//workflow.js checks that the user holds the role the form is waiting on
+router.post("/forms/sign/:_id/:title", student.signForm);
+
+router.post("/forms/return/:_id/:title", student.returnForm);
+
+router.post('/post', can("student.create"), student.post);
+
+router.post('/put', can("student.edit"), student.put);
+
+router.post('/delete/:_id', can("student.delete"), student.delete);
+
+router.post("/deleteJob", can("student.jobs.edit"), student.deleteJob);
+
+router.post("/uploadForm/:_id", can("student.edit"), student.uploadForm);
+
+router.post("/upload", can("student.upload"), student.upload);
+
+router.post("/addJobs", can("student.jobs.edit"), student.addJobs);
 
-router.post('/post', authorizeAdmin, student.post);
+router.post("/uploadCourses", can("student.upload"), student.uploadCourses);
 
-router.post('/put', authorizeAdmin, student.put);
+router.post("/notes/upload/:_id", can("student.notes"), student.addNewNote)
 
-router.post('/delete/:_id', authorizeAdmin, student.delete);
+router.post("/notes/upload/:_id/:noteId", can("student.notes"), student.updateNote);
 
-router.post("/deleteJob", authorizeAdmin, student.deleteJob);
+router.post("/notes/delete/:_id", can("student.notes"), student.deleteNotes);
 
-router.post("/uploadForm/:_id", authorizeAdmin, student.uploadForm);
+router.post("/timeline/leave/:_id", can("student.leave"), student.addLeave);
 
-router.post("/upload", authorizeAdmin, student.upload);
+router.post("/timeline/leave/delete/:_id/:leaveId", can("student.leave"), student.deleteLeave);
 
-router.post("/addJobs", authorizeAdmin, student.addJobs);
+router.post("/timeline/leave/approve/:_id/:leaveId", can("student.leave.approve"), student.approveLeave);
 
-router.post("/uploadCourses", authorizeAdmin, student.uploadCourses);
+router.post("/committee/:_id", can("student.committee"), student.addCommitteeMember);
 
-router.post("/notes/upload/:_id", authorizeAdvisor, student.addNewNote)
+router.post("/committee/end/:_id/:committeeId/:memberId", can("student.committee"), student.endCommitteeMember);
 
-router.post("/notes/upload/:_id/:noteId", authorizeAdvisor, student.updateNote);
+router.post("/advisors/:_id", can("student.edit"), student.addCoAdvisor);
 
-router.post("/notes/delete/:_id", authorizeAdvisor, student.deleteNotes);
+router.post("/advisors/end/:_id/:coAdvisorId", can("student.edit"), student.endCoAdvisor);
 
 module.exports = router;
\ No newline at end of file
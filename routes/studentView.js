@@ -1,19 +1,26 @@
 // /routes/studentView.js
 var express = require("express");
 var router = express.Router();
+var permissions = require("../controllers/permissions");
 
 var student = require("../controllers/StudentViewController.js");
 
+router.use(permissions.requirePermission("self.view"));
+
 router.get("/", student.get);
 
 router.get("/courses", student.courses);
 
 router.get("/forms", student.forms);
 
+router.get("/forms/pdf/:title", student.formPdf);
+
 router.get("/forms/:title/:uploadSuccess", student.viewForm);
 
 router.get("/jobs", student.jobs);
 
+router.get("/timeline", student.timeline);
+
 router.get("/downloadCourses", student.downloadCourses);
 
 // router.post("/post", student.post);
@@ -21,6 +28,10 @@ router.post("/put", student.put);
 
 router.post("/forms/update/:title", student.updateForm);
 
+router.post("/forms/submit/:title", student.submitForm);
+
+router.post("/forms/sign/:title", student.signForm);
+
 // router.post("/delete/:_id", student.delete);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,57 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var advisors = require('../controllers/advisors')
+var util = require('../controllers/util')
+
+describe('Advisors', function () {
+  var fall = {_id: 'fa18', season: 'FA', year: 2018}
+  var spring = {_id: 'sp19', season: 'SP', year: 2019}
+  var fall19 = {_id: 'fa19', season: 'FA', year: 2019}
+  var smith = {_id: 'f1', firstName: 'John', lastName: 'Smith'}
+  var jones = {_id: 'f2', firstName: 'Ann', lastName: 'Jones'}
+  var student = function () {
+    return {
+      status: 'Active',
+      advisor: jones,
+      semesterStarted: fall,
+      versions: [
+        {field: 'advisor', advisor: smith, semester: null},
+        {field: 'advisor', advisor: jones, semester: spring}
+      ],
+      coAdvisors: [
+        {_id: 'c1', external: {name: 'Jane Doe', institution: 'Duke'}, startSemester: spring, endSemester: null},
+        {_id: 'c2', faculty: smith, startSemester: fall19, endSemester: fall19}
+      ]
+    }
+  }
+
+  it('should list primary advisors from the advisor history, then co-advisors', function () {
+    var relationships = advisors.relationships(student())
+    expect(relationships.map(advisors.name)).to.deep.equal(['Smith, John', 'Jones, Ann', 'Jane Doe', 'Smith, John'])
+    expect(relationships.map(function (relationship) { return relationship.primary })).to.deep.equal([true, true, false, false])
+    expect(relationships[0].start).to.equal(fall)
+    expect(relationships[0].end).to.deep.equal({season: 'FA', year: 2018})
+    expect(relationships[1].end).to.equal(null)
+    expect(advisors.relationships({advisor: smith, semesterStarted: fall})).to.deep.equal([{faculty: smith, primary: true, start: fall, end: null}])
+  })
+  it('should give the advisors of a semester', function () {
+    var names = function (semester) {
+      return advisors.at(student(), semester).map(advisors.name)
+    }
+    expect(names(fall)).to.deep.equal(['Smith, John'])
+    expect(names(spring)).to.deep.equal(['Jones, Ann', 'Jane Doe'])
+    expect(names(fall19)).to.deep.equal(['Jones, Ann', 'Jane Doe', 'Smith, John'])
+    expect(names({season: 'SP', year: 2020})).to.deep.equal(['Jones, Ann', 'Jane Doe'])
+  })
+  it('should tell whether a student was enrolled in a semester', function () {
+    var index = util.semesterIndex
+    expect(advisors.enrolled(student(), index({season: 'SP', year: 2018}))).to.equal(false)
+    expect(advisors.enrolled(student(), index(fall))).to.equal(true)
+    var graduated = {status: 'Graduated', semesterStarted: fall, phdAwardedDate: new Date(2019, 2, 1)}
+    expect(advisors.enrolled(graduated, index(spring))).to.equal(true)
+    expect(advisors.enrolled(graduated, index(fall19))).to.equal(false)
+    var left = {status: 'Inactive', semesterStarted: fall, versions: [{field: 'status', value: 'Active', semester: null}, {field: 'status', value: 'Inactive', semester: fall19}]}
+    expect(advisors.enrolled(left, index(spring))).to.equal(true)
+    expect(advisors.enrolled(left, index(fall19))).to.equal(false)
+  })
+})
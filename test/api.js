@@ -0,0 +1,78 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var schema = require('../models/schema')
+var api = require('../controllers/ApiController')
+var util = require('../controllers/util')
+
+describe('JSON API queries', function () {
+  it('should filter on model fields converted to their types', function () {
+    var query = api.parseQuery({status: 'Active', pid: '123456789', citizenship: 'false'}, schema.Student)
+    expect(query.conditions).to.deep.equal({status: 'Active', pid: 123456789, citizenship: false})
+    expect(query.page).to.equal(1)
+    expect(query.limit).to.equal(api.defaultLimit)
+  })
+  it('should accept comparison operators and lists', function () {
+    var query = api.parseQuery({hours: {gte: '3', lt: '6'}, category: ['Theory', 'Systems'], section: {in: '001,002'}}, schema.Course)
+    expect(query.conditions.hours).to.deep.equal({$gte: 3, $lt: 6})
+    expect(query.conditions.category).to.deep.equal({$in: ['Theory', 'Systems']})
+    expect(query.conditions.section).to.deep.equal({$in: ['001', '002']})
+  })
+  it('should sort and page', function () {
+    var query = api.parseQuery({sort: 'lastName,-pid', page: '3', limit: '10'}, schema.Student, {sort: {_id: 1}})
+    expect(query.sort).to.deep.equal({lastName: 1, pid: -1})
+    expect(query.page).to.equal(3)
+    expect(query.limit).to.equal(10)
+  })
+  it('should only populate the allowed references', function () {
+    var options = {populate: ['advisor']}
+    expect(api.parseQuery({populate: 'advisor'}, schema.Student, options).populate).to.deep.equal(['advisor'])
+    expect(function () { api.parseQuery({populate: 'grades'}, schema.Student, options) }).to.throw('Can not populate grades')
+  })
+  it('should reject unknown fields and bad values', function () {
+    var code = function (query) {
+      try {
+        api.parseQuery(query, schema.Student)
+      } catch (err) {
+        return err.status + ' ' + err.code
+      }
+    }
+    expect(code({nickname: 'x'})).to.equal('400 InvalidParam')
+    expect(code({pid: 'abc'})).to.equal('400 InvalidParam')
+    expect(code({advisor: 'nobody'})).to.equal('400 InvalidParam')
+    expect(code({pid: {regex: '.*'}})).to.equal('400 InvalidParam')
+    expect(code({sort: 'nickname'})).to.equal('400 InvalidParam')
+    expect(code({limit: String(api.maxLimit + 1)})).to.equal('400 InvalidParam')
+    expect(code({page: '0'})).to.equal('400 InvalidParam')
+    expect(code({deletedAt: {ne: ''}})).to.equal('400 InvalidParam')
+    expect(code({deletedBy: 'admin'})).to.equal('400 InvalidParam')
+    expect(code({sort: '-deletedAt'})).to.equal('400 InvalidParam')
+  })
+  it('should send errors as status, code and message', function () {
+    var sent = {}
+    var res = {
+      status: function (status) {
+        sent.status = status
+        return res
+      },
+      json: function (body) {
+        sent.body = body
+      }
+    }
+    api.sendError(res, api.error(404, 'NotFound', 'Student not found'))
+    expect(sent).to.deep.equal({status: 404, body: {error: {status: 404, code: 'NotFound', message: 'Student not found'}}})
+    var invalid = new schema.Student({status: 'Asleep'}).validateSync()
+    api.sendError(res, invalid)
+    expect(sent.status).to.equal(400)
+    expect(sent.body.error.code).to.equal('InvalidParam')
+    api.sendError(res, new Error('connection lost'))
+    expect(sent.body.error).to.deep.equal({status: 500, code: 'ServerError', message: 'connection lost'})
+  })
+  it('should not write ids, deletes, versions or co-advisors', function () {
+    var input = api.writable({_id: 'x', __v: 3, name: 'NSF', other: 'ignored'}, schema.Grant)
+    expect(input).to.deep.equal({name: 'NSF'})
+    var student = api.writable({firstName: 'Ann', deletedAt: '', deletedBy: 'admin', versions: [], coAdvisors: []}, schema.Student)
+    expect(student).to.deep.equal({firstName: 'Ann'})
+    var posted = util.validateModelData({lastName: 'Doe', deletedAt: '2020-01-01', deletedBy: 'admin', coAdvisors: [{}]}, schema.Student)
+    expect(posted).to.deep.equal({lastName: 'Doe'})
+  })
+})
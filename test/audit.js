@@ -0,0 +1,25 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var mongoose = require('mongoose')
+var audit = require('../controllers/audit')
+
+describe('Audit diff', function () {
+  it('should list only the fields that changed', function () {
+    var changes = audit.diff({_id: 1, firstName: 'Ann', status: 'Active'}, {_id: 1, firstName: 'Ann', status: 'Leave'})
+    expect(changes).to.deep.equal([{field: 'status', before: 'Active', after: 'Leave'}])
+  })
+  it('should record every field of a created document', function () {
+    var changes = audit.diff(null, {_id: 1, __v: 0, onyen: 'ann'})
+    expect(changes).to.deep.equal([{field: 'onyen', before: undefined, after: 'ann'}])
+  })
+  it('should compare references and arrays by value', function () {
+    var id = new mongoose.Types.ObjectId()
+    var changes = audit.diff({advisor: id, jobHistory: [id]}, {advisor: id.toString(), jobHistory: [id.toString()]})
+    expect(changes).to.have.length(0)
+  })
+  it('should find the student a document belongs to', function () {
+    expect(audit.studentOf('Student', {_id: 5})).to.equal(5)
+    expect(audit.studentOf('CS03', {_id: 6, student: 5})).to.equal(5)
+    expect(audit.studentOf('Job', {_id: 7})).to.equal(null)
+  })
+})
@@ -0,0 +1,52 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var schema = require('../models/schema')
+var committees = require('../controllers/committees')
+var permissions = require('../controllers/permissions')
+
+describe('Committees', function () {
+  var smith = {_id: 'f1', firstName: 'John', lastName: 'Smith'}
+  var jones = {_id: 'f2', firstName: 'Ann', lastName: 'Jones'}
+  var committee = {
+    degree: 'MASTERS',
+    members: [
+      {role: 'member', faculty: jones, appointed: new Date(2019, 0, 1)},
+      {role: 'outside', external: {name: 'Pat Lee', department: 'Statistics'}, appointed: new Date(2019, 0, 1)},
+      {role: 'chair', faculty: smith, appointed: new Date(2019, 0, 1)},
+      {role: 'member', faculty: {_id: 'f3', firstName: 'Old', lastName: 'Member'}, ended: new Date(2019, 5, 1)}
+    ]
+  }
+  var find = schema.Committee.find
+  afterEach(function () {
+    schema.Committee.find = find
+  })
+
+  it('should list current members by role', function () {
+    expect(committees.current(committee).map(committees.memberName)).to.deep.equal(['John Smith', 'Ann Jones', 'Pat Lee'])
+    expect(committees.current(committee, new Date(2019, 2, 1))).to.have.length(4)
+  })
+  it('should know who serves in which role', function () {
+    expect(committees.serves([committee], 'f1', ['chair'])).to.equal(true)
+    expect(committees.serves([committee], 'f2', ['chair'])).to.equal(false)
+    expect(committees.serves([committee], 'f2')).to.equal(true)
+    expect(committees.serves([committee], 'f3')).to.equal(false)
+  })
+  it('should fill the empty committee fields of a form', function () {
+    var form = committees.fill('CS05', {nominee2: 'Kept'}, committee)
+    expect(form).to.include({nominee1: 'John Smith', nominee1Department: 'Computer Science', nominee2: 'Kept', nominee3: 'Pat Lee', nominee3Department: 'Statistics', committeeChairman: 'John Smith'})
+    expect(form.nominee2Department).to.equal(undefined)
+    expect(committees.fill('CS04', {}, committee)).to.deep.equal({})
+  })
+  it('should give committee members their roles on the student', function () {
+    schema.Committee.find = function () {
+      return {exec: function () { return Promise.resolve([committee]) }}
+    }
+    return Promise.all([
+      permissions.hasRole({faculty: jones}, 'committeeMember', 's1'),
+      permissions.hasRole({faculty: jones}, 'committeeChair', 's1'),
+      permissions.hasRole({faculty: smith}, 'committeeChair', 's1')
+    ]).then(function (result) {
+      expect(result).to.deep.equal([true, false, true])
+    })
+  })
+})
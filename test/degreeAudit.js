@@ -0,0 +1,43 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var degreeAudit = require('../controllers/degreeAudit')
+
+describe('Degree audit', function () {
+  function grade (letter, category, hours) {
+    return {grade: letter, course: {category: category, hours: hours}}
+  }
+  function status (program, id) {
+    return program.items.find(function (item) { return item.id === id }).status
+  }
+
+  it('should take the catalog year from the semester started', function () {
+    expect(degreeAudit.catalogYear({semesterStarted: {season: 'FA', year: 2018}})).to.equal(2018)
+    expect(degreeAudit.catalogYear({semesterStarted: {season: 'SP', year: 2019}})).to.equal(2018)
+    expect(degreeAudit.catalogYear({catalogYear: 2012, semesterStarted: {season: 'FA', year: 2018}})).to.equal(2012)
+    expect(degreeAudit.catalogYear({})).to.equal(null)
+  })
+  it('should audit older cohorts against their own catalog', function () {
+    expect(degreeAudit.catalogFor(2015).catalogYear).to.equal(2010)
+    expect(degreeAudit.catalogFor(2020).catalogYear).to.equal(2018)
+    expect(degreeAudit.catalogFor(null).catalogYear).to.equal(2010)
+    var ids = function (catalog) { return catalog.PHD.map(function (rule) { return rule.id }) }
+    expect(ids(degreeAudit.catalogFor(2015))).to.not.include('researchPlanning')
+    expect(ids(degreeAudit.catalogFor(2019))).to.include('researchPlanning')
+  })
+  it('should check breadth, hours and L grades', function () {
+    var student = {grades: [grade('H', 'Theory', 3), grade('P', 'Systems', 3), grade('NA', 'Appls', 3), grade('L', 'NA', 12)]}
+    var program = degreeAudit.check(degreeAudit.catalogFor(2018), 'MASTERS', student, {})
+    expect(status(program, 'breadth')).to.equal('pending')
+    expect(status(program, 'hours')).to.equal('missing')
+    expect(status(program, 'lowGrades')).to.equal('missing')
+    expect(program.complete).to.equal(false)
+  })
+  it('should use form approvals and legacy approval dates', function () {
+    var student = {backgroundPrepWorksheetApproved: new Date('2017-01-01')}
+    var approvals = {CS03: {state: 'awaiting', form: 'CS03', step: 1}}
+    var program = degreeAudit.check(degreeAudit.catalogFor(2018), 'MASTERS', student, approvals)
+    expect(status(program, 'background')).to.equal('satisfied')
+    expect(status(program, 'programOfStudy')).to.equal('pending')
+    expect(status(program, 'programProduct')).to.equal('missing')
+  })
+})
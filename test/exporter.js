@@ -0,0 +1,68 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var accepts = require('accepts')
+var stream = require('stream')
+var XLSX = require('xlsx')
+var exporter = require('../controllers/exporter')
+
+describe('Downloads', function () {
+  var request = function (query, accept) {
+    var req = {query: query, headers: {accept: accept}}
+    req.accepts = function (types) {
+      return accepts(req).type(types)
+    }
+    return req
+  }
+  // collects what is sent, ends with {headers, body}
+  var download = function (req, rows, options, done) {
+    var res = new stream.PassThrough()
+    var headers = {}
+    var chunks = []
+    res.setHeader = function (name, value) {
+      headers[name] = value
+    }
+    res.on('data', function (chunk) {
+      chunks.push(chunk)
+    })
+    res.on('end', function () {
+      done({headers: headers, body: Buffer.concat(chunks)})
+    })
+    exporter.send(req, res, rows, options)
+  }
+  var rows = [{name: 'Doe, "Jo"', started: new Date('2019-05-01T00:00:00Z'), tags: ['a', 'b'], secret: 'x'}, {name: '001'}]
+
+  it('should choose the format by query parameter, then Accept header', function () {
+    expect(exporter.format(request({format: 'CSV'}, 'application/json'))).to.equal('csv')
+    expect(exporter.format(request({}, 'application/json'))).to.equal('json')
+    expect(exporter.format(request({}, 'text/csv'))).to.equal('csv')
+    expect(exporter.format(request({}, 'text/html,application/xhtml+xml,*/*;q=0.8'))).to.equal('xlsx')
+    expect(exporter.format(request({format: 'pdf'}))).to.equal(null)
+  })
+  it('should line rows up with the headers', function () {
+    var table = exporter.table(rows, ['name', 'tags', 'missing'])
+    expect(table.rows).to.deep.equal([{name: 'Doe, "Jo"', tags: 'a, b', missing: null}, {name: '001', tags: null, missing: null}])
+    expect(exporter.table([{a: 1}, {b: 2}]).headers).to.deep.equal(['a', 'b'])
+  })
+  it('should send csv', function (done) {
+    download(request({format: 'csv'}), rows, {filename: 'Students', headers: ['name', 'started', 'tags']}, function (result) {
+      expect(result.headers['Content-type']).to.equal('text/csv')
+      expect(result.headers['Content-Disposition']).to.equal('attachment; filename="Students.csv"; filename*=UTF-8\'\'Students.csv')
+      expect(result.body.toString().replace(/^\uFEFF/, '')).to.equal('name,started,tags\n"Doe, ""Jo""",2019-05-01,"a, b"\n001,,\n')
+      done()
+    })
+  })
+  it('should send json', function (done) {
+    download(request({}, 'application/json'), rows, {filename: 'Students', headers: ['name', 'started']}, function (result) {
+      expect(JSON.parse(result.body.toString())).to.deep.equal([{name: 'Doe, "Jo"', started: '2019-05-01T00:00:00.000Z'}, {name: '001', started: null}])
+      done()
+    })
+  })
+  it('should send xlsx', function (done) {
+    download(request({}), [], {filename: 'Students', sheet: 'Student', headers: ['name', 'started']}, function (result) {
+      var wb = XLSX.read(result.body, {type: 'buffer'})
+      expect(wb.SheetNames).to.deep.equal(['Student'])
+      expect(XLSX.utils.sheet_to_json(wb.Sheets.Student, {header: 1})).to.deep.equal([['name', 'started']])
+      done()
+    })
+  })
+})
@@ -0,0 +1,35 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var http = require('http')
+var formPdf = require('../controllers/formPdf')
+var exporter = require('../controllers/exporter')
+
+describe('Form pdf', function () {
+  var html = '<h3>CS-99</h3><div align="left"><strong>Course</strong> taken' +
+    '<input type="hidden" name="student" value="1"/><input type="text" name="a" value="COMP 283"/>' +
+    '<hr/><select name="b"><option value="true">Filed CS01</option><option value="false">No</option></select>' +
+    '<textarea name="c">Reason</textarea><button type="submit">Save</button></div>'
+
+  it('should replace form controls with their values', function () {
+    var content = formPdf.extract(html)
+    expect(content.title).to.equal('CS-99')
+    expect(content.lines[0].segments.map(function (s) { return s.text })).to.deep.equal(['Course', 'taken', 'COMP 283'])
+    expect(content.lines[0].segments[0].bold).to.equal(true)
+    expect(content.lines[0].segments[2].value).to.equal(true)
+    expect(content.lines[1]).to.deep.equal({rule: true})
+    expect(content.lines[2].segments[0].text).to.equal('Filed CS01')
+    expect(content.lines[3].segments[0].text).to.equal('Reason')
+    expect(content.lines).to.have.length(4)
+  })
+  it('should take signatures from the form when it has no approval', function () {
+    var signatures = formPdf.signatures('CS13', {adviserSignature: 'Jane Doe'}, null)
+    expect(signatures).to.deep.equal([{label: 'Advisor', name: 'Jane Doe', date: ''}])
+  })
+  it('should send names outside ASCII in the pdf filename', function () {
+    var res = new http.ServerResponse(new http.IncomingMessage())
+    var filename = formPdf.filename('CS01', {lastName: 'Nguyễn', firstName: 'Thị "Lan"'})
+    exporter.attachment(res, filename, 'application/pdf')
+    expect(res.getHeader('Content-Disposition')).to.equal('attachment; filename="CS01_Nguyen_Thi _Lan_.pdf"; ' +
+      "filename*=UTF-8''CS01_Nguy%E1%BB%85n_Th%E1%BB%8B%20%22Lan%22.pdf")
+  })
+})
@@ -0,0 +1,37 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var grants = require('../controllers/grants')
+
+describe('Grants', function () {
+  var fall = {season: 'FA', year: 2018}
+  var spring = {season: 'SP', year: 2019}
+  var grant = {name: 'NSF', startDate: new Date(Date.UTC(2018, 7, 1)), endDate: new Date(Date.UTC(2019, 4, 31)), budgetSemesters: 3, budgetHours: 100}
+  var jobs = [
+    {semester: fall, hours: 20, students: [{onyen: 'a'}, {onyen: 'b'}]},
+    {semester: spring, hours: 10, students: [{onyen: 'a'}]},
+    {semester: spring, hours: 20, students: [{onyen: 'c'}]}
+  ]
+
+  it('should burn down the budget by semester', function () {
+    var usage = grants.burnDown(grant, jobs)
+    expect(usage.rows.map(function (row) {
+      return [row.jobs, row.students, row.hours, row.remainingSemesters, row.remainingHours]
+    })).to.deep.equal([[1, 2, 40, 1, 60], [2, 2, 30, -1, 30]])
+    expect(usage.used).to.deep.equal({semesters: 4, hours: 70})
+    expect(grants.burnDown({name: 'Gift'}, jobs).remaining).to.deep.equal({semesters: null, hours: null})
+  })
+  it('should warn about expired, future and overspent grants', function () {
+    var usage = grants.burnDown(grant, jobs)
+    expect(grants.warnings(grant, spring, null)).to.deep.equal([])
+    expect(grants.warnings(grant, {season: 'FA', year: 2019}, null)[0]).to.match(/ended on 2019-05-31/)
+    expect(grants.warnings(grant, {season: 'SP', year: 2018}, null)[0]).to.match(/starts on 2018-08-01/)
+    expect(grants.warnings(grant, spring, usage)).to.deep.equal(['NSF is over its budget of 3 RA semesters by 1'])
+  })
+  it('should tell the status of a grant', function () {
+    var usage = grants.burnDown(grant, [])
+    expect(grants.status(grant, usage, new Date(2019, 0, 1))).to.equal('Active')
+    expect(grants.status(grant, usage, new Date(2019, 6, 1))).to.equal('Expired')
+    expect(grants.status(grant, usage, new Date(2018, 0, 1))).to.equal('Not started')
+    expect(grants.status(grant, grants.burnDown(grant, jobs), new Date(2019, 0, 1))).to.equal('Exhausted')
+  })
+})
@@ -0,0 +1,54 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var ldap = require('../controllers/identityProviders/ldap')
+var fixture = require('../controllers/identityProviders/fixture')
+var providers = require('../controllers/identityProviders')
+
+function fakeRequest (onyen) {
+  return {
+    get: function (name) {
+      return name === 'X-REMOTE-USER-1' ? onyen : undefined
+    }
+  }
+}
+
+describe('LDAP identity provider', function () {
+  it('should read the PID from a JSON response', function () {
+    expect(ldap.parsePid('{"onyen":"someone","pid":"123456789"}')).to.equal(123456789)
+  })
+  it('should read the PID from a text response', function () {
+    expect(ldap.parsePid('onyen: someone\npid: 123456789')).to.equal(123456789)
+  })
+  it('should return null when the response has no PID', function () {
+    expect(ldap.parsePid('<html>Service unavailable</html>')).to.equal(null)
+  })
+})
+
+describe('Fixture identity provider', function () {
+  it('should find the PID of the onyen in the header', function () {
+    return fixture.lookup(fakeRequest('testfaculty')).then(function (result) {
+      expect(result).to.deep.equal({onyen: 'testfaculty', pid: 223456789})
+    })
+  })
+  it('should fall back to the default onyen', function () {
+    return fixture.lookup(fakeRequest(undefined)).then(function (result) {
+      expect(result.onyen).to.equal('testadmin')
+    })
+  })
+  it('should reject onyens that are not in the fixture', function () {
+    return fixture.lookup(fakeRequest('nobody')).then(function () {
+      throw new Error('lookup should have failed')
+    }, function (err) {
+      expect(err.message).to.contain('nobody')
+    })
+  })
+})
+
+describe('Identity provider selection', function () {
+  it('should use the fixture provider in tests', function () {
+    expect(providers.get()).to.equal(fixture)
+  })
+  it('should reject unknown providers', function () {
+    expect(function () { providers.get('nope') }).to.throw('Unknown identity provider')
+  })
+})
@@ -0,0 +1,189 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var XLSX = require('xlsx')
+var schema = require('../models/schema')
+var importer = require('../controllers/importer')
+
+describe('Spreadsheet import', function () {
+  var advisor = new schema.Faculty({onyen: 'jsmith', firstName: 'John', lastName: 'Smith'})
+  var fall = new schema.Semester({season: 'FA', year: 2018})
+  var existing = new schema.Student({onyen: 'adoe', pid: 111111111, firstName: 'Ann', lastName: 'Doe'})
+  var course = new schema.Course({department: 'COMP', number: '550', section: '001', univNumber: 1, faculty: advisor._id, semester: fall._id})
+  var lookups = {faculty: [advisor], semesters: [fall], students: [existing], courses: [course], grades: []}
+  var restore = []
+  var stub = function (model, method, fn) {
+    var original = model[method]
+    restore.push(function () { model[method] = original })
+    model[method] = function (conditions) {
+      return {
+        exec: function () { return Promise.resolve(fn(conditions)) }
+      }
+    }
+  }
+  afterEach(function () {
+    restore.forEach(function (fn) { fn() })
+    restore = []
+  })
+
+  var columns = function (type, headers) {
+    return importer.mapColumns(importer.type(type), headers, null).columns
+  }
+  var validate = function (type, headers, rows) {
+    return importer.validate(importer.type(type), columns(type, headers), rows.map(function (cells, i) {
+      return {row: i + 2, cells: cells}
+    }), lookups)
+  }
+
+  it('should name columns by their spreadsheet letter', function () {
+    expect([0, 25, 26, 27, 701].map(importer.columnLetter)).to.deep.equal(['A', 'Z', 'AA', 'AB', 'ZZ'])
+    expect(importer.columnName({index: 2, header: 'PID'})).to.equal('C (PID)')
+  })
+  it('should match columns by header name in any order', function () {
+    var result = importer.mapColumns(importer.type('student'), ['PID', 'First Name', 'last_name', 'Onyen', 'Favorite color', 'pid'], null)
+    expect(result.columns.map(function (column) { return column.field })).to.deep.equal(['pid', 'firstName', 'lastName', 'onyen'])
+    expect(result.columns[1]).to.deep.equal({index: 1, header: 'First Name', field: 'firstName'})
+    expect(result.unknownHeaders).to.deep.equal(['Favorite color', 'pid'])
+  })
+  it('should match columns with a profile and aliases first', function () {
+    var type = {fields: [{field: 'name', aliases: ['Grant title']}, {field: 'number'}]}
+    var profile = {columns: [{header: 'Award', field: 'number'}, {header: 'Number', field: ''}]}
+    var result = importer.mapColumns(type, ['Grant Title', 'Award', 'Number'], profile)
+    expect(result.columns).to.deep.equal([{index: 0, header: 'Grant Title', field: 'name'}, {index: 1, header: 'Award', field: 'number'}])
+    expect(result.unknownHeaders).to.deep.equal(['Number'])
+  })
+  it('should read the rows below the header row', function () {
+    var file = path.join(os.tmpdir(), 'importer-test.xlsx')
+    var wb = XLSX.utils.book_new()
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+      [],
+      ['Last Name', 'First Name', 'Onyen'],
+      ['Doe', 'Jane', ' jdoe '],
+      [],
+      ['Roe', 'Rick', 'rroe']
+    ]), 'Students')
+    XLSX.writeFile(wb, file)
+    var result = importer.readSheet(file)
+    fs.unlinkSync(file)
+    expect(result.headers).to.deep.equal(['Last Name', 'First Name', 'Onyen'])
+    expect(result.rows).to.deep.equal([
+      {row: 3, cells: ['Doe', 'Jane', 'jdoe']},
+      {row: 5, cells: ['Roe', 'Rick', 'rroe']}
+    ])
+  })
+  it('should read csv as text and json lists', function () {
+    var file = path.join(os.tmpdir(), 'importer-test.csv')
+    fs.writeFileSync(file, 'department,number,section\nCOMP,550,001\n')
+    var csv = importer.readSheet(file, 'csv')
+    fs.writeFileSync(file, JSON.stringify({data: [{onyen: 'jdoe', pid: 222222222}, {onyen: 'rroe', advisor: {lastName: 'Smith'}}]}))
+    var json = importer.readSheet(file, 'json')
+    fs.unlinkSync(file)
+    expect(csv.rows).to.deep.equal([{row: 2, cells: ['COMP', '550', '001']}])
+    expect(json.headers).to.deep.equal(['onyen', 'pid', 'advisor'])
+    expect(json.rows).to.deep.equal([
+      {row: 1, cells: ['jdoe', 222222222, undefined]},
+      {row: 2, cells: ['rroe', undefined, '{"lastName":"Smith"}']}
+    ])
+  })
+  it('should tell the format of an upload', function () {
+    expect(importer.fileFormat({name: 'students.CSV'})).to.equal('csv')
+    expect(importer.fileFormat({name: 'upload', type: 'application/json'})).to.equal('json')
+    expect(importer.fileFormat({name: 'students.xlsx'}, 'json')).to.equal('json')
+    expect(importer.fileFormat({name: 'students.xls'}, 'pdf')).to.equal('xlsx')
+  })
+  it('should convert values to their schema types', function () {
+    var type = importer.type('student')
+    expect(importer.coerce(type, {field: 'citizenship'}, 'yes')).to.deep.equal({value: true})
+    expect(importer.coerce(type, {field: 'intendedDegree'}, 'phd')).to.deep.equal({value: 'PHD'})
+    expect(importer.coerce(type, {field: 'hoursCompleted'}, 'many').problem).to.equal('hoursCompleted must be a number, many is not')
+    expect(importer.coerce(importer.type('course'), importer.field(importer.type('course'), 'category'), 's')).to.deep.equal({value: 'Systems'})
+  })
+  it('should create new students and update existing ones', function () {
+    var headers = ['Onyen', 'PID', 'First Name', 'Last Name', 'Advisor', 'Semester Started', 'Status']
+    var result = validate('student', headers, [
+      ['JDOE', '222222222', 'jane', 'doe', 'Smith, John', 'Fall 2018', 'active'],
+      ['adoe', 111111111, 'Ann', 'Doe']
+    ])
+    expect(result[0].action).to.equal('create')
+    expect(result[0].problems).to.deep.equal([])
+    expect(result[0].data).to.include({onyen: 'jdoe', pid: 222222222, firstName: 'Jane', lastName: 'Doe', status: 'Active'})
+    expect(result[0].data.advisor).to.equal(advisor._id)
+    expect(result[0].data.semesterStarted).to.equal(fall._id)
+    expect(result[1].action).to.equal('update')
+    expect(result[1].target).to.equal(existing._id)
+  })
+  it('should name the row and column of every problem', function () {
+    var headers = ['Onyen', 'PID', 'First Name', 'Last Name', 'Advisor']
+    var result = validate('student', headers, [
+      ['x1', '12345', 'A', 'B', 'Nobody, Here'],
+      ['x2', 555555555, 'A', 'B'],
+      ['x2', 666666666, null, 'B']
+    ])
+    expect(result.map(function (r) { return r.action })).to.deep.equal(['reject', 'create', 'reject'])
+    expect(result[0].problems).to.deep.equal([
+      {column: 'E (Advisor)', message: 'Unknown faculty Nobody, Here'},
+      {column: 'B (PID)', message: 'PID needs to be of length 9, 12345 is not'}
+    ])
+    expect(result[2].row).to.equal(4)
+    expect(result[2].problems).to.deep.equal([
+      {column: 'C (First Name)', message: 'Missing firstName'},
+      {column: 'A (Onyen)', message: 'Duplicate onyen x2 (also on row 3)'}
+    ])
+  })
+  it('should resolve the student and course of a grade', function () {
+    var headers = ['onyen', 'grade', 'department', 'number', 'section', 'semester', 'faculty']
+    var result = validate('grades', headers, [
+      ['adoe', 'H', 'comp', '550', '001', 'FA 2018', 'John Smith'],
+      ['adoe', 'P', 'COMP', '550', '001', 'FA 2018', 'Smith, John'],
+      ['nobody', 'Z', 'COMP', '999', '001', 'FA 2018', 'Smith, John']
+    ])
+    expect(result[0].action).to.equal('create')
+    expect(result[0].target).to.deep.equal({student: existing._id, course: course._id, grade: null})
+    expect(result[1].problems).to.deep.equal([{column: 'D (number)', message: 'Same student and course as row 2'}])
+    expect(result[2].problems.map(function (p) { return p.column })).to.deep.equal(['B (grade)', 'A (onyen)', 'D (number)'])
+  })
+  it('should report the rejected rows under their original headers', function () {
+    var batch = {
+      headers: ['Onyen', 'PID'],
+      rows: [
+        {row: 2, cells: ['ok', 222222222], action: 'create', problems: []},
+        {row: 3, cells: ['bad', 1], action: 'reject', problems: [{column: '', message: 'Missing firstName'}, {column: 'B (PID)', message: 'PID needs to be of length 9, 1 is not'}]}
+      ]
+    }
+    var wb = XLSX.read(importer.errorReport(batch), {type: 'buffer'})
+    var rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], {raw: true})
+    expect(rows).to.deep.equal([{Row: 3, Onyen: 'bad', PID: 1, Problems: 'Missing firstName; B (PID): PID needs to be of length 9, 1 is not'}])
+  })
+  it('should not commit an upload that is already being committed', function () {
+    var batch = new schema.ImportBatch({type: 'student', state: 'preview'})
+    stub(schema.ImportBatch, 'findOneAndUpdate', function (conditions) {
+      expect(conditions).to.deep.equal({_id: batch._id, state: 'preview'})
+      return null
+    })
+    var original = importer.lookups
+    restore.push(function () { importer.lookups = original })
+    importer.lookups = function () { throw new Error('should not validate') }
+    return importer.commit({}, batch).then(function () {
+      throw new Error('should not commit')
+    }, function (err) {
+      expect(err.message).to.equal('This upload was already committed, or is being committed')
+    })
+  })
+  it('should let an upload be committed again when the commit fails', function () {
+    var batch = new schema.ImportBatch({type: 'student', state: 'preview'})
+    var released = null
+    stub(schema.ImportBatch, 'findOneAndUpdate', function () { return batch })
+    stub(schema.ImportBatch, 'updateOne', function (conditions) { released = conditions })
+    var original = importer.lookups
+    restore.push(function () { importer.lookups = original })
+    importer.lookups = function () { return Promise.reject(new Error('no database')) }
+    return importer.commit({}, batch).then(function () {
+      throw new Error('should not commit')
+    }, function (err) {
+      expect(err.message).to.equal('no database')
+      expect(released).to.deep.equal({_id: batch._id, state: 'committing'})
+    })
+  })
+})
@@ -0,0 +1,77 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var schema = require('../models/schema')
+var integrity = require('../controllers/integrity')
+
+describe('Referential integrity', function () {
+  var restore = []
+  var stub = function (model, method, fn) {
+    var original = model[method]
+    restore.push(function () { model[method] = original })
+    model[method] = function (conditions) {
+      return {
+        withDeleted: function () { return this },
+        exec: function () { return Promise.resolve(fn(conditions)) }
+      }
+    }
+  }
+  afterEach(function () {
+    restore.forEach(function (fn) { fn() })
+    restore = []
+  })
+
+  it('should declare every reference of every model', function () {
+    var declared = integrity.references.map(function (reference) {
+      return reference.model + '.' + reference.path + ' ' + reference.ref
+    })
+    Object.keys(schema).forEach(function (name) {
+      var model = schema[name]
+      if (model == null || model.schema == null) {
+        return
+      }
+      var check = function (prefix, type) {
+        var ref = type.options.ref || (type.caster != null && type.caster.options != null ? type.caster.options.ref : null)
+        if (ref != null) {
+          expect(declared).to.include(name + '.' + prefix + type.path + ' ' + ref)
+        }
+        if (type.schema != null) {
+          type.schema.eachPath(function (path, subtype) {
+            check(type.path + '.', subtype)
+          })
+        }
+      }
+      model.schema.eachPath(function (path, type) {
+        check('', type)
+      })
+    })
+  })
+  it('should only use known rules and models', function () {
+    integrity.references.forEach(function (reference) {
+      expect(['block', 'cascade', 'nullify', 'keep']).to.include(reference.onDelete)
+      expect(schema[reference.model]).to.not.equal(undefined)
+      expect(schema[reference.ref]).to.not.equal(undefined)
+    })
+  })
+  it('should list what blocks a delete', function () {
+    stub(schema.Course, 'countDocuments', function (conditions) {
+      return conditions.faculty != null ? 2 : 0
+    })
+    stub(schema.Student, 'countDocuments', function () { return 1 })
+    stub(schema.Job, 'countDocuments', function () { return 0 })
+    return integrity.blockers('Faculty', {_id: 'f1'}).then(function (messages) {
+      expect(messages).to.deep.equal(['1 Student (advisor) reference it', '2 Courses (faculty) reference it'])
+    })
+  })
+  it('should look through the documents a delete cascades to', function () {
+    var cascaded = []
+    stub(schema.Job, 'countDocuments', function () { return 1 })
+    stub(schema.Grade, 'find', function (conditions) {
+      cascaded.push(conditions)
+      return [{_id: 'g1'}]
+    })
+    return integrity.blockers('Course', {_id: 'c1'}).then(function (messages) {
+      expect(messages).to.deep.equal(['1 Job (course) reference it'])
+      expect(cascaded).to.deep.equal([{course: {$in: ['c1']}}])
+    })
+  })
+})
@@ -0,0 +1,54 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var leaves = require('../controllers/leaves')
+var versions = require('../controllers/versions')
+
+describe('Leave records', function () {
+  var fall = {season: 'FA', year: 2018}
+  var spring = {season: 'SP', year: 2019}
+  var nextFall = {season: 'FA', year: 2019}
+  var inSpring = new Date(2019, 2, 1)
+  var inFall = new Date(2019, 9, 1)
+
+  it('should only count approved records', function () {
+    expect(leaves.approved({approval: 'approved'})).to.equal(true)
+    expect(leaves.approved({})).to.equal(true)
+    expect(leaves.approved({approval: 'pending'})).to.equal(false)
+    expect(leaves.approved({approval: 'denied'})).to.equal(false)
+    expect(leaves.away({type: 'EXTENSION', approval: 'approved'})).to.equal(false)
+    expect(leaves.away({type: 'MEDICAL', approval: 'approved'})).to.equal(true)
+  })
+  it('should put a student on leave while a leave covers the semester', function () {
+    var records = [{type: 'MEDICAL', approval: 'approved', startSemester: spring, endSemester: spring}]
+    expect(leaves.statusFor({status: 'Active'}, records, inSpring)).to.equal('Leave')
+    expect(leaves.statusFor({status: 'Leave'}, records, inSpring)).to.equal(null)
+    expect(leaves.statusFor({status: 'Graduated'}, records, inSpring)).to.equal(null)
+    expect(leaves.statusFor({status: 'Active'}, [{startSemester: fall, endSemester: null}], inFall)).to.equal('Leave')
+  })
+  it('should bring a student back once every leave has ended', function () {
+    var records = [{type: 'PARENTAL', startSemester: spring, endSemester: spring}]
+    expect(leaves.statusFor({status: 'Leave'}, records, inFall)).to.equal('Active')
+    expect(leaves.statusFor({status: 'Leave'}, records.concat([{startSemester: fall, endSemester: null}]), inFall)).to.equal(null)
+  })
+  it('should leave pending leave, extensions and changes made this semester alone', function () {
+    expect(leaves.statusFor({status: 'Active'}, [{approval: 'pending', startSemester: spring}], inSpring)).to.equal(null)
+    expect(leaves.statusFor({status: 'Active'}, [{type: 'EXTENSION', startSemester: spring}], inSpring)).to.equal(null)
+    var changed = {status: 'Active', versions: [{field: 'status', value: 'Active', semester: nextFall}]}
+    expect(leaves.statusFor(changed, [{startSemester: nextFall}], inFall)).to.equal(null)
+  })
+  it('should undo its own change when a leave is deleted or denied in the same semester', function () {
+    var student = {status: 'Active', versions: []}
+    var leave = {type: 'MEDICAL', approval: 'approved', startSemester: spring, endSemester: spring}
+    expect(leaves.statusFor(student, [leave], inSpring)).to.equal('Leave')
+    var update = versions.update(student, {status: 'Leave'}, spring, inSpring, null, leaves.source)
+    var recorded = update.$push.versions.$each.map(function (version) {
+      return Object.assign({}, version, {semester: version.semester != null ? spring : null})
+    })
+    var onLeave = {status: 'Leave', versions: recorded}
+    expect(leaves.statusFor(onLeave, [leave], inSpring)).to.equal(null)
+    expect(leaves.statusFor(onLeave, [], inSpring)).to.equal('Active')
+    expect(leaves.statusFor(onLeave, [Object.assign({}, leave, {approval: 'denied'})], inSpring)).to.equal('Active')
+    var byHand = {status: 'Leave', versions: [{field: 'status', value: 'Active', semester: null}, {field: 'status', value: 'Leave', semester: spring}]}
+    expect(leaves.statusFor(byHand, [], inSpring)).to.equal(null)
+  })
+})
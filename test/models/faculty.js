@@ -1,15 +1,15 @@
 /* eslint-env mocha, chai, jasmine */
 /* global assert, chai, uri */
-var modelPath = '/api/faculty'
+var modelPath = '/api/v1/faculty'
 var testFacultyId
 
 /**
  * Tests POST requests for /faculty
  * Should return faculty object
- * Asserts 200
+ * Asserts 400 when a field is missing and 201 once created
  */
 describe('POST requests for /faculty', function () {
-  it('should require username', function (done) {
+  it('should require onyen', function (done) {
     chai.request(uri)
       .post(modelPath)
       .send({
@@ -19,8 +19,8 @@ describe('POST requests for /faculty', function () {
       })
       .end(function (err, res) {
         if (err) throw err
-        expect(res).to.have.status(200)
-        expect(res.body).to.have.property('error').equal('RequiredParamNotFound')
+        expect(res).to.have.status(400)
+        expect(res.body.error).to.have.property('code').equal('RequiredParamNotFound')
         done()
       })
   })
@@ -28,14 +28,14 @@ describe('POST requests for /faculty', function () {
     chai.request(uri)
       .post(modelPath)
       .send({
-        username: 'random',
+        onyen: 'random',
         lastName: 'random',
         pid: 123456789
       })
       .end(function (err, res) {
         if (err) throw err
-        expect(res).to.have.status(200)
-        expect(res.body).to.have.property('error').equal('RequiredParamNotFound')
+        expect(res).to.have.status(400)
+        expect(res.body.error).to.have.property('code').equal('RequiredParamNotFound')
         done()
       })
   })
@@ -43,14 +43,14 @@ describe('POST requests for /faculty', function () {
     chai.request(uri)
       .post(modelPath)
       .send({
-        username: 'random',
+        onyen: 'random',
         firstName: 'random',
         pid: 123456789
       })
       .end(function (err, res) {
         if (err) throw err
-        expect(res).to.have.status(200)
-        expect(res.body).to.have.property('error').equal('RequiredParamNotFound')
+        expect(res).to.have.status(400)
+        expect(res.body.error).to.have.property('code').equal('RequiredParamNotFound')
         done()
       })
   })
@@ -58,14 +58,14 @@ describe('POST requests for /faculty', function () {
     chai.request(uri)
       .post(modelPath)
       .send({
-        username: 'random',
+        onyen: 'random',
         firstName: 'random',
         lastName: 'random'
       })
       .end(function (err, res) {
         if (err) throw err
-        expect(res).to.have.status(200)
-        expect(res.body).to.have.property('error').equal('RequiredParamNotFound')
+        expect(res).to.have.status(400)
+        expect(res.body.error).to.have.property('code').equal('RequiredParamNotFound')
         done()
       })
   })
@@ -73,16 +73,16 @@ describe('POST requests for /faculty', function () {
     chai.request(uri)
       .post(modelPath)
       .send({
-        username: 'random',
+        onyen: 'random',
         firstName: 'random',
         lastName: 'random',
         pid: 123456789
       })
       .end(function (err, res) {
         if (err) throw err
-        expect(res).to.have.status(200)
+        expect(res).to.have.status(201)
         expect(res.body).to.not.have.property('error')
-        testFacultyId = res.body._id
+        testFacultyId = res.body.data._id
         done()
       })
   })
@@ -100,8 +100,9 @@ describe('GET requests for /faculty', function () {
     .end(function (err, res) {
       if (err) throw err
       expect(res).to.have.status(200)
-      assert.equal(res.body.length, 1, 'Response is incorrect length')
-      assert.equal(res.body[0]._id, testFacultyId, 'Response has unknown id')
+      assert.equal(res.body.data.length, 1, 'Response is incorrect length')
+      assert.equal(res.body.total, 1, 'Response has incorrect total')
+      assert.equal(res.body.data[0]._id, testFacultyId, 'Response has unknown id')
       done()
     })
   })
@@ -1,6 +1,6 @@
 /* eslint-env mocha, chai, jasmine */
 /* global assert, chai, uri */
-var modelPath = '/api/students'
+var modelPath = '/api/v1/students'
 // var testStudentId
 
 /**
@@ -11,13 +11,16 @@ describe('Create test student', function () {
     chai.request(uri)
       .post(modelPath)
       .send({
-
+        onyen: 'teststudent',
+        firstName: 'Test',
+        lastName: 'Student',
+        pid: 323456789
       })
       .end(function (err, res) {
         if (err) throw err
-        expect(res).to.have.status(200)
-        assert.isObject(res.body, 'Response is an object')
-        // testStudentId = res.body._id
+        expect(res).to.have.status(201)
+        assert.isObject(res.body.data, 'Response is an object')
+        // testStudentId = res.body.data._id
         done()
       })
   })
@@ -0,0 +1,57 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var permissions = require('../controllers/permissions')
+
+describe('Permission matrix', function () {
+  var staff = {roles: ['studentServices']}
+  var faculty = {faculty: {admin: false}, roles: []}
+  var legacyAdmin = {faculty: {admin: true}, roles: []}
+  var student = {student: {}, roles: []}
+
+  it('should treat the Faculty.admin flag as the admin role', function () {
+    expect(permissions.globalRoles(legacyAdmin)).to.include('admin')
+    expect(permissions.hasGlobal(legacyAdmin, 'role.manage')).to.equal(true)
+  })
+  it('should let staff without a faculty record edit students', function () {
+    expect(permissions.hasGlobal(staff, 'student.edit')).to.equal(true)
+    expect(permissions.hasGlobal(staff, 'role.manage')).to.equal(false)
+  })
+  it('should not let faculty edit students', function () {
+    expect(permissions.hasGlobal(faculty, 'student.view')).to.equal(true)
+    expect(permissions.hasGlobal(faculty, 'student.edit')).to.equal(false)
+  })
+  it('should only give students their own view', function () {
+    expect(permissions.hasGlobal(student, 'self.view')).to.equal(true)
+    expect(permissions.hasGlobal(student, 'student.view')).to.equal(false)
+  })
+  it('should reject unknown permissions', function () {
+    return permissions.can(staff, 'nope').then(function () {
+      throw new Error('can should have failed')
+    }, function (err) {
+      expect(err.message).to.contain('Unknown permission')
+    })
+  })
+  it('should respond 500 when the permission can not be checked', function () {
+    var sent = {}
+    var res = {
+      status: function (status) {
+        sent.status = status
+        return res
+      },
+      render: function (view, locals) {
+        sent.message = locals.string
+      }
+    }
+    permissions.requirePermission('nope')({user: staff, params: {}}, res, function () {
+      throw new Error('next should not be called')
+    })
+    return new Promise(function (resolve) { setImmediate(resolve) }).then(function () {
+      expect(sent).to.deep.equal({status: 500, message: 'Unknown permission nope'})
+    })
+  })
+  it('should not check the advisor relationship without a student', function () {
+    return permissions.can(faculty, 'student.notes').then(function (result) {
+      expect(result).to.equal(false)
+    })
+  })
+})
@@ -0,0 +1,74 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var reportBuilder = require('../controllers/reportBuilder')
+
+describe('Report builder', function () {
+  it('should offer the fields of the entity and its references', function () {
+    var paths = reportBuilder.fields('student').map(function (field) {
+      return field.path
+    })
+    expect(paths).to.include('lastName')
+    expect(paths).to.include('advisor.lastName')
+    expect(paths).to.include('semesterStarted.year')
+    expect(paths).to.not.include('grades')
+    expect(paths).to.not.include('_id')
+  })
+  it('should read a definition from a query', function () {
+    var definition = reportBuilder.definition({
+      entity: 'student',
+      columns: 'lastName',
+      filters: [{path: 'status', operator: 'eq', value: 'Active'}, {path: '', operator: 'eq', value: ''}],
+      groupBy: ''
+    })
+    expect(definition).to.deep.equal({entity: 'student', columns: ['lastName'], filters: [{path: 'status', operator: 'eq', value: 'Active'}], groupBy: []})
+    expect(function () {
+      reportBuilder.definition({entity: 'student', columns: ['password']})
+    }).to.throw('no field password')
+    expect(function () {
+      reportBuilder.definition({entity: 'grant'})
+    }).to.throw()
+  })
+  it('should look up references and match cast values', function () {
+    var pipeline = reportBuilder.pipeline(reportBuilder.definition({
+      entity: 'student',
+      columns: ['lastName', 'advisor.lastName'],
+      filters: {0: {path: 'semesterStarted.year', operator: 'gte', value: '2018'}, 1: {path: 'advisor.lastName', operator: 'contains', value: 'o.'}}
+    }))
+    var lookups = pipeline.filter(function (stage) {
+      return stage.$lookup != null
+    }).map(function (stage) {
+      return stage.$lookup.as
+    })
+    expect(lookups).to.deep.equal(['advisor', 'semesterStarted'])
+    expect(pipeline).to.deep.include({$lookup: {from: 'faculties', let: {id: '$advisor'}, pipeline: [{$match: {$expr: {$eq: ['$_id', '$$id']}, deletedAt: null}}], as: 'advisor'}})
+    expect(pipeline).to.deep.include({$lookup: {from: 'semesters', localField: 'semesterStarted', foreignField: '_id', as: 'semesterStarted'}})
+    var match = pipeline.find(function (stage) {
+      return stage.$match != null
+    }).$match
+    expect(match.$and[0]).to.deep.equal({'semesterStarted.year': {$gte: 2018}})
+    expect(match.$and[1]).to.deep.equal({'advisor.lastName': {$regex: 'o\\.', $options: 'i'}})
+    expect(pipeline).to.deep.include({$project: {_id: 0, c0: '$lastName', c1: '$advisor.lastName'}})
+  })
+  it('should group and count', function () {
+    var definition = reportBuilder.definition({entity: 'job', columns: ['position'], groupBy: ['semester.year', 'position']})
+    var pipeline = reportBuilder.pipeline(definition)
+    expect(pipeline).to.deep.include({$group: {_id: {g0: '$semester.year', g1: '$position'}, count: {$sum: 1}}})
+    expect(reportBuilder.columns(definition).map(function (column) {
+      return column.label
+    })).to.deep.equal(['semester year', 'position', 'Count'])
+  })
+  it('should refuse values that do not fit the field', function () {
+    expect(function () {
+      reportBuilder.pipeline(reportBuilder.definition({entity: 'course', columns: ['name'], filters: [{path: 'semester.year', operator: 'eq', value: 'soon'}]}))
+    }).to.throw('semester.year can not be soon')
+  })
+  it('should write a definition back as a query', function () {
+    var definition = {entity: 'course', columns: ['name', 'faculty.lastName'], filters: [{path: 'name', operator: 'contains', value: 'a&b'}], groupBy: []}
+    var query = {}
+    reportBuilder.query(definition).split('&').forEach(function (part) {
+      var pair = part.split('=').map(decodeURIComponent)
+      query[pair[0]] = query[pair[0]] != null ? [].concat(query[pair[0]], pair[1]) : pair[1]
+    })
+    expect(query).to.deep.equal({entity: 'course', columns: ['name', 'faculty.lastName'], 'filters[0][path]': 'name', 'filters[0][operator]': 'contains', 'filters[0][value]': 'a&b'})
+  })
+})
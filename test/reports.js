@@ -0,0 +1,154 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var reports = require('../controllers/reports')
+
+describe('Reports', function () {
+  var fall = {season: 'FA', year: 2018}
+  var spring = {season: 'SP', year: 2019}
+  var smith = {firstName: 'John', lastName: 'Smith'}
+  var course = function (semester) {
+    return {grade: 'H', course: {semester: semester}}
+  }
+
+  it('should count enrollment by semester and degree', function () {
+    var students = [
+      {intendedDegree: 'PHD', semesterStarted: fall, grades: [course(fall), course(fall), course(spring)]},
+      {intendedDegree: 'MASTERS', semesterStarted: spring, grades: [course(spring)]},
+      {intendedDegree: 'PHD', semesterStarted: spring, grades: []}
+    ]
+    expect(reports.enrollment.table(students, {}).rows).to.deep.equal([
+      {semester: 'FA 2018', degree: 'PHD', enrolled: 1, entering: 1},
+      {semester: 'SP 2019', degree: 'MASTERS', enrolled: 1, entering: 1},
+      {semester: 'SP 2019', degree: 'PHD', enrolled: 1, entering: 1}
+    ])
+    expect(reports.enrollment.table(students, {from: spring}).rows).to.have.length(2)
+  })
+  it('should count students per advisor', function () {
+    var table = reports.advisorLoad.table([{intendedDegree: 'PHD', advisor: smith}, {intendedDegree: 'BOTH', advisor: smith}, {intendedDegree: 'PHD'}])
+    expect(table.rows).to.deep.equal([
+      {advisor: 'No advisor', MASTERS: 0, PHD: 1, BOTH: 0, total: 1},
+      {advisor: 'Smith, John', MASTERS: 0, PHD: 1, BOTH: 1, total: 2}
+    ])
+    expect(table.columns.map(function (column) { return column.field })).to.deep.equal(['advisor', 'MASTERS', 'PHD', 'BOTH', 'total'])
+  })
+  it('should count students per advisor as of a semester', function () {
+    var jones = {firstName: 'Ann', lastName: 'Jones'}
+    var moved = [{field: 'advisor', advisor: smith, semester: null}, {field: 'advisor', advisor: jones, semester: spring}]
+    var graduated = [{field: 'status', value: 'Active', semester: null}, {field: 'status', value: 'Graduated', semester: spring}]
+    var students = [
+      {intendedDegree: 'PHD', status: 'Active', advisor: jones, semesterStarted: fall, versions: moved},
+      {intendedDegree: 'PHD', status: 'Graduated', advisor: smith, semesterStarted: fall, versions: graduated},
+      {intendedDegree: 'MASTERS', status: 'Active', advisor: smith, semesterStarted: spring}
+    ]
+    expect(reports.advisorLoad.table(students, {status: 'Active', asOf: fall}).rows).to.deep.equal([
+      {advisor: 'Smith, John', MASTERS: 0, PHD: 2, BOTH: 0, total: 2}
+    ])
+  })
+  it('should count advising load over time by primary advisor and co-advisor', function () {
+    var jones = {firstName: 'Ann', lastName: 'Jones'}
+    var fall19 = {season: 'FA', year: 2019}
+    var moved = [{field: 'advisor', advisor: smith, semester: null}, {field: 'advisor', advisor: jones, semester: spring}]
+    var coAdvised = [{faculty: smith, startSemester: spring, endSemester: spring}, {external: {name: 'Jane Doe'}, startSemester: fall}]
+    var students = [
+      {status: 'Active', advisor: jones, semesterStarted: fall, versions: moved, coAdvisors: coAdvised},
+      {status: 'Graduated', advisor: smith, semesterStarted: fall, mastersAwarded: new Date(2018, 11, 15)}
+    ]
+    var data = {students: students, semesters: [fall19, spring, fall, {season: 'S1', year: 2019}]}
+    var table = reports.advisingLoad.table(data, {}, new Date(2019, 3, 1))
+    expect(table.rows).to.deep.equal([
+      {semester: 'FA 2018', advisor: 'Jane Doe', primary: 0, coAdvisor: 1, total: 1},
+      {semester: 'FA 2018', advisor: 'Smith, John', primary: 2, coAdvisor: 0, total: 2},
+      {semester: 'SP 2019', advisor: 'Jane Doe', primary: 0, coAdvisor: 1, total: 1},
+      {semester: 'SP 2019', advisor: 'Jones, Ann', primary: 1, coAdvisor: 0, total: 1},
+      {semester: 'SP 2019', advisor: 'Smith, John', primary: 0, coAdvisor: 1, total: 1}
+    ])
+    expect(reports.advisingLoad.table(data, {from: fall19, to: fall19}).rows).to.have.length(2)
+  })
+  it('should total funding by grant and semester', function () {
+    var jobs = [
+      {_id: 'j1', semester: fall, fundingSource: {name: 'NSF'}, hours: 10},
+      {_id: 'j2', semester: fall, fundingSource: {name: 'NSF'}, hours: 20},
+      {_id: 'j3', semester: spring, hours: 5}
+    ]
+    var rows = reports.funding.table({jobs: jobs, students: [{jobHistory: ['j1', 'j2']}, {jobHistory: ['j1']}]}, {to: fall}).rows
+    expect(rows).to.deep.equal([{grant: 'NSF', semester: 'FA 2018', jobs: 2, students: 3, hours: 30}])
+  })
+  it('should lay out funding by student and semester with flags', function () {
+    var summer = {season: 'S1', year: 2019}
+    var nextFall = {season: 'FA', year: 2019}
+    var jobs = [
+      {position: 'TA', hours: 20, semester: fall, fundingSource: {name: 'NSF'}},
+      {position: 'RA', hours: 15, semester: nextFall},
+      {position: 'TA', hours: 10, semester: nextFall}
+    ]
+    var data = {
+      semesters: [nextFall, summer, spring, fall, {season: 'S2', year: 2019}, {season: 'SP', year: 2020}],
+      students: [
+        {_id: 'a', onyen: 'a', status: 'Active', fundingEligibility: 'GUARANTEED', semesterStarted: fall, jobHistory: jobs},
+        {_id: 'b', onyen: 'b', status: 'Active', fundingEligibility: 'NOT GUARANTEED', jobHistory: [{position: 'OTHER', hours: 10, semester: summer}]},
+        {_id: 'c', onyen: 'c', status: 'Active', fundingEligibility: 'NOT GUARANTEED', jobHistory: []},
+        {_id: 'd', onyen: 'd', status: 'Active', fundingEligibility: 'GUARANTEED', semesterStarted: nextFall, jobHistory: []}
+      ],
+      leaves: [
+        {student: 'a', startSemester: spring, endSemester: spring},
+        {student: 'd', type: 'EXTENSION', approval: 'approved', startSemester: nextFall, endSemester: nextFall}
+      ]
+    }
+    var table = reports.fundingLedger.table(data, {cap: '20'}, new Date(2019, 11, 1))
+    expect(table.columns.map(function (column) { return column.label })).to.deep.equal(['Onyen', 'Name', 'Funding eligibility', 'FA 2018', 'SP 2019', 'S1 2019', 'FA 2019', 'Guaranteed semesters', 'Flags'])
+    expect(table.rows.map(function (row) { return row.onyen })).to.deep.equal(['a', 'b', 'd'])
+    expect(table.rows[0]).to.include({'FA 2018': 'TA 20h (NSF)', 'SP 2019': '', 'FA 2019': 'RA 15h; TA 10h', guaranteed: 2, flags: '25 hours FA 2019, Double-booked FA 2019'})
+    expect(table.rows[1]).to.include({'S1 2019': 'OTHER 10h', guaranteed: 0, flags: ''})
+    expect(table.rows[2]).to.include({guaranteed: 1, flags: 'No job FA 2019'})
+  })
+  it('should count milestones reached by cohort', function () {
+    var table = reports.milestones.table([
+      {semesterStarted: fall, prpPassed: new Date()},
+      {semesterStarted: fall},
+      {}
+    ], {degree: 'PHD'})
+    expect(table.columns.map(function (column) { return column.field })).to.not.include('mastersAwarded')
+    expect(table.rows[0]).to.include({cohort: 'Unknown', students: 1, prpPassed: 0})
+    expect(table.rows[1]).to.include({cohort: 'FA 2018', students: 2, prpPassed: 1})
+  })
+  it('should summarize each cohort', function () {
+    var data = {
+      students: [
+        {_id: 'a', semesterStarted: fall, intendedDegree: 'PHD', status: 'Active', prpPassed: new Date(2019, 9, 1)},
+        {_id: 'b', semesterStarted: fall, intendedDegree: 'BOTH', status: 'Graduated', mastersAwarded: new Date(2019, 4, 1), prpPassed: new Date(2020, 9, 1)},
+        {_id: 'c', semesterStarted: fall, intendedDegree: 'PHD', status: 'Ineligible'},
+        {_id: 'd', semesterStarted: spring, intendedDegree: 'MASTERS', status: 'Active'}
+      ],
+      leaves: [{student: 'b', startSemester: {season: 'SP', year: 2020}, endSemester: {season: 'SP', year: 2020}}]
+    }
+    var rows = reports.cohorts.table(data, {}, new Date(2021, 0, 1)).rows
+    expect(rows).to.have.length(2)
+    expect(rows[0]).to.include({cohort: 'FA 2018', students: 3, Active: 1, Graduated: 1, Ineligible: 1, retained: '67%', mastersAlongTheWay: '33%', prpPassed: 3.5})
+    expect(rows[1]).to.include({cohort: 'SP 2019', students: 1, mastersAlongTheWay: '', prpPassed: null})
+    expect(reports.cohorts.table(data, {from: spring}).rows).to.have.length(1)
+  })
+  it('should list students on leave or probation', function () {
+    var data = {
+      students: [
+        {_id: 'a', onyen: 'a', status: 'Active', fundingEligibility: 'GUARANTEED'},
+        {_id: 'b', onyen: 'b', status: 'Active', fundingEligibility: 'PROBATION'},
+        {_id: 'c', onyen: 'c', status: 'Active', fundingEligibility: 'GUARANTEED'},
+        {_id: 'd', onyen: 'd', status: 'Leave'}
+      ],
+      leaves: [{student: 'c', startSemester: fall, endSemester: null, reason: 'Medical'}]
+    }
+    var rows = reports.leaveProbation.table(data, {semester: spring}).rows
+    expect(rows.map(function (row) { return row.onyen })).to.deep.equal(['b', 'c', 'd'])
+    expect(rows[1]).to.include({leave: 'FA 2018 to open', reason: 'Medical'})
+    expect(reports.leaveProbation.table(data, {semester: {season: 'SP', year: 2018}}).rows).to.have.length(2)
+  })
+  it('should count grades per course', function () {
+    var data = {
+      courses: [{_id: 'c1', department: 'COMP', number: '550', section: '001', name: 'Algorithms', semester: fall, faculty: smith}],
+      counts: [{_id: {course: 'c1', grade: 'H'}, count: 3}, {_id: {course: 'c1', grade: 'P'}, count: 2}, {_id: {course: 'c2', grade: 'H'}, count: 1}]
+    }
+    var rows = reports.gradeDistribution.table(data, {}).rows
+    expect(rows).to.have.length(1)
+    expect(rows[0]).to.include({course: 'COMP 550 001', semester: 'FA 2018', faculty: 'Smith, John', H: 3, P: 2, L: 0, total: 5})
+  })
+})
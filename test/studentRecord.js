@@ -0,0 +1,95 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var stream = require('stream')
+var studentRecord = require('../controllers/studentRecord')
+
+describe('Full student record', function () {
+  var fall = {season: 'FA', year: 2018}
+  var smith = {firstName: 'John', lastName: 'Smith'}
+  var record = {
+    student: {
+      _id: 'a1',
+      onyen: 'jdoe',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      status: 'Active',
+      advisor: smith,
+      semesterStarted: fall,
+      prpPassed: new Date('2019-05-01T00:00:00Z'),
+      versions: [
+        {field: 'advisor', advisor: {firstName: 'Ann', lastName: 'Jones'}, semester: null, recordedBy: 'admin'},
+        {field: 'advisor', advisor: smith, semester: fall, recordedBy: 'admin'},
+        {field: 'status', value: 'Active', semester: fall, source: 'leaves'}
+      ],
+      coAdvisors: [
+        {faculty: {firstName: 'Ann', lastName: 'Jones', email: 'ajones@cs.unc.edu'}, startSemester: fall},
+        {external: {name: 'Jane Roe', department: 'Biology', institution: 'Duke', email: 'jroe@duke.edu'}, startSemester: fall, endSemester: fall}
+      ],
+      grades: [{grade: 'H', course: {department: 'COMP', number: '550', section: '001', hours: 3, semester: fall, faculty: smith}}],
+      jobHistory: [{position: 'TA', supervisor: smith, semester: fall, course: {department: 'COMP', number: '550', section: '001'}, fundingSource: {name: 'NSF'}}]
+    },
+    notes: [{date: new Date('2019-01-02T00:00:00Z'), title: 'Met', note: 'Fine'}],
+    leaves: [],
+    forms: [{title: 'CS02', form: {_id: 'f1', student: 'a1', __v: 0, name: 'Jane Doe', pid: 222222222}, approval: {state: 'approved', signatures: [], transitions: []}}]
+  }
+
+  it('should split milestones from the rest of the profile', function () {
+    expect(studentRecord.milestones).to.include('prpPassed')
+    expect(studentRecord.milestones).to.not.include('onyen')
+    expect(studentRecord.demographics).to.include('advisor')
+    expect(studentRecord.demographics).to.not.include('grades')
+    expect(studentRecord.demographics).to.not.include('versions')
+    expect(studentRecord.demographics).to.not.include('coAdvisors')
+  })
+  it('should have a sheet per section with the onyen on every row', function () {
+    var sheets = {}
+    studentRecord.tables([record]).forEach(function (sheet) {
+      sheets[sheet.name] = sheet.table
+    })
+    expect(Object.keys(sheets)).to.deep.equal(['Student', 'Co-advisors', 'Milestones', 'History', 'Grades', 'Jobs', 'Notes', 'Leave', 'Forms'])
+    expect(sheets.Student.rows[0]).to.include({onyen: 'jdoe', advisor: 'Smith, John', semesterStarted: 'FA 2018'})
+    expect(sheets.Milestones.rows[0].prpPassed).to.deep.equal(new Date('2019-05-01T00:00:00Z'))
+    expect(sheets['Co-advisors'].rows).to.deep.equal([
+      {onyen: 'jdoe', coAdvisor: 'Jones, Ann', department: null, institution: null, email: 'ajones@cs.unc.edu', startSemester: 'FA 2018', endSemester: null},
+      {onyen: 'jdoe', coAdvisor: 'Jane Roe', department: 'Biology', institution: 'Duke', email: 'jroe@duke.edu', startSemester: 'FA 2018', endSemester: 'FA 2018'}
+    ])
+    expect(sheets.History.rows).to.deep.equal([
+      {onyen: 'jdoe', field: 'advisor', value: 'Jones, Ann', semester: 'Before', recordedBy: 'admin'},
+      {onyen: 'jdoe', field: 'advisor', value: 'Smith, John', semester: 'FA 2018', recordedBy: 'admin'},
+      {onyen: 'jdoe', field: 'status', value: 'Active', semester: 'FA 2018', recordedBy: 'leaves'}
+    ])
+    expect(sheets.Grades.rows).to.deep.equal([{onyen: 'jdoe', semester: 'FA 2018', department: 'COMP', number: '550', section: '001', name: null, hours: 3, category: null, faculty: 'Smith, John', grade: 'H'}])
+    expect(sheets.Jobs.rows[0]).to.include({onyen: 'jdoe', supervisor: 'Smith, John', course: 'COMP 550 001', fundingSource: 'NSF'})
+    expect(sheets.Leave.rows).to.deep.equal([])
+    expect(sheets.Forms.rows).to.deep.equal([
+      {onyen: 'jdoe', form: 'CS02', state: 'approved', field: 'name', value: 'Jane Doe'},
+      {onyen: 'jdoe', form: 'CS02', state: 'approved', field: 'pid', value: 222222222}
+    ])
+  })
+  it('should export a record as json', function () {
+    var json = studentRecord.json(record)
+    expect(Object.keys(json)).to.deep.equal(['student', 'coAdvisors', 'milestones', 'history', 'grades', 'jobs', 'notes', 'leaves', 'forms'])
+    expect(json.forms).to.deep.equal([{form: 'CS02', state: 'approved', fields: {name: 'Jane Doe', pid: 222222222}, signatures: [], transitions: []}])
+    expect(json.notes).to.deep.equal([{date: new Date('2019-01-02T00:00:00Z'), title: 'Met', note: 'Fine'}])
+  })
+  it('should send a zip with a json file per student', function (done) {
+    var res = new stream.PassThrough()
+    var headers = {}
+    var chunks = []
+    res.setHeader = function (name, value) {
+      headers[name] = value
+    }
+    res.on('data', function (chunk) {
+      chunks.push(chunk)
+    })
+    res.on('end', function () {
+      var body = Buffer.concat(chunks)
+      expect(headers['Content-type']).to.equal('application/zip')
+      expect(headers['Content-Disposition']).to.equal('attachment; filename="Student records.zip"; filename*=UTF-8\'\'Student%20records.zip')
+      expect(body.slice(0, 2).toString()).to.equal('PK')
+      expect(body.indexOf('jdoe.json')).to.not.equal(-1)
+      done()
+    })
+    studentRecord.send({query: {format: 'zip'}}, res, [record], 'Student records')
+  })
+})
@@ -0,0 +1,63 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var taPlanner = require('../controllers/taPlanner')
+
+describe('TA planner', function () {
+  var fall = {_id: 'fall', season: 'FA', year: 2019}
+  var smith = {_id: 'smith', lastName: 'Smith', firstName: 'John'}
+  var courses = [
+    {_id: 'c1', department: 'COMP', number: '110', section: '001', faculty: smith, taHours: 30},
+    {_id: 'c2', department: 'COMP', number: '550', section: '001', faculty: smith, taHours: 10},
+    {_id: 'c3', department: 'COMP', number: '990', section: '001', taHours: 0}
+  ]
+  var student = function (id, fields) {
+    return Object.assign({_id: id, lastName: id, firstName: id, status: 'Active', fundingEligibility: 'GUARANTEED', jobHistory: []}, fields)
+  }
+
+  it('should tell which students can be planned', function () {
+    expect(taPlanner.eligible(student('a'), fall)).to.equal(true)
+    expect(taPlanner.eligible(student('b', {fundingEligibility: 'PROBATION'}), fall)).to.equal(false)
+    expect(taPlanner.eligible(student('c', {status: 'Leave'}), fall)).to.equal(false)
+    var ta = student('d', {jobHistory: [{position: 'TA', semester: 'fall', course: 'c1'}]})
+    expect(taPlanner.eligible(ta, fall)).to.equal(false)
+    expect(taPlanner.eligible(ta, fall, courses[0])).to.equal(true)
+    expect(taPlanner.eligible(student('e', {jobHistory: [{position: 'OTHER', semester: 'fall'}]}), fall)).to.equal(true)
+  })
+  it('should read the slots of the board form', function () {
+    var body = {assignments: [
+      {course: 'c1', student: 'a', hours: '10'},
+      {course: 'c1', student: '', hours: ''},
+      {course: 'c2', student: 'b', hours: ''}
+    ]}
+    expect(taPlanner.read(body)).to.deep.equal([{course: 'c1', student: 'a', hours: 10}, {course: 'c2', student: 'b', hours: null}])
+  })
+  it('should show unfilled sections and students over the cap', function () {
+    var students = [student('a'), student('b')]
+    var board = taPlanner.board(fall, courses, students, [
+      {course: 'c1', student: 'a', hours: 20},
+      {course: 'c2', student: 'a', hours: 10},
+      {course: 'c2', student: 'b', hours: 5}
+    ])
+    expect(board.sections.map(function (section) { return [section.planned, section.short] })).to.deep.equal([[20, 10], [15, 0], [0, 0]])
+    expect(board.unfilled.map(function (section) { return section.name })).to.deep.equal(['COMP 110 001'])
+    expect(board.over.map(function (entry) { return entry.name })).to.deep.equal(['a, a'])
+    expect(board.problems).to.deep.equal([])
+  })
+  it('should not finalize a board with problems', function () {
+    var students = [student('a'), student('b', {fundingEligibility: 'PROBATION'})]
+    var board = taPlanner.board(fall, courses, students, [
+      {course: 'c3', student: 'a', hours: null},
+      {course: 'c1', student: 'b', hours: 10}
+    ])
+    expect(board.problems).to.deep.equal([
+      'b, b can not be a TA this semester',
+      'Hours of a, a in COMP 990 001 are not set',
+      'COMP 990 001 has no faculty to supervise its TAs'
+    ])
+    return taPlanner.finalize({}, fall, board).then(function () {
+      throw new Error('finalized')
+    }, function (err) {
+      expect(err.message).to.match(/can not be a TA/)
+    })
+  })
+})
@@ -0,0 +1,44 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var util = require('../controllers/util')
+var timeline = require('../controllers/timeline')
+
+describe('Student timeline', function () {
+  var now = new Date('2020-03-01')
+
+  it('should order semesters within a year', function () {
+    expect(util.semesterIndex({year: 2019, season: 'FA'})).to.be.above(util.semesterIndex({year: 2019, season: 'SP'}))
+    expect(util.semesterAt(util.semesterIndex({year: 2019, season: 'S2'}))).to.deep.equal({year: 2019, season: 'S2'})
+    expect(util.semesterOf(new Date('2019-09-01'))).to.deep.equal({year: 2019, season: 'FA'})
+    expect(util.semesterOf(new Date('2019-06-10'))).to.deep.equal({year: 2019, season: 'S1'})
+  })
+  it('should not count summers or leave as elapsed semesters', function () {
+    var leaves = [{startSemester: {year: 2019, season: 'SP'}, endSemester: {year: 2019, season: 'SP'}}]
+    var student = {semesterStarted: {year: 2018, season: 'FA'}, intendedDegree: 'PHD'}
+    var result = timeline.build(student, leaves, now)
+    // FA18, FA19 and SP20, SP19 was leave
+    expect(result.elapsed).to.equal(3)
+    expect(result.rows.filter(function (row) { return row.onLeave })).to.have.length(1)
+  })
+  it('should only stop the clock for approved leave', function () {
+    var student = {semesterStarted: {year: 2018, season: 'FA'}, intendedDegree: 'PHD'}
+    var spring = {year: 2019, season: 'SP'}
+    expect(timeline.build(student, [{startSemester: spring, endSemester: spring, approval: 'pending'}], now).elapsed).to.equal(4)
+    expect(timeline.build(student, [{startSemester: spring, endSemester: spring, type: 'EXTENSION', approval: 'approved'}], now).elapsed).to.equal(3)
+  })
+  it('should flag milestones the student is behind on', function () {
+    var student = {semesterStarted: {year: 2018, season: 'FA'}, intendedDegree: 'MASTERS', backgroundApproved: new Date('2019-10-01')}
+    var result = timeline.build(student, [], now)
+    var status = function (field) {
+      return result.milestones.find(function (entry) { return entry.field === field }).status
+    }
+    expect(result.elapsed).to.equal(4)
+    expect(status('backgroundApproved')).to.equal('late')
+    expect(status('programOfStudyApproved')).to.equal('behind')
+    expect(status('mastersAwarded')).to.equal('upcoming')
+    expect(result.milestones.map(function (entry) { return entry.field })).to.not.include('prpPassed')
+  })
+  it('should need the semester the student started', function () {
+    expect(timeline.build({}, [], now)).to.equal(null)
+  })
+})
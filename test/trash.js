@@ -0,0 +1,73 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var schema = require('../models/schema')
+var trash = require('../controllers/trash')
+
+describe('Soft delete', function () {
+  var day = 24 * 60 * 60 * 1000
+  var at = new Date(Date.UTC(2020, 0, 10))
+  var later = new Date(Date.UTC(2020, 0, 12))
+  var restore = []
+  var stub = function (model, method, fn) {
+    var original = model[method]
+    restore.push(function () { model[method] = original })
+    model[method] = function (conditions) {
+      return {
+        withDeleted: function () { return this },
+        exec: function () { return Promise.resolve(fn(conditions)) }
+      }
+    }
+  }
+  afterEach(function () {
+    restore.forEach(function (fn) { fn() })
+    restore = []
+  })
+
+  it('should soft delete students, faculty, courses, jobs, notes and forms', function () {
+    expect(trash.models).to.include.members(['Student', 'Faculty', 'Course', 'Job', 'Note', 'CS01', 'CS13'])
+    expect(trash.models.indexOf('Note')).to.be.below(trash.models.indexOf('Student'))
+    expect(trash.models.indexOf('Course')).to.be.below(trash.models.indexOf('Faculty'))
+  })
+  it('should group documents with the delete they came from', function () {
+    var entries = trash.entries({
+      Student: [{_id: 's1', deletedAt: at}],
+      Note: [{_id: 'n1', student: 's1', deletedAt: at}, {_id: 'n2', student: 's1', deletedAt: later}],
+      CS03: [{_id: 'f1', student: 's1', deletedAt: at}],
+      Faculty: []
+    })
+    expect(entries.map(function (entry) {
+      return entry.model + ' ' + entry.doc._id + ' ' + entry.dependents
+    })).to.deep.equal(['Note n2 0', 'Student s1 2'])
+  })
+  it('should keep documents for the retention period', function () {
+    expect(trash.purgeableFrom(at).getTime()).to.equal(at.getTime() + trash.retentionDays * day)
+  })
+  it('should describe deleted documents', function () {
+    expect(trash.label('Student', {lastName: 'Doe', firstName: 'Jane', onyen: 'jdoe'})).to.equal('Doe, Jane (jdoe)')
+    expect(trash.label('Course', {department: 'COMP', number: '550', section: '001', name: 'Algorithms'})).to.equal('COMP 550 001 Algorithms')
+    expect(trash.label('Job', {position: 'TA', hours: 20})).to.equal('TA, 20h')
+  })
+  it('should not restore a student added again with the same PID', function () {
+    var deleted = new schema.Student({onyen: 'jdoe', pid: 123456789, deletedAt: at})
+    var counted = []
+    stub(schema.Student, 'findOne', function () { return deleted })
+    stub(schema.Student, 'countDocuments', function (conditions) {
+      counted.push(conditions)
+      return conditions.pid != null ? 1 : 0
+    })
+    stub(schema.Semester, 'countDocuments', function () { return 0 })
+    stub(schema.Faculty, 'countDocuments', function () { return 0 })
+    return trash.restore({}, 'Student', deleted._id).then(function () {
+      throw new Error('restore should have been refused')
+    }, function (err) {
+      expect(err.status).to.equal(409)
+      expect(err.message).to.equal('Could not restore student because a student with the same pid exists')
+      expect(counted).to.deep.include.members([{onyen: 'jdoe'}, {pid: 123456789}])
+    })
+  })
+  it('should keep one of each CS form per student', function () {
+    expect(trash.unique('Student')).to.deep.equal(['onyen', 'pid'])
+    expect(trash.unique('CS03')).to.deep.equal(['student'])
+    expect(trash.unique('Note')).to.deep.equal([])
+  })
+})
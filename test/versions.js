@@ -0,0 +1,52 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var versions = require('../controllers/versions')
+
+describe('Student versions', function () {
+  var fall = {_id: 'fa18', season: 'FA', year: 2018}
+  var spring = {_id: 'sp19', season: 'SP', year: 2019}
+  var fall19 = {_id: 'fa19', season: 'FA', year: 2019}
+  var now = new Date(2019, 9, 1)
+  var student = function () {
+    return {
+      status: 'Leave',
+      fundingEligibility: 'GUARANTEED',
+      versions: [
+        {field: 'status', value: 'Active', semester: null, recordedAt: new Date(2019, 0, 1)},
+        {field: 'status', value: 'Leave', semester: spring, recordedAt: new Date(2019, 0, 1)}
+      ]
+    }
+  }
+
+  it('should give the value a field had in a semester', function () {
+    expect(versions.valueAt(student(), 'status', fall)).to.equal('Active')
+    expect(versions.valueAt(student(), 'status', fall19)).to.equal('Leave')
+    expect(versions.valueAt(student(), 'fundingEligibility', fall)).to.equal('GUARANTEED')
+    expect(versions.valueAt({versions: [{field: 'status', value: 'Leave', semester: spring}]}, 'status', fall)).to.equal(null)
+  })
+  it('should copy a student as of a semester', function () {
+    var copy = versions.asOf(student(), fall)
+    expect(copy).to.include({status: 'Active', fundingEligibility: 'GUARANTEED'})
+    expect(student().status).to.equal('Leave')
+  })
+  it('should record the old value with the first change', function () {
+    var update = versions.update({fundingEligibility: 'GUARANTEED', versions: []}, {fundingEligibility: 'PROBATION', firstName: 'Ann'}, fall19, now, 'admin')
+    expect(update.$set).to.deep.equal({fundingEligibility: 'PROBATION', firstName: 'Ann'})
+    expect(update.$push.versions.$each).to.deep.equal([
+      {field: 'fundingEligibility', value: 'GUARANTEED', semester: null, recordedBy: 'admin', recordedAt: now},
+      {field: 'fundingEligibility', value: 'PROBATION', semester: 'fa19', recordedBy: 'admin', recordedAt: now}
+    ])
+    expect(versions.update({fundingEligibility: 'GUARANTEED'}, {fundingEligibility: 'GUARANTEED'}, fall19, now)).to.deep.equal({$set: {fundingEligibility: 'GUARANTEED'}})
+  })
+  it('should keep the current value when a change is backdated', function () {
+    var update = versions.update(student(), {status: 'Graduated'}, fall, now)
+    expect(update.$set.status).to.equal('Leave')
+    expect(update.$push.versions.$each).to.have.length(1)
+    expect(update.$push.versions.$each[0]).to.include({field: 'status', value: 'Graduated', semester: 'fa18'})
+  })
+  it('should refuse changes that take effect after the current semester', function () {
+    expect(function () {
+      versions.update(student(), {status: 'Active'}, {season: 'SP', year: 2020}, now)
+    }).to.throw('after the current semester')
+  })
+})
@@ -0,0 +1,57 @@
+/* eslint-env mocha, chai */
+/* global expect */
+var mongoose = require('mongoose')
+var schema = require('../models/schema')
+var workflow = require('../controllers/workflow')
+
+describe('Form approval workflow', function () {
+  var studentId = mongoose.Types.ObjectId()
+  var owner = {onyen: 'owner', student: {_id: studentId}, roles: []}
+  var staff = {onyen: 'staff', roles: ['studentServices']}
+
+  function approval (state, step) {
+    return new schema.FormApproval({student: studentId, form: 'CS03', state: state, step: step})
+  }
+
+  it('should define a route for every form', function () {
+    ['CS01', 'CS01BSMS', 'CS02', 'CS03', 'CS04', 'CS05', 'CS06', 'CS07', 'CS08', 'CS09', 'CS11', 'CS12', 'CS13'].forEach(function (title) {
+      expect(workflow.routes[title]).to.have.length.above(0)
+      workflow.routes[title].forEach(function (step) {
+        expect(schema[title].schema.path(step.field)).to.not.equal(undefined)
+      })
+    })
+  })
+  it('should strip signature fields from posted data', function () {
+    var input = workflow.stripSignatures('CS03', {student: 'x', studentSignature: 'a', directorDateSigned: 'b', gpa: '4'})
+    expect(input).to.deep.equal({student: 'x', gpa: '4'})
+  })
+  it('should say which signature a form is waiting on', function () {
+    expect(workflow.describe(null)).to.equal('Draft')
+    expect(workflow.describe(approval('awaiting', 2))).to.equal('Awaiting director of graduate studies signature')
+  })
+  it('should only let the owner apply the student signature', function () {
+    var step = workflow.routes.CS03[0]
+    return workflow.holdsStepRole(owner, step, studentId).then(function (result) {
+      expect(result).to.equal(true)
+      return workflow.holdsStepRole(staff, step, studentId)
+    }).then(function (result) {
+      expect(result).to.equal(false)
+    })
+  })
+  it('should not let one person sign twice', function () {
+    var signed = approval('awaiting', 1)
+    signed.signatures.push({step: 0, role: 'student', signedBy: 'owner'})
+    expect(workflow.hasSigned(owner, signed)).to.equal(true)
+    expect(workflow.hasSigned(staff, signed)).to.equal(false)
+  })
+  it('should let staff submit drafts and return forms in progress', function () {
+    return workflow.actions(staff, approval('draft', 0), studentId).then(function (result) {
+      expect(result.submit).to.equal(true)
+      expect(result.sendBack).to.equal(false)
+      return workflow.actions(staff, approval('awaiting', 1), studentId)
+    }).then(function (result) {
+      expect(result.submit).to.equal(false)
+      expect(result.sendBack).to.equal(true)
+    })
+  })
+})